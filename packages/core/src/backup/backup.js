@@ -0,0 +1,390 @@
+/**
+ * backup.js — Vault-wide backup archives
+ *
+ * A backup is one `.tar.gz` holding everything needed to bring a vault back:
+ *
+ *   manifest.json   format, timestamps, schema version and a SHA-256 per file
+ *   vault/…         the markdown tree (including _history/, excluding .git/)
+ *   vault.db        an online SQLite backup of the index
+ *   config.json     when one exists
+ *
+ * Restores extract into a temporary directory and check every file against
+ * the manifest (plus `PRAGMA integrity_check` on the database) before the
+ * current vault is touched, and keep a `pre-restore` archive of what they
+ * replace.
+ */
+
+import { execFileSync } from "node:child_process";
+import { createHash } from "node:crypto";
+import {
+  copyFileSync,
+  cpSync,
+  existsSync,
+  lstatSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  unlinkSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join, relative, resolve, sep } from "node:path";
+import { backup as sqliteBackup, DatabaseSync } from "node:sqlite";
+import { getSchemaVersion } from "../index/db.js";
+
+export const BACKUP_FORMAT = 1;
+
+const ARCHIVE_PREFIX = "context-vault-";
+const ARCHIVE_EXT = ".tar.gz";
+// Regular and daily archives; pre-restore archives are not rotated
+const ROTATED_ARCHIVE = /^context-vault-\d{4}-\d{2}-\d{2}(-\d{6})?\.tar\.gz$/;
+
+function tar(args) {
+  try {
+    execFileSync("tar", args, { stdio: ["ignore", "pipe", "pipe"] });
+  } catch (e) {
+    const detail = (e.stderr || e.stdout || e.message).toString().trim();
+    throw new Error(`tar failed: ${detail}`);
+  }
+}
+
+function sha256File(path) {
+  return createHash("sha256").update(readFileSync(path)).digest("hex");
+}
+
+/** Files under `root` as sorted forward-slash relative paths. */
+function listFiles(root) {
+  return readdirSync(root, { recursive: true, withFileTypes: true })
+    .filter((d) => d.isFile())
+    .map((d) => relative(root, join(d.parentPath, d.name)).split(sep).join("/"))
+    .sort();
+}
+
+/**
+ * Entries under `root` that are neither regular files nor directories —
+ * symlinks, devices, FIFOs — as forward-slash relative paths.
+ */
+function listIrregular(root) {
+  return readdirSync(root, { recursive: true, withFileTypes: true })
+    .filter((d) => !d.isFile() && !d.isDirectory())
+    .map((d) => relative(root, join(d.parentPath, d.name)).split(sep).join("/"))
+    .sort();
+}
+
+/**
+ * Remove everything in `root` except `.git` and the paths in `keep`
+ * (absolute), descending into directories that contain a kept path.
+ */
+function clearDir(root, keep) {
+  for (const name of readdirSync(root)) {
+    const path = join(root, name);
+    if (name === ".git" || keep.has(path)) continue;
+    if ([...keep].some((k) => k.startsWith(path + sep))) {
+      clearDir(path, keep);
+      continue;
+    }
+    rmSync(path, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Backup settings from the `backup` section of config.json
+ * (`{ "dir": "<path>", "keep": 7 }`). Archives go to `<dataDir>/backups`
+ * unless configured; `keep` is null when rotation is off.
+ *
+ * @param {{ dataDir: string, backup?: { dir?: string, keep?: number } }} config
+ * @returns {{ dir: string, keep: number|null }}
+ */
+export function resolveBackup(config) {
+  const { dir, keep } = config?.backup || {};
+  return {
+    dir: resolve(
+      typeof dir === "string" && dir ? dir : join(config.dataDir, "backups"),
+    ),
+    keep: Number.isInteger(keep) && keep > 0 ? keep : null,
+  };
+}
+
+/** Archive file name for `date`: one per second, or one per UTC day. */
+export function archiveName(date = new Date(), { daily = false } = {}) {
+  const iso = date.toISOString();
+  const day = iso.slice(0, 10);
+  if (daily) return `${ARCHIVE_PREFIX}${day}${ARCHIVE_EXT}`;
+  return `${ARCHIVE_PREFIX}${day}-${iso.slice(11, 19).replace(/:/g, "")}${ARCHIVE_EXT}`;
+}
+
+/**
+ * Delete all but the newest `keep` archives in `dir`. Only archives named by
+ * archiveName() count, so pre-restore archives and other files are left.
+ *
+ * @returns {string[]} paths removed
+ */
+export function rotateBackups(dir, keep) {
+  if (!existsSync(dir) || !Number.isInteger(keep) || keep < 1) return [];
+  const archives = readdirSync(dir)
+    .filter((f) => ROTATED_ARCHIVE.test(f))
+    .sort()
+    .reverse();
+  const removed = [];
+  for (const f of archives.slice(keep)) {
+    unlinkSync(join(dir, f));
+    removed.push(join(dir, f));
+  }
+  return removed;
+}
+
+/**
+ * Write a backup archive of the vault, its index and config.json.
+ * The database is copied with SQLite's online backup, so the server can keep
+ * running. With `daily`, an archive already written today is left as is.
+ * With `keep`, older archives in the same directory are rotated out.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {{ dir?: string, file?: string, daily?: boolean, keep?: number|null, name?: string }} [opts]
+ *   `file` overrides the archive path; `name` labels it (e.g. "pre-restore").
+ * @returns {Promise<{ path: string, skipped: boolean, files: number, bytes: number, rotated: string[] }>}
+ */
+export async function createBackup(
+  ctx,
+  { dir, file, daily = false, keep = null, name = null } = {},
+) {
+  const { config } = ctx;
+  const outDir = dir || resolveBackup(config).dir;
+  const path = resolve(
+    file ||
+      join(
+        outDir,
+        name
+          ? archiveName(new Date()).replace(
+              ARCHIVE_PREFIX,
+              `${ARCHIVE_PREFIX}${name}-`,
+            )
+          : archiveName(new Date(), { daily }),
+      ),
+  );
+
+  if (daily && existsSync(path)) {
+    return {
+      path,
+      skipped: true,
+      files: 0,
+      bytes: statSync(path).size,
+      rotated: keep ? rotateBackups(outDir, keep) : [],
+    };
+  }
+
+  const staging = mkdtempSync(join(tmpdir(), "context-vault-backup-"));
+  try {
+    const vaultDir = resolve(config.vaultDir);
+    const stagedVault = join(staging, "vault");
+    mkdirSync(stagedVault);
+    if (existsSync(vaultDir)) {
+      cpSync(vaultDir, stagedVault, {
+        recursive: true,
+        preserveTimestamps: true,
+        // Skip git internals, archives if backups live inside the vault, and
+        // anything that is not a plain file or directory (a restore rejects it)
+        filter: (src) => {
+          if (relative(vaultDir, src).split(sep).includes(".git")) return false;
+          if (resolve(src) === resolve(outDir)) return false;
+          const stat = lstatSync(src);
+          return stat.isFile() || stat.isDirectory();
+        },
+      });
+    }
+    await sqliteBackup(ctx.db, join(staging, "vault.db"));
+    if (config.configPath && existsSync(config.configPath)) {
+      copyFileSync(config.configPath, join(staging, "config.json"));
+    }
+
+    const files = {};
+    for (const f of listFiles(staging)) files[f] = sha256File(join(staging, f));
+    const manifest = {
+      format: BACKUP_FORMAT,
+      created_at: new Date().toISOString(),
+      schema_version: getSchemaVersion(ctx.db),
+      vault_dir: vaultDir,
+      files,
+    };
+    writeFileSync(
+      join(staging, "manifest.json"),
+      JSON.stringify(manifest, null, 2) + "\n",
+    );
+
+    mkdirSync(resolve(path, ".."), { recursive: true });
+    tar(["-czf", path, "-C", staging, "."]);
+    return {
+      path,
+      skipped: false,
+      files: Object.keys(files).length,
+      bytes: statSync(path).size,
+      rotated: keep ? rotateBackups(outDir, keep) : [],
+    };
+  } finally {
+    rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Extract an archive into a temporary directory and check it against its
+ * manifest. The caller removes `dir`.
+ */
+function extractAndCheck(archivePath) {
+  if (!existsSync(archivePath)) {
+    throw new Error(`Backup archive not found: ${archivePath}`);
+  }
+  const dir = mkdtempSync(join(tmpdir(), "context-vault-restore-"));
+  const problems = [];
+  let manifest = null;
+  try {
+    tar(["-xzf", archivePath, "-C", dir]);
+  } catch (e) {
+    problems.push(e.message);
+    return { dir, manifest, problems };
+  }
+
+  try {
+    manifest = JSON.parse(readFileSync(join(dir, "manifest.json"), "utf-8"));
+  } catch {
+    problems.push("manifest.json is missing or unreadable");
+    return { dir, manifest, problems };
+  }
+  if (manifest.format !== BACKUP_FORMAT) {
+    problems.push(`unsupported backup format: ${manifest.format}`);
+    return { dir, manifest, problems };
+  }
+
+  const listed = manifest.files || {};
+  for (const [f, hash] of Object.entries(listed)) {
+    const p = join(dir, f);
+    if (!existsSync(p)) problems.push(`missing: ${f}`);
+    else if (sha256File(p) !== hash) problems.push(`checksum mismatch: ${f}`);
+  }
+  for (const f of listFiles(dir)) {
+    if (f !== "manifest.json" && !(f in listed)) {
+      problems.push(`not in manifest: ${f}`);
+    }
+  }
+  for (const f of listIrregular(dir)) {
+    problems.push(`not a regular file: ${f}`);
+  }
+
+  if (!("vault.db" in listed)) {
+    problems.push("missing: vault.db");
+  } else if (existsSync(join(dir, "vault.db"))) {
+    let db;
+    try {
+      db = new DatabaseSync(join(dir, "vault.db"), { readOnly: true });
+      const result = db
+        .prepare("PRAGMA integrity_check")
+        .all()
+        .map((r) => r.integrity_check)
+        .join("; ");
+      if (result !== "ok") problems.push(`vault.db integrity: ${result}`);
+    } catch (e) {
+      problems.push(`vault.db unreadable: ${e.message}`);
+    } finally {
+      db?.close();
+    }
+  }
+  return { dir, manifest, problems };
+}
+
+/**
+ * Point the file paths an index stores at a vault restored somewhere else
+ * (another machine or a different vaultDir).
+ */
+function relocateIndex(dbFile, from, to) {
+  if (!from || resolve(from) === resolve(to)) return;
+  const db = new DatabaseSync(dbFile);
+  try {
+    for (const table of ["vault", "vault_files"]) {
+      db.prepare(
+        `UPDATE ${table} SET file_path = ? || substr(file_path, ?) WHERE substr(file_path, 1, ?) = ?`,
+      ).run(to, from.length + 1, from.length, from);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Check a backup archive without restoring it.
+ *
+ * @param {string} archivePath
+ * @returns {{ ok: boolean, manifest: object|null, problems: string[] }}
+ */
+export function verifyBackup(archivePath) {
+  const { dir, manifest, problems } = extractAndCheck(archivePath);
+  rmSync(dir, { recursive: true, force: true });
+  return { ok: !problems.length, manifest, problems };
+}
+
+/**
+ * Replace the vault, its index and (with `config: true`) config.json with
+ * the contents of a backup archive. Nothing is touched unless the archive
+ * verifies. The current state is first archived as `pre-restore` next to the
+ * other backups; a `.git` directory and a backup directory inside the vault
+ * are kept.
+ *
+ * Closes `ctx.db` — reopen it with initDatabase(), which also migrates an
+ * archive written by an older schema.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {string} archivePath
+ * @param {{ config?: boolean, safetyBackup?: boolean }} [opts]
+ * @returns {Promise<{ manifest: object, files: number, safetyBackup: string|null, configRestored: boolean }>}
+ */
+export async function restoreBackup(
+  ctx,
+  archivePath,
+  { config: withConfig = false, safetyBackup = true } = {},
+) {
+  const { dir, manifest, problems } = extractAndCheck(resolve(archivePath));
+  try {
+    if (problems.length) {
+      throw new Error(
+        `Backup failed verification — nothing was restored:\n  ${problems.join("\n  ")}`,
+      );
+    }
+
+    const safety = safetyBackup
+      ? (await createBackup(ctx, { name: "pre-restore" })).path
+      : null;
+    ctx.db.close();
+
+    const { vaultDir, dbPath, configPath } = ctx.config;
+    mkdirSync(vaultDir, { recursive: true });
+    const keep = new Set([resolveBackup(ctx.config).dir]);
+    if (safety) keep.add(dirname(safety));
+    clearDir(resolve(vaultDir), keep);
+    cpSync(join(dir, "vault"), vaultDir, {
+      recursive: true,
+      preserveTimestamps: true,
+    });
+
+    for (const suffix of ["", "-wal", "-shm"]) {
+      rmSync(dbPath + suffix, { force: true });
+    }
+    relocateIndex(join(dir, "vault.db"), manifest.vault_dir, resolve(vaultDir));
+    mkdirSync(resolve(dbPath, ".."), { recursive: true });
+    copyFileSync(join(dir, "vault.db"), dbPath);
+
+    const configRestored =
+      withConfig && !!configPath && existsSync(join(dir, "config.json"));
+    if (configRestored) copyFileSync(join(dir, "config.json"), configPath);
+
+    return {
+      manifest,
+      files: Object.keys(manifest.files).filter((f) => f.startsWith("vault/"))
+        .length,
+      safetyBackup: safety,
+      configRestored,
+    };
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
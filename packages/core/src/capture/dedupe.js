@@ -0,0 +1,292 @@
+/**
+ * dedupe.js — Duplicate and near-duplicate detection for knowledge entries
+ *
+ * Two entries are duplicates when they share a kind and either have the same
+ * body (ignoring surrounding whitespace) or embeddings whose cosine similarity
+ * reaches the threshold. save_context checks new knowledge entries before
+ * writing them; `context-vault dedupe` finds clusters among existing entries
+ * and merges each one into its oldest member, pointing links at it.
+ */
+
+import { readFileSync, unlinkSync } from "node:fs";
+import { updateEntryFile } from "./index.js";
+import { snapshotRevision } from "./history.js";
+import { indexEntry } from "../index/index.js";
+import { getEmbeddingSpace } from "../index/db.js";
+import { parseFrontmatter } from "../core/frontmatter.js";
+import { parseRelated, retargetWikiLinks } from "../core/relations.js";
+
+export const DEFAULT_DEDUPE_THRESHOLD = 0.9;
+
+/** Nearest neighbours fetched per lookup before applying the threshold. */
+const NEIGHBOURS = 10;
+
+/**
+ * Dedupe settings from the `dedupe` section of config.json
+ * (`{ "enabled": true, "threshold": 0.9 }`). Invalid values fall back to the
+ * defaults.
+ *
+ * @param {{ dedupe?: { enabled?: boolean, threshold?: number } }} config
+ * @returns {{ enabled: boolean, threshold: number }}
+ */
+export function resolveDedupe(config) {
+  const { enabled, threshold } = config?.dedupe || {};
+  const validThreshold =
+    typeof threshold === "number" && threshold > 0 && threshold <= 1;
+  return {
+    enabled: enabled !== false,
+    threshold: validThreshold ? threshold : DEFAULT_DEDUPE_THRESHOLD,
+  };
+}
+
+/**
+ * Rows of vault_vec closest to a vector, with their cosine similarity.
+ * The vector must come from the embedding space vault_vec holds.
+ */
+function nearest(ctx, vector, limit = NEIGHBOURS) {
+  return ctx.db
+    .prepare(
+      `SELECT n.rowid, 1 - vec_distance_cosine(v.embedding, ?) AS similarity
+       FROM (SELECT rowid FROM vault_vec WHERE embedding MATCH ? ORDER BY distance LIMIT ?) n
+       JOIN vault_vec v ON v.rowid = n.rowid`,
+    )
+    .all(vector, vector, limit);
+}
+
+/**
+ * Body as compared for exact duplicates. Done in JS only — SQLite's TRIM()
+ * strips spaces but not the newlines and tabs markdown bodies end with.
+ */
+const bodyKey = (body) => (body || "").trim();
+
+function liveClauses(userIdFilter) {
+  const clauses = ["(expires_at IS NULL OR expires_at > datetime('now'))"];
+  const params = [];
+  if (userIdFilter !== undefined) {
+    clauses.push("user_id = ?");
+    params.push(userIdFilter);
+  }
+  return { clauses, params };
+}
+
+/**
+ * Existing entries of the same kind that duplicate a would-be entry, best
+ * match first. Exact body matches score 1 and need no embeddings.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {{ kind: string, title?: string|null, body: string }} entry
+ * @param {{ threshold?: number, limit?: number, userIdFilter?: string }} [opts]
+ * @returns {Promise<Array<object & { similarity: number, exact: boolean }>>}
+ *   vault rows with `similarity` and `exact` added
+ */
+export async function findDuplicates(
+  ctx,
+  { kind, title, body },
+  { threshold = DEFAULT_DEDUPE_THRESHOLD, limit = 3, userIdFilter } = {},
+) {
+  const found = new Map();
+  const { clauses, params } = liveClauses(userIdFilter);
+
+  const key = bodyKey(body);
+  const sameKind = ctx.db
+    .prepare(
+      `SELECT * FROM vault WHERE kind = ? AND ${clauses.join(" AND ")} ORDER BY created_at`,
+    )
+    .all(kind, ...params);
+  for (const row of sameKind) {
+    if (bodyKey(row.body) !== key) continue;
+    found.set(row.id, { ...row, similarity: 1, exact: true });
+  }
+
+  let vector = null;
+  try {
+    vector = await ctx.embed([title, body].filter(Boolean).join(" "));
+  } catch {}
+  if (vector && vector.length === getEmbeddingSpace(ctx.db).dimensions) {
+    const hits = nearest(ctx, vector).filter((h) => h.similarity >= threshold);
+    const byRowid = new Map(hits.map((h) => [h.rowid, h.similarity]));
+    if (byRowid.size) {
+      const rows = ctx.db
+        .prepare(
+          `SELECT rowid, * FROM vault WHERE rowid IN (${hits.map(() => "?").join(", ")}) AND kind = ? AND ${clauses.join(" AND ")}`,
+        )
+        .all(...byRowid.keys(), kind, ...params);
+      for (const { rowid, ...row } of rows) {
+        if (found.has(row.id)) continue;
+        found.set(row.id, {
+          ...row,
+          similarity: byRowid.get(rowid),
+          exact: false,
+        });
+      }
+    }
+  }
+
+  return [...found.values()]
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Groups of duplicate knowledge entries across the vault. Entries are taken
+ * oldest first; each one not yet in a group keeps the newer entries that
+ * duplicate it directly, with their similarity to it. Similarity is not
+ * chained, so an entry is never grouped for resembling some other duplicate.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {{ threshold?: number, kind?: string|null, userIdFilter?: string }} [opts]
+ * @returns {Array<{ keep: object, duplicates: Array<object & { similarity: number }> }>}
+ */
+export function findDuplicateClusters(
+  ctx,
+  { threshold = DEFAULT_DEDUPE_THRESHOLD, kind = null, userIdFilter } = {},
+) {
+  const { clauses, params } = liveClauses(userIdFilter);
+  clauses.push("category = 'knowledge'");
+  if (kind) {
+    clauses.push("kind = ?");
+    params.push(kind);
+  }
+  const entries = ctx.db
+    .prepare(
+      `SELECT rowid, id, kind, category, title, body, tags, file_path, created_at
+       FROM vault WHERE ${clauses.join(" AND ")} ORDER BY created_at, id`,
+    )
+    .all(...params);
+  const byRowid = new Map(entries.map((e) => [e.rowid, e]));
+
+  const byBody = new Map();
+  for (const e of entries) {
+    const key = `${e.kind}\0${bodyKey(e.body)}`;
+    if (!byBody.has(key)) byBody.set(key, []);
+    byBody.get(key).push(e);
+  }
+
+  const getVector = ctx.db.prepare(
+    `SELECT embedding FROM vault_vec WHERE rowid = ?`,
+  );
+  const grouped = new Set();
+  const clusters = [];
+  for (const keep of entries) {
+    if (grouped.has(keep.id)) continue;
+    grouped.add(keep.id);
+    const duplicates = new Map();
+    for (const e of byBody.get(`${keep.kind}\0${bodyKey(keep.body)}`)) {
+      if (!grouped.has(e.id)) duplicates.set(e.id, { ...e, similarity: 1 });
+    }
+    const vector = getVector.get(keep.rowid)?.embedding;
+    for (const hit of vector ? nearest(ctx, vector) : []) {
+      const other = byRowid.get(hit.rowid);
+      if (!other || grouped.has(other.id) || duplicates.has(other.id)) continue;
+      if (other.kind === keep.kind && hit.similarity >= threshold) {
+        duplicates.set(other.id, { ...other, similarity: hit.similarity });
+      }
+    }
+    if (!duplicates.size) continue;
+    for (const id of duplicates.keys()) grouped.add(id);
+    clusters.push({
+      keep,
+      duplicates: [...duplicates.values()].sort(
+        (a, b) =>
+          a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id),
+      ),
+    });
+  }
+  return clusters;
+}
+
+/**
+ * Merge a cluster into its kept entry. The duplicates' tags are added to it,
+ * their ids are recorded in its `merged_from` meta, and links from other
+ * entries (`related:` frontmatter and `[[id]]` wiki-links) are pointed at it.
+ * The duplicates are then removed; their last content is kept as a revision
+ * under `_history/<id>/`, so a file can be copied back into the vault by hand.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {{ keep: { id: string }, duplicates: Array<{ id: string }> }} cluster
+ * @returns {Promise<{ kept: string, removed: string[], tags: string[], relinked: string[] }>}
+ *   `relinked` lists the other entries whose links were pointed at the kept entry
+ */
+export async function mergeDuplicates(ctx, { keep, duplicates }) {
+  const kept = ctx.stmts.getEntryById.get(keep.id);
+  if (!kept) throw new Error(`Entry not found: ${keep.id}`);
+  const dupes = duplicates
+    .map((d) => ctx.stmts.getEntryById.get(d.id))
+    .filter((d) => d && d.id !== kept.id);
+  const dupeIds = new Set(dupes.map((d) => d.id));
+
+  // Point every link at a duplicate to the kept entry (a link from the kept
+  // entry to one of its duplicates is dropped rather than made a self-link)
+  const retarget = (row) => {
+    const related = parseRelated(
+      parseFrontmatter(readFileSync(row.file_path, "utf-8")).meta.related,
+    );
+    return {
+      related: related
+        .map((l) => (dupeIds.has(l.id) ? { ...l, id: kept.id } : l))
+        .filter((l) => l.id !== row.id),
+      body: retargetWikiLinks(row.body, dupeIds, kept.id),
+    };
+  };
+
+  const keptMeta = kept.meta ? JSON.parse(kept.meta) : {};
+  const keptTags = kept.tags ? JSON.parse(kept.tags) : [];
+  const tags = [
+    ...new Set([
+      ...keptTags,
+      ...dupes.flatMap((d) => (d.tags ? JSON.parse(d.tags) : [])),
+    ]),
+  ];
+  if (dupes.length && kept.file_path) {
+    const merged_from = [
+      ...new Set([...(keptMeta.merged_from || []), ...dupeIds]),
+    ];
+    await indexEntry(
+      ctx,
+      updateEntryFile(ctx, kept, {
+        tags,
+        meta: { merged_from },
+        ...retarget(kept),
+      }),
+    );
+  }
+
+  const relinked = [];
+  const sources = dupeIds.size
+    ? ctx.db
+        .prepare(
+          `SELECT DISTINCT source_id FROM vault_links WHERE target_id IN (${[...dupeIds].map(() => "?").join(", ")})`,
+        )
+        .all(...dupeIds)
+        .map((r) => r.source_id)
+        .filter((id) => id !== kept.id && !dupeIds.has(id))
+    : [];
+  for (const id of sources) {
+    const row = ctx.stmts.getEntryById.get(id);
+    if (!row?.file_path) continue;
+    await indexEntry(ctx, updateEntryFile(ctx, row, retarget(row)));
+    relinked.push(id);
+  }
+
+  const removed = [];
+  for (const dup of dupes) {
+    if (dup.file_path) {
+      snapshotRevision(ctx.config.vaultDir, dup.id, dup.file_path);
+      try {
+        unlinkSync(dup.file_path);
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+    }
+    const rowid = ctx.stmts.getRowid.get(dup.id)?.rowid;
+    if (rowid) {
+      try {
+        ctx.deleteVec(Number(rowid));
+      } catch {}
+    }
+    ctx.stmts.deleteEntry.run(dup.id);
+    removed.push(dup.id);
+  }
+
+  return { kept: kept.id, removed, tags, relinked };
+}
@@ -8,6 +8,7 @@ import { mkdirSync, writeFileSync } from "node:fs";
 import { resolve, relative } from "node:path";
 import { formatFrontmatter } from "../core/frontmatter.js";
 import { slugify, kindToPath } from "../core/files.js";
+import { formatRelated } from "../core/relations.js";
 import { formatBody } from "./formatters.js";
 
 export function safeFolderPath(vaultDir, kind, folder) {
@@ -32,10 +33,12 @@ export function writeEntryFile(
     tags,
     source,
     createdAt,
+    updatedAt,
     folder,
     category,
     identity_key,
     expires_at,
+    related,
   },
 ) {
   // P5: folder is now a top-level param; also accept from meta for backward compat
@@ -61,9 +64,11 @@ export function writeEntryFile(
 
   if (identity_key) fmFields.identity_key = identity_key;
   if (expires_at) fmFields.expires_at = expires_at;
+  fmFields.related = formatRelated(related);
   fmFields.tags = tags || [];
   fmFields.source = source || "claude-code";
   fmFields.created = created;
+  if (updatedAt) fmFields.updated = updatedAt;
 
   const mdBody = formatBody(kind, { title, body, meta });
 
@@ -0,0 +1,231 @@
+/**
+ * history.js — Revision history for entry files
+ *
+ * Before an entry file is overwritten, its previous content is copied to
+ * `<vault>/_history/<id>/<rev>.md`. The `_` prefix keeps reindex from ever
+ * indexing revisions. Files are plain markdown so history travels with the
+ * vault (git, backups) like everything else.
+ */
+
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  statSync,
+  utimesSync,
+  writeFileSync,
+} from "node:fs";
+import { join } from "node:path";
+import { safeJoin } from "../core/files.js";
+import {
+  formatFrontmatter,
+  parseFrontmatter,
+  parseEntryFromMarkdown,
+} from "../core/frontmatter.js";
+import { parseRelated } from "../core/relations.js";
+
+export const HISTORY_DIR = "_history";
+
+const MAX_DIFF_LINES = 4000;
+
+function historyDirFor(vaultDir, id) {
+  return safeJoin(vaultDir, HISTORY_DIR, id);
+}
+
+/**
+ * Copy the current content of an entry file into its history.
+ * The revision keeps the file's original mtime, i.e. when that content was written.
+ *
+ * @param {string} vaultDir
+ * @param {string} id
+ * @param {string} filePath — current entry file
+ * @returns {number|null} new revision number, or null if there was no file
+ */
+export function snapshotRevision(vaultDir, id, filePath) {
+  if (!filePath || !existsSync(filePath)) return null;
+  const content = readFileSync(filePath, "utf-8");
+  const { mtime } = statSync(filePath);
+
+  const dir = historyDirFor(vaultDir, id);
+  mkdirSync(dir, { recursive: true });
+
+  const revs = listRevisionNumbers(dir);
+  const last = revs.length ? revs[revs.length - 1] : 0;
+
+  // Skip identical consecutive snapshots (e.g. a no-op update)
+  if (last && readFileSync(revisionPath(dir, last), "utf-8") === content) {
+    return last;
+  }
+
+  const rev = last + 1;
+  const revPath = revisionPath(dir, rev);
+  writeFileSync(revPath, content);
+  utimesSync(revPath, mtime, mtime);
+  return rev;
+}
+
+/**
+ * List stored revisions for an entry, oldest first.
+ *
+ * @param {string} vaultDir
+ * @param {string} id
+ * @param {string} [kind] — used to extract titles the same way reindex does
+ * @returns {Array<{ rev: number, savedAt: string, size: number, title: string|null, filePath: string }>}
+ */
+export function listRevisions(vaultDir, id, kind) {
+  const dir = historyDirFor(vaultDir, id);
+  if (!existsSync(dir)) return [];
+  return listRevisionNumbers(dir).map((rev) => {
+    const filePath = revisionPath(dir, rev);
+    const stat = statSync(filePath);
+    return {
+      rev,
+      savedAt: stat.mtime.toISOString(),
+      size: stat.size,
+      title: revisionTitle(filePath, kind),
+      filePath,
+    };
+  });
+}
+
+/**
+ * Read a revision's raw markdown. Throws if it does not exist.
+ */
+export function readRevision(vaultDir, id, rev) {
+  const filePath = revisionPath(historyDirFor(vaultDir, id), rev);
+  if (!existsSync(filePath)) {
+    throw new Error(`Revision ${rev} not found for entry ${id}`);
+  }
+  return readFileSync(filePath, "utf-8");
+}
+
+/**
+ * Line-based diff (LCS) between two texts.
+ * Returns unified-style lines prefixed with " ", "-" or "+".
+ */
+export function diffLines(oldText, newText) {
+  const a = oldText.replace(/\r\n/g, "\n").split("\n");
+  const b = newText.replace(/\r\n/g, "\n").split("\n");
+  if (a.length + b.length > MAX_DIFF_LINES) {
+    return [`(diff too large: ${a.length} → ${b.length} lines)`];
+  }
+
+  // LCS length table, filled from the end so we can walk forwards
+  const lcs = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push(` ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push(`-${a[i++]}`);
+    } else {
+      out.push(`+${b[j++]}`);
+    }
+  }
+  while (i < a.length) out.push(`-${a[i++]}`);
+  while (j < b.length) out.push(`+${b[j++]}`);
+  return out;
+}
+
+/**
+ * Roll an entry back to a stored revision.
+ * The current content is snapshotted first, so a restore can itself be undone.
+ *
+ * @param {{ config }} ctx
+ * @param {object} existing — Row from vault table (from getEntryById)
+ * @param {number} rev
+ * @returns {{ entry: object, snapshotRev: number|null }} entry suitable for indexEntry
+ */
+export function restoreRevision(ctx, existing, rev) {
+  const updatedAt = new Date().toISOString();
+  const content = stampUpdated(
+    readRevision(ctx.config.vaultDir, existing.id, rev),
+    updatedAt,
+  );
+  const snapshotRev = snapshotRevision(
+    ctx.config.vaultDir,
+    existing.id,
+    existing.file_path,
+  );
+  writeFileSync(existing.file_path, content);
+
+  const { meta: fmMeta, body: rawBody } = parseFrontmatter(content);
+  const parsed = parseEntryFromMarkdown(existing.kind, rawBody, fmMeta);
+  const existingMeta = existing.meta ? JSON.parse(existing.meta) : {};
+  const meta = { ...(parsed.meta || {}) };
+  if (existingMeta.folder) meta.folder = existingMeta.folder;
+
+  return {
+    snapshotRev,
+    entry: {
+      id: existing.id,
+      filePath: existing.file_path,
+      kind: existing.kind,
+      category: existing.category,
+      title: parsed.title,
+      body: parsed.body,
+      meta: Object.keys(meta).length ? meta : undefined,
+      tags: Array.isArray(fmMeta.tags) ? fmMeta.tags : [],
+      source: fmMeta.source || existing.source,
+      createdAt: fmMeta.created || existing.created_at,
+      updatedAt,
+      identity_key: existing.identity_key,
+      expires_at: fmMeta.expires_at || null,
+      userId: existing.user_id || null,
+      related: parseRelated(fmMeta.related),
+    },
+  };
+}
+
+/**
+ * Set the frontmatter `updated:` field of a revision to `updatedAt`, so the
+ * restored file and its index row agree. Only that line changes.
+ */
+function stampUpdated(content, updatedAt) {
+  const match = content.match(/^---\r?\n[\s\S]*?\r?\n---/);
+  if (!match) return content;
+  const line = formatFrontmatter({ updated: updatedAt }).split("\n")[1];
+  const block = /^updated:.*$/m.test(match[0])
+    ? match[0].replace(/^updated:.*$/m, line)
+    : match[0].replace(/(\r?\n---)$/, `\n${line}$1`);
+  return block + content.slice(match[0].length);
+}
+
+function revisionPath(dir, rev) {
+  return join(dir, `${String(rev).padStart(4, "0")}.md`);
+}
+
+function listRevisionNumbers(dir) {
+  return readdirSync(dir)
+    .map((f) => f.match(/^(\d+)\.md$/))
+    .filter(Boolean)
+    .map((m) => parseInt(m[1], 10))
+    .sort((x, y) => x - y);
+}
+
+function revisionTitle(filePath, kind) {
+  try {
+    const { meta, body } = parseFrontmatter(readFileSync(filePath, "utf-8"));
+    const parsed = parseEntryFromMarkdown(kind || "", body, meta);
+    return parsed.title || parsed.body.slice(0, 60) || null;
+  } catch {
+    return null;
+  }
+}
@@ -10,13 +10,16 @@ import { resolve } from "node:path";
 import { ulid, slugify, kindToPath } from "../core/files.js";
 import { categoryFor } from "../core/categories.js";
 import { parseFrontmatter, formatFrontmatter } from "../core/frontmatter.js";
+import { parseRelated, formatRelated } from "../core/relations.js";
 import { formatBody } from "./formatters.js";
 import { writeEntryFile } from "./file-ops.js";
+import { snapshotRevision } from "./history.js";
 import { indexEntry } from "../index/index.js";
 
 export function writeEntry(
   ctx,
   {
+    id: presetId,
     kind,
     title,
     body,
@@ -27,6 +30,7 @@ export function writeEntry(
     identity_key,
     expires_at,
     userId,
+    related,
   },
 ) {
   if (!kind || typeof kind !== "string") {
@@ -44,9 +48,11 @@ export function writeEntry(
 
   const category = categoryFor(kind);
 
-  // Entity upsert: check for existing file at deterministic path
+  // Entity upsert: check for existing file at deterministic path. Otherwise
+  // a preset id (sync pulls) keeps the id the entry has on the other side.
   let id;
   let createdAt;
+  let updatedAt;
   if (category === "entity" && identity_key) {
     const identitySlug = slugify(identity_key);
     const dir = resolve(ctx.config.vaultDir, kindToPath(kind));
@@ -58,12 +64,14 @@ export function writeEntry(
       const { meta: fmMeta } = parseFrontmatter(raw);
       id = fmMeta.id || ulid();
       createdAt = fmMeta.created || new Date().toISOString();
+      updatedAt = new Date().toISOString();
+      snapshotRevision(ctx.config.vaultDir, id, existingPath);
     } else {
-      id = ulid();
+      id = presetId || ulid();
       createdAt = new Date().toISOString();
     }
   } else {
-    id = ulid();
+    id = presetId || ulid();
     createdAt = new Date().toISOString();
   }
 
@@ -75,10 +83,12 @@ export function writeEntry(
     tags,
     source,
     createdAt,
+    updatedAt,
     folder,
     category,
     identity_key,
     expires_at,
+    related,
   });
 
   return {
@@ -92,19 +102,22 @@ export function writeEntry(
     tags,
     source,
     createdAt,
+    updatedAt,
     identity_key,
     expires_at,
     userId: userId || null,
+    related: related || [],
   };
 }
 
 /**
  * Update an existing entry's file on disk (merge provided fields with existing).
+ * The previous file content is kept as a revision under _history/.
  * Does NOT re-index — caller must call indexEntry after.
  *
  * @param {{ config, stmts }} ctx
  * @param {object} existing — Row from vault table (from getEntryById)
- * @param {{ title?, body?, tags?, meta?, source?, expires_at? }} updates
+ * @param {{ title?, body?, tags?, meta?, source?, expires_at?, related? }} updates
  * @returns {object} Entry object suitable for indexEntry
  */
 export function updateEntryFile(ctx, existing, updates) {
@@ -121,6 +134,10 @@ export function updateEntryFile(ctx, existing, updates) {
     updates.source !== undefined ? updates.source : existing.source;
   const expires_at =
     updates.expires_at !== undefined ? updates.expires_at : existing.expires_at;
+  const related =
+    updates.related !== undefined
+      ? updates.related
+      : parseRelated(fmMeta.related);
 
   let mergedMeta;
   if (updates.meta !== undefined) {
@@ -137,13 +154,22 @@ export function updateEntryFile(ctx, existing, updates) {
   }
   if (existing.identity_key) fmFields.identity_key = existing.identity_key;
   if (expires_at) fmFields.expires_at = expires_at;
+  fmFields.related = formatRelated(related);
   fmFields.tags = tags;
   fmFields.source = source || "claude-code";
   fmFields.created = fmMeta.created || existing.created_at;
+  if (fmMeta.updated) fmFields.updated = fmMeta.updated;
 
+  // Only a real change moves the `updated` stamp — a no-op update leaves
+  // the file as it was
   const mdBody = formatBody(existing.kind, { title, body, meta: mergedMeta });
-  const md = formatFrontmatter(fmFields) + mdBody;
+  let md = formatFrontmatter(fmFields) + mdBody;
+  if (md !== raw) {
+    fmFields.updated = new Date().toISOString();
+    md = formatFrontmatter(fmFields) + mdBody;
+  }
 
+  snapshotRevision(ctx.config.vaultDir, existing.id, existing.file_path);
   writeFileSync(existing.file_path, md);
 
   const finalMeta = Object.keys(mergedMeta).length ? mergedMeta : undefined;
@@ -159,9 +185,11 @@ export function updateEntryFile(ctx, existing, updates) {
     tags,
     source,
     createdAt: fmMeta.created || existing.created_at,
+    updatedAt: fmFields.updated || existing.updated_at,
     identity_key: existing.identity_key,
     expires_at,
     userId: existing.user_id || null,
+    related,
   };
 }
 
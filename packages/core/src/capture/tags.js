@@ -0,0 +1,124 @@
+/**
+ * tags.js — Tag vocabulary: list, rename and merge
+ *
+ * Tags live in the `tags:` frontmatter of each markdown file, the JSON `tags`
+ * column derived from it and the normalised `vault_tags` table that mirrors
+ * the column. Renames go through updateEntryFile() (so the file stays the
+ * source of truth and a revision is kept) and are then re-indexed, leaving all
+ * three in sync.
+ */
+
+import { updateEntryFile } from "./index.js";
+import { indexEntry } from "../index/index.js";
+
+/**
+ * Every tag in use with the number of entries carrying it, most used first.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {{ kind?: string|null, userIdFilter?: string }} [opts]
+ * @returns {Array<{ tag: string, count: number }>}
+ */
+export function listTags(ctx, { kind = null, userIdFilter } = {}) {
+  const clauses = ["(v.expires_at IS NULL OR v.expires_at > datetime('now'))"];
+  const params = [];
+  if (kind) {
+    clauses.push("v.kind = ?");
+    params.push(kind);
+  }
+  if (userIdFilter !== undefined) {
+    clauses.push("v.user_id = ?");
+    params.push(userIdFilter);
+  }
+  return ctx.db
+    .prepare(
+      `SELECT t.tag, COUNT(*) AS count
+       FROM vault_tags t JOIN vault v ON v.id = t.entry_id
+       WHERE ${clauses.join(" AND ")}
+       GROUP BY t.tag ORDER BY count DESC, t.tag`,
+    )
+    .all(...params)
+    .map(({ tag, count }) => ({ tag, count }));
+}
+
+/**
+ * Replace each of `from` with `to` on every entry that carries one of them,
+ * de-duplicating the result. Shared by renameTag() and mergeTags().
+ *
+ * @returns {Promise<{ updated: string[] }>} ids of rewritten entries
+ */
+async function retag(ctx, from, to, { dryRun = false, userIdFilter } = {}) {
+  const rows = ctx.db
+    .prepare(
+      `SELECT v.* FROM vault v
+       WHERE EXISTS (SELECT 1 FROM vault_tags t WHERE t.entry_id = v.id AND t.tag IN (${from.map(() => "?").join(", ")}))
+       ${userIdFilter !== undefined ? "AND v.user_id = ?" : ""}
+       ORDER BY v.created_at`,
+    )
+    .all(...from, ...(userIdFilter !== undefined ? [userIdFilter] : []));
+
+  const updated = [];
+  for (const row of rows) {
+    if (!row.file_path) continue;
+    updated.push(row.id);
+    if (dryRun) continue;
+
+    if (ctx.decrypt && row.body_encrypted) {
+      const decrypted = await ctx.decrypt(row);
+      row.body = decrypted.body;
+      if (decrypted.title) row.title = decrypted.title;
+      if (decrypted.meta) row.meta = JSON.stringify(decrypted.meta);
+    }
+    const tags = [
+      ...new Set(JSON.parse(row.tags).map((t) => (from.includes(t) ? to : t))),
+    ];
+    const entry = updateEntryFile(ctx, row, { tags });
+    await indexEntry(ctx, entry);
+  }
+  return { updated };
+}
+
+function validateTag(tag, label) {
+  if (typeof tag !== "string" || !tag.trim())
+    throw new Error(`${label} must be a non-empty tag`);
+}
+
+/**
+ * Rename a tag everywhere. Refuses when `to` is already in use — that is a
+ * merge, and saying so avoids folding two vocabularies together by accident.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {string} from
+ * @param {string} to
+ * @param {{ dryRun?: boolean, userIdFilter?: string }} [opts]
+ * @returns {Promise<{ updated: string[] }>}
+ */
+export async function renameTag(ctx, from, to, opts = {}) {
+  validateTag(from, "Old tag");
+  validateTag(to, "New tag");
+  if (from === to) throw new Error("Old and new tag are the same");
+  const inUse = listTags(ctx, { userIdFilter: opts.userIdFilter });
+  if (!inUse.some((t) => t.tag === from))
+    throw new Error(`Tag not found: ${from}`);
+  if (inUse.some((t) => t.tag === to))
+    throw new Error(
+      `Tag "${to}" already exists — merge instead: context-vault tags merge ${from} --into ${to}`,
+    );
+  return retag(ctx, [from], to, opts);
+}
+
+/**
+ * Fold one or more tags into `into` (which may already exist).
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {string[]} sources
+ * @param {string} into
+ * @param {{ dryRun?: boolean, userIdFilter?: string }} [opts]
+ * @returns {Promise<{ updated: string[] }>}
+ */
+export async function mergeTags(ctx, sources, into, opts = {}) {
+  validateTag(into, "Target tag");
+  const from = [...new Set(sources)].filter((t) => t !== into);
+  if (!from.length) throw new Error("Nothing to merge: give at least one tag");
+  for (const t of from) validateTag(t, "Source tag");
+  return retag(ctx, from, into, opts);
+}
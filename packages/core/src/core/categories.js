@@ -40,6 +40,14 @@ const CATEGORY_DIR_NAMES = {
 /** Set of valid category directory names (for reindex discovery) */
 export const CATEGORY_DIRS = new Set(Object.values(CATEGORY_DIR_NAMES));
 
+/** Every built-in kind, in category order */
+export const KINDS = Object.keys(KIND_CATEGORY);
+
+/** Built-in kinds that belong to a category (e.g. "event" → ["conversation", …]) */
+export function kindsFor(category) {
+  return KINDS.filter((kind) => KIND_CATEGORY[kind] === category);
+}
+
 export function categoryFor(kind) {
   return KIND_CATEGORY[kind] || "knowledge";
 }
@@ -0,0 +1,107 @@
+/**
+ * chunks.js — Split long entry bodies into passages for embedding
+ *
+ * Embedding models only see the first few hundred tokens of their input, so
+ * long bodies are cut into heading/paragraph-aware chunks that get a vector
+ * each. Chunks are returned as character offsets into the body; the index
+ * stores offsets, never a second copy of the text.
+ */
+
+/** Roughly the 256-token window of small sentence-embedding models */
+export const MAX_CHUNK_CHARS = 1000;
+
+/** Hard cap per entry (~250KB of text at MAX_CHUNK_CHARS) */
+export const MAX_CHUNKS = 256;
+
+const HEADING_RE = /^#{1,6}\s/;
+const FENCE_RE = /^\s*(```|~~~)/;
+
+/**
+ * Split a markdown body into chunks.
+ * A heading always starts a new chunk; paragraphs are packed together up to
+ * `maxChars`; a single oversized paragraph is cut at sentence or word breaks.
+ * Bodies that fit in one chunk return [] — the entry vector already covers them.
+ *
+ * @param {string} body
+ * @param {{ maxChars?: number, maxChunks?: number }} [opts]
+ * @returns {Array<{ seq: number, start: number, end: number, text: string }>}
+ */
+export function chunkBody(
+  body,
+  { maxChars = MAX_CHUNK_CHARS, maxChunks = MAX_CHUNKS } = {},
+) {
+  if (!body || body.length <= maxChars) return [];
+
+  const chunks = [];
+  let current = null;
+  for (const block of splitBlocks(body)) {
+    for (const piece of splitOversized(body, block, maxChars)) {
+      if (current && (piece.heading || piece.end - current.start > maxChars)) {
+        chunks.push(current);
+        current = null;
+      }
+      if (current) current.end = piece.end;
+      else current = { start: piece.start, end: piece.end };
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks.slice(0, maxChunks).map((c, seq) => ({
+    seq,
+    start: c.start,
+    end: c.end,
+    text: body.slice(c.start, c.end),
+  }));
+}
+
+/**
+ * Paragraphs and headings as offset ranges. Blank lines end a paragraph;
+ * fenced code blocks are kept whole.
+ */
+function splitBlocks(body) {
+  const blocks = [];
+  let block = null;
+  let inFence = false;
+  let pos = 0;
+
+  while (pos < body.length) {
+    let eol = body.indexOf("\n", pos);
+    if (eol === -1) eol = body.length;
+    const line = body.slice(pos, eol);
+
+    if (FENCE_RE.test(line)) inFence = !inFence;
+
+    if (!inFence && !line.trim()) {
+      if (block) blocks.push(block);
+      block = null;
+    } else if (!inFence && HEADING_RE.test(line)) {
+      if (block) blocks.push(block);
+      block = { start: pos, end: eol, heading: true };
+    } else if (block && !block.heading) {
+      block.end = eol;
+    } else {
+      if (block) blocks.push(block);
+      block = { start: pos, end: eol, heading: false };
+    }
+    pos = eol + 1;
+  }
+  if (block) blocks.push(block);
+  return blocks;
+}
+
+/** Cut a block longer than maxChars at the last sentence, line or word break. */
+function* splitOversized(body, block, maxChars) {
+  let start = block.start;
+  let heading = block.heading;
+  while (block.end - start > maxChars) {
+    const window = body.slice(start, start + maxChars);
+    let cut = Math.max(window.lastIndexOf(". "), window.lastIndexOf("\n"));
+    if (cut < maxChars / 2) cut = window.lastIndexOf(" ");
+    if (cut < maxChars / 2) cut = maxChars - 1;
+    yield { start, end: start + cut + 1, heading };
+    heading = false;
+    start += cut + 1;
+    while (start < block.end && /\s/.test(body[start])) start++;
+  }
+  if (start < block.end) yield { start, end: block.end, heading };
+}
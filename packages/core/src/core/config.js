@@ -46,6 +46,26 @@ export function resolveConfig() {
       if (fc.dbPath) config.dbPath = fc.dbPath;
       if (fc.devDir) config.devDir = fc.devDir;
       if (fc.eventDecayDays != null) config.eventDecayDays = fc.eventDecayDays;
+      // Embedding provider: { provider, model, url, apiKey, dimensions }
+      if (fc.embedding && typeof fc.embedding === "object") {
+        config.embedding = { ...fc.embedding };
+      }
+      // Search ranking: { fusion, ftsWeight, vecWeight, rrfK }
+      if (fc.ranking && typeof fc.ranking === "object") {
+        config.ranking = { ...fc.ranking };
+      }
+      // Duplicate detection on save: { enabled, threshold }
+      if (fc.dedupe && typeof fc.dedupe === "object") {
+        config.dedupe = { ...fc.dedupe };
+      }
+      // Git-backed sync between machines: { remote, branch }
+      if (fc.git && typeof fc.git === "object") {
+        config.git = { ...fc.git };
+      }
+      // Backup archives: { dir, keep }
+      if (fc.backup && typeof fc.backup === "object") {
+        config.backup = { ...fc.backup };
+      }
       // Hosted account linking (Phase 4)
       if (fc.hostedUrl) config.hostedUrl = fc.hostedUrl;
       if (fc.apiKey) config.apiKey = fc.apiKey;
@@ -90,6 +110,16 @@ export function resolveConfig() {
     config.resolvedFrom = "env";
   }
 
+  for (const [envKey, field] of [
+    ["CONTEXT_VAULT_EMBED_PROVIDER", "provider"],
+    ["CONTEXT_VAULT_EMBED_MODEL", "model"],
+    ["CONTEXT_VAULT_EMBED_URL", "url"],
+  ]) {
+    if (process.env[envKey]) {
+      config.embedding = { ...config.embedding, [field]: process.env[envKey] };
+    }
+  }
+
   if (process.env.CONTEXT_VAULT_API_KEY) {
     config.apiKey = process.env.CONTEXT_VAULT_API_KEY;
   }
@@ -65,8 +65,10 @@ const RESERVED_FM_KEYS = new Set([
   "tags",
   "source",
   "created",
+  "updated",
   "identity_key",
   "expires_at",
+  "related",
 ]);
 
 export function extractCustomMeta(fmMeta) {
@@ -0,0 +1,95 @@
+/**
+ * relations.js — Typed links between entries
+ *
+ * Links come from two places in the markdown file (the source of truth):
+ *   - `related:` frontmatter — ["01J...", "supersedes:01K..."] (bare id = relates_to)
+ *   - `[[id]]` wiki-links in the body (always relates_to)
+ */
+
+export const RELATION_TYPES = ["relates_to", "supersedes", "derived_from"];
+
+export const DEFAULT_RELATION = "relates_to";
+
+const RELATION_SET = new Set(RELATION_TYPES);
+
+const WIKI_LINK_RE = /\[\[([0-9A-Z]{26})(?:\|[^\]\n]*)?\]\]/g;
+
+/**
+ * Parse the `related:` frontmatter value into [{ id, rel }].
+ * Items with an unknown relation prefix are skipped.
+ */
+export function parseRelated(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : [value];
+  const links = [];
+  for (const item of items) {
+    if (typeof item !== "string") continue;
+    const str = item.trim();
+    if (!str) continue;
+    const idx = str.indexOf(":");
+    if (idx === -1) {
+      links.push({ id: str, rel: DEFAULT_RELATION });
+      continue;
+    }
+    const rel = str.slice(0, idx).trim();
+    const id = str.slice(idx + 1).trim();
+    if (!id || !RELATION_SET.has(rel)) continue;
+    links.push({ id, rel });
+  }
+  return dedupeLinks(links);
+}
+
+/** Format [{ id, rel }] back into `related:` frontmatter strings. */
+export function formatRelated(links) {
+  if (!links?.length) return undefined;
+  return dedupeLinks(links).map((l) =>
+    l.rel === DEFAULT_RELATION ? l.id : `${l.rel}:${l.id}`,
+  );
+}
+
+/** Extract `[[id]]` / `[[id|label]]` wiki-link targets from a markdown body. */
+export function extractWikiLinks(body) {
+  if (!body) return [];
+  const links = [];
+  for (const match of body.matchAll(WIKI_LINK_RE)) {
+    links.push({ id: match[1], rel: DEFAULT_RELATION });
+  }
+  return dedupeLinks(links);
+}
+
+/**
+ * Point `[[id]]` / `[[id|label]]` wiki-links at `to` when their target is in
+ * `from` (a Set of ids), keeping any label.
+ */
+export function retargetWikiLinks(body, from, to) {
+  if (!body) return body;
+  return body.replace(WIKI_LINK_RE, (link, id) =>
+    from.has(id) ? link.replace(id, to) : link,
+  );
+}
+
+/**
+ * Combine frontmatter links and body wiki-links for one entry.
+ * Self-links are dropped.
+ *
+ * @param {string} sourceId
+ * @param {{ related?: Array<{id, rel}>, body?: string }} entry
+ * @returns {Array<{ id: string, rel: string }>}
+ */
+export function collectLinks(sourceId, { related, body }) {
+  return dedupeLinks([...(related || []), ...extractWikiLinks(body)]).filter(
+    (l) => l.id !== sourceId,
+  );
+}
+
+function dedupeLinks(links) {
+  const seen = new Set();
+  const out = [];
+  for (const l of links) {
+    const key = `${l.rel}\u0000${l.id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(l);
+  }
+  return out;
+}
@@ -5,7 +5,8 @@
 import { existsSync, readdirSync, statSync } from "node:fs";
 import { join } from "node:path";
 import { walkDir } from "./files.js";
-import { isEmbedAvailable } from "../index/embed.js";
+import { isEmbedAvailable, getEmbeddingModelId } from "../index/embed.js";
+import { getEmbeddingSpace } from "../index/db.js";
 
 /**
  * Gather raw vault status data for formatting by consumers.
@@ -25,13 +26,14 @@ export function gatherVaultStatus(ctx, opts = {}) {
   const userAnd = hasUser ? "AND user_id = ?" : "";
   const userParams = hasUser ? [userId] : [];
 
-  // Count files in vault subdirs (auto-discover)
+  // Count files in vault subdirs (auto-discover). "_"-prefixed dirs (e.g.
+  // _history revisions) are never indexed, so they are not counted either.
   let fileCount = 0;
   const subdirs = [];
   try {
     if (existsSync(config.vaultDir)) {
       for (const d of readdirSync(config.vaultDir, { withFileTypes: true })) {
-        if (d.isDirectory()) {
+        if (d.isDirectory() && !d.name.startsWith("_")) {
           const dir = join(config.vaultDir, d.name);
           const count = walkDir(dir).length;
           fileCount += count;
@@ -120,7 +122,16 @@ export function gatherVaultStatus(ctx, opts = {}) {
         `SELECT COUNT(*) as c FROM vault WHERE rowid IN (SELECT rowid FROM vault_vec) ${userAnd}`,
       )
       .get(...userParams).c;
-    embeddingStatus = { indexed, total, missing: total - indexed };
+    const { model, dimensions } = getEmbeddingSpace(db);
+    embeddingStatus = {
+      indexed,
+      total,
+      missing: total - indexed,
+      model,
+      dimensions,
+      // Configured model differs from the stored vectors until the next reindex
+      modelChanged: model !== getEmbeddingModelId(),
+    };
   } catch (e) {
     errors.push(`Embedding status check failed: ${e.message}`);
   }
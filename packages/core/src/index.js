@@ -9,6 +9,8 @@ export {
   categoryFor,
   categoryDirFor,
   CATEGORY_DIRS,
+  KINDS,
+  kindsFor,
 } from "./core/categories.js";
 export { parseArgs, resolveConfig } from "./core/config.js";
 export {
@@ -28,6 +30,14 @@ export {
   parseEntryFromMarkdown,
 } from "./core/frontmatter.js";
 export { gatherVaultStatus } from "./core/status.js";
+export {
+  RELATION_TYPES,
+  parseRelated,
+  formatRelated,
+  extractWikiLinks,
+  collectLinks,
+} from "./core/relations.js";
+export { chunkBody, MAX_CHUNK_CHARS } from "./core/chunks.js";
 
 // Capture layer
 export {
@@ -36,27 +46,84 @@ export {
   captureAndIndex,
 } from "./capture/index.js";
 export { writeEntryFile } from "./capture/file-ops.js";
+export {
+  HISTORY_DIR,
+  snapshotRevision,
+  listRevisions,
+  readRevision,
+  restoreRevision,
+  diffLines,
+} from "./capture/history.js";
 export { formatBody } from "./capture/formatters.js";
+export { listTags, renameTag, mergeTags } from "./capture/tags.js";
+export {
+  findDuplicates,
+  findDuplicateClusters,
+  mergeDuplicates,
+  resolveDedupe,
+  DEFAULT_DEDUPE_THRESHOLD,
+} from "./capture/dedupe.js";
 
 // Index layer
 export {
+  SCHEMA_VERSION,
   SCHEMA_DDL,
   initDatabase,
   prepareStatements,
   insertVec,
+  insertChunkVec,
   deleteVec,
+  getEmbeddingSpace,
+  resetEmbeddingSpace,
 } from "./index/db.js";
-export { embed, embedBatch, resetEmbedPipeline } from "./index/embed.js";
-export { indexEntry, reindex } from "./index/index.js";
+export {
+  embed,
+  embedBatch,
+  resetEmbedPipeline,
+  configureEmbeddings,
+  getEmbeddingInfo,
+  getEmbeddingModelId,
+} from "./index/embed.js";
+export { createEmbeddingProvider } from "./index/embed-providers.js";
+export {
+  indexEntry,
+  reindex,
+  syncLinks,
+  syncEmbeddingSpace,
+  indexChunks,
+  syncFile,
+  locateVaultFile,
+} from "./index/index.js";
+export { watchVault, WATCH_DEBOUNCE_MS } from "./index/watch.js";
 
 // Retrieve layer
-export { hybridSearch } from "./retrieve/index.js";
+export {
+  hybridSearch,
+  getRelated,
+  listEntries,
+  resolveRanking,
+  fuseScores,
+  DEFAULT_RANKING,
+  FUSION_MODES,
+} from "./retrieve/index.js";
 
 // Server tools & helpers
-export { registerTools } from "./server/tools.js";
+export {
+  registerTools,
+  createToolRunner,
+  parseToolArgs,
+  toolModules,
+} from "./server/tools.js";
+export {
+  registerResources,
+  ENTRY_URI_TEMPLATE,
+  KIND_URI_TEMPLATE,
+} from "./server/resources.js";
+export { registerPrompts, promptModules } from "./server/prompts.js";
 export {
   ok,
   err,
   ensureVaultExists,
   ensureValidKind,
+  formatLink,
 } from "./server/helpers.js";
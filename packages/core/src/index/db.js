@@ -1,5 +1,5 @@
-import { unlinkSync, copyFileSync, existsSync } from "node:fs";
-import { DatabaseSync } from "node:sqlite";
+import { existsSync, renameSync, rmSync } from "node:fs";
+import { DatabaseSync, backup } from "node:sqlite";
 
 export class NativeModuleError extends Error {
   constructor(originalError) {
@@ -22,6 +22,25 @@ function formatNativeModuleError(err) {
   ].join("\n");
 }
 
+/**
+ * Schemas before v5 predate the migration registry: their layouts were
+ * never recorded, so there are no steps to bring them forward. The file is
+ * left untouched; `context-vault db migrate --rebuild` sets it aside and
+ * starts a fresh index (see rebuildDatabase).
+ */
+export class LegacySchemaError extends Error {
+  constructor(version, dbPath = null) {
+    super(
+      `Schema v${version} predates the migration registry (v5) and has no recorded steps to upgrade it. ` +
+        `The database was left as it is — run \`context-vault db migrate --rebuild\` to keep it as a backup ` +
+        `and start a fresh index, then \`context-vault reindex\` to restore the entries from the vault files.`,
+    );
+    this.name = "LegacySchemaError";
+    this.version = version;
+    this.dbPath = dbPath;
+  }
+}
+
 let _sqliteVec = null;
 
 async function loadSqliteVec() {
@@ -42,6 +61,128 @@ function runTransaction(db, fn) {
   }
 }
 
+export const SCHEMA_VERSION = 14;
+
+/** Vector size of the default model (Xenova/all-MiniLM-L6-v2) */
+export const DEFAULT_EMBED_DIMENSIONS = 384;
+
+const DEFAULT_EMBED_MODEL_ID = "transformers:Xenova/all-MiniLM-L6-v2";
+
+// Key/value store for index-wide settings. The embedding model and dimensions
+// describe what is currently stored in vault_vec.
+const META_DDL = `
+  CREATE TABLE IF NOT EXISTS vault_meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT
+  );
+  INSERT OR IGNORE INTO vault_meta (key, value) VALUES
+    ('embedding_model', '${DEFAULT_EMBED_MODEL_ID}'),
+    ('embedding_dimensions', '${DEFAULT_EMBED_DIMENSIONS}');
+`;
+
+const LINKS_DDL = `
+  CREATE TABLE IF NOT EXISTS vault_links (
+    source_id   TEXT NOT NULL REFERENCES vault(id) ON DELETE CASCADE,
+    target_id   TEXT NOT NULL,
+    rel         TEXT NOT NULL DEFAULT 'relates_to',
+    PRIMARY KEY (source_id, target_id, rel)
+  );
+  CREATE INDEX IF NOT EXISTS idx_links_target ON vault_links(target_id);
+`;
+
+// Passages of long entries (offsets into vault.body) with one vector each in
+// vault_chunk_vec. Keyed by the entry's rowid, like vault_vec.
+const CHUNKS_DDL = `
+  CREATE TABLE IF NOT EXISTS vault_chunks (
+    id          INTEGER PRIMARY KEY,
+    entry_rowid INTEGER NOT NULL,
+    seq         INTEGER NOT NULL,
+    start_pos   INTEGER NOT NULL,
+    end_pos     INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_chunks_entry ON vault_chunks(entry_rowid);
+  CREATE TRIGGER IF NOT EXISTS vault_chunks_ad AFTER DELETE ON vault BEGIN
+    DELETE FROM vault_chunk_vec WHERE rowid IN (SELECT id FROM vault_chunks WHERE entry_rowid = old.rowid);
+    DELETE FROM vault_chunks WHERE entry_rowid = old.rowid;
+  END;
+`;
+
+// Per-file stat + content hash from the last reindex, so unchanged files can
+// be skipped without reading them. Rows go away with their entry.
+const FILES_DDL = `
+  CREATE TABLE IF NOT EXISTS vault_files (
+    file_path TEXT PRIMARY KEY,
+    mtime_ms  REAL NOT NULL,
+    size      INTEGER NOT NULL,
+    hash      TEXT NOT NULL
+  );
+  CREATE TRIGGER IF NOT EXISTS vault_files_ad AFTER DELETE ON vault BEGIN
+    DELETE FROM vault_files WHERE file_path = old.file_path;
+  END;
+`;
+
+// One row per (entry, tag), mirrored from vault.tags by triggers so every
+// write path — indexEntry(), reindex(), hosted inserts — keeps it current.
+// Lets tag filters run in SQL instead of JSON-parsing rows in JavaScript.
+const TAGS_DDL = `
+  CREATE TABLE IF NOT EXISTS vault_tags (
+    entry_id TEXT NOT NULL REFERENCES vault(id) ON DELETE CASCADE,
+    tag      TEXT NOT NULL,
+    PRIMARY KEY (entry_id, tag)
+  );
+  CREATE INDEX IF NOT EXISTS idx_tags_tag ON vault_tags(tag);
+  CREATE TRIGGER IF NOT EXISTS vault_tags_ai AFTER INSERT ON vault BEGIN
+    INSERT OR IGNORE INTO vault_tags (entry_id, tag)
+      SELECT new.id, value FROM json_each(CASE WHEN json_valid(new.tags) THEN new.tags ELSE '[]' END)
+      WHERE type = 'text';
+  END;
+  CREATE TRIGGER IF NOT EXISTS vault_tags_au AFTER UPDATE OF tags ON vault BEGIN
+    DELETE FROM vault_tags WHERE entry_id = old.id;
+    INSERT OR IGNORE INTO vault_tags (entry_id, tag)
+      SELECT new.id, value FROM json_each(CASE WHEN json_valid(new.tags) THEN new.tags ELSE '[]' END)
+      WHERE type = 'text';
+  END;
+`;
+
+// Sync bookkeeping. Tombstones record deleted ids (cleared if the id comes
+// back) so a deletion can be told apart from "never synced"; vault_sync keeps
+// each side's content hash from the last sync as the base for three-way
+// comparison. Neither references vault — both must outlive the entry.
+const SYNC_DDL = `
+  CREATE TABLE IF NOT EXISTS vault_tombstones (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT,
+    deleted_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  CREATE TABLE IF NOT EXISTS vault_sync (
+    id          TEXT PRIMARY KEY,
+    local_hash  TEXT NOT NULL,
+    remote_hash TEXT NOT NULL,
+    synced_at   TEXT NOT NULL
+  );
+  CREATE TRIGGER IF NOT EXISTS vault_tombstones_ad AFTER DELETE ON vault BEGIN
+    INSERT OR REPLACE INTO vault_tombstones (id, user_id) VALUES (old.id, old.user_id);
+  END;
+  CREATE TRIGGER IF NOT EXISTS vault_tombstones_ai AFTER INSERT ON vault BEGIN
+    DELETE FROM vault_tombstones WHERE id = new.id;
+  END;
+`;
+
+function chunkVecDdl(dimensions) {
+  return `CREATE VIRTUAL TABLE IF NOT EXISTS vault_chunk_vec USING vec0(embedding float[${dimensions}]);`;
+}
+
+// One row per applied migration step (see MIGRATIONS), with the pre-migration
+// backup it was taken after. A fresh database records a single "create schema".
+const MIGRATIONS_DDL = `
+  CREATE TABLE IF NOT EXISTS vault_migrations (
+    version     INTEGER PRIMARY KEY,
+    description TEXT NOT NULL,
+    applied_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    backup_path TEXT
+  );
+`;
+
 export const SCHEMA_DDL = `
   CREATE TABLE IF NOT EXISTS vault (
     id              TEXT PRIMARY KEY,
@@ -56,6 +197,7 @@ export const SCHEMA_DDL = `
     identity_key    TEXT,
     expires_at      TEXT,
     created_at      TEXT DEFAULT (datetime('now')),
+    updated_at      TEXT,
     user_id         TEXT,
     team_id         TEXT,
     body_encrypted  BLOB,
@@ -93,11 +235,41 @@ export const SCHEMA_DDL = `
       VALUES (new.rowid, new.title, new.body, new.tags, new.kind);
   END;
 
-  -- Single vec table (384-dim float32 for all-MiniLM-L6-v2)
-  CREATE VIRTUAL TABLE IF NOT EXISTS vault_vec USING vec0(embedding float[384]);
+  -- Single vec table (sized for the default model; rebuilt by reindex when the model changes)
+  CREATE VIRTUAL TABLE IF NOT EXISTS vault_vec USING vec0(embedding float[${DEFAULT_EMBED_DIMENSIONS}]);
+
+  -- Typed links between entries (derived from related: frontmatter + [[id]] wiki-links)
+  ${LINKS_DDL}
+
+  -- Index metadata (embedding model + dimensions)
+  ${META_DDL}
+
+  -- Chunk vectors for long entries
+  ${chunkVecDdl(DEFAULT_EMBED_DIMENSIONS)}
+  ${CHUNKS_DDL}
+
+  -- File manifest for incremental reindex
+  ${FILES_DDL}
+
+  -- Normalised tags for SQL-side tag filtering
+  ${TAGS_DDL}
+
+  -- Tombstones and per-entry sync base
+  ${SYNC_DDL}
+
+  -- Applied schema migrations
+  ${MIGRATIONS_DDL}
 `;
 
-export async function initDatabase(dbPath) {
+/**
+ * Open (creating if needed) the index database and bring its schema up to
+ * SCHEMA_VERSION. Pass `migrate: false` to open it as-is, e.g. to inspect
+ * pending migrations.
+ *
+ * @param {string} dbPath
+ * @param {{ migrate?: boolean }} [opts]
+ */
+export async function initDatabase(dbPath, { migrate = true } = {}) {
   const sqliteVec = await loadSqliteVec();
 
   function createDb(path) {
@@ -113,99 +285,330 @@ export async function initDatabase(dbPath) {
   }
 
   const db = createDb(dbPath);
-  const version = db.prepare("PRAGMA user_version").get().user_version;
+  if (!migrate) return db;
+  const version = getSchemaVersion(db);
+
+  if (version === 0) {
+    createSchema(db);
+    return db;
+  }
+
+  if (version < 5) {
+    db.close();
+    throw new LegacySchemaError(version, dbPath);
+  }
 
-  // Enforce fresh-DB-only — old schemas get a full rebuild (with backup)
-  if (version > 0 && version < 5) {
+  const { backupPath } = await migrateDatabase(db, { dbPath });
+  if (backupPath) {
     console.error(
-      `[context-vault] Schema v${version} is outdated. Rebuilding database...`,
+      `[context-vault] Migrated database from v${version} to v${getSchemaVersion(db)} (backup: ${backupPath})`,
     );
+  }
+  return db;
+}
 
-    // Backup old DB before destroying it
-    const backupPath = `${dbPath}.v${version}.backup`;
-    try {
-      db.close();
-      if (existsSync(dbPath)) {
-        copyFileSync(dbPath, backupPath);
-        console.error(
-          `[context-vault] Backed up old database to: ${backupPath}`,
-        );
-      }
-    } catch (backupErr) {
-      console.error(
-        `[context-vault] Warning: could not backup old database: ${backupErr.message}`,
-      );
-    }
-
-    unlinkSync(dbPath);
-    try {
-      unlinkSync(dbPath + "-wal");
-    } catch {}
-    try {
-      unlinkSync(dbPath + "-shm");
-    } catch {}
+function createSchema(db) {
+  runTransaction(db, () => {
+    db.exec(SCHEMA_DDL);
+    db.prepare(
+      `INSERT OR REPLACE INTO vault_migrations (version, description) VALUES (?, ?)`,
+    ).run(SCHEMA_VERSION, "create schema");
+    db.exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+  });
+}
 
-    const freshDb = createDb(dbPath);
-    freshDb.exec(SCHEMA_DDL);
-    freshDb.exec("PRAGMA user_version = 7");
-    return freshDb;
+function addColumnSafe(db, sql) {
+  try {
+    db.exec(sql);
+  } catch (e) {
+    if (!e.message.includes("duplicate column")) throw e;
   }
+}
 
-  if (version < 5) {
-    db.exec(SCHEMA_DDL);
-    db.exec("PRAGMA user_version = 7");
-  } else if (version === 5) {
-    // v5 -> v6 migration: add multi-tenancy + encryption columns
-    // Wrapped in transaction with duplicate-column guards for idempotent retry
-    runTransaction(db, () => {
-      const addColumnSafe = (sql) => {
-        try {
-          db.exec(sql);
-        } catch (e) {
-          if (!e.message.includes("duplicate column")) throw e;
-        }
-      };
-      addColumnSafe(`ALTER TABLE vault ADD COLUMN user_id TEXT`);
-      addColumnSafe(`ALTER TABLE vault ADD COLUMN body_encrypted BLOB`);
-      addColumnSafe(`ALTER TABLE vault ADD COLUMN title_encrypted BLOB`);
-      addColumnSafe(`ALTER TABLE vault ADD COLUMN meta_encrypted BLOB`);
-      addColumnSafe(`ALTER TABLE vault ADD COLUMN iv BLOB`);
-      addColumnSafe(`ALTER TABLE vault ADD COLUMN team_id TEXT`);
+/**
+ * Ordered schema migrations. Each step takes the database from the previous
+ * version to `version`; steps run in order, each in its own transaction, and
+ * are recorded in vault_migrations. To change the schema, update SCHEMA_DDL
+ * for fresh databases, append a step here and bump SCHEMA_VERSION. Steps
+ * must tolerate a partially applied earlier attempt (IF NOT EXISTS,
+ * duplicate-column guards).
+ *
+ * @type {ReadonlyArray<{ version: number, description: string, up: (db: DatabaseSync) => void }>}
+ */
+export const MIGRATIONS = Object.freeze([
+  {
+    version: 6,
+    description: "multi-tenancy and encryption columns",
+    up(db) {
+      addColumnSafe(db, `ALTER TABLE vault ADD COLUMN user_id TEXT`);
+      addColumnSafe(db, `ALTER TABLE vault ADD COLUMN body_encrypted BLOB`);
+      addColumnSafe(db, `ALTER TABLE vault ADD COLUMN title_encrypted BLOB`);
+      addColumnSafe(db, `ALTER TABLE vault ADD COLUMN meta_encrypted BLOB`);
+      addColumnSafe(db, `ALTER TABLE vault ADD COLUMN iv BLOB`);
       db.exec(`CREATE INDEX IF NOT EXISTS idx_vault_user ON vault(user_id)`);
-      db.exec(`CREATE INDEX IF NOT EXISTS idx_vault_team ON vault(team_id)`);
       db.exec(`DROP INDEX IF EXISTS idx_vault_identity`);
       db.exec(
         `CREATE UNIQUE INDEX IF NOT EXISTS idx_vault_identity ON vault(user_id, kind, identity_key) WHERE identity_key IS NOT NULL`,
       );
-      db.exec("PRAGMA user_version = 7");
-    });
-  } else if (version === 6) {
-    // v6 -> v7 migration: add team_id column
-    runTransaction(db, () => {
-      try {
-        db.exec(`ALTER TABLE vault ADD COLUMN team_id TEXT`);
-      } catch (e) {
-        if (!e.message.includes("duplicate column")) throw e;
-      }
+    },
+  },
+  {
+    version: 7,
+    description: "team_id column",
+    up(db) {
+      addColumnSafe(db, `ALTER TABLE vault ADD COLUMN team_id TEXT`);
       db.exec(`CREATE INDEX IF NOT EXISTS idx_vault_team ON vault(team_id)`);
-      db.exec("PRAGMA user_version = 7");
+    },
+  },
+  {
+    version: 8,
+    description: "entry relationship graph (vault_links)",
+    up: (db) => db.exec(LINKS_DDL),
+  },
+  {
+    // Existing vectors were all produced by the default model
+    version: 9,
+    description: "embedding model metadata (vault_meta)",
+    up: (db) => db.exec(META_DDL),
+  },
+  {
+    // Filled by the next reindex
+    version: 10,
+    description: "chunk vectors for long entries",
+    up(db) {
+      db.exec(chunkVecDdl(getEmbeddingSpace(db).dimensions));
+      db.exec(CHUNKS_DDL);
+    },
+  },
+  {
+    // Empty — the next reindex reads every file once and records it
+    version: 11,
+    description: "file manifest for incremental reindex (vault_files)",
+    up: (db) => db.exec(FILES_DDL),
+  },
+  {
+    version: 12,
+    description: "normalised tags (vault_tags), backfilled from vault.tags",
+    up(db) {
+      db.exec(TAGS_DDL);
+      db.exec(`
+        INSERT OR IGNORE INTO vault_tags (entry_id, tag)
+          SELECT v.id, t.value
+          FROM vault v, json_each(CASE WHEN json_valid(v.tags) THEN v.tags ELSE '[]' END) t
+          WHERE t.type = 'text'
+      `);
+    },
+  },
+  {
+    // Empty — deletions before the upgrade are unknown, and the first sync
+    // sets the base
+    version: 13,
+    description: "sync tombstones and base (vault_tombstones, vault_sync)",
+    up: (db) => db.exec(SYNC_DDL),
+  },
+  {
+    // Earlier edits left no trace, so updated_at starts at created_at
+    version: 14,
+    description: "per-entry updated_at, backfilled from created_at",
+    up(db) {
+      addColumnSafe(db, `ALTER TABLE vault ADD COLUMN updated_at TEXT`);
+      db.exec(
+        `UPDATE vault SET updated_at = created_at WHERE updated_at IS NULL`,
+      );
+    },
+  },
+]);
+
+/**
+ * `<dbPath>.v<version>.backup`, or with a timestamp suffix when that file
+ * already exists — a second attempt from the same version never overwrites
+ * an earlier backup.
+ */
+function unusedBackupPath(dbPath, version) {
+  const path = `${dbPath}.v${version}.backup`;
+  return existsSync(path) ? `${path}.${Date.now()}` : path;
+}
+
+export function getSchemaVersion(db) {
+  return db.prepare("PRAGMA user_version").get().user_version;
+}
+
+/** Registry steps not yet applied to `db`, oldest first. */
+export function pendingMigrations(db) {
+  const version = getSchemaVersion(db);
+  return MIGRATIONS.filter((m) => m.version > version);
+}
+
+/**
+ * Applied steps recorded in vault_migrations, oldest first. Databases that
+ * were migrated before the log existed have no rows for those versions.
+ *
+ * @returns {Array<{ version: number, description: string, applied_at: string, backup_path: string|null }>}
+ */
+export function migrationLog(db) {
+  const exists = db
+    .prepare(
+      `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'vault_migrations'`,
+    )
+    .get();
+  if (!exists) return [];
+  return db
+    .prepare(
+      `SELECT version, description, applied_at, backup_path FROM vault_migrations ORDER BY version`,
+    )
+    .all();
+}
+
+/**
+ * Bring `db` up to SCHEMA_VERSION by running the pending registry steps.
+ * Before anything changes, the database is copied with SQLite's online
+ * backup to `<dbPath>.v<from>.backup`.
+ *
+ * With `dryRun`, every pending step runs inside a single transaction that is
+ * rolled back — a step that would fail throws, and nothing is written.
+ *
+ * @param {DatabaseSync} db
+ * @param {{ dbPath?: string, dryRun?: boolean, backup?: boolean }} [opts]
+ * @returns {Promise<{ from: number, to: number, applied: Array<{ version: number, description: string }>, backupPath: string|null }>}
+ */
+export async function migrateDatabase(
+  db,
+  { dbPath = null, dryRun = false, backup: withBackup = true } = {},
+) {
+  const from = getSchemaVersion(db);
+  if (from > 0 && from < 5) throw new LegacySchemaError(from, dbPath);
+  const pending = pendingMigrations(db);
+  const applied = pending.map(({ version, description }) => ({
+    version,
+    description,
+  }));
+
+  if (dryRun) {
+    db.exec("BEGIN");
+    try {
+      for (const m of pending) m.up(db);
+    } finally {
+      db.exec("ROLLBACK");
+    }
+    return { from, to: from, applied, backupPath: null };
+  }
+
+  // Databases migrated before the log existed get it on their next open
+  db.exec(MIGRATIONS_DDL);
+  if (!pending.length) return { from, to: from, applied, backupPath: null };
+
+  let backupPath = null;
+  if (withBackup && dbPath) {
+    backupPath = unusedBackupPath(dbPath, from);
+    await backup(db, backupPath);
+  }
+
+  const record = db.prepare(
+    `INSERT OR REPLACE INTO vault_migrations (version, description, backup_path) VALUES (?, ?, ?)`,
+  );
+  for (const m of pending) {
+    runTransaction(db, () => {
+      m.up(db);
+      record.run(m.version, m.description, backupPath);
+      db.exec(`PRAGMA user_version = ${m.version}`);
     });
   }
+  return { from, to: getSchemaVersion(db), applied, backupPath };
+}
 
-  return db;
+/**
+ * Set the database aside as `<dbPath>.v<N>.backup` and create a fresh
+ * schema in its place — the way forward for pre-v5 schemas, which have no
+ * migration steps. Nothing is deleted; the index is derived from the
+ * markdown files, so a reindex afterwards restores every entry.
+ *
+ * @param {string} dbPath
+ * @returns {Promise<{ db: DatabaseSync, from: number, backupPath: string }>}
+ */
+export async function rebuildDatabase(dbPath) {
+  const old = await initDatabase(dbPath, { migrate: false });
+  const from = getSchemaVersion(old);
+  old.exec("PRAGMA wal_checkpoint(TRUNCATE)");
+  old.close();
+
+  const backupPath = unusedBackupPath(dbPath, from);
+  renameSync(dbPath, backupPath);
+  rmSync(`${dbPath}-wal`, { force: true });
+  rmSync(`${dbPath}-shm`, { force: true });
+
+  const db = await initDatabase(dbPath);
+  return { db, from, backupPath };
+}
+
+/**
+ * Compare `db` with a freshly created schema: every table, index and
+ * trigger a new database would have, and every vault table column, must
+ * exist. Also runs SQLite's integrity check.
+ *
+ * @returns {Promise<{ ok: boolean, version: number, missing: string[], integrity: string }>}
+ */
+export async function verifySchema(db) {
+  const sqliteVec = await loadSqliteVec();
+  const reference = new DatabaseSync(":memory:", { allowExtension: true });
+  try {
+    sqliteVec.load(reference);
+    reference.exec(SCHEMA_DDL);
+
+    const objects = (d) =>
+      new Set(
+        d
+          .prepare(
+            `SELECT type || ' ' || name AS o FROM sqlite_master WHERE name NOT LIKE 'sqlite_%'`,
+          )
+          .all()
+          .map((r) => r.o),
+      );
+    const columns = (d, table) =>
+      new Set(
+        d
+          .prepare(`SELECT name FROM pragma_table_info(?)`)
+          .all(table)
+          .map((r) => r.name),
+      );
+
+    const have = objects(db);
+    const missing = [...objects(reference)].filter((o) => !have.has(o));
+    for (const table of ["vault", "vault_migrations"]) {
+      if (!have.has(`table ${table}`)) continue;
+      const existing = columns(db, table);
+      for (const col of columns(reference, table)) {
+        if (!existing.has(col)) missing.push(`column ${table}.${col}`);
+      }
+    }
+
+    const integrity = db
+      .prepare("PRAGMA integrity_check")
+      .all()
+      .map((r) => r.integrity_check)
+      .join("; ");
+    const version = getSchemaVersion(db);
+    return {
+      ok: !missing.length && integrity === "ok" && version === SCHEMA_VERSION,
+      version,
+      missing,
+      integrity,
+    };
+  } finally {
+    reference.close();
+  }
 }
 
 export function prepareStatements(db) {
   try {
     return {
       insertEntry: db.prepare(
-        `INSERT INTO vault (id, user_id, kind, category, title, body, meta, tags, source, file_path, identity_key, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO vault (id, user_id, kind, category, title, body, meta, tags, source, file_path, identity_key, expires_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       ),
       insertEntryEncrypted: db.prepare(
-        `INSERT INTO vault (id, user_id, kind, category, title, body, meta, tags, source, file_path, identity_key, expires_at, created_at, body_encrypted, title_encrypted, meta_encrypted, iv) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO vault (id, user_id, kind, category, title, body, meta, tags, source, file_path, identity_key, expires_at, created_at, updated_at, body_encrypted, title_encrypted, meta_encrypted, iv) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       ),
       updateEntry: db.prepare(
-        `UPDATE vault SET title = ?, body = ?, meta = ?, tags = ?, source = ?, category = ?, identity_key = ?, expires_at = ? WHERE file_path = ?`,
+        `UPDATE vault SET title = ?, body = ?, meta = ?, tags = ?, source = ?, category = ?, identity_key = ?, expires_at = ?, updated_at = ? WHERE file_path = ?`,
       ),
       deleteEntry: db.prepare(`DELETE FROM vault WHERE id = ?`),
       getRowid: db.prepare(`SELECT rowid FROM vault WHERE id = ?`),
@@ -215,12 +618,33 @@ export function prepareStatements(db) {
         `SELECT * FROM vault WHERE kind = ? AND identity_key = ? AND user_id IS ?`,
       ),
       upsertByIdentityKey: db.prepare(
-        `UPDATE vault SET title = ?, body = ?, meta = ?, tags = ?, source = ?, category = ?, file_path = ?, expires_at = ? WHERE kind = ? AND identity_key = ? AND user_id IS ?`,
+        `UPDATE vault SET title = ?, body = ?, meta = ?, tags = ?, source = ?, category = ?, file_path = ?, expires_at = ?, updated_at = ? WHERE kind = ? AND identity_key = ? AND user_id IS ?`,
       ),
       insertVecStmt: db.prepare(
         `INSERT INTO vault_vec (rowid, embedding) VALUES (?, ?)`,
       ),
       deleteVecStmt: db.prepare(`DELETE FROM vault_vec WHERE rowid = ?`),
+      insertChunk: db.prepare(
+        `INSERT INTO vault_chunks (entry_rowid, seq, start_pos, end_pos) VALUES (?, ?, ?, ?)`,
+      ),
+      insertChunkVecStmt: db.prepare(
+        `INSERT INTO vault_chunk_vec (rowid, embedding) VALUES (?, ?)`,
+      ),
+      deleteChunkVecsForEntry: db.prepare(
+        `DELETE FROM vault_chunk_vec WHERE rowid IN (SELECT id FROM vault_chunks WHERE entry_rowid = ?)`,
+      ),
+      deleteChunksForEntry: db.prepare(
+        `DELETE FROM vault_chunks WHERE entry_rowid = ?`,
+      ),
+      getLinksFrom: db.prepare(
+        `SELECT target_id, rel FROM vault_links WHERE source_id = ?`,
+      ),
+      insertLink: db.prepare(
+        `INSERT OR IGNORE INTO vault_links (source_id, target_id, rel) VALUES (?, ?, ?)`,
+      ),
+      deleteLinksFrom: db.prepare(
+        `DELETE FROM vault_links WHERE source_id = ?`,
+      ),
     };
   } catch (e) {
     throw new Error(
@@ -231,6 +655,51 @@ export function prepareStatements(db) {
   }
 }
 
+export function getMeta(db, key) {
+  const row = db.prepare(`SELECT value FROM vault_meta WHERE key = ?`).get(key);
+  return row ? row.value : null;
+}
+
+export function setMeta(db, key, value) {
+  db.prepare(
+    `INSERT INTO vault_meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+  ).run(key, String(value));
+}
+
+/**
+ * Model id and vector size that vault_vec currently holds.
+ *
+ * @returns {{ model: string, dimensions: number }}
+ */
+export function getEmbeddingSpace(db) {
+  return {
+    model: getMeta(db, "embedding_model") || DEFAULT_EMBED_MODEL_ID,
+    dimensions:
+      Number(getMeta(db, "embedding_dimensions")) || DEFAULT_EMBED_DIMENSIONS,
+  };
+}
+
+/**
+ * Drop every stored vector and recreate vault_vec / vault_chunk_vec for a new
+ * model. Callers are responsible for re-embedding entries afterwards.
+ */
+export function resetEmbeddingSpace(db, { model, dimensions }) {
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    throw new Error(`Invalid embedding dimensions: ${dimensions}`);
+  }
+  runTransaction(db, () => {
+    db.exec(`DROP TABLE IF EXISTS vault_vec`);
+    db.exec(
+      `CREATE VIRTUAL TABLE vault_vec USING vec0(embedding float[${dimensions}])`,
+    );
+    db.exec(`DELETE FROM vault_chunks`);
+    db.exec(`DROP TABLE IF EXISTS vault_chunk_vec`);
+    db.exec(chunkVecDdl(dimensions));
+    setMeta(db, "embedding_model", model);
+    setMeta(db, "embedding_dimensions", dimensions);
+  });
+}
+
 export function insertVec(stmts, rowid, embedding) {
   // sqlite-vec requires BigInt for primary key — node:sqlite may bind Number as REAL
   // for vec0 virtual tables which only accept INTEGER rowids
@@ -239,6 +708,10 @@ export function insertVec(stmts, rowid, embedding) {
   stmts.insertVecStmt.run(safeRowid, embedding);
 }
 
+export function insertChunkVec(stmts, chunkId, embedding) {
+  stmts.insertChunkVecStmt.run(BigInt(chunkId), embedding);
+}
+
 export function deleteVec(stmts, rowid) {
   const safeRowid = BigInt(rowid);
   if (safeRowid < 1n) throw new Error(`Invalid rowid: ${rowid}`);
@@ -0,0 +1,150 @@
+/**
+ * embed-providers.js — Embedding backends
+ *
+ * A provider turns texts into unit-length Float32Array vectors:
+ *
+ *   { name, model, load(): Promise<void>, embed(texts): Promise<Float32Array[]> }
+ *
+ * `load()` throws when the backend is unusable (package missing, endpoint down);
+ * embed.js treats that as "semantic search disabled" and FTS keeps working.
+ */
+
+import { join } from "node:path";
+import { homedir } from "node:os";
+import { mkdirSync } from "node:fs";
+
+export const DEFAULT_EMBED_PROVIDER = "transformers";
+export const DEFAULT_EMBED_MODEL = "Xenova/all-MiniLM-L6-v2";
+export const DEFAULT_EMBED_URL = "http://localhost:11434/v1";
+
+const REQUEST_TIMEOUT_MS = 60_000;
+
+/**
+ * Local model via @huggingface/transformers (any feature-extraction model).
+ *
+ * @param {{ model?: string }} opts
+ */
+export function createTransformersProvider({ model = DEFAULT_EMBED_MODEL }) {
+  let extractor = null;
+
+  return {
+    name: "transformers",
+    model,
+
+    async load() {
+      // Dynamic import — @huggingface/transformers is optional (its transitive
+      // dep `sharp` can fail to install on some platforms).  When missing, the
+      // server still works with full-text search only.
+      const { pipeline, env } = await import("@huggingface/transformers");
+
+      // Redirect model cache to ~/.context-mcp/models/ so it works when the
+      // package is installed globally in a root-owned directory (e.g. /usr/lib/node_modules/).
+      const modelCacheDir = join(homedir(), ".context-mcp", "models");
+      mkdirSync(modelCacheDir, { recursive: true });
+      env.cacheDir = modelCacheDir;
+
+      console.error(
+        model === DEFAULT_EMBED_MODEL
+          ? "[context-vault] Loading embedding model (first run may download ~22MB)..."
+          : `[context-vault] Loading embedding model ${model} (first run may download it)...`,
+      );
+      extractor = await pipeline("feature-extraction", model);
+    },
+
+    async embed(texts) {
+      const result = await extractor(texts, {
+        pooling: "mean",
+        normalize: true,
+      });
+      if (!result?.data?.length) return [];
+      const dim = result.data.length / texts.length;
+      if (!Number.isInteger(dim) || dim <= 0) {
+        throw new Error(
+          `Unexpected embedding dimension: ${result.data.length} / ${texts.length} = ${dim}`,
+        );
+      }
+      // subarray() creates a view into result.data's index-space, correctly
+      // accounting for any non-zero byteOffset on the source typed array.
+      return texts.map((_, i) => result.data.subarray(i * dim, (i + 1) * dim));
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible `/embeddings` endpoint (Ollama, llama.cpp server, LM Studio, OpenAI).
+ * Vectors are re-normalized locally since not every server returns unit vectors.
+ *
+ * @param {{ model: string, url?: string, apiKey?: string, dimensions?: number }} opts
+ */
+export function createOpenAIProvider({
+  model,
+  url = DEFAULT_EMBED_URL,
+  apiKey,
+  dimensions,
+}) {
+  if (!model) {
+    throw new Error('embedding.model is required for the "openai" provider');
+  }
+  const endpoint = `${url.replace(/\/+$/, "")}/embeddings`;
+
+  async function request(texts) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        input: texts,
+        ...(dimensions ? { dimensions } : {}),
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+      throw new Error(`Embedding endpoint ${endpoint} returned ${res.status}`);
+    }
+    const json = await res.json();
+    const data = Array.isArray(json?.data) ? [...json.data] : [];
+    data.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+    return data.map((d) => normalize(Float32Array.from(d.embedding)));
+  }
+
+  return {
+    name: "openai",
+    model,
+
+    async load() {
+      console.error(
+        `[context-vault] Using embedding endpoint ${endpoint} (${model})`,
+      );
+      const probe = await request(["ping"]);
+      if (!probe[0]?.length) {
+        throw new Error(`Embedding endpoint ${endpoint} returned no vectors`);
+      }
+    },
+
+    embed: request,
+  };
+}
+
+/**
+ * Build a provider from the `embedding` section of config.json.
+ *
+ * @param {{ provider?: string, model?: string, url?: string, apiKey?: string, dimensions?: number }} [opts]
+ */
+export function createEmbeddingProvider(opts = {}) {
+  const provider = opts.provider || DEFAULT_EMBED_PROVIDER;
+  if (provider === "transformers") return createTransformersProvider(opts);
+  if (provider === "openai") return createOpenAIProvider(opts);
+  throw new Error(
+    `Unknown embedding provider "${provider}" (expected "transformers" or "openai")`,
+  );
+}
+
+function normalize(vec) {
+  let sum = 0;
+  for (let i = 0; i < vec.length; i++) sum += vec[i] * vec[i];
+  const norm = Math.sqrt(sum);
+  if (norm > 0) for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
@@ -1,49 +1,71 @@
 /**
- * embed.js — Text embedding via HuggingFace transformers
+ * embed.js — Text embedding via a configurable provider
+ *
+ * Defaults to Xenova/all-MiniLM-L6-v2 through HuggingFace transformers. The
+ * `embedding` section of config.json can select another transformers model or
+ * an OpenAI-compatible endpoint (see embed-providers.js).
  *
  * Graceful degradation: if the embedding model fails to load (offline, first run,
  * disk issues), semantic search is disabled but FTS still works.
  */
 
-import { join } from "node:path";
-import { homedir } from "node:os";
-import { mkdirSync } from "node:fs";
+import {
+  createEmbeddingProvider,
+  DEFAULT_EMBED_PROVIDER,
+  DEFAULT_EMBED_MODEL,
+} from "./embed-providers.js";
+
+let providerOptions = {};
 
-let extractor = null;
+/** @type {null | { name: string, model: string, load: Function, embed: Function }} */
+let provider = null;
+
+/** Vector length reported by the loaded provider (known after the first embedding) */
+let dimensions = null;
 
 /** @type {null | true | false} null = uninitialized/retry, true = ready, false = permanently failed */
 let embedAvailable = null;
 
-/** In-flight load promise — coalesces concurrent callers onto a single pipeline() call */
+/** In-flight load promise — coalesces concurrent callers onto a single load() call */
 let loadingPromise = null;
 
-async function ensurePipeline() {
+/**
+ * Select the embedding provider. Call before the first embed — a change
+ * resets the loaded provider so the next call picks up the new settings.
+ *
+ * @param {{ provider?: string, model?: string, url?: string, apiKey?: string, dimensions?: number }} [opts]
+ */
+export function configureEmbeddings(opts) {
+  const next = { ...(opts || {}) };
+  if (JSON.stringify(next) === JSON.stringify(providerOptions)) return;
+  providerOptions = next;
+  resetEmbedPipeline();
+}
+
+/**
+ * Stable identifier for the configured model, e.g. "transformers:Xenova/all-MiniLM-L6-v2".
+ * Recorded in the database so a model change can be detected on reindex.
+ */
+export function getEmbeddingModelId() {
+  const name = providerOptions.provider || DEFAULT_EMBED_PROVIDER;
+  const model =
+    providerOptions.model ||
+    (name === "transformers" ? DEFAULT_EMBED_MODEL : "");
+  return `${name}:${model}`;
+}
+
+async function ensureProvider() {
   if (embedAvailable === false) return null;
-  if (extractor) return extractor;
+  if (provider && embedAvailable) return provider;
   if (loadingPromise) return loadingPromise;
 
   loadingPromise = (async () => {
     try {
-      // Dynamic import — @huggingface/transformers is optional (its transitive
-      // dep `sharp` can fail to install on some platforms).  When missing, the
-      // server still works with full-text search only.
-      const { pipeline, env } = await import("@huggingface/transformers");
-
-      // Redirect model cache to ~/.context-mcp/models/ so it works when the
-      // package is installed globally in a root-owned directory (e.g. /usr/lib/node_modules/).
-      const modelCacheDir = join(homedir(), ".context-mcp", "models");
-      mkdirSync(modelCacheDir, { recursive: true });
-      env.cacheDir = modelCacheDir;
-
-      console.error(
-        "[context-vault] Loading embedding model (first run may download ~22MB)...",
-      );
-      extractor = await pipeline(
-        "feature-extraction",
-        "Xenova/all-MiniLM-L6-v2",
-      );
+      const p = createEmbeddingProvider(providerOptions);
+      await p.load();
+      provider = p;
       embedAvailable = true;
-      return extractor;
+      return provider;
     } catch (e) {
       embedAvailable = false;
       console.error(
@@ -61,52 +83,53 @@ async function ensurePipeline() {
   return loadingPromise;
 }
 
-export async function embed(text) {
-  const ext = await ensurePipeline();
-  if (!ext) return null;
-
-  const result = await ext([text], { pooling: "mean", normalize: true });
+async function runProvider(p, texts) {
+  const vectors = await p.embed(texts);
   // Health check — force re-init on empty results
-  if (!result?.data?.length) {
-    extractor = null;
-    embedAvailable = null;
-    loadingPromise = null;
+  if (vectors.length !== texts.length || !vectors[0]?.length) {
+    resetEmbedPipeline();
     throw new Error("Embedding pipeline returned empty result");
   }
-  return new Float32Array(result.data);
+  dimensions = vectors[0].length;
+  return vectors;
+}
+
+export async function embed(text) {
+  const p = await ensureProvider();
+  if (!p) return null;
+  const [vector] = await runProvider(p, [text]);
+  return new Float32Array(vector);
 }
 
 /**
- * Batch embedding — embed multiple texts in a single pipeline call.
+ * Batch embedding — embed multiple texts in a single provider call.
  * Returns an array of Float32Array embeddings (one per input text).
  * Returns array of nulls if embedding is unavailable.
  */
 export async function embedBatch(texts) {
   if (!texts.length) return [];
-  const ext = await ensurePipeline();
-  if (!ext) return texts.map(() => null);
-
-  const result = await ext(texts, { pooling: "mean", normalize: true });
-  if (!result?.data?.length) {
-    extractor = null;
-    embedAvailable = null;
-    loadingPromise = null;
-    throw new Error("Embedding pipeline returned empty result");
-  }
-  const dim = result.data.length / texts.length;
-  if (!Number.isInteger(dim) || dim <= 0) {
-    throw new Error(
-      `Unexpected embedding dimension: ${result.data.length} / ${texts.length} = ${dim}`,
-    );
-  }
-  // subarray() creates a view into result.data's index-space, correctly
-  // accounting for any non-zero byteOffset on the source typed array.
-  return texts.map((_, i) => result.data.subarray(i * dim, (i + 1) * dim));
+  const p = await ensureProvider();
+  if (!p) return texts.map(() => null);
+  return runProvider(p, texts);
+}
+
+/**
+ * Load the provider and report the model id and vector dimensions.
+ * Returns null when embedding is unavailable.
+ *
+ * @returns {Promise<{ id: string, dimensions: number } | null>}
+ */
+export async function getEmbeddingInfo() {
+  const p = await ensureProvider();
+  if (!p) return null;
+  if (!dimensions) await runProvider(p, ["dimension probe"]);
+  return { id: getEmbeddingModelId(), dimensions };
 }
 
 /** Force re-initialization on next embed call. */
 export function resetEmbedPipeline() {
-  extractor = null;
+  provider = null;
+  dimensions = null;
   embedAvailable = null;
   loadingPromise = null;
 }
@@ -7,21 +7,138 @@
  * Agent Constraint: Can import ../core. Owns db.js and embed.js.
  */
 
-import { readFileSync, readdirSync, existsSync, unlinkSync } from "node:fs";
-import { join, basename } from "node:path";
+import {
+  readFileSync,
+  readdirSync,
+  existsSync,
+  unlinkSync,
+  statSync,
+} from "node:fs";
+import { createHash } from "node:crypto";
+import { join, basename, relative, sep, isAbsolute } from "node:path";
 import { dirToKind, walkDir, ulid } from "../core/files.js";
 import { categoryFor, CATEGORY_DIRS } from "../core/categories.js";
 import {
   parseFrontmatter,
   parseEntryFromMarkdown,
 } from "../core/frontmatter.js";
-import { embedBatch } from "./embed.js";
+import { parseRelated, collectLinks } from "../core/relations.js";
+import { chunkBody, MAX_CHUNK_CHARS } from "../core/chunks.js";
+import { embedBatch, getEmbeddingInfo, isEmbedAvailable } from "./embed.js";
+import {
+  getEmbeddingSpace,
+  resetEmbeddingSpace,
+  insertChunkVec,
+} from "./db.js";
 
 const EXCLUDED_DIRS = new Set(["projects", "_archive"]);
 const EXCLUDED_FILES = new Set(["context.md", "memory.md", "README.md"]);
 
 const EMBED_BATCH_SIZE = 32;
 
+/**
+ * When a file's content changed, pick its updated_at. The capture layer
+ * stamps `updated:` in frontmatter; a changed file still carrying the stamp
+ * already indexed was edited by hand, so its mtime is the better answer.
+ */
+function changedAt(fmMeta, previous, mtimeMs) {
+  if (fmMeta.updated && fmMeta.updated !== previous) return fmMeta.updated;
+  return new Date(mtimeMs).toISOString();
+}
+
+/**
+ * Make vault_vec match the configured embedding model.
+ * When the model (or its dimensions) changed since vectors were stored, the
+ * vector table is rebuilt empty so the caller can re-embed every entry —
+ * mixing vectors from two models would make similarity scores meaningless.
+ * Leaves the index alone when embedding is unavailable.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @returns {Promise<boolean>} true if all entries need re-embedding
+ */
+export async function syncEmbeddingSpace(ctx) {
+  const info = await getEmbeddingInfo();
+  if (!info) return false;
+  const stored = getEmbeddingSpace(ctx.db);
+  if (stored.model === info.id && stored.dimensions === info.dimensions) {
+    return false;
+  }
+  console.error(
+    `[context-vault] Embedding model changed (${stored.model}, ${stored.dimensions}d → ${info.id}, ${info.dimensions}d). Re-embedding all entries...`,
+  );
+  resetEmbeddingSpace(ctx.db, {
+    model: info.id,
+    dimensions: info.dimensions,
+  });
+  return true;
+}
+
+/**
+ * Replace the chunk vectors of one entry.
+ * Short bodies get no chunks (the entry vector covers them); long bodies get
+ * one vector per chunk, embedded with the title so each passage keeps context.
+ * Existing chunks are always cleared, even if embedding is unavailable.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {number} rowid — vault rowid of the entry
+ * @param {string|null} title
+ * @param {string} body — plaintext body
+ * @returns {Promise<number>} number of chunk vectors stored
+ */
+export async function indexChunks(ctx, rowid, title, body) {
+  ctx.stmts.deleteChunkVecsForEntry.run(rowid);
+  ctx.stmts.deleteChunksForEntry.run(rowid);
+
+  const chunks = chunkBody(body);
+  if (!chunks.length) return 0;
+
+  const { dimensions } = getEmbeddingSpace(ctx.db);
+  let stored = 0;
+  for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await embedBatch(
+      batch.map((c) => [title, c.text].filter(Boolean).join("\n")),
+    );
+    for (let j = 0; j < batch.length; j++) {
+      if (!vectors[j] || vectors[j].length !== dimensions) continue;
+      const { lastInsertRowid } = ctx.stmts.insertChunk.run(
+        rowid,
+        batch[j].seq,
+        batch[j].start,
+        batch[j].end,
+      );
+      insertChunkVec(ctx.stmts, lastInsertRowid, vectors[j]);
+      stored++;
+    }
+  }
+  return stored;
+}
+
+/**
+ * Replace an entry's outgoing links with the given set.
+ * No-op (returns false) when the stored links already match.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {string} sourceId
+ * @param {Array<{ id: string, rel: string }>} links
+ * @returns {boolean} true if the stored links changed
+ */
+export function syncLinks(ctx, sourceId, links) {
+  const current = ctx.stmts.getLinksFrom.all(sourceId);
+  const key = (id, rel) => `${rel}\u0000${id}`;
+  const currentKeys = new Set(current.map((l) => key(l.target_id, l.rel)));
+  const nextKeys = new Set(links.map((l) => key(l.id, l.rel)));
+  if (
+    currentKeys.size === nextKeys.size &&
+    [...nextKeys].every((k) => currentKeys.has(k))
+  ) {
+    return false;
+  }
+  ctx.stmts.deleteLinksFrom.run(sourceId);
+  for (const l of links) ctx.stmts.insertLink.run(sourceId, l.id, l.rel);
+  return true;
+}
+
 /**
  * Index a single entry with idempotent upsert behavior.
  * Called immediately after Capture Layer writes the file.
@@ -29,7 +146,7 @@ const EMBED_BATCH_SIZE = 32;
  * For entities with identity_key: uses upsertByIdentityKey if existing row found.
  *
  * @param {import('../server/types.js').BaseCtx & Partial<import('../server/types.js').HostedCtxExtensions>} ctx
- * @param {{ id, kind, category, title, body, meta, tags, source, filePath, createdAt, identity_key, expires_at, userId }} entry
+ * @param {{ id, kind, category, title, body, meta, tags, source, filePath, createdAt, updatedAt, identity_key, expires_at, userId, related }} entry
  */
 export async function indexEntry(
   ctx,
@@ -44,9 +161,11 @@ export async function indexEntry(
     source,
     filePath,
     createdAt,
+    updatedAt,
     identity_key,
     expires_at,
     userId,
+    related,
   },
 ) {
   // Don't index entries that have already expired
@@ -58,6 +177,7 @@ export async function indexEntry(
   const metaJson = meta ? JSON.stringify(meta) : null;
   const cat = category || categoryFor(kind);
   const userIdVal = userId || null;
+  const updated = updatedAt || createdAt;
 
   let wasUpdate = false;
 
@@ -78,6 +198,7 @@ export async function indexEntry(
         cat,
         filePath,
         expires_at || null,
+        updated,
         kind,
         identity_key,
         userIdVal,
@@ -111,6 +232,7 @@ export async function indexEntry(
           identity_key || null,
           expires_at || null,
           createdAt,
+          updated,
           encrypted.body_encrypted,
           encrypted.title_encrypted,
           encrypted.meta_encrypted,
@@ -131,6 +253,7 @@ export async function indexEntry(
           identity_key || null,
           expires_at || null,
           createdAt,
+          updated,
         );
       }
     } catch (e) {
@@ -144,6 +267,7 @@ export async function indexEntry(
           cat,
           identity_key || null,
           expires_at || null,
+          updated,
           filePath,
         );
         wasUpdate = true;
@@ -171,12 +295,25 @@ export async function indexEntry(
     );
   }
 
+  // Links are keyed by the stored id (an entity upsert keeps the original id)
+  const linkSourceId = wasUpdate
+    ? ctx.db.prepare("SELECT id FROM vault WHERE rowid = ?").get(rowid)?.id
+    : id;
+  if (linkSourceId) {
+    syncLinks(ctx, linkSourceId, collectLinks(linkSourceId, { related, body }));
+  }
+
   // Embeddings are always generated from plaintext (before encryption)
   const embeddingText = [title, body].filter(Boolean).join(" ");
   const embedding = await ctx.embed(embeddingText);
 
-  // Upsert vec: delete old if exists, then insert new (skip if embedding unavailable)
-  if (embedding) {
+  // Upsert vec: delete old if exists, then insert new (skip if embedding
+  // unavailable, or from a different model than vault_vec holds until reindex)
+  if (embedding && embedding.length !== getEmbeddingSpace(ctx.db).dimensions) {
+    console.error(
+      `[context-vault] Embedding model changed — run \`context-vault reindex\` to re-embed entries.`,
+    );
+  } else if (embedding) {
     try {
       ctx.deleteVec(rowid);
     } catch {
@@ -184,6 +321,133 @@ export async function indexEntry(
     }
     ctx.insertVec(rowid, embedding);
   }
+  await indexChunks(ctx, rowid, title, body);
+}
+
+/**
+ * Map a path inside the vault to its kind and folder, using the same layout
+ * rules as reindex(). Returns null for paths reindex() would not index.
+ *
+ * @param {string} vaultDir
+ * @param {string} filePath — absolute path
+ * @returns {{ kind: string, relDir: string } | null}
+ */
+export function locateVaultFile(vaultDir, filePath) {
+  const rel = relative(vaultDir, filePath);
+  if (!rel || rel.startsWith("..") || isAbsolute(rel)) return null;
+  if (!rel.endsWith(".md") || EXCLUDED_FILES.has(basename(rel))) return null;
+
+  const parts = rel.split(sep);
+  const dirs = parts.slice(0, -1);
+  if (dirs.some((d) => d.startsWith("_") || d.startsWith("."))) return null;
+  if (!dirs.length || EXCLUDED_DIRS.has(dirs[0])) return null;
+
+  if (CATEGORY_DIRS.has(dirs[0])) {
+    if (dirs.length < 2) return null;
+    return { kind: dirToKind(dirs[1]), relDir: dirs.slice(2).join(sep) };
+  }
+  return { kind: dirToKind(dirs[0]), relDir: dirs.slice(1).join(sep) };
+}
+
+/**
+ * Bring the index in line with a single file on disk — the incremental
+ * counterpart of reindex() used by the vault watcher. Adds, updates
+ * (re-embedding only when title or body changed) or removes the row for
+ * `filePath`. A new path carrying the id of an entry whose old file is gone
+ * is treated as a move.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {string} filePath — absolute path inside config.vaultDir
+ * @returns {Promise<"added" | "updated" | "removed" | "unchanged" | "skipped">}
+ */
+export async function syncFile(ctx, filePath) {
+  const location = locateVaultFile(ctx.config.vaultDir, filePath);
+  if (!location) return "skipped";
+
+  const existing = ctx.db
+    .prepare(
+      "SELECT rowid, id, title, body, tags, meta, updated_at FROM vault WHERE file_path = ?",
+    )
+    .get(filePath);
+
+  if (!existsSync(filePath)) {
+    if (!existing) return "unchanged";
+    try {
+      ctx.deleteVec(Number(existing.rowid));
+    } catch {}
+    ctx.stmts.deleteEntry.run(existing.id);
+    return "removed";
+  }
+
+  const raw = readFileSync(filePath, "utf-8");
+  if (!raw.startsWith("---\n")) return "skipped";
+  const { meta: fmMeta, body: rawBody } = parseFrontmatter(raw);
+  const { kind, relDir } = location;
+  const parsed = parseEntryFromMarkdown(kind, rawBody, fmMeta);
+
+  const meta = { ...(parsed.meta || {}) };
+  if (relDir) meta.folder = relDir;
+  else delete meta.folder;
+  const metaJson = Object.keys(meta).length ? JSON.stringify(meta) : null;
+  const tagsJson = fmMeta.tags ? JSON.stringify(fmMeta.tags) : null;
+  const related = parseRelated(fmMeta.related);
+
+  let id = existing?.id;
+  let moved = false;
+  if (!existing) {
+    id = fmMeta.id || ulid();
+    const other = ctx.db
+      .prepare("SELECT file_path FROM vault WHERE id = ?")
+      .get(id);
+    if (other) {
+      if (existsSync(other.file_path)) {
+        console.error(
+          `[context-vault] Skipping ${filePath}: id ${id} is already used by ${other.file_path}`,
+        );
+        return "skipped";
+      }
+      // Moved or renamed file — keep the row (and its vectors) under the new path
+      ctx.db
+        .prepare("UPDATE vault SET file_path = ? WHERE id = ?")
+        .run(filePath, id);
+      moved = true;
+    }
+  } else if (
+    (parsed.title || null) === (existing.title || null) &&
+    parsed.body === existing.body &&
+    tagsJson === (existing.tags || null) &&
+    metaJson === (existing.meta || null)
+  ) {
+    const linksChanged = syncLinks(
+      ctx,
+      id,
+      collectLinks(id, { related, body: parsed.body }),
+    );
+    return linksChanged ? "updated" : "unchanged";
+  }
+
+  const createdAt = fmMeta.created || new Date().toISOString();
+  const updatedAt = existing
+    ? changedAt(fmMeta, existing.updated_at, statSync(filePath).mtimeMs)
+    : fmMeta.updated || createdAt;
+
+  await indexEntry(ctx, {
+    id,
+    kind,
+    category: categoryFor(kind),
+    title: parsed.title || null,
+    body: parsed.body,
+    meta: Object.keys(meta).length ? meta : undefined,
+    tags: fmMeta.tags || null,
+    source: fmMeta.source || "file",
+    filePath,
+    createdAt,
+    updatedAt,
+    identity_key: fmMeta.identity_key || null,
+    expires_at: fmMeta.expires_at || null,
+    related,
+  });
+  return existing || moved ? "updated" : "added";
 }
 
 /**
@@ -191,10 +455,11 @@ export async function indexEntry(
  * P2: Wrapped in a transaction for atomicity.
  * P3: Detects title/tag/meta changes, not just body.
  * P4: Batches embedding calls for performance.
+ * P5: Skips files whose mtime/size or content hash match the vault_files manifest.
  *
  * @param {import('../server/types.js').BaseCtx} ctx
  * @param {{ fullSync?: boolean }} opts — fullSync=true adds/updates/deletes; false=add-only
- * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number}>}
+ * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number, scanned?: number, skipped?: number, hashMatched?: number, parsed?: number}>}
  */
 export async function reindex(ctx, opts = {}) {
   const { fullSync = true } = opts;
@@ -202,10 +467,27 @@ export async function reindex(ctx, opts = {}) {
 
   if (!existsSync(ctx.config.vaultDir)) return stats;
 
+  // File scan counters: files whose mtime+size (or, failing that, content
+  // hash) match the manifest are skipped without being parsed
+  Object.assign(stats, { scanned: 0, skipped: 0, hashMatched: 0, parsed: 0 });
+
+  const reembedAll = await syncEmbeddingSpace(ctx);
+
+  const manifest = new Map(
+    ctx.db
+      .prepare("SELECT file_path, mtime_ms, size, hash FROM vault_files")
+      .all()
+      .map((r) => [r.file_path, r]),
+  );
+  const recordFile = ctx.db.prepare(
+    `INSERT INTO vault_files (file_path, mtime_ms, size, hash) VALUES (?, ?, ?, ?)
+     ON CONFLICT(file_path) DO UPDATE SET mtime_ms = excluded.mtime_ms, size = excluded.size, hash = excluded.hash`,
+  );
+
   // Use INSERT OR IGNORE for reindex — handles files with duplicate frontmatter IDs
   // user_id is NULL for reindex (always local mode)
   const upsertEntry = ctx.db.prepare(
-    `INSERT OR IGNORE INTO vault (id, user_id, kind, category, title, body, meta, tags, source, file_path, identity_key, expires_at, created_at) VALUES (?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    `INSERT OR IGNORE INTO vault (id, user_id, kind, category, title, body, meta, tags, source, file_path, identity_key, expires_at, created_at, updated_at) VALUES (?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
   );
 
   // Auto-discover kind directories, supporting both:
@@ -257,7 +539,7 @@ export async function reindex(ctx, opts = {}) {
       // P3: Fetch all mutable fields for change detection
       const dbRows = ctx.db
         .prepare(
-          "SELECT id, file_path, body, title, tags, meta FROM vault WHERE kind = ?",
+          "SELECT id, file_path, body, title, tags, meta, updated_at FROM vault WHERE kind = ?",
         )
         .all(kind);
       const dbByPath = new Map(dbRows.map((r) => [r.file_path, r]));
@@ -272,11 +554,29 @@ export async function reindex(ctx, opts = {}) {
           continue;
         }
 
+        stats.scanned++;
+        const { mtimeMs, size } = statSync(filePath);
+        const known = existing && manifest.get(filePath);
+        if (known && known.mtime_ms === mtimeMs && known.size === size) {
+          stats.skipped++;
+          stats.unchanged++;
+          continue;
+        }
+
         const raw = readFileSync(filePath, "utf-8");
         if (!raw.startsWith("---\n")) {
           console.error(`[reindex] skipping (no frontmatter): ${filePath}`);
           continue;
         }
+        const hash = createHash("sha256").update(raw).digest("hex");
+        if (known && known.hash === hash) {
+          // Touched but not edited (e.g. git checkout) — refresh the stat only
+          recordFile.run(filePath, mtimeMs, size, hash);
+          stats.hashMatched++;
+          stats.unchanged++;
+          continue;
+        }
+        stats.parsed++;
         const { meta: fmMeta, body: rawBody } = parseFrontmatter(raw);
         const parsed = parseEntryFromMarkdown(kind, rawBody, fmMeta);
 
@@ -309,8 +609,17 @@ export async function reindex(ctx, opts = {}) {
             identity_key,
             expires_at,
             created,
+            fmMeta.updated || created,
           );
           if (result.changes > 0) {
+            syncLinks(
+              ctx,
+              id,
+              collectLinks(id, {
+                related: parseRelated(fmMeta.related),
+                body: parsed.body,
+              }),
+            );
             const rowidResult = ctx.stmts.getRowid.get(id);
             if (rowidResult?.rowid) {
               const embeddingText = [parsed.title, parsed.body]
@@ -319,8 +628,11 @@ export async function reindex(ctx, opts = {}) {
               pendingEmbeds.push({
                 rowid: rowidResult.rowid,
                 text: embeddingText,
+                title: parsed.title,
+                body: parsed.body,
               });
             }
+            recordFile.run(filePath, mtimeMs, size, hash);
             stats.added++;
           } else {
             stats.unchanged++;
@@ -333,6 +645,15 @@ export async function reindex(ctx, opts = {}) {
           const bodyChanged = existing.body !== parsed.body;
           const tagsChanged = tagsJson !== (existing.tags || null);
           const metaChanged = metaJson !== (existing.meta || null);
+          const linksChanged = syncLinks(
+            ctx,
+            existing.id,
+            collectLinks(existing.id, {
+              related: parseRelated(fmMeta.related),
+              body: parsed.body,
+            }),
+          );
+          recordFile.run(filePath, mtimeMs, size, hash);
 
           if (bodyChanged || titleChanged || tagsChanged || metaChanged) {
             ctx.stmts.updateEntry.run(
@@ -344,6 +665,7 @@ export async function reindex(ctx, opts = {}) {
               category,
               identity_key,
               expires_at,
+              changedAt(fmMeta, existing.updated_at, mtimeMs),
               filePath,
             );
 
@@ -357,11 +679,15 @@ export async function reindex(ctx, opts = {}) {
                 pendingEmbeds.push({
                   rowid,
                   text: embeddingText,
+                  title: parsed.title,
+                  body: parsed.body,
                   isUpdate: true,
                 });
               }
             }
             stats.updated++;
+          } else if (linksChanged) {
+            stats.updated++;
           } else {
             stats.unchanged++;
           }
@@ -438,6 +764,20 @@ export async function reindex(ctx, opts = {}) {
     throw e;
   }
 
+  if (reembedAll) {
+    const queued = new Set(pendingEmbeds.map((e) => e.rowid));
+    const rows = ctx.db.prepare("SELECT rowid, title, body FROM vault").all();
+    for (const row of rows) {
+      if (queued.has(row.rowid)) continue;
+      pendingEmbeds.push({
+        rowid: row.rowid,
+        text: [row.title, row.body].filter(Boolean).join(" "),
+        title: row.title,
+        body: row.body,
+      });
+    }
+  }
+
   // Phase 2: Async embedding — runs after COMMIT so FTS is already searchable.
   // Failures here are non-fatal; semantic search catches up on next reindex.
   // Vec delete happens atomically with insert (only on success) to avoid
@@ -455,5 +795,22 @@ export async function reindex(ctx, opts = {}) {
     }
   }
 
+  // Chunk vectors for long entries: everything re-embedded above, plus long
+  // entries that have no chunks yet (e.g. indexed while embedding was down)
+  const chunkQueue = new Map(pendingEmbeds.map((e) => [e.rowid, e]));
+  if (isEmbedAvailable()) {
+    const unchunked = ctx.db
+      .prepare(
+        `SELECT rowid, title, body FROM vault WHERE length(body) > ? AND rowid NOT IN (SELECT entry_rowid FROM vault_chunks)`,
+      )
+      .all(MAX_CHUNK_CHARS);
+    for (const row of unchunked) {
+      if (!chunkQueue.has(row.rowid)) chunkQueue.set(row.rowid, row);
+    }
+  }
+  for (const { rowid, title, body } of chunkQueue.values()) {
+    await indexChunks(ctx, rowid, title, body);
+  }
+
   return stats;
 }
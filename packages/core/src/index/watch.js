@@ -0,0 +1,90 @@
+/**
+ * watch.js — Keep the index in sync with hand edits to the vault
+ *
+ * Watches config.vaultDir recursively and feeds changed paths to syncFile()
+ * after a short debounce, so editing, adding, moving or deleting a markdown
+ * file updates only that entry instead of rescanning every kind directory.
+ */
+
+import { watch, existsSync, statSync } from "node:fs";
+import { join, sep } from "node:path";
+import { walkDir } from "../core/files.js";
+import { syncFile } from "./index.js";
+
+export const WATCH_DEBOUNCE_MS = 300;
+
+/**
+ * Start watching the vault.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {{ debounceMs?: number, onSync?: (stats: { added: number, updated: number, removed: number }) => void }} [opts]
+ * @returns {{ close: () => void, flush: () => Promise<void> }}
+ */
+export function watchVault(ctx, opts = {}) {
+  const { debounceMs = WATCH_DEBOUNCE_MS, onSync } = opts;
+  const { vaultDir } = ctx.config;
+
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  /**
+   * Expand an event path into the markdown files it affects. Directory events
+   * (a kind folder moved or deleted) cover every indexed file under them.
+   */
+  function expand(fullPath) {
+    if (fullPath.endsWith(".md")) return [fullPath];
+    const paths = ctx.db
+      .prepare("SELECT file_path FROM vault WHERE file_path LIKE ? || '%'")
+      .all(fullPath + sep)
+      .map((r) => r.file_path);
+    try {
+      if (existsSync(fullPath) && statSync(fullPath).isDirectory()) {
+        paths.push(...walkDir(fullPath).map((f) => f.filePath));
+      }
+    } catch {}
+    return paths;
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const batch = [...pending];
+    pending.clear();
+    if (!batch.length) return running;
+
+    running = running.then(async () => {
+      const stats = { added: 0, updated: 0, removed: 0 };
+      for (const filePath of new Set(batch.flatMap(expand))) {
+        try {
+          const result = await syncFile(ctx, filePath);
+          if (result in stats) stats[result]++;
+        } catch (e) {
+          console.error(
+            `[context-vault] Watch: failed to index ${filePath}: ${e.message}`,
+          );
+        }
+      }
+      if (stats.added + stats.updated + stats.removed > 0) onSync?.(stats);
+    });
+    return running;
+  }
+
+  const watcher = watch(vaultDir, { recursive: true }, (_event, filename) => {
+    if (!filename) return;
+    pending.add(join(vaultDir, filename.toString()));
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  });
+  watcher.on("error", (e) => {
+    console.error(`[context-vault] Watch error: ${e.message}`);
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+    flush,
+  };
+}
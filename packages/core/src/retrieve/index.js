@@ -7,8 +7,61 @@
  * Agent Constraint: Read-only access to DB. Never writes.
  */
 
-const FTS_WEIGHT = 0.4;
-const VEC_WEIGHT = 0.6;
+import { getEmbeddingSpace } from "../index/db.js";
+
+/**
+ * How FTS and vector results are combined.
+ *   weighted — ftsWeight * max-normalised bm25 + vecWeight * cosine similarity
+ *   rrf      — reciprocal rank fusion: Σ weight / (rrfK + rank), scaled so a
+ *              result ranked first by both sides scores 1.0
+ */
+export const DEFAULT_RANKING = Object.freeze({
+  fusion: "weighted",
+  ftsWeight: 0.4,
+  vecWeight: 0.6,
+  rrfK: 60,
+});
+
+export const FUSION_MODES = ["weighted", "rrf"];
+
+/**
+ * Merge ranking settings (later arguments win) on top of DEFAULT_RANKING.
+ * Invalid or missing values fall back to the previous layer.
+ *
+ * @param {...(Partial<typeof DEFAULT_RANKING>|null|undefined)} layers
+ * @returns {typeof DEFAULT_RANKING}
+ */
+export function resolveRanking(...layers) {
+  const ranking = { ...DEFAULT_RANKING };
+  const isWeight = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+  for (const layer of layers) {
+    if (!layer) continue;
+    if (FUSION_MODES.includes(layer.fusion)) ranking.fusion = layer.fusion;
+    if (isWeight(layer.ftsWeight)) ranking.ftsWeight = layer.ftsWeight;
+    if (isWeight(layer.vecWeight)) ranking.vecWeight = layer.vecWeight;
+    if (isWeight(layer.rrfK) && layer.rrfK > 0) ranking.rrfK = layer.rrfK;
+  }
+  return ranking;
+}
+
+/**
+ * Combine one entry's FTS and vector signals into a relevance score.
+ *
+ * @param {{ fts?: { rank: number, score: number }, vec?: { rank: number, score: number } }} signals
+ * @param {typeof DEFAULT_RANKING} ranking
+ */
+export function fuseScores({ fts, vec }, ranking) {
+  const { fusion, ftsWeight, vecWeight, rrfK } = ranking;
+  if (fusion === "rrf") {
+    const total = ftsWeight + vecWeight;
+    if (total <= 0) return 0;
+    const sum =
+      (fts ? ftsWeight / (rrfK + fts.rank) : 0) +
+      (vec ? vecWeight / (rrfK + vec.rank) : 0);
+    return (sum * (rrfK + 1)) / total;
+  }
+  return (fts ? fts.score * ftsWeight : 0) + (vec ? vec.score * vecWeight : 0);
+}
 
 /**
  * Strip FTS5 metacharacters from query words and build an AND query.
@@ -35,15 +88,60 @@ export function recencyBoost(createdAt, category, decayDays = 30) {
 }
 
 /**
- * Build additional WHERE clauses for category/time filtering.
+ * WHERE clauses for tag filtering against the vault_tags table (exact match):
+ *   any  — entry has at least one of the tags (OR)
+ *   all  — entry has every one of the tags (AND)
+ *   none — entry has none of the tags (NOT)
+ *
+ * @param {{ any?: string[], all?: string[], none?: string[] }|null} tagFilter
+ * @param {string} [idColumn] — the outer query's entry id column
+ * @returns {{ clauses: string[], params: string[] }}
+ */
+export function buildTagClauses(tagFilter, idColumn = "e.id") {
+  const clauses = [];
+  const params = [];
+  const any = [...new Set(tagFilter?.any || [])];
+  const all = [...new Set(tagFilter?.all || [])];
+  const none = [...new Set(tagFilter?.none || [])];
+  const tagged = (tags) =>
+    `FROM vault_tags t WHERE t.entry_id = ${idColumn} AND t.tag IN (${tags.map(() => "?").join(", ")})`;
+  if (any.length) {
+    clauses.push(`EXISTS (SELECT 1 ${tagged(any)})`);
+    params.push(...any);
+  }
+  if (all.length) {
+    clauses.push(`(SELECT COUNT(*) ${tagged(all)}) = ${all.length}`);
+    params.push(...all);
+  }
+  if (none.length) {
+    clauses.push(`NOT EXISTS (SELECT 1 ${tagged(none)})`);
+    params.push(...none);
+  }
+  return { clauses, params };
+}
+
+/** True when a tag filter has at least one non-empty list. */
+export function hasTagFilter(tagFilter) {
+  return Boolean(
+    tagFilter?.any?.length || tagFilter?.all?.length || tagFilter?.none?.length,
+  );
+}
+
+/**
+ * Build WHERE clauses for kind/category/time/tag filtering against `vault e`.
+ * Shared by hybridSearch, listEntries and get_context's filter-only mode so a
+ * filter means the same thing everywhere.
  * Returns { clauses: string[], params: any[] }
  */
 export function buildFilterClauses({
+  kindFilter,
   categoryFilter,
   since,
   until,
+  sinceUpdated,
   userIdFilter,
   teamIdFilter,
+  tagFilter,
 }) {
   const clauses = [];
   const params = [];
@@ -55,6 +153,10 @@ export function buildFilterClauses({
     clauses.push("e.team_id = ?");
     params.push(teamIdFilter);
   }
+  if (kindFilter) {
+    clauses.push("e.kind = ?");
+    params.push(kindFilter);
+  }
   if (categoryFilter) {
     clauses.push("e.category = ?");
     params.push(categoryFilter);
@@ -67,6 +169,13 @@ export function buildFilterClauses({
     clauses.push("e.created_at <= ?");
     params.push(until);
   }
+  if (sinceUpdated) {
+    clauses.push("COALESCE(e.updated_at, e.created_at) >= ?");
+    params.push(sinceUpdated);
+  }
+  const tagClauses = buildTagClauses(tagFilter);
+  clauses.push(...tagClauses.clauses);
+  params.push(...tagClauses.params);
   clauses.push("(e.expires_at IS NULL OR e.expires_at > datetime('now'))");
   return { clauses, params };
 }
@@ -76,8 +185,10 @@ export function buildFilterClauses({
  *
  * @param {import('../server/types.js').BaseCtx} ctx
  * @param {string} query
- * @param {{ kindFilter?: string|null, categoryFilter?: string|null, since?: string|null, until?: string|null, limit?: number, offset?: number }} opts
- * @returns {Promise<Array<{id, kind, category, title, body, meta, tags, source, file_path, created_at, score}>>}
+ * @param {{ kindFilter?: string|null, categoryFilter?: string|null, tagFilter?: { any?: string[], all?: string[], none?: string[] }|null, since?: string|null, until?: string|null, sinceUpdated?: string|null, limit?: number, offset?: number, ranking?: Partial<typeof DEFAULT_RANKING>, explain?: boolean }} opts
+ * @returns {Promise<Array<{id, kind, category, title, body, meta, tags, source, file_path, created_at, score, snippet?, passage?, explain?}>>}
+ *   `snippet` / `passage` ({ start, end } offsets into body) are set when a chunk of a long entry was the best vector match.
+ *   `explain` (with opts.explain) breaks the score down — see explainScore().
  */
 export async function hybridSearch(
   ctx,
@@ -85,22 +196,31 @@ export async function hybridSearch(
   {
     kindFilter = null,
     categoryFilter = null,
+    tagFilter = null,
     since = null,
     until = null,
+    sinceUpdated = null,
     limit = 20,
     offset = 0,
     decayDays = 30,
     userIdFilter,
     teamIdFilter = null,
+    ranking = null,
+    explain = false,
   } = {},
 ) {
+  const rankingOpts = resolveRanking(ranking);
   const results = new Map();
+  const signals = new Map(); // id → { fts?: { rank, score }, vec?: { rank, score } }
   const extraFilters = buildFilterClauses({
+    kindFilter,
     categoryFilter,
     since,
     until,
+    sinceUpdated,
     userIdFilter,
     teamIdFilter,
+    tagFilter,
   });
 
   // FTS5 search
@@ -110,10 +230,6 @@ export async function hybridSearch(
       const whereParts = ["vault_fts MATCH ?"];
       const ftsParams = [ftsQuery];
 
-      if (kindFilter) {
-        whereParts.push("e.kind = ?");
-        ftsParams.push(kindFilter);
-      }
       whereParts.push(...extraFilters.clauses);
       ftsParams.push(...extraFilters.params);
 
@@ -126,8 +242,14 @@ export async function hybridSearch(
 
       for (let i = 0; i < rows.length; i++) {
         const { rank: _rank, ...row } = rows[i];
-        const normalized = ftsScores[i] / maxFts;
-        results.set(row.id, { ...row, score: normalized * FTS_WEIGHT });
+        results.set(row.id, { ...row, score: 0 });
+        signals.set(row.id, {
+          fts: {
+            rank: i + 1,
+            score: ftsScores[i] / maxFts,
+            bm25: ftsScores[i],
+          },
+        });
       }
     } catch (err) {
       if (err.message?.includes("fts5: syntax error")) {
@@ -145,8 +267,15 @@ export async function hybridSearch(
       .get().c;
     if (vecCount > 0) {
       const queryVec = await ctx.embed(query);
-      if (queryVec) {
-        // Increase limits in hosted mode to compensate for post-filtering
+      // A model change leaves vault_vec in the old space until reindex runs
+      const { dimensions } = getEmbeddingSpace(ctx.db);
+      if (queryVec && queryVec.length !== dimensions) {
+        console.error(
+          `[retrieve] Skipping vector search: query has ${queryVec.length} dimensions, index has ${dimensions}. Run \`context-vault reindex\`.`,
+        );
+      } else if (queryVec) {
+        // Increase limits in hosted mode to compensate for filtering the
+        // nearest neighbours afterwards
         const hasPostFilter = userIdFilter !== undefined || teamIdFilter;
         const vecLimit = hasPostFilter
           ? kindFilter
@@ -155,28 +284,57 @@ export async function hybridSearch(
           : kindFilter
             ? 30
             : 15;
+        // Tag filters restrict the KNN itself, so entries with a rare tag
+        // are found however far down the global neighbour list they are
+        const tagged = hasTagFilter(tagFilter)
+          ? buildTagClauses(tagFilter)
+          : null;
+        const tagWhere = tagged
+          ? `SELECT e.rowid FROM vault e WHERE ${tagged.clauses.join(" AND ")}`
+          : null;
         const vecRows = ctx.db
           .prepare(
-            `SELECT v.rowid, v.distance FROM vault_vec v WHERE embedding MATCH ? ORDER BY distance LIMIT ?`,
+            `SELECT v.rowid, v.distance FROM vault_vec v WHERE embedding MATCH ?${tagWhere ? ` AND v.rowid IN (${tagWhere})` : ""} ORDER BY distance LIMIT ?`,
           )
-          .all(queryVec, vecLimit);
+          .all(queryVec, ...(tagged?.params || []), vecLimit);
 
-        if (vecRows.length) {
+        // Best match per entry across its entry vector and chunk vectors.
+        // A chunk hit also carries the passage to show as the snippet.
+        const best = new Map(); // entry rowid → { distance, passage }
+        for (const vr of vecRows) {
+          best.set(vr.rowid, { distance: vr.distance, passage: null });
+        }
+        const chunkFilter = tagged && {
+          sql: `SELECT c.id FROM vault_chunks c WHERE c.entry_rowid IN (${tagWhere})`,
+          params: tagged.params,
+        };
+        for (const cr of searchChunks(
+          ctx,
+          queryVec,
+          vecLimit * 3,
+          chunkFilter,
+        )) {
+          const current = best.get(cr.entry_rowid);
+          if (!current || cr.distance < current.distance) {
+            best.set(cr.entry_rowid, {
+              distance: cr.distance,
+              passage: { start: cr.start_pos, end: cr.end_pos },
+            });
+          }
+        }
+
+        if (best.size) {
           // Batch hydration: single query instead of N+1
-          const rowids = vecRows.map((vr) => vr.rowid);
+          const rowids = [...best.keys()];
           const placeholders = rowids.map(() => "?").join(",");
           const hydrated = ctx.db
             .prepare(
-              `SELECT rowid, * FROM vault WHERE rowid IN (${placeholders})`,
+              `SELECT e.rowid, e.* FROM vault e WHERE e.rowid IN (${placeholders})`,
             )
             .all(...rowids);
 
-          const byRowid = new Map();
-          for (const row of hydrated) byRowid.set(row.rowid, row);
-
-          for (const vr of vecRows) {
-            const row = byRowid.get(vr.rowid);
-            if (!row) continue;
+          const matches = [];
+          for (const row of hydrated) {
             if (userIdFilter !== undefined && row.user_id !== userIdFilter)
               continue;
             if (teamIdFilter && row.team_id !== teamIdFilter) continue;
@@ -184,18 +342,37 @@ export async function hybridSearch(
             if (categoryFilter && row.category !== categoryFilter) continue;
             if (since && row.created_at < since) continue;
             if (until && row.created_at > until) continue;
+            if (
+              sinceUpdated &&
+              (row.updated_at || row.created_at) < sinceUpdated
+            )
+              continue;
             if (row.expires_at && new Date(row.expires_at) <= new Date())
               continue;
+            matches.push({ row, ...best.get(row.rowid) });
+          }
+          matches.sort((a, b) => a.distance - b.distance);
 
+          for (let i = 0; i < matches.length; i++) {
+            const { row, distance, passage } = matches[i];
             const { rowid: _rowid, ...cleanRow } = row;
             // sqlite-vec returns L2 distance [0, 2] for normalized vectors.
             // Convert to similarity [1, 0] with: 1 - distance/2
-            const vecScore = Math.max(0, 1 - vr.distance / 2) * VEC_WEIGHT;
-            const existing = results.get(cleanRow.id);
-            if (existing) {
-              existing.score += vecScore;
-            } else {
-              results.set(cleanRow.id, { ...cleanRow, score: vecScore });
+            const vec = {
+              rank: i + 1,
+              score: Math.max(0, 1 - distance / 2),
+              distance,
+              chunk: Boolean(passage),
+            };
+            const entry = results.get(cleanRow.id) || { ...cleanRow, score: 0 };
+            results.set(cleanRow.id, entry);
+            signals.set(cleanRow.id, { ...signals.get(cleanRow.id), vec });
+            if (passage) {
+              entry.passage = passage;
+              // Encrypted rows only hold a preview — callers slice after decrypting
+              if (!row.body_encrypted) {
+                entry.snippet = row.body.slice(passage.start, passage.end);
+              }
             }
           }
         }
@@ -209,11 +386,169 @@ export async function hybridSearch(
     }
   }
 
-  // Apply category-aware recency boost
-  for (const [, entry] of results) {
-    entry.score *= recencyBoost(entry.created_at, entry.category, decayDays);
+  // Fuse FTS + vector signals, then apply category-aware recency boost
+  for (const [id, entry] of results) {
+    const relevance = fuseScores(signals.get(id), rankingOpts);
+    const recency = recencyBoost(entry.created_at, entry.category, decayDays);
+    entry.score = relevance * recency;
+    if (explain) {
+      entry.explain = explainScore(signals.get(id), {
+        relevance,
+        recency,
+        ranking: rankingOpts,
+      });
+    }
   }
 
   const sorted = [...results.values()].sort((a, b) => b.score - a.score);
   return sorted.slice(offset, offset + limit);
 }
+
+/**
+ * Score breakdown for one search result.
+ *
+ * @returns {{ fts: { rank: number, bm25: number, normalized: number } | null, vec: { rank: number, distance: number, similarity: number, chunk: boolean } | null, fusion: string, relevance: number, recency: number }}
+ */
+function explainScore({ fts, vec } = {}, { relevance, recency, ranking }) {
+  return {
+    fts: fts ? { rank: fts.rank, bm25: fts.bm25, normalized: fts.score } : null,
+    vec: vec
+      ? {
+          rank: vec.rank,
+          distance: vec.distance,
+          similarity: vec.score,
+          chunk: vec.chunk,
+        }
+      : null,
+    fusion: ranking.fusion,
+    relevance,
+    recency,
+  };
+}
+
+/**
+ * Nearest chunk vectors for a query vector, optionally restricted to the
+ * chunk ids selected by `filter.sql`.
+ * Returns [] when the chunk table does not exist (databases before v10).
+ */
+function searchChunks(ctx, queryVec, limit, filter = null) {
+  try {
+    return ctx.db
+      .prepare(
+        `SELECT c.entry_rowid, c.start_pos, c.end_pos, v.distance
+         FROM (SELECT rowid, distance FROM vault_chunk_vec WHERE embedding MATCH ?${filter ? ` AND rowid IN (${filter.sql})` : ""} ORDER BY distance LIMIT ?) v
+         JOIN vault_chunks c ON c.id = v.rowid`,
+      )
+      .all(queryVec, ...(filter?.params || []), limit);
+  } catch (err) {
+    if (err.message?.includes("no such table")) return [];
+    throw err;
+  }
+}
+
+/**
+ * One-hop neighbours of an entry in the link graph.
+ *
+ * Outgoing links whose target does not exist (yet) are returned with
+ * `missing: true` so callers can surface dangling references.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {string} id
+ * @param {{ direction?: "out"|"in"|"both", rel?: string|null, limit?: number, userIdFilter?: string }} opts
+ * @returns {Array<{ id, rel, direction: "out"|"in", missing: boolean, kind, category, title, created_at }>}
+ */
+export function getRelated(
+  ctx,
+  id,
+  { direction = "both", rel = null, limit = 20, userIdFilter } = {},
+) {
+  const results = [];
+  const relClause = rel ? "AND l.rel = ?" : "";
+  const relParams = rel ? [rel] : [];
+  const userClause = userIdFilter !== undefined ? "AND e.user_id = ?" : "";
+  const userParams = userIdFilter !== undefined ? [userIdFilter] : [];
+
+  if (direction === "out" || direction === "both") {
+    const rows = ctx.db
+      .prepare(
+        `SELECT l.target_id AS id, l.rel, e.id AS found, e.kind, e.category, e.title, e.created_at, e.user_id
+         FROM vault_links l LEFT JOIN vault e ON e.id = l.target_id
+         WHERE l.source_id = ? ${relClause} ORDER BY l.rel, l.target_id`,
+      )
+      .all(id, ...relParams);
+    for (const { found, user_id, ...row } of rows) {
+      // Never leak another user's entry through a link
+      if (found && userIdFilter !== undefined && user_id !== userIdFilter)
+        continue;
+      results.push({ ...row, direction: "out", missing: !found });
+    }
+  }
+
+  if (direction === "in" || direction === "both") {
+    const rows = ctx.db
+      .prepare(
+        `SELECT l.source_id AS id, l.rel, e.kind, e.category, e.title, e.created_at
+         FROM vault_links l JOIN vault e ON e.id = l.source_id
+         WHERE l.target_id = ? ${relClause} ${userClause} ORDER BY l.rel, e.created_at DESC`,
+      )
+      .all(id, ...relParams, ...userParams);
+    for (const row of rows) {
+      results.push({ ...row, direction: "in", missing: false });
+    }
+  }
+
+  return results.slice(0, limit);
+}
+
+/**
+ * Browse entries without a query, newest first — backs list_context and the
+ * MCP entry resources. Tag filters run in SQL (see buildTagClauses()), so
+ * `total` and pagination are exact. `sort: "updated"` orders by last change
+ * instead of creation.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {{ kind?: string|null, category?: string|null, tagFilter?: { any?: string[], all?: string[], none?: string[] }|null, since?: string|null, until?: string|null, sinceUpdated?: string|null, sort?: "created"|"updated", limit?: number, offset?: number, userIdFilter?: string }} opts
+ * @returns {{ total: number, entries: Array<{ id, title, kind, category, tags, file_path, created_at, updated_at, preview }> }}
+ */
+export function listEntries(
+  ctx,
+  {
+    kind = null,
+    category = null,
+    tagFilter = null,
+    since = null,
+    until = null,
+    sinceUpdated = null,
+    sort = "created",
+    limit = 20,
+    offset = 0,
+    userIdFilter,
+  } = {},
+) {
+  const { clauses, params } = buildFilterClauses({
+    kindFilter: kind,
+    categoryFilter: category,
+    since,
+    until,
+    sinceUpdated,
+    userIdFilter,
+    tagFilter,
+  });
+
+  const where = `WHERE ${clauses.join(" AND ")}`;
+  const total = ctx.db
+    .prepare(`SELECT COUNT(*) as c FROM vault e ${where}`)
+    .get(...params).c;
+
+  const orderBy =
+    sort === "updated"
+      ? "COALESCE(e.updated_at, e.created_at)"
+      : "e.created_at";
+  const entries = ctx.db
+    .prepare(
+      `SELECT e.id, e.title, e.kind, e.category, e.tags, e.file_path, e.created_at, COALESCE(e.updated_at, e.created_at) as updated_at, SUBSTR(e.body, 1, 120) as preview FROM vault e ${where} ORDER BY ${orderBy} DESC LIMIT ? OFFSET ?`,
+    )
+    .all(...params, limit, offset);
+
+  return { total, entries };
+}
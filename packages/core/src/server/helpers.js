@@ -2,8 +2,14 @@
  * helpers.js — Shared MCP response helpers and validation
  */
 
-export function ok(text) {
-  return { content: [{ type: "text", text }] };
+/**
+ * Successful tool result. `data` becomes the MCP `structuredContent` and must
+ * match the tool's outputSchema.
+ */
+export function ok(text, data) {
+  const result = { content: [{ type: "text", text }] };
+  if (data !== undefined) result.structuredContent = data;
+  return result;
 }
 
 export function err(text, code = "UNKNOWN") {
@@ -29,3 +35,33 @@ export function ensureValidKind(kind) {
   }
   return null;
 }
+
+/** Render one link-graph neighbour (from getRelated) as a markdown list item. */
+export function formatLink(l) {
+  const arrow = l.direction === "out" ? `—${l.rel}→` : `←${l.rel}—`;
+  if (l.missing) return `- ${arrow} (missing entry) \`${l.id}\``;
+  return `- ${arrow} **${l.title || "(untitled)"}** [${l.kind}/${l.category}] \`${l.id}\``;
+}
+
+/** One-line score breakdown for a search result (from hybridSearch explain). */
+export function formatExplain(e) {
+  const parts = [
+    e.fts
+      ? `fts #${e.fts.rank} (bm25 ${e.fts.bm25.toPrecision(3)}, norm ${e.fts.normalized.toFixed(3)})`
+      : "fts —",
+    e.vec
+      ? `vector #${e.vec.rank} (distance ${e.vec.distance.toFixed(3)}, similarity ${e.vec.similarity.toFixed(3)}${e.vec.chunk ? ", chunk" : ""})`
+      : "vector —",
+    `${e.fusion} ${e.relevance.toFixed(3)}`,
+    `recency ×${e.recency.toFixed(3)}`,
+  ];
+  return parts.join(" · ");
+}
+
+/**
+ * Rough token count for budgeting tool output (~4 characters per token for
+ * English prose). Deliberately model-agnostic — budgets are approximate.
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text?.length || 0) / 4);
+}
@@ -0,0 +1,32 @@
+import * as summarizeSession from "./prompts/summarize-session.js";
+import * as recordDecision from "./prompts/record-decision.js";
+import * as recallTopic from "./prompts/recall-topic.js";
+
+export const promptModules = [summarizeSession, recordDecision, recallTopic];
+
+/**
+ * Register the workflow prompts on an MCP server. Each prompt renders to a
+ * single user message that tells the agent which tools to call and with which
+ * kinds, so entries are written the same way regardless of who asks.
+ */
+export function registerPrompts(server) {
+  for (const mod of promptModules) {
+    server.registerPrompt(
+      mod.name,
+      {
+        title: mod.title,
+        description: mod.description,
+        argsSchema: mod.argsSchema,
+      },
+      (args) => ({
+        description: mod.description,
+        messages: [
+          {
+            role: "user",
+            content: { type: "text", text: mod.build(args) },
+          },
+        ],
+      }),
+    );
+  }
+}
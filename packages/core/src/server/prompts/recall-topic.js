@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
+import { KINDS } from "../../core/categories.js";
+
+export const name = "recall_topic";
+
+export const title = "Recall a topic";
+
+export const description =
+  "Search the vault for everything known about a topic and summarise it with entry ids, before starting work on it.";
+
+export const argsSchema = {
+  topic: z.string().describe("What to recall (e.g. 'auth token refresh')"),
+  // The SDK only answers completion requests for an optional argument once
+  // completions are enabled by something else (the vault:// resource templates).
+  kind: completable(
+    z.string().optional().describe("Only recall entries of this kind"),
+    (value) => KINDS.filter((k) => k.startsWith(value ?? "")),
+  ),
+};
+
+export function build({ topic, kind }) {
+  const kindArg = kind ? `, \`kind: "${kind}"\`` : "";
+  return [
+    `Recall what the context vault knows about: ${topic}`,
+    "",
+    `1. Call \`get_context\` with \`query: ${JSON.stringify(topic)}\`${kindArg} and \`expand_related: true\`. If few results come back, retry with synonyms or narrower terms.`,
+    "2. Summarise what you found, grouped by kind (decisions first, then insights and patterns, then contacts, projects and other entities, then recent events). Cite each entry's id.",
+    "3. Where a decision is superseded by a newer one, only present the newer one and mention that it replaced the old.",
+    "4. Point out contradictions or gaps — things the vault does not answer about this topic.",
+    "",
+    "Do not save anything during this step.",
+  ].join("\n");
+}
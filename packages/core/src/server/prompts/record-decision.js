@@ -0,0 +1,41 @@
+import { z } from "zod";
+import { categoryFor } from "../../core/categories.js";
+
+export const name = "record_decision";
+
+export const title = "Record a decision";
+
+export const description =
+  "Save a decision with its context, rationale and rejected alternatives as a `decision` entry, linking any decision it replaces.";
+
+export const argsSchema = {
+  decision: z.string().describe("The decision that was made"),
+  context: z
+    .string()
+    .optional()
+    .describe("The problem or situation that prompted it"),
+  alternatives: z
+    .string()
+    .optional()
+    .describe("Options that were considered and rejected"),
+};
+
+export function build({ decision, context, alternatives }) {
+  return [
+    `Record this decision in the context vault: ${decision}`,
+    ...(context ? ["", `Context: ${context}`] : []),
+    ...(alternatives ? ["", `Alternatives considered: ${alternatives}`] : []),
+    "",
+    `1. Call \`get_context\` with \`kind: "decision"\` and a query describing the decision, to find earlier decisions on the same subject.`,
+    `2. Call \`save_context\` with \`kind: "decision"\` (${categoryFor("decision")}), a title that states the decision itself (e.g. "Use SQLite for the local index"), and a body with these sections:`,
+    "   ## Decision — what was decided, in one or two sentences",
+    "   ## Context — the problem and constraints at the time",
+    "   ## Rationale — why this option won",
+    "   ## Alternatives — what was rejected and why",
+    "   ## Consequences — trade-offs accepted and follow-up work",
+    "   Fill the sections from this conversation; leave out a section rather than inventing content.",
+    '3. If step 1 found a decision this one replaces, call `link_context` with the new entry\'s `id`, the old entry as `target_id` and `rel: "supersedes"`.',
+    "",
+    "Reply with the saved entry's id.",
+  ].join("\n");
+}
@@ -0,0 +1,53 @@
+import { z } from "zod";
+import { categoryFor } from "../../core/categories.js";
+
+export const name = "summarize_session";
+
+export const title = "Summarize session into the vault";
+
+export const description =
+  "Extract the durable insights, decisions and patterns from this conversation and save each one with save_context, plus a short session log.";
+
+export const argsSchema = {
+  focus: z
+    .string()
+    .optional()
+    .describe("What to concentrate on (e.g. 'the caching work')"),
+  tags: z
+    .string()
+    .optional()
+    .describe("Comma-separated tags to add to every saved entry"),
+};
+
+const KNOWLEDGE_KINDS = [
+  ["insight", "a non-obvious fact or lesson learned"],
+  ["decision", "a choice that was made, with its rationale"],
+  ["pattern", "a reusable approach, snippet or convention"],
+];
+
+export function build({ focus, tags }) {
+  const tagList = tags
+    ? tags
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean)
+    : [];
+  const tagHint = tagList.length
+    ? ` Include the tags ${JSON.stringify(tagList)} on every entry.`
+    : "";
+
+  return [
+    `Review this conversation${focus ? `, focusing on ${focus}` : ""}, and save what is worth remembering in future sessions to the context vault.`,
+    "",
+    "1. List the candidate entries. Use these kinds:",
+    ...KNOWLEDGE_KINDS.map(
+      ([kind, what]) => `   - \`${kind}\` (${categoryFor(kind)}) — ${what}`,
+    ),
+    "   Skip anything that is temporary, already obvious from the code, or specific to this conversation only.",
+    "2. For each candidate, call `get_context` with a short query to check whether the vault already has it. If it does, update that entry by passing its `id` to `save_context` instead of creating a duplicate.",
+    `3. Save each new entry with \`save_context\`: a specific \`title\`, a self-contained \`body\` (someone without this conversation must understand it) and the matching \`kind\`.${tagHint}`,
+    `4. Finally save one \`session\` entry (${categoryFor("session")}, decays over time) summarising what was done in 2–5 sentences, listing the ids of the entries you saved.`,
+    "",
+    "Reply with a short list of what you saved and their ids.",
+  ].join("\n");
+}
@@ -0,0 +1,152 @@
+import { existsSync, readFileSync } from "node:fs";
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { normalizeKind } from "../core/files.js";
+import { listEntries } from "../retrieve/index.js";
+
+export const ENTRY_URI_TEMPLATE = "vault://entry/{id}";
+export const KIND_URI_TEMPLATE = "vault://kind/{kind}";
+
+const LIST_LIMIT = 100;
+
+export const entryUri = (id) => `vault://entry/${id}`;
+export const kindUri = (kind) => `vault://kind/${encodeURIComponent(kind)}`;
+
+function notFound(uri) {
+  return new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+}
+
+function countKinds(ctx, userIdFilter) {
+  const clauses = ["(expires_at IS NULL OR expires_at > datetime('now'))"];
+  const params = [];
+  if (userIdFilter !== undefined) {
+    clauses.push("user_id = ?");
+    params.push(userIdFilter);
+  }
+  return ctx.db
+    .prepare(
+      `SELECT kind, COUNT(*) as c FROM vault WHERE ${clauses.join(" AND ")} GROUP BY kind ORDER BY kind`,
+    )
+    .all(...params);
+}
+
+/**
+ * Expose vault entries as MCP resources:
+ *
+ *   vault://entry/<id>   — the entry's markdown file
+ *   vault://kind/<kind>  — an index of the newest entries of that kind
+ *
+ * Listing goes through the same query as list_context. Clients are sent
+ * resources/list_changed whenever the runner reports a change, so pass the
+ * runner shared with registerTools(). Returns a function that unsubscribes.
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server
+ * @param {import('./types.js').BaseCtx & Partial<import('./types.js').HostedCtxExtensions>} ctx
+ * @param {ReturnType<typeof import('./tools.js').createToolRunner>} runner
+ * @returns {() => void}
+ */
+export function registerResources(server, ctx, runner) {
+  const userId = ctx.userId !== undefined ? ctx.userId : undefined;
+  const { ensureIndexed } = runner.shared;
+
+  function getEntry(id) {
+    const entry = ctx.stmts.getEntryById.get(id);
+    // Ownership check: don't leak existence across users
+    if (!entry || (userId !== undefined && entry.user_id !== userId))
+      return null;
+    return entry;
+  }
+
+  server.registerResource(
+    "vault-entry",
+    new ResourceTemplate(ENTRY_URI_TEMPLATE, {
+      list: async () => {
+        await ensureIndexed();
+        const { entries } = listEntries(ctx, {
+          limit: LIST_LIMIT,
+          userIdFilter: userId,
+        });
+        return {
+          resources: entries.map((r) => ({
+            uri: entryUri(r.id),
+            name: r.title || r.id,
+            description: `${r.kind}/${r.category} — ${r.created_at}`,
+            mimeType: "text/markdown",
+          })),
+        };
+      },
+    }),
+    {
+      title: "Vault entry",
+      description: "A single vault entry as markdown, including frontmatter",
+      mimeType: "text/markdown",
+    },
+    async (uri, { id }) => {
+      await ensureIndexed();
+      const entry = getEntry(decodeURIComponent(String(id)));
+      if (!entry) throw notFound(uri.href);
+
+      const text =
+        entry.file_path && existsSync(entry.file_path)
+          ? readFileSync(entry.file_path, "utf-8")
+          : `${entry.title ? `# ${entry.title}\n\n` : ""}${entry.body}\n`;
+      return {
+        contents: [{ uri: uri.href, mimeType: "text/markdown", text }],
+      };
+    },
+  );
+
+  server.registerResource(
+    "vault-kind",
+    new ResourceTemplate(KIND_URI_TEMPLATE, {
+      list: async () => {
+        await ensureIndexed();
+        return {
+          resources: countKinds(ctx, userId).map(({ kind, c }) => ({
+            uri: kindUri(kind),
+            name: kind,
+            description: `${c} ${c === 1 ? "entry" : "entries"}`,
+            mimeType: "text/markdown",
+          })),
+        };
+      },
+      complete: {
+        kind: (value) =>
+          countKinds(ctx, userId)
+            .map((r) => r.kind)
+            .filter((k) => k.startsWith(value ?? "")),
+      },
+    }),
+    {
+      title: "Vault entries by kind",
+      description: `The ${LIST_LIMIT} newest entries of one kind`,
+      mimeType: "text/markdown",
+    },
+    async (uri, { kind }) => {
+      await ensureIndexed();
+      const normalized = normalizeKind(decodeURIComponent(String(kind)));
+      const { total, entries } = listEntries(ctx, {
+        kind: normalized,
+        limit: LIST_LIMIT,
+        userIdFilter: userId,
+      });
+      if (!total) throw notFound(uri.href);
+
+      const lines = [
+        `## ${normalized} (${entries.length} shown, ${total} total)\n`,
+      ];
+      for (const r of entries) {
+        lines.push(
+          `- [${r.title || "(untitled)"}](${entryUri(r.id)}) — ${r.created_at}`,
+        );
+      }
+      return {
+        contents: [
+          { uri: uri.href, mimeType: "text/markdown", text: lines.join("\n") },
+        ],
+      };
+    },
+  );
+
+  return runner.onChange(() => server.sendResourceListChanged());
+}
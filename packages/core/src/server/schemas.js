@@ -0,0 +1,74 @@
+/**
+ * schemas.js — Shared pieces of the tools' output schemas
+ *
+ * Every tool returns markdown for the model plus `structuredContent` matching
+ * its `outputSchema`, so clients and scripts can read ids, scores and paths
+ * without parsing text. File paths are relative to the vault dir.
+ */
+
+import { z } from "zod";
+
+export const entryRef = {
+  id: z.string(),
+  title: z.string().nullable(),
+  kind: z.string(),
+  category: z.string(),
+};
+
+export const entrySummary = {
+  ...entryRef,
+  tags: z.array(z.string()),
+  file_path: z.string().nullable(),
+  created_at: z.string(),
+  updated_at: z.string(),
+};
+
+export const linkSchema = z.object({
+  id: z.string(),
+  rel: z.string(),
+  direction: z.enum(["out", "in"]),
+  title: z.string().nullable(),
+  kind: z.string().nullable(),
+  category: z.string().nullable(),
+  missing: z.boolean(),
+});
+
+/** Vault-relative path for an absolute file path (null when there is none). */
+export function relativePath(filePath, config) {
+  if (!filePath) return null;
+  return config.vaultDir
+    ? filePath.replace(config.vaultDir + "/", "")
+    : filePath;
+}
+
+/** Structured form of a vault row (or captured entry) matching `entrySummary`. */
+export function toEntrySummary(r, config) {
+  const tags = Array.isArray(r.tags)
+    ? r.tags
+    : r.tags
+      ? JSON.parse(r.tags)
+      : [];
+  return {
+    id: r.id,
+    title: r.title || null,
+    kind: r.kind,
+    category: r.category,
+    tags,
+    file_path: relativePath(r.file_path ?? r.filePath, config),
+    created_at: r.created_at ?? r.createdAt,
+    updated_at: r.updated_at ?? r.updatedAt ?? r.created_at ?? r.createdAt,
+  };
+}
+
+/** Structured form of a getRelated() link matching `linkSchema`. */
+export function toLink(l) {
+  return {
+    id: l.id,
+    rel: l.rel,
+    direction: l.direction,
+    title: l.title || null,
+    kind: l.kind ?? null,
+    category: l.category ?? null,
+    missing: !!l.missing,
+  };
+}
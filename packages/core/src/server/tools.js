@@ -1,27 +1,59 @@
+import { z } from "zod";
 import { reindex } from "../index/index.js";
 import { err } from "./helpers.js";
 
 import * as getContext from "./tools/get-context.js";
+import * as getBriefing from "./tools/get-briefing.js";
+import * as readContext from "./tools/read-context.js";
 import * as saveContext from "./tools/save-context.js";
 import * as listContext from "./tools/list-context.js";
+import * as listTags from "./tools/list-tags.js";
 import * as deleteContext from "./tools/delete-context.js";
 import * as submitFeedback from "./tools/submit-feedback.js";
 import * as ingestUrl from "./tools/ingest-url.js";
 import * as contextStatus from "./tools/context-status.js";
+import * as linkContext from "./tools/link-context.js";
+import * as getRelated from "./tools/get-related.js";
+import * as getHistory from "./tools/get-history.js";
+import * as restoreContext from "./tools/restore-context.js";
 
-const toolModules = [
+export const toolModules = [
   getContext,
+  getBriefing,
+  readContext,
   saveContext,
   listContext,
+  listTags,
   deleteContext,
   submitFeedback,
   ingestUrl,
   contextStatus,
+  linkContext,
+  getRelated,
+  getHistory,
+  restoreContext,
 ];
 
 const TOOL_TIMEOUT_MS = 60_000;
 
-export function registerTools(server, ctx) {
+/** Tools whose success changes the set of entries (drives resource list_changed). */
+const WRITE_TOOLS = new Set([
+  saveContext.name,
+  deleteContext.name,
+  ingestUrl.name,
+  restoreContext.name,
+]);
+
+/**
+ * Shared plumbing for calling tool handlers outside of an MCP server (and
+ * inside one): one lazy startup reindex per ctx, in-flight op tracking and the
+ * per-call timeout. Listeners registered with onChange() fire after a write
+ * tool succeeds or when the caller reports an out-of-band change (e.g. the
+ * file watcher) through notifyChanged().
+ *
+ * @returns {{ shared: import('./types.js').ToolShared, run: (mod: object, args: object) => Promise<object>, onChange: (listener: () => void) => () => void, notifyChanged: () => void }}
+ */
+export function createToolRunner(ctx) {
   const userId = ctx.userId !== undefined ? ctx.userId : undefined;
 
   function tracked(handler) {
@@ -105,12 +137,60 @@ export function registerTools(server, ctx) {
     },
   };
 
+  const listeners = new Set();
+
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function notifyChanged() {
+    for (const listener of listeners) {
+      try {
+        listener();
+      } catch (e) {
+        console.error(`[context-vault] Change listener failed: ${e.message}`);
+      }
+    }
+  }
+
+  async function run(mod, args) {
+    const result = await tracked(() => mod.handler(args, ctx, shared))();
+    // A save turned away as a duplicate is not an error but wrote nothing
+    const wrote =
+      !result?.isError && result?.structuredContent?.action !== "duplicate";
+    if (WRITE_TOOLS.has(mod.name) && wrote) notifyChanged();
+    return result;
+  }
+
+  return { shared, run, onChange, notifyChanged };
+}
+
+/**
+ * Validate arguments against a tool's inputSchema the way the MCP SDK does,
+ * for callers that invoke handlers directly (e.g. the HTTP API).
+ */
+export function parseToolArgs(mod, args) {
+  return z.object(mod.inputSchema).safeParse(args ?? {});
+}
+
+/**
+ * Register every tool module on an MCP server. Servers that share a ctx (one
+ * per session in the HTTP daemon) pass a shared runner so the startup reindex
+ * happens once.
+ */
+export function registerTools(server, ctx, runner = createToolRunner(ctx)) {
+  const { run } = runner;
+
   for (const mod of toolModules) {
-    server.tool(
+    server.registerTool(
       mod.name,
-      mod.description,
-      mod.inputSchema,
-      tracked((args) => mod.handler(args, ctx, shared)),
+      {
+        description: mod.description,
+        inputSchema: mod.inputSchema,
+        outputSchema: mod.outputSchema,
+      },
+      (args) => run(mod, args),
     );
   }
 }
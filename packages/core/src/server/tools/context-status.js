@@ -1,4 +1,6 @@
+import { z } from "zod";
 import { gatherVaultStatus } from "../../core/status.js";
+import { SCHEMA_VERSION } from "../../index/db.js";
 import { ok } from "../helpers.js";
 
 export const name = "context_status";
@@ -8,6 +10,33 @@ export const description =
 
 export const inputSchema = {};
 
+export const outputSchema = {
+  healthy: z.boolean(),
+  vault_dir: z.string(),
+  vault_exists: z.boolean(),
+  file_count: z.number(),
+  db_path: z.string(),
+  db_size_bytes: z.number(),
+  schema_version: z.number(),
+  embeddings: z
+    .object({
+      indexed: z.number(),
+      total: z.number(),
+      missing: z.number(),
+      model: z.string().nullable(),
+      dimensions: z.number().nullable(),
+      model_changed: z.boolean(),
+    })
+    .nullable(),
+  embed_model_available: z.boolean().nullable(),
+  event_decay_days: z.number(),
+  expired_count: z.number(),
+  kinds: z.array(z.object({ kind: z.string(), count: z.number() })),
+  categories: z.array(z.object({ category: z.string(), count: z.number() })),
+  stale_paths: z.number(),
+  suggested_actions: z.array(z.string()),
+};
+
 /**
  * @param {object} _args
  * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
@@ -18,7 +47,10 @@ export function handler(_args, ctx) {
 
   const status = gatherVaultStatus(ctx, { userId });
 
-  const hasIssues = status.stalePaths || status.embeddingStatus?.missing > 0;
+  const hasIssues =
+    status.stalePaths ||
+    status.embeddingStatus?.missing > 0 ||
+    status.embeddingStatus?.modelChanged;
   const healthIcon = hasIssues ? "⚠" : "✓";
 
   const lines = [
@@ -30,13 +62,16 @@ export function handler(_args, ctx) {
     `Data dir:  ${config.dataDir}`,
     `Config:    ${config.configPath}`,
     `Resolved via: ${status.resolvedFrom}`,
-    `Schema:    v7 (teams)`,
+    `Schema:    v${SCHEMA_VERSION}`,
   ];
 
   if (status.embeddingStatus) {
     const { indexed, total, missing } = status.embeddingStatus;
     const pct = total > 0 ? Math.round((indexed / total) * 100) : 100;
     lines.push(`Embeddings: ${indexed}/${total} (${pct}%)`);
+    lines.push(
+      `Embed space: ${status.embeddingStatus.model} (${status.embeddingStatus.dimensions}d)`,
+    );
   }
   if (status.embedModelAvailable === false) {
     lines.push(
@@ -87,6 +122,10 @@ export function handler(_args, ctx) {
   const actions = [];
   if (status.stalePaths)
     actions.push("- Run `context-vault reindex` to fix stale paths");
+  if (status.embeddingStatus?.modelChanged)
+    actions.push(
+      "- Embedding model changed — run `context-vault reindex` to re-embed all entries",
+    );
   if (status.embeddingStatus?.missing > 0)
     actions.push(
       "- Run `context-vault reindex` to generate missing embeddings",
@@ -100,5 +139,34 @@ export function handler(_args, ctx) {
     lines.push("", "### Suggested Actions", ...actions);
   }
 
-  return ok(lines.join("\n"));
+  const emb = status.embeddingStatus;
+  return ok(lines.join("\n"), {
+    healthy: !hasIssues,
+    vault_dir: config.vaultDir,
+    vault_exists: !!config.vaultDirExists,
+    file_count: status.fileCount,
+    db_path: config.dbPath,
+    db_size_bytes: status.dbSizeBytes,
+    schema_version: SCHEMA_VERSION,
+    embeddings: emb
+      ? {
+          indexed: emb.indexed,
+          total: emb.total,
+          missing: emb.missing,
+          model: emb.model ?? null,
+          dimensions: emb.dimensions ?? null,
+          model_changed: !!emb.modelChanged,
+        }
+      : null,
+    embed_model_available: status.embedModelAvailable ?? null,
+    event_decay_days: config.eventDecayDays || 30,
+    expired_count: status.expiredCount,
+    kinds: status.kindCounts.map(({ kind, c }) => ({ kind, count: c })),
+    categories: status.categoryCounts.map(({ category, c }) => ({
+      category,
+      count: c,
+    })),
+    stale_paths: status.stalePaths ? status.staleCount : 0,
+    suggested_actions: actions.map((a) => a.replace(/^- /, "")),
+  });
 }
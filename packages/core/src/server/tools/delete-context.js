@@ -1,6 +1,7 @@
 import { z } from "zod";
 import { unlinkSync } from "node:fs";
 import { ok, err } from "../helpers.js";
+import { entryRef } from "../schemas.js";
 
 export const name = "delete_context";
 
@@ -11,6 +12,14 @@ export const inputSchema = {
   id: z.string().describe("The entry ULID to delete"),
 };
 
+export const outputSchema = {
+  ...entryRef,
+  warning: z
+    .string()
+    .nullable()
+    .describe("Set when the file could not be removed from disk"),
+};
+
 /**
  * @param {object} args
  * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
@@ -56,5 +65,11 @@ export async function handler({ id }, ctx, { ensureIndexed }) {
   ctx.stmts.deleteEntry.run(id);
 
   const msg = `Deleted ${entry.kind}: ${entry.title || "(untitled)"} [${id}]`;
-  return ok(fileWarning ? `${msg}\nWarning: ${fileWarning}` : msg);
+  return ok(fileWarning ? `${msg}\nWarning: ${fileWarning}` : msg, {
+    id,
+    title: entry.title || null,
+    kind: entry.kind,
+    category: entry.category,
+    warning: fileWarning,
+  });
 }
@@ -0,0 +1,281 @@
+import { z } from "zod";
+import { basename } from "node:path";
+import { hybridSearch } from "../../retrieve/index.js";
+import { ok, err, estimateTokens } from "../helpers.js";
+import { entrySummary, toEntrySummary } from "../schemas.js";
+
+export const name = "get_briefing";
+
+const DEFAULT_MAX_TOKENS = 1500;
+const SNIPPET_CHARS = 200;
+const CLOSED_TASK_STATUSES = new Set([
+  "done",
+  "closed",
+  "completed",
+  "cancelled",
+  "canceled",
+  "resolved",
+]);
+
+export const description =
+  "Start-of-session briefing for a project: the `project` entity, recent decisions and insights about it, open tasks and recent sessions, compacted to a token budget. Pass the project name or the current working directory. Call this once at the beginning of a session instead of several get_context queries.";
+
+export const inputSchema = {
+  project: z
+    .string()
+    .optional()
+    .describe("Project name (matches the project entity and entry tags)"),
+  cwd: z
+    .string()
+    .optional()
+    .describe(
+      "Working directory; its folder name is used when project is omitted",
+    ),
+  max_tokens: z
+    .number()
+    .optional()
+    .describe(
+      `Approximate size limit for the briefing (default ${DEFAULT_MAX_TOKENS})`,
+    ),
+};
+
+export const outputSchema = {
+  project: z.string(),
+  entity: z.object(entrySummary).nullable(),
+  sections: z.array(
+    z.object({
+      heading: z.string(),
+      kind: z.string(),
+      entries: z.array(
+        z.object({
+          ...entrySummary,
+          status: z.string().nullable(),
+          snippet: z.string().nullable(),
+        }),
+      ),
+    }),
+  ),
+  omitted: z.number().describe("Entries left out to fit max_tokens"),
+  tokens: z.number().describe("Estimated size of the briefing"),
+};
+
+/**
+ * Sections in priority order: when the budget runs out, later sections lose
+ * entries first. Knowledge kinds match regardless of age, open tasks ignore
+ * the event window (they matter until closed), and sessions only count within
+ * eventDecayDays.
+ */
+const SECTIONS = [
+  { heading: "Recent decisions", kind: "decision", limit: 5 },
+  { heading: "Open tasks", kind: "task", limit: 8, openOnly: true },
+  { heading: "Insights", kind: "insight", limit: 5 },
+  { heading: "Recent sessions", kind: "session", limit: 3, windowed: true },
+];
+
+const slugify = (s) =>
+  s
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+const parseTags = (r) => (r.tags ? JSON.parse(r.tags) : []);
+
+function parseMeta(r) {
+  try {
+    return r.meta ? JSON.parse(r.meta) : {};
+  } catch {
+    return {};
+  }
+}
+
+function snippet(body, max = SNIPPET_CHARS) {
+  const flat = (body || "").replace(/\s+/g, " ").trim();
+  return flat.length > max ? flat.slice(0, max) + "…" : flat;
+}
+
+function findProjectEntity(ctx, names, userId) {
+  const owner = userId !== undefined ? userId : null;
+  for (const key of names) {
+    const match = ctx.stmts.getByIdentityKey.get("project", key, owner);
+    if (match) return match;
+  }
+  const params = [...names, ...names];
+  const userClause = userId !== undefined ? "AND user_id = ?" : "";
+  if (userId !== undefined) params.push(userId);
+  return ctx.db
+    .prepare(
+      `SELECT * FROM vault WHERE kind = 'project'
+         AND (LOWER(identity_key) IN (${names.map(() => "?").join(", ")})
+           OR LOWER(title) IN (${names.map(() => "?").join(", ")}))
+         ${userClause}
+       ORDER BY created_at DESC LIMIT 1`,
+    )
+    .get(...params);
+}
+
+/**
+ * Entries of one kind that belong to the project: tagged with one of its names
+ * (newest first), then search hits that actually mention it.
+ */
+async function gatherSection(ctx, section, { names, query, userId, since }) {
+  const clauses = [
+    "kind = ?",
+    "(expires_at IS NULL OR expires_at > datetime('now'))",
+  ];
+  const params = [section.kind];
+  if (userId !== undefined) {
+    clauses.push("user_id = ?");
+    params.push(userId);
+  }
+  if (since) {
+    clauses.push("created_at >= ?");
+    params.push(since);
+  }
+  // Project tags match case-insensitively
+  clauses.push(
+    `EXISTS (SELECT 1 FROM vault_tags t WHERE t.entry_id = vault.id AND LOWER(t.tag) IN (${names.map(() => "?").join(", ")}))`,
+  );
+  params.push(...names);
+  // Room for closed tasks, which are dropped below
+  const fetchLimit = section.openOnly ? section.limit * 10 : section.limit;
+  const tagged = ctx.db
+    .prepare(
+      `SELECT * FROM vault WHERE ${clauses.join(" AND ")} ORDER BY created_at DESC LIMIT ?`,
+    )
+    .all(...params, fetchLimit);
+
+  const mentions = (r) => {
+    const haystack =
+      `${r.title || ""} ${r.body || ""} ${parseTags(r).join(" ")}`.toLowerCase();
+    return names.some((n) => haystack.includes(n));
+  };
+  const found = (
+    await hybridSearch(ctx, query, {
+      kindFilter: section.kind,
+      since,
+      limit: section.limit * 2,
+      decayDays: ctx.config.eventDecayDays || 30,
+      userIdFilter: userId,
+    })
+  ).filter(mentions);
+
+  const seen = new Set();
+  const isOpen = (r) =>
+    !CLOSED_TASK_STATUSES.has(String(parseMeta(r).status ?? "").toLowerCase());
+  return [...tagged, ...found]
+    .filter((r) => !seen.has(r.id) && seen.add(r.id))
+    .filter((r) => !section.openOnly || isOpen(r))
+    .slice(0, section.limit);
+}
+
+/**
+ * @param {object} args
+ * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
+ * @param {import('../types.js').ToolShared} shared
+ */
+export async function handler(
+  { project, cwd, max_tokens },
+  ctx,
+  { ensureIndexed, reindexFailed },
+) {
+  const { config } = ctx;
+  const userId = ctx.userId !== undefined ? ctx.userId : undefined;
+
+  const projectName = project?.trim() || (cwd?.trim() ? basename(cwd) : "");
+  if (!projectName)
+    return err("Required: project or cwd (non-empty string)", "INVALID_INPUT");
+  if (max_tokens !== undefined && max_tokens < 100)
+    return err("max_tokens must be at least 100", "INVALID_INPUT");
+  await ensureIndexed();
+
+  const budget = max_tokens || DEFAULT_MAX_TOKENS;
+  const names = [...new Set([projectName.toLowerCase(), slugify(projectName)])];
+  const entity = findProjectEntity(ctx, names, userId);
+  if (entity?.identity_key) names.push(entity.identity_key.toLowerCase());
+
+  const windowSince = new Date(
+    Date.now() - (config.eventDecayDays || 30) * 86400000,
+  ).toISOString();
+  const sections = [];
+  for (const section of SECTIONS) {
+    const entries = await gatherSection(ctx, section, {
+      names,
+      query: projectName,
+      userId,
+      since: section.windowed ? windowSince : null,
+    });
+    if (entries.length) sections.push({ ...section, entries });
+  }
+
+  const data = {
+    project: projectName,
+    entity: entity ? toEntrySummary(entity, config) : null,
+    sections: [],
+    omitted: 0,
+    tokens: 0,
+  };
+  if (!entity && !sections.length)
+    return ok(
+      `No vault entries found for project "${projectName}". Save a \`project\` entity with identity_key "${slugify(projectName)}" and tag related entries with it to build up a briefing.`,
+      data,
+    );
+
+  const lines = [];
+  let used = 0;
+  let omitted = 0;
+  const push = (text) => {
+    const cost = estimateTokens(text) + 1;
+    if (used + cost > budget) return false;
+    lines.push(text);
+    used += cost;
+    return true;
+  };
+
+  if (reindexFailed)
+    push(
+      `> **Warning:** Auto-reindex failed. Results may be stale. Run \`context-vault reindex\` to fix.\n`,
+    );
+  push(`## Briefing: ${entity?.title || projectName}\n`);
+  if (entity) {
+    push(`### Project · id: \`${entity.id}\``);
+    push(snippet(entity.body, SNIPPET_CHARS * 3) + "\n");
+  }
+
+  for (const section of sections) {
+    if (!push(`### ${section.heading}`)) {
+      omitted += section.entries.length;
+      continue;
+    }
+    const shown = { heading: section.heading, kind: section.kind, entries: [] };
+    for (const r of section.entries) {
+      const status = section.openOnly ? parseMeta(r).status : null;
+      const head = `- **${r.title || "(untitled)"}**${status ? ` (${status})` : ""} · ${r.created_at.slice(0, 10)} · \`${r.id}\``;
+      const body = snippet(r.body);
+      // Drop the snippet before dropping the entry
+      let shownBody = body || null;
+      if (!push(body ? `${head}\n  ${body}` : head)) {
+        shownBody = null;
+        if (!push(head)) {
+          omitted++;
+          continue;
+        }
+      }
+      shown.entries.push({
+        ...toEntrySummary(r, config),
+        status: status ? String(status) : null,
+        snippet: shownBody,
+      });
+    }
+    data.sections.push(shown);
+    lines.push("");
+  }
+
+  lines.push(
+    omitted
+      ? `_~${used} tokens · ${omitted} more ${omitted === 1 ? "entry" : "entries"} left out to fit max_tokens (${budget}); use get_context to dig deeper._`
+      : `_~${used} tokens._`,
+  );
+  data.omitted = omitted;
+  data.tokens = used;
+  return ok(lines.join("\n"), data);
+}
@@ -1,12 +1,36 @@
 import { z } from "zod";
-import { hybridSearch } from "../../retrieve/index.js";
+import {
+  hybridSearch,
+  getRelated,
+  resolveRanking,
+  buildFilterClauses,
+  hasTagFilter,
+  FUSION_MODES,
+} from "../../retrieve/index.js";
 import { categoryFor } from "../../core/categories.js";
 import { normalizeKind } from "../../core/files.js";
-import { ok, err } from "../helpers.js";
+import {
+  ok,
+  err,
+  formatLink,
+  formatExplain,
+  estimateTokens,
+} from "../helpers.js";
+import {
+  entrySummary,
+  linkSchema,
+  toEntrySummary,
+  toLink,
+} from "../schemas.js";
 import { isEmbedAvailable } from "../../index/embed.js";
 
 export const name = "get_context";
 
+const SNIPPET_CHARS = 300;
+const MIN_MAX_TOKENS = 50;
+// Budget kept back per remaining result so lower-ranked hits at least get a heading
+const HEADING_TOKENS = 40;
+
 export const description =
   "Search your knowledge vault. Returns entries ranked by relevance using hybrid full-text + semantic search. Use this to find insights, decisions, patterns, or any saved context. Each result includes an `id` you can use with save_context or delete_context.";
 
@@ -33,6 +57,14 @@ export const inputSchema = {
     .array(z.string())
     .optional()
     .describe("Filter by tags (entries must match at least one)"),
+  tags_all: z
+    .array(z.string())
+    .optional()
+    .describe("Only entries carrying every one of these tags"),
+  tags_none: z
+    .array(z.string())
+    .optional()
+    .describe("Exclude entries carrying any of these tags"),
   since: z
     .string()
     .optional()
@@ -41,16 +73,109 @@ export const inputSchema = {
     .string()
     .optional()
     .describe("ISO date, return entries created before this"),
+  since_updated: z
+    .string()
+    .optional()
+    .describe(
+      "ISO date, return entries changed after this (e.g. 'what changed this week')",
+    ),
   limit: z.number().optional().describe("Max results to return (default 10)"),
+  expand_related: z
+    .boolean()
+    .optional()
+    .describe(
+      "Include one hop of linked entries (supersedes, derived_from, relates_to) under each result",
+    ),
+  fusion: z
+    .enum(FUSION_MODES)
+    .optional()
+    .describe(
+      "How keyword and semantic results are combined: 'weighted' (score blend) or 'rrf' (reciprocal rank fusion). Defaults to config.json ranking.fusion.",
+    ),
+  fts_weight: z
+    .number()
+    .min(0)
+    .max(1)
+    .optional()
+    .describe("Weight of full-text (keyword) matches for this query"),
+  vec_weight: z
+    .number()
+    .min(0)
+    .max(1)
+    .optional()
+    .describe("Weight of semantic (vector) matches for this query"),
+  explain: z
+    .boolean()
+    .optional()
+    .describe(
+      "Show why each result ranked where it did: FTS rank, vector distance, fused score, recency boost, and the filters applied",
+    ),
+  max_tokens: z
+    .number()
+    .int()
+    .min(MIN_MAX_TOKENS)
+    .optional()
+    .describe(
+      "Approximate size budget for the response. Top hits get their full body, lower-ranked ones are shortened or left out to fit. Use read_context for any entry you need in full.",
+    ),
+  full: z
+    .boolean()
+    .optional()
+    .describe(
+      `Return complete bodies instead of ${SNIPPET_CHARS}-character previews (still bounded by max_tokens if set)`,
+    ),
+};
+
+export const outputSchema = {
+  query: z.string().nullable(),
+  results: z.array(
+    z.object({
+      ...entrySummary,
+      score: z.number(),
+      body: z
+        .string()
+        .nullable()
+        .describe("Body as shown: full, a preview, or null when left out"),
+      truncated: z.boolean(),
+      explain: z.record(z.string(), z.any()).optional(),
+      related: z.array(linkSchema).optional(),
+    }),
+  ),
+  omitted: z.number().describe("Results left out to fit max_tokens"),
+  since: z
+    .string()
+    .nullable()
+    .describe("Effective lower date bound (includes the auto event window)"),
 };
 
+const MAX_EXPANDED_LINKS = 5;
+
 /**
  * @param {object} args
  * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
  * @param {import('../types.js').ToolShared} shared
  */
 export async function handler(
-  { query, kind, category, identity_key, tags, since, until, limit },
+  {
+    query,
+    kind,
+    category,
+    identity_key,
+    tags,
+    tags_all,
+    tags_none,
+    since,
+    until,
+    since_updated,
+    limit,
+    expand_related,
+    fusion,
+    fts_weight,
+    vec_weight,
+    explain,
+    max_tokens,
+    full,
+  },
   ctx,
   { ensureIndexed, reindexFailed },
 ) {
@@ -58,11 +183,18 @@ export async function handler(
   const userId = ctx.userId !== undefined ? ctx.userId : undefined;
 
   const hasQuery = query?.trim();
+  const tagFilter = { any: tags, all: tags_all, none: tags_none };
   const hasFilters =
-    kind || category || tags?.length || since || until || identity_key;
+    kind ||
+    category ||
+    hasTagFilter(tagFilter) ||
+    since ||
+    until ||
+    since_updated ||
+    identity_key;
   if (!hasQuery && !hasFilters)
     return err(
-      "Required: query or at least one filter (kind, category, tags, since, until, identity_key)",
+      "Required: query or at least one filter (kind, category, tags, tags_all, tags_none, since, until, since_updated, identity_key)",
       "INVALID_INPUT",
     );
   await ensureIndexed();
@@ -85,13 +217,39 @@ export async function handler(
         match.file_path && config.vaultDir
           ? match.file_path.replace(config.vaultDir + "/", "")
           : match.file_path || "n/a";
-      const lines = [
-        `## Entity Match (exact)\n`,
+      const lines = [`## Entity Match (exact)\n`];
+      const head = [
         `### ${match.title || "(untitled)"} [${match.kind}/${match.category}]`,
         `1.000 · ${tagStr} · ${relPath} · id: \`${match.id}\``,
-        match.body?.slice(0, 300) + (match.body?.length > 300 ? "..." : ""),
       ];
-      return ok(lines.join("\n"));
+      const links = expand_related ? related(ctx, match.id, userId) : null;
+      const tail = links ? relatedLines(links) : [];
+      let body = full ? match.body : preview(match.body);
+      if (!max_tokens) {
+        lines.push(...head, body, ...tail);
+      } else {
+        // Same budget variants as ranked results; the heading always shows
+        const fitted = fitResult(
+          { head, tail, body: match.body, short: preview(match.body) },
+          max_tokens - estimateTokens(lines.join("\n")),
+        ) || { block: head, body: null, shortened: true };
+        body = fitted.body;
+        lines.push(...fitted.block);
+        if (fitted.shortened) {
+          lines.push(
+            "",
+            `_Fit to max_tokens (${max_tokens}): body shortened. Use read_context with the id for the full entry._`,
+          );
+        }
+      }
+      return ok(lines.join("\n"), {
+        query: query || null,
+        results: [
+          resultData(match, config, { score: 1, body, explain: null, links }),
+        ],
+        omitted: 0,
+        since: null,
+      });
     }
     // Fall through to semantic search as fallback
   }
@@ -102,18 +260,19 @@ export async function handler(
   let effectiveSince = since || null;
   let effectiveUntil = until || null;
   let autoWindowed = false;
-  if (effectiveCategory === "event" && !since && !until) {
+  if (effectiveCategory === "event" && !since && !until && !since_updated) {
     const decayMs = (config.eventDecayDays || 30) * 86400000;
     effectiveSince = new Date(Date.now() - decayMs).toISOString();
     autoWindowed = true;
   }
 
   const effectiveLimit = limit || 10;
-  // When tag-filtering, over-fetch to compensate for post-filter reduction
-  const MAX_FETCH_LIMIT = 500;
-  const fetchLimit = tags?.length
-    ? Math.min(effectiveLimit * 10, MAX_FETCH_LIMIT)
-    : effectiveLimit;
+
+  const ranking = resolveRanking(config.ranking, {
+    fusion,
+    ftsWeight: fts_weight,
+    vecWeight: vec_weight,
+  });
 
   let filtered;
   if (hasQuery) {
@@ -121,72 +280,54 @@ export async function handler(
     const sorted = await hybridSearch(ctx, query, {
       kindFilter,
       categoryFilter: category || null,
+      tagFilter,
       since: effectiveSince,
       until: effectiveUntil,
-      limit: fetchLimit,
+      sinceUpdated: since_updated || null,
+      limit: effectiveLimit,
       decayDays: config.eventDecayDays || 30,
       userIdFilter: userId,
+      ranking,
+      explain,
     });
-
-    // Post-filter by tags if provided, then apply requested limit
-    filtered = tags?.length
-      ? sorted
-          .filter((r) => {
-            const entryTags = r.tags ? JSON.parse(r.tags) : [];
-            return tags.some((t) => entryTags.includes(t));
-          })
-          .slice(0, effectiveLimit)
-      : sorted;
+    filtered = sorted;
   } else {
     // Filter-only mode (no query, use SQL directly)
-    const clauses = [];
-    const params = [];
-    if (userId !== undefined) {
-      clauses.push("user_id = ?");
-      params.push(userId);
-    }
-    if (kindFilter) {
-      clauses.push("kind = ?");
-      params.push(kindFilter);
-    }
-    if (category) {
-      clauses.push("category = ?");
-      params.push(category);
-    }
-    if (effectiveSince) {
-      clauses.push("created_at >= ?");
-      params.push(effectiveSince);
-    }
-    if (effectiveUntil) {
-      clauses.push("created_at <= ?");
-      params.push(effectiveUntil);
-    }
-    clauses.push("(expires_at IS NULL OR expires_at > datetime('now'))");
-    const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
-    params.push(fetchLimit);
-    const rows = ctx.db
-      .prepare(`SELECT * FROM vault ${where} ORDER BY created_at DESC LIMIT ?`)
-      .all(...params);
-
-    // Post-filter by tags if provided, then apply requested limit
-    filtered = tags?.length
-      ? rows
-          .filter((r) => {
-            const entryTags = r.tags ? JSON.parse(r.tags) : [];
-            return tags.some((t) => entryTags.includes(t));
-          })
-          .slice(0, effectiveLimit)
-      : rows;
+    const { clauses, params } = buildFilterClauses({
+      kindFilter,
+      categoryFilter: category || null,
+      since: effectiveSince,
+      until: effectiveUntil,
+      sinceUpdated: since_updated || null,
+      userIdFilter: userId,
+      tagFilter,
+    });
+    // Asking what changed lists the most recent changes first
+    const orderBy = since_updated
+      ? "COALESCE(e.updated_at, e.created_at)"
+      : "e.created_at";
+    filtered = ctx.db
+      .prepare(
+        `SELECT e.* FROM vault e WHERE ${clauses.join(" AND ")} ORDER BY ${orderBy} DESC LIMIT ?`,
+      )
+      .all(...params, effectiveLimit);
 
     // Add score field for consistent output
     for (const r of filtered) r.score = 0;
   }
 
+  const data = {
+    query: hasQuery ? query : null,
+    results: [],
+    omitted: 0,
+    since: effectiveSince,
+  };
   if (!filtered.length)
     return ok(
       hasQuery
         ? "No results found for: " + query
         : "No entries found matching the given filters.",
+      data,
     );
 
   // Decrypt encrypted entries if ctx.decrypt is available
@@ -212,6 +353,33 @@ export async function handler(
     );
   const heading = hasQuery ? `Results for "${query}"` : "Filtered entries";
   lines.push(`## ${heading} (${filtered.length} matches)\n`);
+  if (explain) {
+    const filters = [];
+    if (kindFilter) filters.push(`kind=${kindFilter}`);
+    if (category) filters.push(`category=${category}`);
+    if (effectiveSince)
+      filters.push(
+        `since=${effectiveSince}${autoWindowed ? " (auto event window)" : ""}`,
+      );
+    if (effectiveUntil) filters.push(`until=${effectiveUntil}`);
+    if (since_updated) filters.push(`updated since ${since_updated}`);
+    if (tags?.length) filters.push(`tags any of [${tags.join(", ")}]`);
+    if (tags_all?.length) filters.push(`tags all of [${tags_all.join(", ")}]`);
+    if (tags_none?.length)
+      filters.push(`tags none of [${tags_none.join(", ")}]`);
+    if (userId !== undefined) filters.push("scoped to user");
+    filters.push("expired excluded");
+    const mode = hasQuery
+      ? `${ranking.fusion} fusion (fts ${ranking.ftsWeight} / vector ${ranking.vecWeight}${ranking.fusion === "rrf" ? `, k=${ranking.rrfK}` : ""}) · semantic search ${isEmbedAvailable() === false ? "unavailable" : "on"}`
+      : "filter-only (newest first)";
+    lines.push(`> **Explain:** ${mode}`);
+    lines.push(`> **Filters:** ${filters.join(", ")}\n`);
+  }
+  let remaining = max_tokens
+    ? max_tokens - estimateTokens(lines.join("\n"))
+    : 0;
+  let shortened = 0;
+  let omitted = 0;
   for (let i = 0; i < filtered.length; i++) {
     const r = filtered[i];
     const entryTags = r.tags ? JSON.parse(r.tags) : [];
@@ -220,19 +388,107 @@ export async function handler(
       r.file_path && config.vaultDir
         ? r.file_path.replace(config.vaultDir + "/", "")
         : r.file_path || "n/a";
-    lines.push(
+    const head = [
       `### [${i + 1}/${filtered.length}] ${r.title || "(untitled)"} [${r.kind}/${r.category}]`,
+      `${r.score.toFixed(3)} · ${tagStr} · ${relPath} · id: \`${r.id}\``,
+    ];
+    if (r.explain) head.push(`_${formatExplain(r.explain)}_`);
+    const links = expand_related ? related(ctx, r.id, userId) : null;
+    const tail = links ? relatedLines(links) : [];
+    // Long entries matched by a chunk show that passage instead of the opening
+    const short = preview(
+      r.passage ? r.body?.slice(r.passage.start, r.passage.end) : r.body,
     );
+
+    let block;
+    let body;
+    if (!max_tokens) {
+      body = full ? r.body : short;
+      block = [...head, body, ...tail];
+    } else {
+      const fitted = fitResult(
+        { head, tail, body: r.body, short },
+        remaining,
+        (filtered.length - i - 1) * HEADING_TOKENS,
+      );
+      if (!fitted) {
+        omitted = filtered.length - i;
+        break;
+      }
+      ({ block, body } = fitted);
+      if (fitted.shortened) shortened++;
+      remaining -= fitted.cost;
+    }
+    lines.push(...block, "");
+    data.results.push(
+      resultData(r, config, {
+        score: r.score,
+        body,
+        explain: r.explain,
+        links,
+      }),
+    );
+  }
+  data.omitted = omitted;
+  if (shortened || omitted) {
     lines.push(
-      `${r.score.toFixed(3)} · ${tagStr} · ${relPath} · id: \`${r.id}\``,
+      `_Fit to max_tokens (${max_tokens}): ${shortened} shortened, ${omitted} omitted. Use read_context with an id for the full entry._`,
     );
-    lines.push(r.body?.slice(0, 300) + (r.body?.length > 300 ? "..." : ""));
-    lines.push("");
   }
   if (autoWindowed) {
     lines.push(
       `_Showing events from last ${config.eventDecayDays || 30} days. Use since/until for custom range._`,
     );
   }
-  return ok(lines.join("\n"));
+  return ok(lines.join("\n"), data);
+}
+
+/**
+ * Best rendering of one result that fits `remaining` tokens: full body,
+ * preview, then heading only. `reserve` is kept back for later results except
+ * when falling back to the heading. Returns null when not even that fits.
+ */
+function fitResult({ head, tail, body, short }, remaining, reserve = 0) {
+  const variants = [[...head, body, ...tail], [...head, short, ...tail], head];
+  const cost = (v) => estimateTokens(v.join("\n")) + 1;
+  const fits = variants.findIndex(
+    (v, n) => cost(v) <= remaining - (n < variants.length - 1 ? reserve : 0),
+  );
+  if (fits === -1) return null;
+  return {
+    block: variants[fits],
+    body: [body, short, null][fits],
+    cost: cost(variants[fits]),
+    shortened: fits === 2 || (fits === 1 && short !== body),
+  };
+}
+
+function resultData(r, config, { score, body, explain, links }) {
+  const item = {
+    ...toEntrySummary(r, config),
+    score,
+    body: body ?? null,
+    truncated: (body ?? null) !== (r.body ?? null),
+  };
+  if (explain) item.explain = explain;
+  if (links) item.related = links.map(toLink);
+  return item;
+}
+
+function preview(text) {
+  return (
+    text?.slice(0, SNIPPET_CHARS) + (text?.length > SNIPPET_CHARS ? "..." : "")
+  );
+}
+
+function related(ctx, id, userId) {
+  return getRelated(ctx, id, {
+    limit: MAX_EXPANDED_LINKS,
+    userIdFilter: userId,
+  });
+}
+
+function relatedLines(links) {
+  if (!links.length) return [];
+  return ["", "**Related:**", ...links.map(formatLink)];
 }
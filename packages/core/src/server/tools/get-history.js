@@ -0,0 +1,117 @@
+import { z } from "zod";
+import { readFileSync } from "node:fs";
+import {
+  listRevisions,
+  readRevision,
+  diffLines,
+} from "../../capture/history.js";
+import { ok, err } from "../helpers.js";
+import { entryRef } from "../schemas.js";
+
+export const name = "get_history";
+
+export const description =
+  "List previous revisions of a vault entry. Every update via save_context keeps the prior version. Pass `rev` to see a diff between that revision and the current content; use restore_context to roll back.";
+
+export const inputSchema = {
+  id: z.string().describe("Entry ULID"),
+  rev: z
+    .number()
+    .optional()
+    .describe("Revision number to diff against the current content"),
+};
+
+export const outputSchema = {
+  ...entryRef,
+  revisions: z.array(
+    z.object({
+      rev: z.number(),
+      saved_at: z.string(),
+      size: z.number(),
+      title: z.string().nullable(),
+    }),
+  ),
+  diff: z
+    .object({
+      rev: z.number(),
+      changed: z.boolean(),
+      lines: z.array(z.string()),
+    })
+    .optional()
+    .describe("Present when rev was passed: unified diff lines, rev → current"),
+};
+
+/**
+ * @param {object} args
+ * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
+ * @param {import('../types.js').ToolShared} shared
+ */
+export async function handler({ id, rev }, ctx, { ensureIndexed }) {
+  const { config } = ctx;
+  const userId = ctx.userId !== undefined ? ctx.userId : undefined;
+
+  if (!id?.trim())
+    return err("Required: id (non-empty string)", "INVALID_INPUT");
+  await ensureIndexed();
+
+  const entry = ctx.stmts.getEntryById.get(id);
+  // Ownership check: don't leak existence across users
+  if (!entry || (userId !== undefined && entry.user_id !== userId))
+    return err(`Entry not found: ${id}`, "NOT_FOUND");
+
+  const revisions = listRevisions(config.vaultDir, id, entry.kind);
+  const data = {
+    id,
+    title: entry.title || null,
+    kind: entry.kind,
+    category: entry.category,
+    revisions: revisions.map((r) => ({
+      rev: r.rev,
+      saved_at: r.savedAt,
+      size: r.size,
+      title: r.title || null,
+    })),
+  };
+
+  if (rev !== undefined && rev !== null) {
+    let oldText;
+    try {
+      oldText = readRevision(config.vaultDir, id, rev);
+    } catch (e) {
+      return err(e.message, "NOT_FOUND");
+    }
+    let current = "";
+    try {
+      current = readFileSync(entry.file_path, "utf-8");
+    } catch {}
+    const diff = diffLines(oldText, current);
+    const changed = diff.some((l) => l[0] !== " ");
+    const lines = [
+      `## Diff: rev ${rev} → current · ${entry.title || "(untitled)"} \`${id}\`\n`,
+    ];
+    lines.push(
+      changed ? "```diff\n" + diff.join("\n") + "\n```" : "No changes.",
+    );
+    return ok(lines.join("\n"), {
+      ...data,
+      diff: { rev, changed, lines: diff },
+    });
+  }
+
+  if (!revisions.length)
+    return ok(`No previous revisions for ${entry.kind} \`${id}\`.`, data);
+
+  const lines = [
+    `## History: ${entry.title || "(untitled)"} [${entry.kind}] (${revisions.length} revisions)\n`,
+  ];
+  for (const r of [...revisions].reverse()) {
+    lines.push(
+      `- rev ${r.rev} · ${r.savedAt} · ${r.size} bytes — ${r.title || "(untitled)"}`,
+    );
+  }
+  lines.push(
+    "",
+    "_Pass rev to get_history for a diff, or to restore_context to roll back._",
+  );
+  return ok(lines.join("\n"), data);
+}
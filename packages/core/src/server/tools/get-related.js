@@ -0,0 +1,78 @@
+import { z } from "zod";
+import { getRelated } from "../../retrieve/index.js";
+import { RELATION_TYPES } from "../../core/relations.js";
+import { ok, err, formatLink } from "../helpers.js";
+import { entryRef, linkSchema, toLink } from "../schemas.js";
+
+export const name = "get_related";
+
+export const description =
+  "List entries linked to a given entry — outgoing links (this entry supersedes / derives from / relates to X) and incoming links (X links to this entry). Links come from `related:` frontmatter, [[id]] wiki-links, and link_context.";
+
+export const inputSchema = {
+  id: z.string().describe("Entry ULID to get neighbours for"),
+  rel: z
+    .enum(RELATION_TYPES)
+    .optional()
+    .describe("Only return links of this relationship type"),
+  direction: z
+    .enum(["out", "in", "both"])
+    .optional()
+    .describe("Outgoing, incoming, or both (default: both)"),
+  limit: z.number().optional().describe("Max links to return (default 20)"),
+};
+
+export const outputSchema = {
+  ...entryRef,
+  links: z.array(linkSchema),
+};
+
+/**
+ * @param {object} args
+ * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
+ * @param {import('../types.js').ToolShared} shared
+ */
+export async function handler(
+  { id, rel, direction, limit },
+  ctx,
+  { ensureIndexed, reindexFailed },
+) {
+  const userId = ctx.userId !== undefined ? ctx.userId : undefined;
+
+  if (!id?.trim())
+    return err("Required: id (non-empty string)", "INVALID_INPUT");
+  await ensureIndexed();
+
+  const entry = ctx.stmts.getEntryById.get(id);
+  if (!entry || (userId !== undefined && entry.user_id !== userId))
+    return err(`Entry not found: ${id}`, "NOT_FOUND");
+
+  const links = getRelated(ctx, id, {
+    direction: direction || "both",
+    rel: rel || null,
+    limit: limit || 20,
+    userIdFilter: userId,
+  });
+
+  const lines = [];
+  if (reindexFailed)
+    lines.push(
+      `> **Warning:** Auto-reindex failed. Results may be stale. Run \`context-vault reindex\` to fix.\n`,
+    );
+  lines.push(
+    `## Related to: ${entry.title || "(untitled)"} [${entry.kind}/${entry.category}]\n`,
+  );
+  const data = {
+    id,
+    title: entry.title || null,
+    kind: entry.kind,
+    category: entry.category,
+    links: links.map(toLink),
+  };
+  if (!links.length) {
+    lines.push("No linked entries.");
+    return ok(lines.join("\n"), data);
+  }
+  for (const l of links) lines.push(formatLink(l));
+  return ok(lines.join("\n"), data);
+}
@@ -1,6 +1,7 @@
 import { z } from "zod";
 import { captureAndIndex } from "../../capture/index.js";
 import { ok, err, ensureVaultExists } from "../helpers.js";
+import { entrySummary, toEntrySummary } from "../schemas.js";
 import {
   MAX_KIND_LENGTH,
   MAX_TAG_LENGTH,
@@ -20,6 +21,12 @@ export const inputSchema = {
   tags: z.array(z.string()).optional().describe("Tags for the entry"),
 };
 
+export const outputSchema = {
+  ...entrySummary,
+  source: z.string(),
+  body_chars: z.number(),
+};
+
 /**
  * @param {object} args
  * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
@@ -92,7 +99,11 @@ export async function handler(
     if (entry.tags?.length) parts.push(`  tags: ${entry.tags.join(", ")}`);
     parts.push(`  body: ${entry.body?.length || 0} chars`);
     parts.push("", "_Use this id to update or delete later._");
-    return ok(parts.join("\n"));
+    return ok(parts.join("\n"), {
+      ...toEntrySummary(entry, config),
+      source: entry.source || targetUrl,
+      body_chars: entry.body?.length || 0,
+    });
   } catch (e) {
     return err(`Failed to ingest URL: ${e.message}`, "INGEST_FAILED");
   }
@@ -0,0 +1,140 @@
+import { z } from "zod";
+import { readFileSync } from "node:fs";
+import { updateEntryFile } from "../../capture/index.js";
+import { indexEntry } from "../../index/index.js";
+import { parseFrontmatter } from "../../core/frontmatter.js";
+import {
+  RELATION_TYPES,
+  DEFAULT_RELATION,
+  parseRelated,
+} from "../../core/relations.js";
+import { ok, err, ensureVaultExists } from "../helpers.js";
+
+export const name = "link_context";
+
+export const description =
+  "Link two vault entries with a typed relationship (relates_to, supersedes, derived_from). The link is written to the source entry's `related:` frontmatter, so it survives reindex. Pass `remove: true` to unlink.";
+
+export const inputSchema = {
+  id: z
+    .string()
+    .describe("Source entry ULID (the link is stored on this entry)"),
+  target_id: z.string().describe("Target entry ULID"),
+  rel: z
+    .enum(RELATION_TYPES)
+    .optional()
+    .describe(
+      "Relationship type (default: relates_to). 'supersedes' = source replaces target; 'derived_from' = source was motivated by target.",
+    ),
+  remove: z
+    .boolean()
+    .optional()
+    .describe("Remove the link instead of adding it"),
+};
+
+export const outputSchema = {
+  id: z.string(),
+  target_id: z.string(),
+  rel: z.enum(RELATION_TYPES),
+  action: z.enum(["linked", "unlinked", "unchanged"]),
+};
+
+/**
+ * @param {object} args
+ * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
+ * @param {import('../types.js').ToolShared} shared
+ */
+export async function handler(
+  { id, target_id, rel, remove },
+  ctx,
+  { ensureIndexed },
+) {
+  const { config } = ctx;
+  const userId = ctx.userId !== undefined ? ctx.userId : undefined;
+
+  const vaultErr = ensureVaultExists(config);
+  if (vaultErr) return vaultErr;
+
+  if (!id?.trim() || !target_id?.trim())
+    return err(
+      "Required: id and target_id (non-empty strings)",
+      "INVALID_INPUT",
+    );
+  if (id === target_id)
+    return err("An entry cannot be linked to itself", "INVALID_INPUT");
+
+  await ensureIndexed();
+
+  const source = ctx.stmts.getEntryById.get(id);
+  // Ownership check: don't leak existence across users
+  if (!source || (userId !== undefined && source.user_id !== userId))
+    return err(`Entry not found: ${id}`, "NOT_FOUND");
+
+  const target = ctx.stmts.getEntryById.get(target_id);
+  const targetVisible =
+    target && (userId === undefined || target.user_id === userId);
+  if (!remove && !targetVisible)
+    return err(`Entry not found: ${target_id}`, "NOT_FOUND");
+
+  if (!source.file_path)
+    return err(`Entry has no file on disk: ${id}`, "INVALID_UPDATE");
+
+  const effectiveRel = rel || DEFAULT_RELATION;
+  const { meta: fmMeta } = parseFrontmatter(
+    readFileSync(source.file_path, "utf-8"),
+  );
+  const current = parseRelated(fmMeta.related);
+  const exists = current.some(
+    (l) => l.id === target_id && l.rel === effectiveRel,
+  );
+
+  let next;
+  if (remove) {
+    if (!exists) {
+      const inBody = source.body?.includes(`[[${target_id}`);
+      return err(
+        inBody
+          ? `Link comes from a [[${target_id}]] wiki-link in the body — edit the body to remove it.`
+          : `No ${effectiveRel} link from ${id} to ${target_id}`,
+        "NOT_FOUND",
+      );
+    }
+    next = current.filter(
+      (l) => !(l.id === target_id && l.rel === effectiveRel),
+    );
+  } else {
+    if (exists)
+      return ok(`Already linked: ${id} —${effectiveRel}→ ${target_id}`, {
+        id,
+        target_id,
+        rel: effectiveRel,
+        action: "unchanged",
+      });
+    next = [...current, { id: target_id, rel: effectiveRel }];
+  }
+
+  // Decrypt existing entry before rewrite if encrypted
+  if (ctx.decrypt && source.body_encrypted) {
+    const decrypted = await ctx.decrypt(source);
+    source.body = decrypted.body;
+    if (decrypted.title) source.title = decrypted.title;
+    if (decrypted.meta) source.meta = JSON.stringify(decrypted.meta);
+  }
+
+  const entry = updateEntryFile(ctx, source, { related: next });
+  await indexEntry(ctx, entry);
+
+  const label = (e) => `${e.kind} "${e.title || "(untitled)"}"`;
+  const targetLabel = targetVisible ? label(target) : `\`${target_id}\``;
+  return ok(
+    remove
+      ? `✓ Unlinked ${label(source)} —${effectiveRel}→ ${targetLabel}`
+      : `✓ Linked ${label(source)} —${effectiveRel}→ ${targetLabel}`,
+    {
+      id,
+      target_id,
+      rel: effectiveRel,
+      action: remove ? "unlinked" : "linked",
+    },
+  );
+}
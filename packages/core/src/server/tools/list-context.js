@@ -1,11 +1,13 @@
 import { z } from "zod";
 import { normalizeKind } from "../../core/files.js";
+import { listEntries } from "../../retrieve/index.js";
 import { ok } from "../helpers.js";
+import { entrySummary, toEntrySummary } from "../schemas.js";
 
 export const name = "list_context";
 
 export const description =
-  "Browse vault entries without a search query. Returns id, title, kind, category, tags, created_at. Use get_context with a query for semantic search. Use this to browse by tags or find recent entries.";
+  "Browse vault entries without a search query. Returns id, title, kind, category, tags, created_at, updated_at. Use get_context with a query for semantic search. Use this to browse by tags or find recent entries, or sort by 'updated' to see what changed.";
 
 export const inputSchema = {
   kind: z
@@ -20,6 +22,14 @@ export const inputSchema = {
     .array(z.string())
     .optional()
     .describe("Filter by tags (entries must match at least one)"),
+  tags_all: z
+    .array(z.string())
+    .optional()
+    .describe("Only entries carrying every one of these tags"),
+  tags_none: z
+    .array(z.string())
+    .optional()
+    .describe("Exclude entries carrying any of these tags"),
   since: z
     .string()
     .optional()
@@ -28,6 +38,14 @@ export const inputSchema = {
     .string()
     .optional()
     .describe("ISO date, return entries created before this"),
+  since_updated: z
+    .string()
+    .optional()
+    .describe("ISO date, return entries changed after this"),
+  sort: z
+    .enum(["created", "updated"])
+    .optional()
+    .describe("Newest first by creation (default) or by last change"),
   limit: z
     .number()
     .optional()
@@ -35,13 +53,37 @@ export const inputSchema = {
   offset: z.number().optional().describe("Skip first N results for pagination"),
 };
 
+export const outputSchema = {
+  total: z.number().describe("Entries matching all filters"),
+  offset: z.number(),
+  limit: z.number(),
+  entries: z.array(
+    z.object({
+      ...entrySummary,
+      preview: z.string().nullable().describe("First 120 characters"),
+    }),
+  ),
+};
+
 /**
  * @param {object} args
  * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
  * @param {import('../types.js').ToolShared} shared
  */
 export async function handler(
-  { kind, category, tags, since, until, limit, offset },
+  {
+    kind,
+    category,
+    tags,
+    tags_all,
+    tags_none,
+    since,
+    until,
+    since_updated,
+    sort,
+    limit,
+    offset,
+  },
   ctx,
   { ensureIndexed, reindexFailed },
 ) {
@@ -50,61 +92,32 @@ export async function handler(
 
   await ensureIndexed();
 
-  const clauses = [];
-  const params = [];
-
-  if (userId !== undefined) {
-    clauses.push("user_id = ?");
-    params.push(userId);
-  }
-  if (kind) {
-    clauses.push("kind = ?");
-    params.push(normalizeKind(kind));
-  }
-  if (category) {
-    clauses.push("category = ?");
-    params.push(category);
-  }
-  if (since) {
-    clauses.push("created_at >= ?");
-    params.push(since);
-  }
-  if (until) {
-    clauses.push("created_at <= ?");
-    params.push(until);
-  }
-  clauses.push("(expires_at IS NULL OR expires_at > datetime('now'))");
-
-  const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
   const effectiveLimit = Math.min(limit || 20, 100);
   const effectiveOffset = offset || 0;
-  // When tag-filtering, over-fetch to compensate for post-filter reduction
-  const fetchLimit = tags?.length ? effectiveLimit * 10 : effectiveLimit;
-
-  const countParams = [...params];
-  const total = ctx.db
-    .prepare(`SELECT COUNT(*) as c FROM vault ${where}`)
-    .get(...countParams).c;
-
-  params.push(fetchLimit, effectiveOffset);
-  const rows = ctx.db
-    .prepare(
-      `SELECT id, title, kind, category, tags, created_at, SUBSTR(body, 1, 120) as preview FROM vault ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
-    )
-    .all(...params);
-
-  // Post-filter by tags if provided, then apply requested limit
-  const filtered = tags?.length
-    ? rows
-        .filter((r) => {
-          const entryTags = r.tags ? JSON.parse(r.tags) : [];
-          return tags.some((t) => entryTags.includes(t));
-        })
-        .slice(0, effectiveLimit)
-    : rows;
+  const { total, entries: filtered } = listEntries(ctx, {
+    kind: kind ? normalizeKind(kind) : null,
+    category,
+    tagFilter: { any: tags, all: tags_all, none: tags_none },
+    since,
+    until,
+    sinceUpdated: since_updated || null,
+    sort,
+    limit: effectiveLimit,
+    offset: effectiveOffset,
+    userIdFilter: userId,
+  });
 
+  const data = {
+    total,
+    offset: effectiveOffset,
+    limit: effectiveLimit,
+    entries: filtered.map((r) => ({
+      ...toEntrySummary(r, config),
+      preview: r.preview ?? null,
+    })),
+  };
   if (!filtered.length)
-    return ok("No entries found matching the given filters.");
+    return ok("No entries found matching the given filters.", data);
 
   const lines = [];
   if (reindexFailed)
@@ -115,8 +128,9 @@ export async function handler(
   for (const r of filtered) {
     const entryTags = r.tags ? JSON.parse(r.tags) : [];
     const tagStr = entryTags.length ? entryTags.join(", ") : "none";
+    const date = sort === "updated" ? `updated ${r.updated_at}` : r.created_at;
     lines.push(
-      `- **${r.title || "(untitled)"}** [${r.kind}/${r.category}] — ${tagStr} — ${r.created_at} — \`${r.id}\``,
+      `- **${r.title || "(untitled)"}** [${r.kind}/${r.category}] — ${tagStr} — ${date} — \`${r.id}\``,
     );
     if (r.preview)
       lines.push(
@@ -130,5 +144,5 @@ export async function handler(
     );
   }
 
-  return ok(lines.join("\n"));
+  return ok(lines.join("\n"), data);
 }
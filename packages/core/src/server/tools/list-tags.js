@@ -0,0 +1,61 @@
+import { z } from "zod";
+import { normalizeKind } from "../../core/files.js";
+import { listTags } from "../../capture/tags.js";
+import { ok } from "../helpers.js";
+
+export const name = "list_tags";
+
+export const description =
+  "List the tags in use across the vault with how many entries carry each, most used first. Check this before saving to reuse existing tags instead of inventing near-duplicates.";
+
+export const inputSchema = {
+  kind: z
+    .string()
+    .optional()
+    .describe("Only count entries of this kind (e.g. 'insight', 'decision')"),
+  limit: z
+    .number()
+    .optional()
+    .describe("Max tags to return (default 100, max 500)"),
+};
+
+export const outputSchema = {
+  total: z.number().describe("Distinct tags in use"),
+  tags: z.array(z.object({ tag: z.string(), count: z.number() })),
+};
+
+/**
+ * @param {object} args
+ * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
+ * @param {import('../types.js').ToolShared} shared
+ */
+export async function handler(
+  { kind, limit },
+  ctx,
+  { ensureIndexed, reindexFailed },
+) {
+  const userId = ctx.userId !== undefined ? ctx.userId : undefined;
+
+  await ensureIndexed();
+
+  const all = listTags(ctx, {
+    kind: kind ? normalizeKind(kind) : null,
+    userIdFilter: userId,
+  });
+  const tags = all.slice(0, Math.min(limit || 100, 500));
+  const data = { total: all.length, tags };
+  if (!tags.length)
+    return ok(
+      kind ? `No tags in use on ${kind} entries.` : "No tags in use yet.",
+      data,
+    );
+
+  const lines = [];
+  if (reindexFailed)
+    lines.push(
+      `> **Warning:** Auto-reindex failed. Results may be stale. Run \`context-vault reindex\` to fix.\n`,
+    );
+  lines.push(`## Tags (${tags.length} shown, ${all.length} total)\n`);
+  for (const t of tags) lines.push(`- ${t.tag} (${t.count})`);
+  return ok(lines.join("\n"), data);
+}
@@ -0,0 +1,73 @@
+import { z } from "zod";
+import { ok, err } from "../helpers.js";
+import { entrySummary, toEntrySummary } from "../schemas.js";
+
+export const name = "read_context";
+
+export const description =
+  "Fetch one vault entry in full by its ULID id — the complete body plus metadata. Use after get_context or get_briefing when a preview is not enough.";
+
+export const inputSchema = {
+  id: z.string().describe("The entry ULID to read"),
+};
+
+export const outputSchema = {
+  ...entrySummary,
+  body: z.string(),
+  meta: z.record(z.string(), z.any()),
+  identity_key: z.string().nullable(),
+  source: z.string().nullable(),
+  expires_at: z.string().nullable(),
+};
+
+/**
+ * @param {object} args
+ * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
+ * @param {import('../types.js').ToolShared} shared
+ */
+export async function handler({ id }, ctx, { ensureIndexed }) {
+  const { config } = ctx;
+  const userId = ctx.userId !== undefined ? ctx.userId : undefined;
+
+  if (!id?.trim())
+    return err("Required: id (non-empty string)", "INVALID_INPUT");
+  await ensureIndexed();
+
+  const entry = ctx.stmts.getEntryById.get(id);
+  // Ownership check: don't leak existence across users
+  if (!entry || (userId !== undefined && entry.user_id !== userId))
+    return err(`Entry not found: ${id}`, "NOT_FOUND");
+
+  if (ctx.decrypt && entry.body_encrypted) {
+    const decrypted = await ctx.decrypt(entry);
+    entry.body = decrypted.body;
+    if (decrypted.title) entry.title = decrypted.title;
+    if (decrypted.meta) entry.meta = JSON.stringify(decrypted.meta);
+  }
+
+  const summary = toEntrySummary(entry, config);
+  const details = [
+    `id: \`${entry.id}\``,
+    `tags: ${summary.tags.length ? summary.tags.join(", ") : "none"}`,
+    `created: ${entry.created_at}`,
+    summary.file_path || "n/a",
+  ];
+  if (entry.identity_key) details.push(`identity_key: ${entry.identity_key}`);
+  if (entry.source) details.push(`source: ${entry.source}`);
+  if (entry.expires_at) details.push(`expires: ${entry.expires_at}`);
+
+  const lines = [
+    `## ${entry.title || "(untitled)"} [${entry.kind}/${entry.category}]`,
+    details.join(" · "),
+  ];
+  if (entry.meta && entry.meta !== "{}") lines.push(`meta: ${entry.meta}`);
+  lines.push("", entry.body ?? "");
+  return ok(lines.join("\n"), {
+    ...summary,
+    body: entry.body ?? "",
+    meta: entry.meta ? JSON.parse(entry.meta) : {},
+    identity_key: entry.identity_key || null,
+    source: entry.source || null,
+    expires_at: entry.expires_at || null,
+  });
+}
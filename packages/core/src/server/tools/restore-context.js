@@ -0,0 +1,66 @@
+import { z } from "zod";
+import { restoreRevision } from "../../capture/history.js";
+import { indexEntry } from "../../index/index.js";
+import { ok, err, ensureVaultExists } from "../helpers.js";
+import { entrySummary, toEntrySummary } from "../schemas.js";
+
+export const name = "restore_context";
+
+export const description =
+  "Roll a vault entry back to a previous revision (see get_history). The current content is kept as a new revision, so a restore can be undone.";
+
+export const inputSchema = {
+  id: z.string().describe("Entry ULID"),
+  rev: z.number().describe("Revision number to restore"),
+};
+
+export const outputSchema = {
+  ...entrySummary,
+  rev: z.number(),
+  snapshot_rev: z
+    .number()
+    .nullable()
+    .describe("Revision holding the content that was replaced"),
+};
+
+/**
+ * @param {object} args
+ * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
+ * @param {import('../types.js').ToolShared} shared
+ */
+export async function handler({ id, rev }, ctx, { ensureIndexed }) {
+  const { config } = ctx;
+  const userId = ctx.userId !== undefined ? ctx.userId : undefined;
+
+  const vaultErr = ensureVaultExists(config);
+  if (vaultErr) return vaultErr;
+
+  if (!id?.trim())
+    return err("Required: id (non-empty string)", "INVALID_INPUT");
+  if (!Number.isInteger(rev) || rev < 1)
+    return err("Required: rev (positive integer)", "INVALID_INPUT");
+  await ensureIndexed();
+
+  const existing = ctx.stmts.getEntryById.get(id);
+  // Ownership check: don't leak existence across users
+  if (!existing || (userId !== undefined && existing.user_id !== userId))
+    return err(`Entry not found: ${id}`, "NOT_FOUND");
+
+  let restored;
+  try {
+    restored = restoreRevision(ctx, existing, rev);
+  } catch (e) {
+    return err(e.message, "NOT_FOUND");
+  }
+  await indexEntry(ctx, restored.entry);
+
+  const parts = [`✓ Restored ${existing.kind} to rev ${rev}`, `  id: ${id}`];
+  if (restored.entry.title) parts.push(`  title: ${restored.entry.title}`);
+  if (restored.snapshotRev)
+    parts.push(`  previous content saved as rev ${restored.snapshotRev}`);
+  return ok(parts.join("\n"), {
+    ...toEntrySummary(restored.entry, config),
+    rev,
+    snapshot_rev: restored.snapshotRev || null,
+  });
+}
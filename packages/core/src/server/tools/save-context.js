@@ -1,9 +1,11 @@
 import { z } from "zod";
 import { captureAndIndex, updateEntryFile } from "../../capture/index.js";
+import { findDuplicates, resolveDedupe } from "../../capture/dedupe.js";
 import { indexEntry } from "../../index/index.js";
 import { categoryFor } from "../../core/categories.js";
 import { normalizeKind } from "../../core/files.js";
 import { ok, err, ensureVaultExists, ensureValidKind } from "../helpers.js";
+import { entrySummary, toEntrySummary } from "../schemas.js";
 import {
   MAX_BODY_LENGTH,
   MAX_TITLE_LENGTH,
@@ -105,10 +107,34 @@ function validateSaveInput({
   return null;
 }
 
+function duplicateResult(duplicates, config) {
+  const [closest] = duplicates;
+  const parts = [
+    `⚠ Not saved — ${duplicates.length === 1 ? "a similar entry already exists" : `${duplicates.length} similar entries already exist`}:`,
+  ];
+  for (const d of duplicates) {
+    parts.push(
+      `  - ${d.title || "(untitled)"} [${d.kind}] · ${d.exact ? "identical body" : `similarity ${d.similarity.toFixed(3)}`} · id: ${d.id}`,
+    );
+  }
+  parts.push(
+    "",
+    `_To add to it, call save_context with id: "${closest.id}" (omitted fields are preserved). To save a separate entry anyway, repeat with allow_duplicate: true._`,
+  );
+  return ok(parts.join("\n"), {
+    action: "duplicate",
+    ...toEntrySummary(closest, config),
+    duplicates: duplicates.map((d) => ({
+      ...toEntrySummary(d, config),
+      similarity: d.similarity,
+    })),
+  });
+}
+
 export const name = "save_context";
 
 export const description =
-  "Save knowledge to your vault. Creates a .md file and indexes it for search. Use for any kind of context: insights, decisions, patterns, references, or any custom kind. To update an existing entry, pass its `id` — omitted fields are preserved.";
+  "Save knowledge to your vault. Creates a .md file and indexes it for search. Use for any kind of context: insights, decisions, patterns, references, or any custom kind. To update an existing entry, pass its `id` — omitted fields are preserved. New knowledge entries are checked for near-duplicates first: if one exists nothing is saved and its id is returned so you can update it instead.";
 
 export const inputSchema = {
   id: z
@@ -150,6 +176,25 @@ export const inputSchema = {
       "Required for entity kinds (contact, project, tool, source). The unique identifier for this entity.",
     ),
   expires_at: z.string().optional().describe("ISO date for TTL expiry"),
+  allow_duplicate: z
+    .boolean()
+    .optional()
+    .describe(
+      "Save a new knowledge entry even when a near-duplicate already exists",
+    ),
+};
+
+export const outputSchema = {
+  action: z
+    .enum(["created", "updated", "duplicate"])
+    .describe(
+      "'duplicate' means nothing was saved; the entry fields describe the closest existing match",
+    ),
+  ...entrySummary,
+  duplicates: z
+    .array(z.object({ ...entrySummary, similarity: z.number() }))
+    .optional()
+    .describe("Existing entries similar to the one being saved"),
 };
 
 /**
@@ -169,6 +214,7 @@ export async function handler(
     source,
     identity_key,
     expires_at,
+    allow_duplicate,
   },
   ctx,
   { ensureIndexed },
@@ -241,7 +287,10 @@ export async function handler(
     const entryTags = entry.tags || [];
     if (entryTags.length) parts.push(`  tags: ${entryTags.join(", ")}`);
     parts.push("", "_Search with get_context to verify changes._");
-    return ok(parts.join("\n"));
+    return ok(parts.join("\n"), {
+      action: "updated",
+      ...toEntrySummary(entry, config),
+    });
   }
 
   // ── Create mode ──
@@ -280,6 +329,21 @@ export async function handler(
 
   await ensureIndexed();
 
+  // Offer to update a near-duplicate instead of saving the same knowledge twice
+  const dedupe = resolveDedupe(config);
+  if (
+    dedupe.enabled &&
+    !allow_duplicate &&
+    categoryFor(normalizedKind) === "knowledge"
+  ) {
+    const duplicates = await findDuplicates(
+      ctx,
+      { kind: normalizedKind, title, body },
+      { threshold: dedupe.threshold, userIdFilter: userId },
+    );
+    if (duplicates.length) return duplicateResult(duplicates, config);
+  }
+
   const mergedMeta = { ...(meta || {}) };
   if (folder) mergedMeta.folder = folder;
   const finalMeta = Object.keys(mergedMeta).length ? mergedMeta : undefined;
@@ -303,5 +367,8 @@ export async function handler(
   if (title) parts.push(`  title: ${title}`);
   if (tags?.length) parts.push(`  tags: ${tags.join(", ")}`);
   parts.push("", "_Use this id to update or delete later._");
-  return ok(parts.join("\n"));
+  return ok(parts.join("\n"), {
+    action: "created",
+    ...toEntrySummary(entry, config),
+  });
 }
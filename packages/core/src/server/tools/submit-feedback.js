@@ -1,6 +1,7 @@
 import { z } from "zod";
 import { captureAndIndex } from "../../capture/index.js";
 import { ok, ensureVaultExists } from "../helpers.js";
+import { entrySummary, toEntrySummary } from "../schemas.js";
 
 export const name = "submit_feedback";
 
@@ -17,6 +18,12 @@ export const inputSchema = {
     .describe("Severity level (default: medium)"),
 };
 
+export const outputSchema = {
+  ...entrySummary,
+  type: z.enum(["bug", "feature", "improvement"]),
+  severity: z.enum(["low", "medium", "high"]),
+};
+
 /**
  * @param {object} args
  * @param {import('../types.js').BaseCtx & Partial<import('../types.js').HostedCtxExtensions>} ctx
@@ -51,5 +58,6 @@ export async function handler(
     : entry.filePath;
   return ok(
     `Feedback submitted: ${type} [${effectiveSeverity}] → ${relPath}\n  id: ${entry.id}\n  title: ${title}`,
+    { ...toEntrySummary(entry, config), type, severity: effectiveSeverity },
   );
 }
@@ -0,0 +1,399 @@
+/**
+ * git.js — Git-backed vault sync between machines
+ *
+ * The vault directory is its own git repository. A sync commits local changes
+ * (one line per entry: "save insight: <title>"), merges the remote branch,
+ * pushes, and re-indexes the pulled files. Merge conflicts never leave
+ * conflict markers in an entry: the local version stays in place and the
+ * remote version is written next to it as a new entry tagged `sync-conflict`
+ * (with `conflict_of: <id>`) for review. When one side deleted a file the
+ * other edited, the edited version is kept.
+ */
+
+import { execFileSync } from "node:child_process";
+import { existsSync, readFileSync, realpathSync, writeFileSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+import { ulid } from "../core/files.js";
+import {
+  formatFrontmatter,
+  parseEntryFromMarkdown,
+  parseFrontmatter,
+} from "../core/frontmatter.js";
+import { locateVaultFile, reindex } from "../index/index.js";
+
+export const CONFLICT_TAG = "sync-conflict";
+
+const DEFAULT_BRANCH = "main";
+const REMOTE_NAME = "origin";
+// Scratch ref a dry run fetches into, deleted before it returns
+const DRY_RUN_REF = "refs/context-vault/dry-run";
+const FALLBACK_IDENTITY = [
+  "-c",
+  "user.name=context-vault",
+  "-c",
+  "user.email=context-vault@localhost",
+];
+
+function git(cwd, args, { allowFail = false } = {}) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (e) {
+    if (allowFail) return null;
+    const detail = (e.stderr || e.stdout || e.message).toString().trim();
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/** Run a committing command as the user, or a placeholder when none is set. */
+function gitCommit(cwd, args, opts) {
+  const email = git(cwd, ["config", "user.email"], { allowFail: true });
+  return git(cwd, [...(email?.trim() ? [] : FALLBACK_IDENTITY), ...args], opts);
+}
+
+function hasRef(vaultDir, ref) {
+  return (
+    git(vaultDir, ["rev-parse", "--verify", "-q", ref], { allowFail: true }) !==
+    null
+  );
+}
+
+/**
+ * Git-sync settings from the `git` section of config.json
+ * (`{ "remote": "<url or path>", "branch": "main" }`).
+ *
+ * @param {{ git?: { remote?: string, branch?: string } }} config
+ * @returns {{ remote: string|null, branch: string }}
+ */
+export function resolveGitSync(config) {
+  const { remote, branch } = config?.git || {};
+  return {
+    remote: typeof remote === "string" && remote ? remote : null,
+    branch: typeof branch === "string" && branch ? branch : DEFAULT_BRANCH,
+  };
+}
+
+function isRepo(vaultDir) {
+  const top = git(vaultDir, ["rev-parse", "--show-toplevel"], {
+    allowFail: true,
+  });
+  if (top === null) return false;
+  if (realpathSync(top.trim()) !== realpathSync(vaultDir)) {
+    throw new Error(
+      `The vault is inside another git repository (${top.trim()}) — git sync needs the vault directory to be its own repository`,
+    );
+  }
+  return true;
+}
+
+/** Make the vault a repository if it isn't one; true when it was created. */
+function ensureRepo(vaultDir, branch) {
+  if (isRepo(vaultDir)) return false;
+  git(vaultDir, ["init", "-q", "-b", branch]);
+  const ignore = join(vaultDir, ".gitignore");
+  if (!existsSync(ignore)) writeFileSync(ignore, "_history/\n");
+  return true;
+}
+
+/** "insight: <title>" for an entry file, or the path for anything else. */
+function describeFile(vaultDir, path, content) {
+  const location = locateVaultFile(vaultDir, join(vaultDir, path));
+  if (!location || content == null) return path;
+  const { meta, body } = parseFrontmatter(content);
+  const parsed = parseEntryFromMarkdown(location.kind, body, meta);
+  const label =
+    parsed.title || parsed.body.trim().split("\n")[0].slice(0, 60) || path;
+  return `${location.kind}: ${label}`;
+}
+
+const VERBS = { A: "save", M: "update", D: "delete", R: "move" };
+
+/**
+ * Pending changes in the vault as commit-message lines, e.g.
+ * "save insight: Use WAL mode" or "delete decision: Drop Redis".
+ *
+ * @param {string} vaultDir
+ * @returns {string[]}
+ */
+export function describeChanges(vaultDir) {
+  const out = git(vaultDir, [
+    "status",
+    "--porcelain",
+    "-z",
+    "--untracked-files=all",
+  ]);
+  const tokens = out.split("\0").filter(Boolean);
+  const lines = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const x = tokens[i][0];
+    const y = tokens[i][1];
+    const path = tokens[i].slice(3);
+    if (x === "R" || y === "R") i++; // skip the original path
+    const code = x === "?" ? "A" : x !== " " ? x : y;
+    const content =
+      code === "D"
+        ? git(vaultDir, ["show", `HEAD:${path}`], { allowFail: true })
+        : existsSync(join(vaultDir, path))
+          ? readFileSync(join(vaultDir, path), "utf-8")
+          : null;
+    lines.push(
+      `${VERBS[code] || "update"} ${describeFile(vaultDir, path, content)}`,
+    );
+  }
+  return lines;
+}
+
+function commitAll(vaultDir) {
+  git(vaultDir, ["add", "-A"]);
+  const changes = describeChanges(vaultDir);
+  if (!changes.length) return null;
+  const message =
+    changes.length === 1
+      ? changes[0]
+      : `sync: ${changes.length} changes\n\n${changes.map((c) => `- ${c}`).join("\n")}`;
+  gitCommit(vaultDir, ["commit", "-q", "-m", message]);
+  return { message, changes };
+}
+
+/** The configured "origin" URL, or null. */
+function currentRemote(vaultDir) {
+  const url = git(vaultDir, ["remote", "get-url", REMOTE_NAME], {
+    allowFail: true,
+  });
+  return url === null ? null : url.trim();
+}
+
+/** The remote a sync talks to: `remote` if given, else the configured one. */
+function remoteUrl(vaultDir, remote) {
+  const url = remote || currentRemote(vaultDir);
+  if (!url) {
+    throw new Error(
+      "No git remote configured — pass --remote <url> or set git.remote in config.json",
+    );
+  }
+  return url;
+}
+
+function configureRemote(vaultDir, remote) {
+  const url = remoteUrl(vaultDir, remote);
+  const current = currentRemote(vaultDir);
+  if (current === null) git(vaultDir, ["remote", "add", REMOTE_NAME, url]);
+  else if (current !== url)
+    git(vaultDir, ["remote", "set-url", REMOTE_NAME, url]);
+}
+
+/**
+ * Subjects of the remote commits a sync would merge, read without touching
+ * the repository's config or remote-tracking refs: the branch is fetched
+ * into a scratch ref that is deleted again.
+ */
+function incomingCommits(vaultDir, url, branch) {
+  const head = git(vaultDir, ["ls-remote", url, `refs/heads/${branch}`]);
+  if (!head.trim()) return [];
+  try {
+    git(vaultDir, [
+      "fetch",
+      "-q",
+      "--no-write-fetch-head",
+      url,
+      `+refs/heads/${branch}:${DRY_RUN_REF}`,
+    ]);
+    const range = hasRef(vaultDir, "HEAD")
+      ? `HEAD..${DRY_RUN_REF}`
+      : DRY_RUN_REF;
+    return git(vaultDir, ["log", "--format=%s", range])
+      .split("\n")
+      .filter(Boolean);
+  } finally {
+    git(vaultDir, ["update-ref", "-d", DRY_RUN_REF], { allowFail: true });
+  }
+}
+
+/** Write the remote side of a conflicted entry as a new entry next to it. */
+function writeConflictCopy(vaultDir, path, ours, theirs) {
+  const { meta: ourMeta } = parseFrontmatter(ours);
+  const { meta, body } = parseFrontmatter(theirs);
+  const id = ulid();
+  const tags = Array.isArray(meta.tags) ? meta.tags : [];
+  const fm = {
+    ...meta,
+    id,
+    conflict_of: ourMeta.id || meta.id,
+    tags: [...tags.filter((t) => t !== CONFLICT_TAG), CONFLICT_TAG],
+  };
+  const copy = join(
+    dirname(path),
+    `${basename(path, ".md")}-conflict-${id.slice(-6).toLowerCase()}.md`,
+  );
+  writeFileSync(
+    join(vaultDir, copy),
+    formatFrontmatter(fm) + "\n" + body + "\n",
+  );
+  return copy;
+}
+
+/**
+ * Settle every conflicted path of an in-progress merge so it can be
+ * committed. See the module comment for the rules.
+ *
+ * @returns {Array<{ path: string, copy: string|null }>}
+ */
+function resolveMergeConflicts(vaultDir) {
+  const conflicted = git(vaultDir, [
+    "diff",
+    "--name-only",
+    "--diff-filter=U",
+    "-z",
+  ])
+    .split("\0")
+    .filter(Boolean);
+
+  const resolved = [];
+  for (const path of conflicted) {
+    const ours = git(vaultDir, ["show", `:2:${path}`], { allowFail: true });
+    const theirs = git(vaultDir, ["show", `:3:${path}`], { allowFail: true });
+    let copy = null;
+    if (ours !== null) {
+      writeFileSync(join(vaultDir, path), ours);
+      const isEntry = locateVaultFile(vaultDir, join(vaultDir, path));
+      if (theirs !== null && isEntry) {
+        copy = writeConflictCopy(vaultDir, path, ours, theirs);
+        git(vaultDir, ["add", "--", copy]);
+      }
+    } else if (theirs !== null) {
+      writeFileSync(join(vaultDir, path), theirs);
+    }
+    if (ours === null && theirs === null) {
+      git(vaultDir, ["rm", "-q", "--", path]);
+    } else {
+      git(vaultDir, ["add", "--", path]);
+    }
+    resolved.push({ path, copy });
+  }
+  return resolved;
+}
+
+/**
+ * Sync the vault through git: commit local changes, merge the remote branch,
+ * push, and reindex when files came in.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @param {{ remote?: string|null, branch?: string, dryRun?: boolean }} [opts]
+ *   `remote` is a URL or path, stored as the repository's "origin" (a dry
+ *   run reads from it without storing it)
+ * @returns {Promise<{
+ *   newRepo: boolean,
+ *   committed: { message: string, changes: string[] } | null,
+ *   pending: string[],
+ *   incoming: string[],
+ *   pulled: string[],
+ *   conflicts: Array<{ path: string, copy: string|null }>,
+ *   pushed: boolean,
+ *   reindexed: object|null,
+ * }>} with `dryRun`, `pending` lists what would be committed and `incoming`
+ *   the remote commits that would be merged; nothing is changed — not the
+ *   remote config, not the remote-tracking refs (`newRepo` then says the
+ *   vault is not a repository yet)
+ */
+export async function gitSync(
+  ctx,
+  { remote = null, branch = DEFAULT_BRANCH, dryRun = false } = {},
+) {
+  const { vaultDir } = ctx.config;
+  const result = {
+    newRepo: false,
+    committed: null,
+    pending: [],
+    incoming: [],
+    pulled: [],
+    conflicts: [],
+    pushed: false,
+    reindexed: null,
+  };
+
+  const tracking = `refs/remotes/${REMOTE_NAME}/${branch}`;
+
+  if (dryRun) {
+    if (!isRepo(vaultDir)) {
+      result.newRepo = true;
+      return result;
+    }
+    result.pending = describeChanges(vaultDir);
+    result.incoming = incomingCommits(
+      vaultDir,
+      remoteUrl(vaultDir, remote),
+      branch,
+    );
+    return result;
+  }
+
+  result.newRepo = ensureRepo(vaultDir, branch);
+  configureRemote(vaultDir, remote);
+  git(vaultDir, ["fetch", "-q", REMOTE_NAME]);
+
+  if (result.newRepo && hasRef(vaultDir, tracking)) {
+    // Build on the remote history instead of starting a second root commit.
+    // Files only the remote has show up as deleted — check them out.
+    git(vaultDir, ["reset", "-q", tracking]);
+    const missing = git(vaultDir, ["ls-files", "-z", "--deleted"])
+      .split("\0")
+      .filter(Boolean);
+    if (missing.length) git(vaultDir, ["checkout", "-q", "--", ...missing]);
+    result.pulled.push(...missing);
+  }
+
+  result.committed = commitAll(vaultDir);
+
+  if (hasRef(vaultDir, tracking)) {
+    const before = hasRef(vaultDir, "HEAD")
+      ? git(vaultDir, ["rev-parse", "HEAD"]).trim()
+      : null;
+    if (!before) {
+      // Nothing committed locally yet — start from the remote branch
+      git(vaultDir, ["reset", "-q", "--hard", tracking]);
+    } else {
+      const merge = gitCommit(
+        vaultDir,
+        [
+          "merge",
+          "-q",
+          "--allow-unrelated-histories",
+          "-m",
+          `sync: merge ${REMOTE_NAME}/${branch}`,
+          tracking,
+        ],
+        { allowFail: true },
+      );
+      if (merge === null) {
+        result.conflicts = resolveMergeConflicts(vaultDir);
+        if (!result.conflicts.length) {
+          git(vaultDir, ["merge", "--abort"], { allowFail: true });
+          throw new Error(`git merge of ${REMOTE_NAME}/${branch} failed`);
+        }
+        const copies = result.conflicts.filter((c) => c.copy).length;
+        gitCommit(vaultDir, [
+          "commit",
+          "-q",
+          "-m",
+          `sync: merge ${REMOTE_NAME}/${branch}` +
+            (copies ? ` (${copies} kept as ${CONFLICT_TAG} entries)` : ""),
+        ]);
+      }
+    }
+    const changed = before
+      ? git(vaultDir, ["diff", "--name-only", "-z", before, "HEAD"])
+      : git(vaultDir, ["ls-files", "-z"]);
+    result.pulled.push(...changed.split("\0").filter(Boolean));
+  }
+
+  if (hasRef(vaultDir, "HEAD")) {
+    git(vaultDir, ["push", "-q", REMOTE_NAME, `HEAD:refs/heads/${branch}`]);
+    result.pushed = true;
+  }
+
+  if (result.pulled.length) result.reindexed = await reindex(ctx);
+  return result;
+}
@@ -1,25 +1,81 @@
 /**
  * sync.js — Bidirectional sync protocol
  *
- * v1 design:
- * - Additive-only — no delete propagation (avoids data loss)
- * - Last-write-wins by created_at for conflicts (both have same ID)
- * - Push uses POST /api/vault/import/bulk
- * - Pull uses GET /api/vault/export + local captureAndIndex()
+ * Both sides publish a manifest of live entries with a content hash, plus
+ * tombstones for deleted ids. Each side's hash is remembered locally after a
+ * sync (vault_sync), so a later run can tell which side changed an entry:
+ * - Changed on one side only → copied to the other
+ * - Deleted on one side, unchanged on the other → deleted there too
+ * - Changed on both sides, or changed on one and deleted on the other →
+ *   reported as a conflict and left alone unless resolveConflicts() picks a side
+ * Entries with no hash (older servers) fall back to the v1 rule: present on
+ * both sides means up to date.
+ *
+ * Hosted API:
+ * - GET    /api/vault/manifest      → { entries: [{ id, kind, title, created_at, updated_at, hash }], tombstones?: [{ id, deleted_at }] }
+ * - GET    /api/vault/export        → { entries, hasMore? } (paged with ?limit&offset)
+ * - POST   /api/vault/import/bulk   { entries } — upserts by id
+ * - DELETE /api/vault/entries/:id
  */
 
-import { captureAndIndex } from "../capture/index.js";
+import { createHash } from "node:crypto";
+import { unlinkSync } from "node:fs";
+import { captureAndIndex, updateEntryFile } from "../capture/index.js";
+import { snapshotRevision } from "../capture/history.js";
+import { indexEntry, syncFile } from "../index/index.js";
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Content hash both sides compute the same way: kind, title, body, tags and
+ * meta. `meta.folder` is left out — it describes where the local file lives.
+ *
+ * @param {{ kind: string, title?: string|null, body: string, tags?: string[]|null, meta?: object|null }} entry
+ * @returns {string} sha256 hex digest
+ */
+export function entryHash({ kind, title, body, tags, meta }) {
+  const rest = { ...(meta && typeof meta === "object" ? meta : {}) };
+  delete rest.folder;
+  const sortedMeta = Object.fromEntries(
+    Object.keys(rest)
+      .sort()
+      .map((k) => [k, rest[k]]),
+  );
+  return createHash("sha256")
+    .update(
+      JSON.stringify([
+        kind,
+        title || null,
+        body,
+        Array.isArray(tags) ? tags : [],
+        sortedMeta,
+      ]),
+    )
+    .digest("hex");
+}
+
+function rowHash(row) {
+  return entryHash({
+    kind: row.kind,
+    title: row.title,
+    body: row.body,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    meta: row.meta ? JSON.parse(row.meta) : null,
+  });
+}
 
 /**
- * Build a manifest of local vault entries (id → { id, created_at, kind, title }).
+ * Build a manifest of local vault entries. Live entries carry a content hash
+ * and `updated_at`; deleted ids appear as tombstones
+ * (`{ id, deleted: true, deleted_at }`).
  *
  * @param {import('../server/types.js').BaseCtx} ctx
- * @returns {Map<string, { id: string, created_at: string, kind: string, title: string|null }>}
+ * @returns {Map<string, { id: string, created_at?: string, kind?: string, title?: string|null, hash?: string, updated_at?: string, deleted?: boolean, deleted_at?: string }>}
  */
 export function buildLocalManifest(ctx) {
   const rows = ctx.db
     .prepare(
-      "SELECT id, created_at, kind, title FROM vault WHERE (expires_at IS NULL OR expires_at > datetime('now'))",
+      "SELECT id, created_at, updated_at, kind, title, body, tags, meta FROM vault WHERE (expires_at IS NULL OR expires_at > datetime('now'))",
     )
     .all();
 
@@ -30,17 +86,28 @@ export function buildLocalManifest(ctx) {
       created_at: row.created_at,
       kind: row.kind,
       title: row.title || null,
+      hash: rowHash(row),
+      updated_at: row.updated_at || row.created_at,
     });
   }
+
+  const tombstones = ctx.db
+    .prepare("SELECT id, deleted_at FROM vault_tombstones")
+    .all();
+  for (const t of tombstones) {
+    if (manifest.has(t.id)) continue;
+    manifest.set(t.id, { id: t.id, deleted: true, deleted_at: t.deleted_at });
+  }
   return manifest;
 }
 
 /**
- * Fetch the remote vault manifest from the hosted API.
+ * Fetch the remote vault manifest from the hosted API. Tombstones are returned
+ * in the same map with `deleted: true`.
  *
  * @param {string} hostedUrl - Base URL of hosted service
  * @param {string} apiKey - Bearer token
- * @returns {Promise<Map<string, { id: string, created_at: string, kind: string, title: string|null }>>}
+ * @returns {Promise<Map<string, object>>} same shape as buildLocalManifest()
  */
 export async function fetchRemoteManifest(hostedUrl, apiKey) {
   const response = await fetch(`${hostedUrl}/api/vault/manifest`, {
@@ -55,83 +122,253 @@ export async function fetchRemoteManifest(hostedUrl, apiKey) {
   const manifest = new Map();
 
   for (const entry of data.entries || []) {
+    if (entry.deleted) {
+      manifest.set(entry.id, {
+        id: entry.id,
+        deleted: true,
+        deleted_at: entry.deleted_at || null,
+      });
+      continue;
+    }
     manifest.set(entry.id, {
       id: entry.id,
       created_at: entry.created_at,
       kind: entry.kind,
       title: entry.title || null,
+      hash: entry.hash || undefined,
+      updated_at: entry.updated_at || undefined,
+    });
+  }
+  for (const t of data.tombstones || []) {
+    if (manifest.has(t.id)) continue;
+    manifest.set(t.id, {
+      id: t.id,
+      deleted: true,
+      deleted_at: t.deleted_at || null,
     });
   }
 
   return manifest;
 }
 
+/**
+ * Each side's content hash as of the last sync, by entry id.
+ *
+ * @param {import('../server/types.js').BaseCtx} ctx
+ * @returns {Map<string, { local_hash: string, remote_hash: string, synced_at: string }>}
+ */
+export function loadSyncBase(ctx) {
+  const rows = ctx.db.prepare("SELECT * FROM vault_sync").all();
+  return new Map(rows.map((r) => [r.id, r]));
+}
+
+/**
+ * @typedef {object} SyncConflict
+ * @property {string} id
+ * @property {"both_edited" | "edited_locally_deleted_remotely" | "deleted_locally_edited_remotely"} reason
+ * @property {object|null} local - Local manifest entry (null when deleted)
+ * @property {object|null} remote - Remote manifest entry (null when deleted)
+ */
+
 /**
  * @typedef {object} SyncPlan
  * @property {string[]} toPush - Entry IDs that exist locally but not remotely
  * @property {string[]} toPull - Entry IDs that exist remotely but not locally
- * @property {string[]} upToDate - Entry IDs that exist in both
+ * @property {string[]} upToDate - Entry IDs that exist in both with the same content (or no hashes to compare)
+ * @property {string[]} toUpdateRemote - Edited locally since the last sync
+ * @property {string[]} toUpdateLocal - Edited remotely since the last sync
+ * @property {string[]} toDeleteRemote - Deleted locally, unchanged remotely
+ * @property {string[]} toDeleteLocal - Deleted remotely, unchanged locally
+ * @property {SyncConflict[]} conflicts - Changed on both sides; left alone
+ * @property {string[]} toForget - Gone on both sides; only bookkeeping is left to drop
  */
 
 /**
- * Compute what needs to be pushed/pulled by comparing manifests.
- * Additive-only: entries in both are considered up-to-date.
+ * Compute what needs to be pushed/pulled by comparing manifests against the
+ * last synced state. Without a base, entries on both sides are up to date
+ * when their hashes match and conflicts when they differ.
  *
  * @param {Map<string, object>} local
  * @param {Map<string, object>} remote
+ * @param {Map<string, { local_hash: string, remote_hash: string }>} [base] - from loadSyncBase()
  * @returns {SyncPlan}
  */
-export function computeSyncPlan(local, remote) {
-  const toPush = [];
-  const toPull = [];
-  const upToDate = [];
-
-  // Find local-only entries
-  for (const id of local.keys()) {
-    if (remote.has(id)) {
-      upToDate.push(id);
+export function computeSyncPlan(local, remote, base = new Map()) {
+  const plan = {
+    toPush: [],
+    toPull: [],
+    upToDate: [],
+    toUpdateRemote: [],
+    toUpdateLocal: [],
+    toDeleteRemote: [],
+    toDeleteLocal: [],
+    conflicts: [],
+    toForget: [],
+  };
+  const live = (m, id) => {
+    const e = m.get(id);
+    return e && !e.deleted ? e : null;
+  };
+  const conflict = (id, reason, l, r) =>
+    plan.conflicts.push({ id, reason, local: l, remote: r });
+
+  const ids = new Set([...local.keys(), ...remote.keys(), ...base.keys()]);
+  for (const id of ids) {
+    const l = live(local, id);
+    const r = live(remote, id);
+    const b = base.get(id);
+
+    if (l && r) {
+      if (!l.hash || !r.hash) {
+        plan.upToDate.push(id);
+      } else if (!b) {
+        if (l.hash === r.hash) plan.upToDate.push(id);
+        else conflict(id, "both_edited", l, r);
+      } else {
+        const localChanged = l.hash !== b.local_hash;
+        const remoteChanged = r.hash !== b.remote_hash;
+        if (localChanged && remoteChanged && l.hash !== r.hash)
+          conflict(id, "both_edited", l, r);
+        else if (localChanged && !remoteChanged) plan.toUpdateRemote.push(id);
+        else if (remoteChanged && !localChanged) plan.toUpdateLocal.push(id);
+        else plan.upToDate.push(id);
+      }
+    } else if (l) {
+      if (!b && !remote.has(id)) plan.toPush.push(id);
+      else if (b && l.hash === b.local_hash) plan.toDeleteLocal.push(id);
+      else conflict(id, "edited_locally_deleted_remotely", l, null);
+    } else if (r) {
+      if (!b && !local.has(id)) plan.toPull.push(id);
+      else if (b && (!r.hash || r.hash === b.remote_hash))
+        plan.toDeleteRemote.push(id);
+      else conflict(id, "deleted_locally_edited_remotely", null, r);
     } else {
-      toPush.push(id);
+      plan.toForget.push(id);
     }
   }
 
-  // Find remote-only entries
-  for (const id of remote.keys()) {
-    if (!local.has(id)) {
-      toPull.push(id);
+  return plan;
+}
+
+const RESOLUTIONS = {
+  local: {
+    both_edited: "toUpdateRemote",
+    edited_locally_deleted_remotely: "toPush",
+    deleted_locally_edited_remotely: "toDeleteRemote",
+  },
+  remote: {
+    both_edited: "toUpdateLocal",
+    edited_locally_deleted_remotely: "toDeleteLocal",
+    deleted_locally_edited_remotely: "toPull",
+  },
+};
+
+/**
+ * Settle every conflict in favour of one side: its version (or its deletion)
+ * is applied to the other side.
+ *
+ * @param {SyncPlan} plan
+ * @param {"local" | "remote"} prefer
+ * @returns {SyncPlan} a new plan with no conflicts
+ */
+export function resolveConflicts(plan, prefer) {
+  const moves = RESOLUTIONS[prefer];
+  if (!moves) throw new Error(`prefer must be "local" or "remote"`);
+  const resolved = { ...plan, conflicts: [] };
+  for (const { id, reason } of plan.conflicts) {
+    const key = moves[reason];
+    resolved[key] = [...resolved[key], id];
+  }
+  return resolved;
+}
+
+function recordBase(ctx, id, localHash, remoteHash) {
+  ctx.db
+    .prepare(
+      `INSERT INTO vault_sync (id, local_hash, remote_hash, synced_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET local_hash = excluded.local_hash, remote_hash = excluded.remote_hash, synced_at = excluded.synced_at`,
+    )
+    .run(id, localHash, remoteHash, new Date().toISOString());
+}
+
+function forget(ctx, id) {
+  ctx.db.prepare("DELETE FROM vault_sync WHERE id = ?").run(id);
+  ctx.db.prepare("DELETE FROM vault_tombstones WHERE id = ?").run(id);
+}
+
+/** Remove a local entry deleted remotely; its last content is kept in _history/. */
+function removeLocalEntry(ctx, row) {
+  if (row.file_path) {
+    snapshotRevision(ctx.config.vaultDir, row.id, row.file_path);
+    try {
+      unlinkSync(row.file_path);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
     }
   }
+  const rowid = ctx.stmts.getRowid.get(row.id)?.rowid;
+  if (rowid) {
+    try {
+      ctx.deleteVec(Number(rowid));
+    } catch {}
+  }
+  ctx.stmts.deleteEntry.run(row.id);
+}
 
-  return { toPush, toPull, upToDate };
+async function fetchExport(hostedUrl, apiKey, wanted) {
+  const found = [];
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const response = await fetch(
+      `${hostedUrl}/api/vault/export?limit=${EXPORT_PAGE_SIZE}&offset=${offset}`,
+      { headers: { Authorization: `Bearer ${apiKey}` } },
+    );
+    if (!response.ok) {
+      throw new Error(`Export failed: HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    const entries = data.entries || [];
+    found.push(...entries.filter((e) => wanted.has(e.id)));
+    if (!data.hasMore || !entries.length) return found;
+  }
 }
 
 /**
- * Execute a sync plan: push local entries to remote, pull remote entries to local.
+ * Execute a sync plan: push local changes, pull remote ones, apply deletions
+ * on both sides and record the new base. Conflicts are not touched. Run
+ * reindex() before building the local manifest so rows match the files.
  *
  * @param {import('../server/types.js').BaseCtx & Partial<import('../server/types.js').HostedCtxExtensions>} ctx
- * @param {{ hostedUrl: string, apiKey: string, plan: SyncPlan, onProgress?: (phase: string, current: number, total: number) => void }} opts
- * @returns {Promise<{ pushed: number, pulled: number, failed: number, errors: string[] }>}
+ * @param {{ hostedUrl: string, apiKey: string, plan: SyncPlan, remote?: Map<string, object>, onProgress?: (phase: string, current: number, total: number) => void }} opts
+ *   `remote` is the manifest the plan was computed from; with it, entries already in step get a base recorded
+ * @returns {Promise<{ pushed: number, pulled: number, deletedRemote: number, deletedLocal: number, conflicts: number, failed: number, errors: string[] }>}
  */
 export async function executeSync(
   ctx,
-  { hostedUrl, apiKey, plan, onProgress },
+  { hostedUrl, apiKey, plan, remote, onProgress },
 ) {
   let pushed = 0;
   let pulled = 0;
+  let deletedRemote = 0;
+  let deletedLocal = 0;
   let failed = 0;
   const errors = [];
+  const toUpdateRemote = plan.toUpdateRemote || [];
+  const toUpdateLocal = plan.toUpdateLocal || [];
 
-  // ── Push: upload local-only entries to remote ──
-  if (plan.toPush.length > 0) {
+  // ── Push: upload local-only and locally edited entries ──
+  const pushIds = [...plan.toPush, ...toUpdateRemote];
+  if (pushIds.length > 0) {
     const BATCH_SIZE = 50;
     const entries = [];
+    const hashes = [];
 
     // Collect full entry data for push
-    for (const id of plan.toPush) {
+    for (const id of pushIds) {
       const row = ctx.stmts.getEntryById.get(id);
       if (!row) continue;
 
       entries.push({
+        id: row.id,
         kind: row.kind,
         title: row.title || null,
         body: row.body,
@@ -141,6 +378,7 @@ export async function executeSync(
         identity_key: row.identity_key || undefined,
         expires_at: row.expires_at || undefined,
       });
+      hashes.push(rowHash(row));
     }
 
     // Push in batches
@@ -173,6 +411,14 @@ export async function executeSync(
         if (result.errors?.length) {
           errors.push(...result.errors);
         }
+        // Without per-entry results only a clean batch can set the base;
+        // the rest are retried next time (imports upsert by id)
+        if (!result.failed) {
+          batch.forEach((e, j) => {
+            const hash = hashes[i + j];
+            recordBase(ctx, e.id, hash, hash);
+          });
+        }
       } catch (err) {
         failed += batch.length;
         errors.push(`Push batch failed: ${err.message}`);
@@ -180,45 +426,75 @@ export async function executeSync(
     }
   }
 
-  // ── Pull: download remote-only entries to local ──
-  if (plan.toPull.length > 0) {
-    if (onProgress) onProgress("pull", 0, plan.toPull.length);
-
+  // ── Delete remote: entries deleted locally ──
+  for (const id of plan.toDeleteRemote || []) {
     try {
-      const response = await fetch(`${hostedUrl}/api/vault/export`, {
-        headers: { Authorization: `Bearer ${apiKey}` },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Export failed: HTTP ${response.status}`);
+      const response = await fetch(
+        `${hostedUrl}/api/vault/entries/${encodeURIComponent(id)}`,
+        { method: "DELETE", headers: { Authorization: `Bearer ${apiKey}` } },
+      );
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`HTTP ${response.status}`);
       }
+      forget(ctx, id);
+      deletedRemote++;
+    } catch (err) {
+      failed++;
+      errors.push(`Delete remote ${id}: ${err.message}`);
+    }
+  }
 
-      const data = await response.json();
-      const remoteEntries = data.entries || [];
+  // ── Pull: download remote-only and remotely edited entries ──
+  const pullIds = new Set([...plan.toPull, ...toUpdateLocal]);
+  if (pullIds.size > 0) {
+    if (onProgress) onProgress("pull", 0, pullIds.size);
 
-      // Filter to only pull entries we need
-      const pullIds = new Set(plan.toPull);
-      const entriesToPull = remoteEntries.filter((e) => pullIds.has(e.id));
+    try {
+      const entriesToPull = await fetchExport(hostedUrl, apiKey, pullIds);
 
       for (let i = 0; i < entriesToPull.length; i++) {
         const entry = entriesToPull[i];
         if (onProgress) onProgress("pull", i + 1, entriesToPull.length);
 
+        const fields = {
+          title: entry.title,
+          body: entry.body,
+          meta:
+            entry.meta && typeof entry.meta === "object"
+              ? entry.meta
+              : undefined,
+          tags: Array.isArray(entry.tags) ? entry.tags : undefined,
+          expires_at: entry.expires_at,
+        };
         try {
-          await captureAndIndex(ctx, {
-            kind: entry.kind,
-            title: entry.title,
-            body: entry.body,
-            meta:
-              entry.meta && typeof entry.meta === "object"
-                ? entry.meta
-                : undefined,
-            tags: Array.isArray(entry.tags) ? entry.tags : undefined,
-            source: entry.source || "sync-pull",
-            identity_key: entry.identity_key,
-            expires_at: entry.expires_at,
-            userId: ctx.userId || null,
-          });
+          const existing = ctx.stmts.getEntryById.get(entry.id);
+          if (existing) {
+            await indexEntry(ctx, updateEntryFile(ctx, existing, fields));
+          } else {
+            await captureAndIndex(ctx, {
+              ...fields,
+              id: entry.id,
+              kind: entry.kind,
+              source: entry.source || "sync-pull",
+              identity_key: entry.identity_key,
+              userId: ctx.userId || null,
+            });
+          }
+          // Re-read the written file so the row (and the hash recorded for
+          // it) matches what the next reindex will see
+          let row = ctx.stmts.getEntryById.get(entry.id);
+          if (row?.file_path) {
+            await syncFile(ctx, row.file_path);
+            row = ctx.stmts.getEntryById.get(entry.id);
+          }
+          if (row) {
+            recordBase(
+              ctx,
+              entry.id,
+              rowHash(row),
+              remote?.get(entry.id)?.hash || entryHash(entry),
+            );
+          }
           pulled++;
         } catch (err) {
           failed++;
@@ -226,10 +502,42 @@ export async function executeSync(
         }
       }
     } catch (err) {
-      failed += plan.toPull.length;
+      failed += pullIds.size;
       errors.push(`Pull failed: ${err.message}`);
     }
   }
 
-  return { pushed, pulled, failed, errors };
+  // ── Delete local: entries deleted remotely ──
+  for (const id of plan.toDeleteLocal || []) {
+    const row = ctx.stmts.getEntryById.get(id);
+    try {
+      if (row) removeLocalEntry(ctx, row);
+      forget(ctx, id);
+      deletedLocal++;
+    } catch (err) {
+      failed++;
+      errors.push(`Delete local ${id}: ${err.message}`);
+    }
+  }
+
+  for (const id of plan.toForget || []) forget(ctx, id);
+
+  // Entries already in step become the base for the next run
+  if (remote) {
+    for (const id of plan.upToDate) {
+      const remoteHash = remote.get(id)?.hash;
+      const row = ctx.stmts.getEntryById.get(id);
+      if (remoteHash && row) recordBase(ctx, id, rowHash(row), remoteHash);
+    }
+  }
+
+  return {
+    pushed,
+    pulled,
+    deletedRemote,
+    deletedLocal,
+    conflicts: (plan.conflicts || []).length,
+    failed,
+    errors,
+  };
 }
@@ -234,14 +234,27 @@ ${bold("Commands:")}
   ${cyan("connect")} --key cv_...  Connect AI tools to hosted vault
   ${cyan("switch")} local|hosted      Switch between local and hosted MCP modes
   ${cyan("serve")}                 Start the MCP server (used by AI clients)
-  ${cyan("reindex")}               Rebuild search index from knowledge files
+  ${cyan("serve")} --http [--port N] Serve a token-protected JSON API on localhost
+  ${cyan("serve")} --daemon         Shared MCP server over Streamable HTTP (port 3143)
+  ${cyan("reindex")} [--stats]     Rebuild search index from knowledge files
   ${cyan("status")}                Show vault diagnostics
   ${cyan("update")}                Check for and install updates
   ${cyan("uninstall")}             Remove MCP configs and optionally data
   ${cyan("import")} <path>          Import entries from file or directory
   ${cyan("export")}                Export vault to JSON or CSV
   ${cyan("ingest")} <url>          Fetch URL and save as vault entry
+  ${cyan("search")} "<query>"      Search the vault (--kind, --tags, --format json|paths)
+  ${cyan("ui")} [--port 3141]       Open the local web dashboard
+  ${cyan("history")} <id>          List or diff previous revisions of an entry
+  ${cyan("restore")} <id> --rev N  Roll an entry back to a previous revision
+  ${cyan("backup")} [--daily --keep N] Archive the vault, index and config
+  ${cyan("restore")} <archive>      Verify and restore a backup archive
+  ${cyan("tags")} [rename|merge]    List tags with counts, or rename and merge them
+  ${cyan("dedupe")} [--merge]       Find (and merge) duplicate knowledge entries
+  ${cyan("sync")} [--dry-run]        Sync edits and deletions with the hosted vault
+  ${cyan("sync")} --git             Sync the vault through a git remote
   ${cyan("migrate")}               Migrate vault between local and hosted
+  ${cyan("db migrate")} [--status]  Apply, list or verify schema migrations
 
 ${bold("Options:")}
   --help                Show this help
@@ -534,7 +547,9 @@ async function runSetup() {
       }, 100);
 
       try {
-        const { embed } = await import("@context-vault/core/index/embed");
+        const { embed, configureEmbeddings } =
+          await import("@context-vault/core/index/embed");
+        configureEmbeddings(vaultConfig.embedding);
         let timeoutHandle;
         const timeout = new Promise((_, reject) => {
           timeoutHandle = setTimeout(
@@ -1277,7 +1292,8 @@ async function runReindex() {
   const { resolveConfig } = await import("@context-vault/core/core/config");
   const { initDatabase, prepareStatements, insertVec, deleteVec } =
     await import("@context-vault/core/index/db");
-  const { embed } = await import("@context-vault/core/index/embed");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
   const { reindex } = await import("@context-vault/core/index");
 
   const config = resolveConfig();
@@ -1287,6 +1303,7 @@ async function runReindex() {
     process.exit(1);
   }
 
+  configureEmbeddings(config.embedding);
   const db = await initDatabase(config.dbPath);
   const stmts = prepareStatements(db);
   const ctx = {
@@ -1298,7 +1315,9 @@ async function runReindex() {
     deleteVec: (r) => deleteVec(stmts, r),
   };
 
+  const started = Date.now();
   const stats = await reindex(ctx, { fullSync: true });
+  const elapsed = Date.now() - started;
 
   db.close();
   console.log(green("✓ Reindex complete"));
@@ -1306,12 +1325,31 @@ async function runReindex() {
   console.log(`  ${yellow("~")} ${stats.updated} updated`);
   console.log(`  ${red("-")} ${stats.removed} removed`);
   console.log(`  ${dim("·")} ${stats.unchanged} unchanged`);
+
+  if (flags.has("--stats")) {
+    const scanned = stats.scanned || 0;
+    const pct = (n) =>
+      scanned ? ` (${Math.round((n / scanned) * 100)}%)` : "";
+    console.log();
+    console.log(`  ${bold("Files")}`);
+    console.log(`    ${scanned} scanned in ${(elapsed / 1000).toFixed(2)}s`);
+    console.log(
+      `    ${stats.skipped || 0} skipped — mtime/size unchanged, not read${pct(stats.skipped || 0)}`,
+    );
+    console.log(
+      `    ${stats.hashMatched || 0} skipped — touched but content hash unchanged${pct(stats.hashMatched || 0)}`,
+    );
+    console.log(`    ${stats.parsed || 0} parsed${pct(stats.parsed || 0)}`);
+  }
 }
 
 async function runStatus() {
   const { resolveConfig } = await import("@context-vault/core/core/config");
-  const { initDatabase } = await import("@context-vault/core/index/db");
+  const { initDatabase, SCHEMA_VERSION } =
+    await import("@context-vault/core/index/db");
   const { gatherVaultStatus } = await import("@context-vault/core/core/status");
+  const { configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
 
   const config = resolveConfig();
 
@@ -1332,6 +1370,7 @@ async function runStatus() {
     } catch {}
   }
 
+  configureEmbeddings(config.embedding);
   const db = await initDatabase(config.dbPath);
 
   const status = gatherVaultStatus({ db, config });
@@ -1352,7 +1391,7 @@ async function runStatus() {
     `  Config:    ${config.configPath} ${dim(`(${existsSync(config.configPath) ? "exists" : "missing"})`)}`,
   );
   console.log(`  Resolved:  ${status.resolvedFrom}`);
-  console.log(`  Schema:    v7 (teams)`);
+  console.log(`  Schema:    v${SCHEMA_VERSION}`);
 
   if (status.kindCounts.length) {
     const BAR_WIDTH = 20;
@@ -1370,13 +1409,20 @@ async function runStatus() {
   }
 
   if (status.embeddingStatus) {
-    const { indexed, total, missing } = status.embeddingStatus;
+    const { indexed, total, missing, model, dimensions, modelChanged } =
+      status.embeddingStatus;
+    console.log();
+    console.log(`  Embed model ${dim(`${model} (${dimensions}d)`)}`);
+    if (modelChanged) {
+      console.log(
+        `  ${yellow("!")} Embedding model changed — run ${cyan("context-vault reindex")} to re-embed`,
+      );
+    }
     if (missing > 0) {
       const BAR_WIDTH = 20;
       const filled = total > 0 ? Math.round((indexed / total) * BAR_WIDTH) : 0;
       const bar = "█".repeat(filled) + "░".repeat(BAR_WIDTH - filled);
       const pct = total > 0 ? Math.round((indexed / total) * 100) : 0;
-      console.log();
       console.log(`  Embeddings ${dim(bar)} ${indexed}/${total} (${pct}%)`);
     }
   }
@@ -1618,7 +1664,8 @@ async function runImport() {
   const { resolveConfig } = await import("@context-vault/core/core/config");
   const { initDatabase, prepareStatements, insertVec, deleteVec } =
     await import("@context-vault/core/index/db");
-  const { embed } = await import("@context-vault/core/index/embed");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
   const { parseFile, parseDirectory } =
     await import("@context-vault/core/capture/importers");
   const { importEntries } =
@@ -1673,6 +1720,7 @@ async function runImport() {
     process.exit(1);
   }
 
+  configureEmbeddings(config.embedding);
   const db = await initDatabase(config.dbPath);
   const stmts = prepareStatements(db);
   const ctx = {
@@ -1871,7 +1919,8 @@ async function runIngest() {
   const { resolveConfig } = await import("@context-vault/core/core/config");
   const { initDatabase, prepareStatements, insertVec, deleteVec } =
     await import("@context-vault/core/index/db");
-  const { embed } = await import("@context-vault/core/index/embed");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
   const { captureAndIndex } = await import("@context-vault/core/capture");
 
   const config = resolveConfig();
@@ -1880,6 +1929,7 @@ async function runIngest() {
     process.exit(1);
   }
 
+  configureEmbeddings(config.embedding);
   const db = await initDatabase(config.dbPath);
   const stmts = prepareStatements(db);
   const ctx = {
@@ -1900,57 +1950,1387 @@ async function runIngest() {
   console.log();
 }
 
-async function runServe() {
-  await import("../src/server/index.js");
+const SEARCH_FORMATS = ["human", "json", "paths"];
+
+async function runSearch() {
+  const query = args[1];
+  if (!query || query.startsWith("--")) {
+    console.log(`\n  ${bold("context-vault search")} "<query>"\n`);
+    console.log(
+      `  Search the vault with hybrid full-text + semantic ranking.\n`,
+    );
+    console.log(`  Options:`);
+    console.log(
+      `    --kind <kind>        Filter by kind (e.g. insight, decision)`,
+    );
+    console.log(
+      `    --category <cat>     Filter by category (knowledge, entity, event)`,
+    );
+    console.log(`    --tags <a,b>         Entries matching at least one tag`);
+    console.log(`    --tags-all <a,b>     Entries carrying every tag`);
+    console.log(
+      `    --tags-none <a,b>    Exclude entries carrying any of these tags`,
+    );
+    console.log(`    --since <date>       Created on or after (ISO date)`);
+    console.log(`    --until <date>       Created on or before (ISO date)`);
+    console.log(`    --since-updated <d>  Changed on or after (ISO date)`);
+    console.log(`    --limit <n>          Max results (default 10)`);
+    console.log(`    --format <fmt>       human (default), json, or paths`);
+    console.log(
+      `    --explain            Show FTS rank, vector distance and recency boost per result`,
+    );
+    console.log();
+    return;
+  }
+
+  const format = getFlag("--format") || "human";
+  if (!SEARCH_FORMATS.includes(format)) {
+    console.error(
+      red(
+        `  Unknown format: ${format} (expected ${SEARCH_FORMATS.join(", ")})`,
+      ),
+    );
+    process.exit(1);
+  }
+  const category = getFlag("--category");
+  if (category && !["knowledge", "entity", "event"].includes(category)) {
+    console.error(
+      red(
+        `  Unknown category: ${category} (expected knowledge, entity, event)`,
+      ),
+    );
+    process.exit(1);
+  }
+
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, prepareStatements, insertVec, deleteVec } =
+    await import("@context-vault/core/index/db");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
+  const { hybridSearch, resolveRanking } =
+    await import("@context-vault/core/retrieve");
+  const { normalizeKind } = await import("@context-vault/core/core/files");
+  const { categoryFor } = await import("@context-vault/core/core/categories");
+  const { formatExplain } = await import("@context-vault/core/server/helpers");
+
+  const config = resolveConfig();
+  configureEmbeddings(config.embedding);
+  const db = await initDatabase(config.dbPath);
+  const stmts = prepareStatements(db);
+  const ctx = {
+    db,
+    config,
+    stmts,
+    embed,
+    insertVec: (r, e) => insertVec(stmts, r, e),
+    deleteVec: (r) => deleteVec(stmts, r),
+  };
+
+  const rawKind = getFlag("--kind");
+  const kindFilter = rawKind ? normalizeKind(rawKind) : null;
+  const tagList = (flag) =>
+    (getFlag(flag) || "")
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+  const tagFilter = {
+    any: tagList("--tags"),
+    all: tagList("--tags-all"),
+    none: tagList("--tags-none"),
+  };
+  const limit = Math.max(1, parseInt(getFlag("--limit"), 10) || 10);
+
+  // Same defaults as get_context: events are windowed to the decay period
+  // unless a range is given.
+  let since = getFlag("--since");
+  const until = getFlag("--until");
+  const sinceUpdated = getFlag("--since-updated");
+  const effectiveCategory =
+    category || (kindFilter ? categoryFor(kindFilter) : null);
+  if (effectiveCategory === "event" && !since && !until && !sinceUpdated) {
+    const decayMs = (config.eventDecayDays || 30) * 86400000;
+    since = new Date(Date.now() - decayMs).toISOString();
+  }
+
+  const explain = flags.has("--explain");
+  const ranking = resolveRanking(config.ranking);
+  const results = await hybridSearch(ctx, query, {
+    kindFilter,
+    categoryFilter: category || null,
+    since: since || null,
+    until: until || null,
+    sinceUpdated: sinceUpdated || null,
+    tagFilter,
+    limit,
+    decayDays: config.eventDecayDays || 30,
+    ranking,
+    explain,
+  });
+  db.close();
+
+  if (format === "paths") {
+    for (const r of results) if (r.file_path) console.log(r.file_path);
+    return;
+  }
+
+  if (format === "json") {
+    const out = results.map((r) => ({
+      id: r.id,
+      kind: r.kind,
+      category: r.category,
+      title: r.title || null,
+      score: r.score,
+      tags: r.tags ? JSON.parse(r.tags) : [],
+      file_path: r.file_path || null,
+      created_at: r.created_at,
+      updated_at: r.updated_at || r.created_at,
+      snippet: r.snippet || r.body?.slice(0, 300) || "",
+      ...(r.explain ? { explain: r.explain } : {}),
+    }));
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+
+  console.log();
+  if (explain) {
+    const filters = [
+      kindFilter && `kind=${kindFilter}`,
+      category && `category=${category}`,
+      since && `since=${since}`,
+      until && `until=${until}`,
+      sinceUpdated && `updated since ${sinceUpdated}`,
+      tagFilter.any.length && `tags any of [${tagFilter.any.join(", ")}]`,
+      tagFilter.all.length && `tags all of [${tagFilter.all.join(", ")}]`,
+      tagFilter.none.length && `tags none of [${tagFilter.none.join(", ")}]`,
+    ].filter(Boolean);
+    console.log(
+      dim(
+        `  ${ranking.fusion} fusion · fts ${ranking.ftsWeight} / vector ${ranking.vecWeight} · filters: ${filters.join(", ") || "none"}`,
+      ),
+    );
+    console.log();
+  }
+  if (!results.length) {
+    console.log(dim(`  No results for "${query}".`));
+    console.log();
+    return;
+  }
+  results.forEach((r, i) => {
+    const relPath = r.file_path
+      ? r.file_path.replace(config.vaultDir + "/", "")
+      : "n/a";
+    const text = (r.snippet || r.body || "").replace(/\s+/g, " ").trim();
+    console.log(
+      `  ${cyan(String(i + 1).padStart(2))}. ${bold(r.title || "(untitled)")} ${dim(`[${r.kind}/${r.category}]`)} ${r.score.toFixed(3)}`,
+    );
+    console.log(`      ${dim(`${relPath} · ${r.id}`)}`);
+    console.log(`      ${text.slice(0, 160)}${text.length > 160 ? "…" : ""}`);
+    if (r.explain) console.log(`      ${yellow(formatExplain(r.explain))}`);
+  });
+  console.log();
 }
 
-async function main() {
-  if (flags.has("--version") || command === "version") {
-    console.log(VERSION);
+async function runUi() {
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, prepareStatements, insertVec, deleteVec } =
+    await import("@context-vault/core/index/db");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
+  const { reindex } = await import("@context-vault/core/index");
+  const { createUiServer, DEFAULT_UI_PORT } =
+    await import("../src/ui/server.js");
+
+  const port = parseInt(getFlag("--port"), 10) || DEFAULT_UI_PORT;
+  const config = resolveConfig();
+  if (!config.vaultDirExists) {
+    console.error(red(`Vault directory not found: ${config.vaultDir}`));
+    console.error("Run " + cyan("context-vault setup") + " to configure.");
+    process.exit(1);
+  }
+
+  configureEmbeddings(config.embedding);
+  const db = await initDatabase(config.dbPath);
+  const stmts = prepareStatements(db);
+  const ctx = {
+    db,
+    config,
+    stmts,
+    embed,
+    insertVec: (r, e) => insertVec(stmts, r, e),
+    deleteVec: (r) => deleteVec(stmts, r),
+  };
+
+  // Pick up edits made on disk since the last server run
+  console.log(dim("  Syncing index..."));
+  await reindex(ctx);
+
+  const server = createUiServer(ctx);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  }).catch((e) => {
+    db.close();
+    console.error(
+      red(
+        e.code === "EADDRINUSE"
+          ? `  Port ${port} is already in use. Try --port <n>.`
+          : `  Could not start dashboard: ${e.message}`,
+      ),
+    );
+    process.exit(1);
+  });
+
+  const url = `http://localhost:${port}`;
+  console.log();
+  console.log(`  ${bold("◇ context-vault ui")} ${dim(`— ${url}`)}`);
+  console.log(dim("  Press Ctrl+C to stop."));
+  console.log();
+
+  if (!flags.has("--no-open")) {
+    const opener =
+      PLATFORM === "darwin"
+        ? ["open", [url]]
+        : PLATFORM === "win32"
+          ? ["cmd", ["/c", "start", "", url]]
+          : ["xdg-open", [url]];
+    execFile(opener[0], opener[1], () => {});
+  }
+
+  const stop = () => {
+    server.close();
+    db.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+async function runHistory() {
+  const id = args[1];
+  if (!id || id.startsWith("--")) {
+    console.log(`\n  ${bold("context-vault history")} <id>\n`);
+    console.log(`  List previous revisions of an entry.\n`);
+    console.log(`  Options:`);
+    console.log(
+      `    --diff <rev>     Show changes from a revision to the current file`,
+    );
+    console.log();
     return;
   }
 
-  if (flags.has("--help") || command === "help" || !command) {
-    showHelp();
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, prepareStatements } =
+    await import("@context-vault/core/index/db");
+  const { listRevisions, readRevision, diffLines } =
+    await import("@context-vault/core/capture/history");
+
+  const config = resolveConfig();
+  const db = await initDatabase(config.dbPath);
+  const stmts = prepareStatements(db);
+  const entry = stmts.getEntryById.get(id);
+  db.close();
+
+  if (!entry) {
+    console.error(red(`  Entry not found: ${id}`));
+    process.exit(1);
+  }
+
+  const diffRev = getFlag("--diff");
+  if (diffRev) {
+    let oldText;
+    try {
+      oldText = readRevision(config.vaultDir, id, parseInt(diffRev, 10));
+    } catch (e) {
+      console.error(red(`  ${e.message}`));
+      process.exit(1);
+    }
+    const current = existsSync(entry.file_path)
+      ? readFileSync(entry.file_path, "utf-8")
+      : "";
+    console.log();
+    console.log(`  ${bold(`rev ${diffRev} → current`)} ${dim(id)}`);
+    console.log();
+    for (const line of diffLines(oldText, current)) {
+      if (line[0] === "+") console.log(green(line));
+      else if (line[0] === "-") console.log(red(line));
+      else console.log(dim(line));
+    }
+    console.log();
     return;
   }
 
-  switch (command) {
-    case "setup":
-      await runSetup();
-      break;
-    case "connect":
-      await runConnect();
-      break;
-    case "switch":
-      await runSwitch();
-      break;
-    case "serve":
-      await runServe();
-      break;
-    case "import":
-      await runImport();
-      break;
-    case "export":
-      await runExport();
-      break;
-    case "ingest":
-      await runIngest();
-      break;
-    case "reindex":
-      await runReindex();
-      break;
-    case "status":
-      await runStatus();
-      break;
-    case "update":
-      await runUpdate();
-      break;
-    case "uninstall":
-      await runUninstall();
-      break;
-    case "migrate":
-      await runMigrate();
+  const revisions = listRevisions(config.vaultDir, id, entry.kind);
+  console.log();
+  console.log(
+    `  ${bold(entry.title || "(untitled)")} ${dim(`[${entry.kind}] ${id}`)}`,
+  );
+  console.log();
+  if (!revisions.length) {
+    console.log(dim("  No previous revisions."));
+    console.log();
+    return;
+  }
+  for (const r of [...revisions].reverse()) {
+    console.log(
+      `  ${cyan(`rev ${String(r.rev).padStart(3)}`)}  ${r.savedAt}  ${dim(`${r.size} bytes`)}  ${r.title || "(untitled)"}`,
+    );
+  }
+  console.log();
+  console.log(
+    dim(
+      `  Diff: context-vault history ${id} --diff N · Roll back: context-vault restore ${id} --rev N`,
+    ),
+  );
+  console.log();
+}
+
+async function runRestore() {
+  const id = args[1];
+  if (
+    id &&
+    !id.startsWith("--") &&
+    !flags.has("--rev") &&
+    (id.endsWith(".tar.gz") || existsSync(id))
+  ) {
+    return runRestoreArchive(id);
+  }
+  const rev = parseInt(getFlag("--rev"), 10);
+  if (!id || id.startsWith("--") || !Number.isInteger(rev)) {
+    console.log(`\n  ${bold("context-vault restore")} <id> --rev <N>\n`);
+    console.log(`  Roll an entry back to a previous revision.`);
+    console.log(
+      `  The current content is kept as a new revision, so this can be undone.\n`,
+    );
+    console.log(`  See revisions with ${cyan("context-vault history <id>")}`);
+    console.log();
+    console.log(`  ${bold("context-vault restore")} <archive> [options]\n`);
+    console.log(
+      `  Replace the vault and its index with a ${cyan("context-vault backup")} archive.`,
+    );
+    console.log(
+      `  The archive is verified first, and the current vault is archived as pre-restore.\n`,
+    );
+    console.log(`  Options:`);
+    console.log(
+      `    --verify             Check the archive without restoring it`,
+    );
+    console.log(`    --config             Also restore config.json`);
+    console.log(`    --yes                Skip the confirmation prompt`);
+    console.log();
+    return;
+  }
+
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, prepareStatements, insertVec, deleteVec } =
+    await import("@context-vault/core/index/db");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
+  const { indexEntry } = await import("@context-vault/core/index");
+  const { restoreRevision } =
+    await import("@context-vault/core/capture/history");
+
+  const config = resolveConfig();
+  if (!config.vaultDirExists) {
+    console.error(red(`  Vault directory not found: ${config.vaultDir}`));
+    process.exit(1);
+  }
+
+  configureEmbeddings(config.embedding);
+  const db = await initDatabase(config.dbPath);
+  const stmts = prepareStatements(db);
+  const ctx = {
+    db,
+    config,
+    stmts,
+    embed,
+    insertVec: (r, e) => insertVec(stmts, r, e),
+    deleteVec: (r) => deleteVec(stmts, r),
+  };
+
+  const existing = stmts.getEntryById.get(id);
+  if (!existing) {
+    db.close();
+    console.error(red(`  Entry not found: ${id}`));
+    process.exit(1);
+  }
+
+  let restored;
+  try {
+    restored = restoreRevision(ctx, existing, rev);
+  } catch (e) {
+    db.close();
+    console.error(red(`  ${e.message}`));
+    process.exit(1);
+  }
+  await indexEntry(ctx, restored.entry);
+  db.close();
+
+  console.log(`\n  ${green("✓")} Restored ${existing.kind} to rev ${rev}`);
+  console.log(`    id: ${id}`);
+  if (restored.snapshotRev)
+    console.log(
+      dim(`    previous content saved as rev ${restored.snapshotRev}`),
+    );
+  console.log();
+}
+
+async function runRestoreArchive(archive) {
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, getSchemaVersion } =
+    await import("@context-vault/core/index/db");
+  const { verifyBackup, restoreBackup } =
+    await import("@context-vault/core/backup");
+
+  const archivePath = resolve(archive);
+  console.log();
+
+  if (flags.has("--verify")) {
+    const result = verifyBackup(archivePath);
+    if (result.manifest?.files) {
+      console.log(`  Archive:   ${archivePath}`);
+      console.log(`  Created:   ${result.manifest.created_at}`);
+      console.log(`  Schema:    v${result.manifest.schema_version}`);
+      console.log(`  Files:     ${Object.keys(result.manifest.files).length}`);
+      console.log();
+    }
+    if (!result.ok) {
+      for (const p of result.problems) console.log(`  ${red("✘")} ${p}`);
+      console.log();
+      process.exit(1);
+    }
+    console.log(`  ${green("✓")} Archive verified · integrity ok`);
+    console.log();
+    return;
+  }
+
+  const config = resolveConfig();
+  const answer = isNonInteractive
+    ? flags.has("--yes")
+      ? "y"
+      : "n"
+    : await prompt(
+        `  Replace the vault at ${config.vaultDir} with this backup? (y/N):`,
+        "N",
+      );
+  if (answer.toLowerCase() !== "y") {
+    console.log(
+      dim(`  Nothing restored — pass --yes to restore non-interactively.`),
+    );
+    console.log();
+    return;
+  }
+
+  const db = await initDatabase(config.dbPath);
+  let result;
+  try {
+    result = await restoreBackup({ db, config }, archivePath, {
+      config: flags.has("--config"),
+    });
+  } catch (e) {
+    try {
+      db.close();
+    } catch {}
+    console.error(red(`  ${e.message}`));
+    process.exit(1);
+  }
+
+  // Reopening migrates an index written by an older schema
+  const restored = await initDatabase(config.dbPath);
+  const version = getSchemaVersion(restored);
+  restored.close();
+
+  console.log(
+    `  ${green("✓")} Restored ${result.files} file(s) from the backup of ${result.manifest.created_at}`,
+  );
+  if (version !== result.manifest.schema_version) {
+    console.log(
+      dim(
+        `    index migrated v${result.manifest.schema_version} → v${version}`,
+      ),
+    );
+  }
+  if (result.configRestored) console.log(dim(`    config.json restored`));
+  if (result.safetyBackup) {
+    console.log(dim(`    previous vault archived: ${result.safetyBackup}`));
+  }
+  console.log();
+}
+
+async function runTags() {
+  const sub = args[1] && !args[1].startsWith("--") ? args[1] : "list";
+  // Positional arguments after the subcommand, skipping flags and their values
+  const positional = [];
+  for (let i = 2; i < args.length; i++) {
+    if (args[i] === "--into" || args[i] === "--kind") i++;
+    else if (!args[i].startsWith("--")) positional.push(args[i]);
+  }
+  const into = getFlag("--into");
+  const usage =
+    !["list", "rename", "merge"].includes(sub) ||
+    (sub === "rename" && positional.length !== 2) ||
+    (sub === "merge" && (!into || !positional.length));
+  if (usage) {
+    console.log(`\n  ${bold("context-vault tags")} [list|rename|merge]\n`);
+    console.log(`  Inspect and tidy the tag vocabulary.\n`);
+    console.log(
+      `    ${cyan("tags")} [--kind <kind>]                List tags with entry counts`,
+    );
+    console.log(
+      `    ${cyan("tags rename")} <old> <new>            Rename a tag on every entry`,
+    );
+    console.log(
+      `    ${cyan("tags merge")} <tag...> --into <tag>   Fold tags into one`,
+    );
+    console.log();
+    console.log(`  Options:`);
+    console.log(
+      `    --dry-run            Show which entries would change without writing`,
+    );
+    console.log();
+    console.log(
+      dim(
+        `  Rewrites the tags: frontmatter of each entry (keeping a revision) and re-indexes it.`,
+      ),
+    );
+    console.log();
+    return;
+  }
+
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, prepareStatements, insertVec, deleteVec } =
+    await import("@context-vault/core/index/db");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
+  const { reindex } = await import("@context-vault/core/index");
+  const { normalizeKind } = await import("@context-vault/core/core/files");
+  const { listTags, renameTag, mergeTags } =
+    await import("@context-vault/core/capture/tags");
+
+  const config = resolveConfig();
+  if (!config.vaultDirExists) {
+    console.error(red(`  Vault directory not found: ${config.vaultDir}`));
+    process.exit(1);
+  }
+
+  configureEmbeddings(config.embedding);
+  const db = await initDatabase(config.dbPath);
+  const stmts = prepareStatements(db);
+  const ctx = {
+    db,
+    config,
+    stmts,
+    embed,
+    insertVec: (r, e) => insertVec(stmts, r, e),
+    deleteVec: (r) => deleteVec(stmts, r),
+  };
+
+  // Files are the source of truth — pick up hand edits before counting or rewriting
+  await reindex(ctx);
+
+  if (sub === "list") {
+    const kind = getFlag("--kind");
+    const tags = listTags(ctx, { kind: kind ? normalizeKind(kind) : null });
+    db.close();
+    if (!tags.length) {
+      console.log(dim("\n  No tags in use.\n"));
+      return;
+    }
+    const width = Math.max(...tags.map((t) => String(t.count).length));
+    console.log();
+    for (const t of tags)
+      console.log(`  ${dim(String(t.count).padStart(width))}  ${t.tag}`);
+    console.log(dim(`\n  ${tags.length} tags`));
+    console.log();
+    return;
+  }
+
+  const dryRun = flags.has("--dry-run");
+  let result;
+  try {
+    result =
+      sub === "rename"
+        ? await renameTag(ctx, positional[0], positional[1], { dryRun })
+        : await mergeTags(ctx, positional, into, { dryRun });
+  } catch (e) {
+    db.close();
+    console.error(red(`  ${e.message}`));
+    process.exit(1);
+  }
+  db.close();
+
+  const target = sub === "rename" ? positional[1] : into;
+  const sources = sub === "rename" ? [positional[0]] : positional;
+  const n = result.updated.length;
+  const noun = n === 1 ? "entry" : "entries";
+  console.log();
+  if (dryRun) {
+    console.log(
+      `  ${yellow("Dry run:")} ${n} ${noun} would be retagged ${sources.join(", ")} → ${target}`,
+    );
+    for (const id of result.updated) console.log(dim(`    ${id}`));
+  } else {
+    console.log(
+      `  ${green("✓")} Retagged ${n} ${noun}: ${sources.join(", ")} → ${target}`,
+    );
+  }
+  console.log();
+}
+
+async function runDedupe() {
+  if (args[1] && !args[1].startsWith("--")) {
+    console.log(`\n  ${bold("context-vault dedupe")} [--merge]\n`);
+    console.log(
+      `  Find knowledge entries that say the same thing — identical bodies or`,
+    );
+    console.log(`  embeddings above the similarity threshold.\n`);
+    console.log(`  Options:`);
+    console.log(
+      `    --threshold <n>      Cosine similarity 0–1 (default: config dedupe.threshold or 0.9)`,
+    );
+    console.log(`    --kind <kind>        Only check one kind`);
+    console.log(
+      `    --merge              Keep the oldest entry of each cluster, add the others' tags`,
+    );
+    console.log(
+      `                         to it and remove them (kept as revisions under _history/)`,
+    );
+    console.log();
+    return;
+  }
+
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, prepareStatements, insertVec, deleteVec } =
+    await import("@context-vault/core/index/db");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
+  const { reindex } = await import("@context-vault/core/index");
+  const { normalizeKind } = await import("@context-vault/core/core/files");
+  const { findDuplicateClusters, mergeDuplicates, resolveDedupe } =
+    await import("@context-vault/core/capture/dedupe");
+
+  const config = resolveConfig();
+  if (!config.vaultDirExists) {
+    console.error(red(`  Vault directory not found: ${config.vaultDir}`));
+    process.exit(1);
+  }
+  const rawThreshold = getFlag("--threshold");
+  const threshold = rawThreshold
+    ? Number(rawThreshold)
+    : resolveDedupe(config).threshold;
+  if (!(threshold > 0 && threshold <= 1)) {
+    console.error(red(`  --threshold must be between 0 and 1`));
+    process.exit(1);
+  }
+
+  configureEmbeddings(config.embedding);
+  const db = await initDatabase(config.dbPath);
+  const stmts = prepareStatements(db);
+  const ctx = {
+    db,
+    config,
+    stmts,
+    embed,
+    insertVec: (r, e) => insertVec(stmts, r, e),
+    deleteVec: (r) => deleteVec(stmts, r),
+  };
+
+  await reindex(ctx);
+
+  const kind = getFlag("--kind");
+  const clusters = findDuplicateClusters(ctx, {
+    threshold,
+    kind: kind ? normalizeKind(kind) : null,
+  });
+  if (!clusters.length) {
+    db.close();
+    console.log(dim(`\n  No duplicates found (threshold ${threshold}).\n`));
+    return;
+  }
+
+  const label = (e) => `${e.title || "(untitled)"} ${dim(`· ${e.id}`)}`;
+  console.log();
+  for (const { keep, duplicates } of clusters) {
+    console.log(`  ${bold(keep.kind)}  ${label(keep)}`);
+    for (const d of duplicates) {
+      console.log(
+        `    ${dim("≈")} ${label(d)} ${dim(`(${d.similarity.toFixed(3)})`)}`,
+      );
+    }
+  }
+  const dupeCount = clusters.reduce((n, c) => n + c.duplicates.length, 0);
+  console.log(
+    dim(
+      `\n  ${clusters.length} ${clusters.length === 1 ? "cluster" : "clusters"}, ${dupeCount} duplicate ${dupeCount === 1 ? "entry" : "entries"}`,
+    ),
+  );
+
+  if (!flags.has("--merge")) {
+    db.close();
+    console.log(
+      dim(`  Run with --merge to fold each cluster into its oldest entry.`),
+    );
+    console.log();
+    return;
+  }
+
+  const relinked = new Set();
+  for (const cluster of clusters) {
+    const result = await mergeDuplicates(ctx, cluster);
+    for (const id of result.relinked) relinked.add(id);
+  }
+  db.close();
+
+  console.log(
+    `\n  ${green("✓")} Merged ${clusters.length} ${clusters.length === 1 ? "cluster" : "clusters"}, removed ${dupeCount} duplicate ${dupeCount === 1 ? "entry" : "entries"}`,
+  );
+  if (relinked.size)
+    console.log(
+      dim(
+        `    links in ${relinked.size} other ${relinked.size === 1 ? "entry" : "entries"} now point at the kept ${clusters.length === 1 ? "entry" : "entries"}`,
+      ),
+    );
+  console.log(
+    dim(`    removed content is kept under _history/<id>/ in the vault`),
+  );
+  console.log();
+}
+
+async function runSync() {
+  if (args[1] && !args[1].startsWith("--")) {
+    console.log(`\n  ${bold("context-vault sync")} [--dry-run]\n`);
+    console.log(
+      `  Two-way sync with the hosted vault: new entries, edits and deletions`,
+    );
+    console.log(
+      `  are copied to the side that doesn't have them yet. Entries changed on`,
+    );
+    console.log(`  both sides are reported as conflicts and left alone.\n`);
+    console.log(`  Options:`);
+    console.log(`    --dry-run        Show what would change without syncing`);
+    console.log(
+      `    --prefer <side>  Settle conflicts with the local or remote version`,
+    );
+    console.log(
+      `    --url <url>      Hosted server URL (default: config hostedUrl)`,
+    );
+    console.log(`    --key <key>      API key (default: config apiKey)`);
+    console.log(`\n  Git mode (no hosted account):`);
+    console.log(
+      `    --git            Commit vault changes, merge the remote branch, push`,
+    );
+    console.log(
+      `    --remote <url>   Git remote URL or path (default: config git.remote)`,
+    );
+    console.log(
+      `    --branch <name>  Branch to sync (default: config git.branch or main)`,
+    );
+    console.log();
+    return;
+  }
+
+  if (flags.has("--git")) return runGitSync();
+
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, prepareStatements, insertVec, deleteVec } =
+    await import("@context-vault/core/index/db");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
+  const { reindex } = await import("@context-vault/core/index");
+  const {
+    buildLocalManifest,
+    fetchRemoteManifest,
+    loadSyncBase,
+    computeSyncPlan,
+    resolveConflicts,
+    executeSync,
+  } = await import("@context-vault/core/sync");
+
+  const config = resolveConfig();
+  if (!config.vaultDirExists) {
+    console.error(red(`  Vault directory not found: ${config.vaultDir}`));
+    process.exit(1);
+  }
+  const hostedUrl =
+    getFlag("--url") || config.hostedUrl || "https://api.context-vault.com";
+  const apiKey = getFlag("--key") || config.apiKey;
+  if (!apiKey) {
+    console.error(red("  Error: --key <api_key> is required for sync."));
+    console.error(`  Get your API key at ${cyan(hostedUrl + "/dashboard")}`);
+    process.exit(1);
+  }
+  const dryRun = flags.has("--dry-run");
+  const prefer = getFlag("--prefer");
+  if (prefer && prefer !== "local" && prefer !== "remote") {
+    console.error(red(`  --prefer must be "local" or "remote"`));
+    process.exit(1);
+  }
+
+  configureEmbeddings(config.embedding);
+  const db = await initDatabase(config.dbPath);
+  const stmts = prepareStatements(db);
+  const ctx = {
+    db,
+    config,
+    stmts,
+    embed,
+    insertVec: (r, e) => insertVec(stmts, r, e),
+    deleteVec: (r) => deleteVec(stmts, r),
+  };
+
+  await reindex(ctx);
+
+  let remote;
+  try {
+    remote = await fetchRemoteManifest(hostedUrl, apiKey);
+  } catch (e) {
+    db.close();
+    console.error(red(`  ${e.message}`));
+    process.exit(1);
+  }
+  const local = buildLocalManifest(ctx);
+  let plan = computeSyncPlan(local, remote, loadSyncBase(ctx));
+  const conflicts = plan.conflicts;
+  if (prefer) plan = resolveConflicts(plan, prefer);
+
+  const label = (id) => {
+    const e = [local.get(id), remote.get(id)].find((m) => m && !m.deleted);
+    return `${e?.title || "(untitled)"} ${dim(`· ${id}`)}`;
+  };
+  const sections = [
+    ["toPush", "+", "to push"],
+    ["toPull", "+", "to pull"],
+    ["toUpdateRemote", "~", "edited locally"],
+    ["toUpdateLocal", "~", "edited remotely"],
+    ["toDeleteRemote", "-", "deleted locally"],
+    ["toDeleteLocal", "-", "deleted remotely"],
+  ];
+  const reasons = {
+    both_edited: "edited on both sides",
+    edited_locally_deleted_remotely: "edited locally, deleted remotely",
+    deleted_locally_edited_remotely: "deleted locally, edited remotely",
+  };
+
+  console.log(
+    `\n  ${bold("context-vault sync")}${dryRun ? dim(" (dry run)") : ""}`,
+  );
+  console.log(dim(`  Remote: ${hostedUrl}\n`));
+  for (const [key, sign, title] of sections) {
+    if (!plan[key].length) continue;
+    console.log(`  ${bold(String(plan[key].length))} ${title}`);
+    for (const id of plan[key].slice(0, 20)) {
+      console.log(`    ${dim(sign)} ${label(id)}`);
+    }
+    if (plan[key].length > 20) {
+      console.log(dim(`    ... and ${plan[key].length - 20} more`));
+    }
+  }
+  if (conflicts.length) {
+    console.log(
+      `  ${yellow(String(conflicts.length))} ${conflicts.length === 1 ? "conflict" : "conflicts"}${prefer ? dim(` — keeping the ${prefer} version`) : ""}`,
+    );
+    for (const c of conflicts) {
+      const when = [
+        c.local?.updated_at && `local ${c.local.updated_at}`,
+        c.remote?.updated_at && `remote ${c.remote.updated_at}`,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      console.log(
+        `    ${yellow("!")} ${label(c.id)} ${dim(`— ${reasons[c.reason]}${when ? ` (${when})` : ""}`)}`,
+      );
+    }
+  }
+  const pending = sections.reduce((n, [key]) => n + plan[key].length, 0);
+  console.log(dim(`  ${plan.upToDate.length} up to date`));
+
+  if (dryRun) {
+    db.close();
+    console.log(dim("\n  Dry run — nothing was changed."));
+    console.log();
+    return;
+  }
+
+  // Runs even with nothing pending: entries already in step get their sync
+  // base recorded, and ids gone on both sides are forgotten
+  const result = await executeSync(ctx, {
+    hostedUrl,
+    apiKey,
+    plan,
+    remote,
+  });
+  db.close();
+
+  if (pending) {
+    console.log(
+      `\n  ${green("✓")} ${result.pushed} pushed, ${result.pulled} pulled, ${result.deletedRemote + result.deletedLocal} deleted`,
+    );
+  }
+  if (result.conflicts) {
+    console.log(
+      `  ${yellow("!")} ${result.conflicts} ${result.conflicts === 1 ? "conflict" : "conflicts"} left alone — rerun with --prefer local|remote to settle`,
+    );
+  }
+  if (result.failed) {
+    console.log(`  ${red("-")} ${result.failed} failed`);
+    for (const e of result.errors.slice(0, 5)) console.log(`    ${dim(e)}`);
+  }
+  console.log();
+}
+
+async function runGitSync() {
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase, prepareStatements, insertVec, deleteVec } =
+    await import("@context-vault/core/index/db");
+  const { embed, configureEmbeddings } =
+    await import("@context-vault/core/index/embed");
+  const { gitSync, resolveGitSync, CONFLICT_TAG } =
+    await import("@context-vault/core/sync/git");
+
+  const config = resolveConfig();
+  if (!config.vaultDirExists) {
+    console.error(red(`  Vault directory not found: ${config.vaultDir}`));
+    process.exit(1);
+  }
+  const settings = resolveGitSync(config);
+  const remote = getFlag("--remote") || settings.remote;
+  const branch = getFlag("--branch") || settings.branch;
+  const dryRun = flags.has("--dry-run");
+
+  configureEmbeddings(config.embedding);
+  const db = await initDatabase(config.dbPath);
+  const stmts = prepareStatements(db);
+  const ctx = {
+    db,
+    config,
+    stmts,
+    embed,
+    insertVec: (r, e) => insertVec(stmts, r, e),
+    deleteVec: (r) => deleteVec(stmts, r),
+  };
+
+  let result;
+  try {
+    result = await gitSync(ctx, { remote, branch, dryRun });
+  } catch (e) {
+    db.close();
+    console.error(red(`  ${e.message}`));
+    process.exit(1);
+  }
+  db.close();
+
+  console.log(
+    `\n  ${bold("context-vault sync --git")}${dryRun ? dim(" (dry run)") : ""}`,
+  );
+  console.log(dim(`  Vault: ${config.vaultDir}  Branch: ${branch}\n`));
+
+  if (dryRun) {
+    if (result.newRepo) {
+      console.log(
+        `  The vault is not a git repository yet — a sync will create one.`,
+      );
+    }
+    const sections = [
+      ["to commit", result.pending],
+      ["incoming", result.incoming],
+    ];
+    for (const [title, lines] of sections) {
+      if (!lines.length) continue;
+      console.log(`  ${bold(String(lines.length))} ${title}`);
+      for (const line of lines) console.log(`    ${dim("·")} ${line}`);
+    }
+    if (!result.newRepo && !result.pending.length && !result.incoming.length) {
+      console.log(dim(`  Nothing to commit or pull.`));
+    }
+    console.log(dim("\n  Dry run — nothing was changed."));
+    console.log();
+    return;
+  }
+
+  if (result.newRepo) {
+    console.log(`  ${green("+")} Initialised a git repository in the vault`);
+  }
+  if (result.committed) {
+    const n = result.committed.changes.length;
+    console.log(
+      `  ${green("+")} Committed ${n} ${n === 1 ? "change" : "changes"}`,
+    );
+    for (const line of result.committed.changes.slice(0, 20)) {
+      console.log(`    ${dim("·")} ${line}`);
+    }
+  }
+  if (result.pulled.length) {
+    console.log(
+      `  ${green("+")} Pulled ${result.pulled.length} ${result.pulled.length === 1 ? "file" : "files"}` +
+        (result.reindexed
+          ? dim(
+              ` (${result.reindexed.added} added, ${result.reindexed.updated} updated, ${result.reindexed.removed} removed)`,
+            )
+          : ""),
+    );
+  }
+  const copies = result.conflicts.filter((c) => c.copy);
+  if (copies.length) {
+    console.log(
+      `  ${yellow("!")} ${copies.length} ${copies.length === 1 ? "entry was" : "entries were"} edited on both machines — the remote version is saved next to yours for review:`,
+    );
+    for (const c of copies) console.log(`    ${dim(c.copy)}`);
+    console.log(
+      dim(
+        `    They are tagged ${CONFLICT_TAG} — keep one version, delete the other`,
+      ),
+    );
+  }
+  if (result.pushed) console.log(`  ${green("✓")} Pushed to ${branch}`);
+  console.log();
+}
+
+async function runDb() {
+  const sub = args[1];
+  const status = flags.has("--status");
+  const verify = flags.has("--verify");
+  const dryRun = flags.has("--dry-run");
+  const rebuild = flags.has("--rebuild");
+  if (
+    sub !== "migrate" ||
+    [status, verify, dryRun, rebuild].filter(Boolean).length > 1
+  ) {
+    console.log(`\n  ${bold("context-vault db migrate")} [options]\n`);
+    console.log(
+      `  Bring the index database up to this version's schema. Pending steps run`,
+    );
+    console.log(`  in order after an online backup of the database.\n`);
+    console.log(`  Options:`);
+    console.log(`    --status             List applied and pending migrations`);
+    console.log(
+      `    --dry-run            Run pending steps in a transaction, then roll back`,
+    );
+    console.log(
+      `    --verify             Compare the schema with a fresh one and check integrity`,
+    );
+    console.log(`    --no-backup          Skip the pre-migration backup`);
+    console.log(
+      `    --rebuild            Set a pre-v5 database aside and start a fresh index`,
+    );
+    console.log();
+    return;
+  }
+
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const {
+    initDatabase,
+    migrateDatabase,
+    rebuildDatabase,
+    pendingMigrations,
+    migrationLog,
+    verifySchema,
+    getSchemaVersion,
+    SCHEMA_VERSION,
+  } = await import("@context-vault/core/index/db");
+
+  const config = resolveConfig();
+  if (!existsSync(config.dbPath)) {
+    console.log();
+    console.log(
+      dim(
+        `  No database at ${config.dbPath} yet — it is created on first use.`,
+      ),
+    );
+    console.log();
+    return;
+  }
+
+  const db = await initDatabase(config.dbPath, { migrate: false });
+  const version = getSchemaVersion(db);
+  console.log();
+  // Pre-v5 layouts were never recorded, so they cannot be migrated in
+  // place — only set aside with --rebuild
+  const legacy = version > 0 && version < 5;
+  if (rebuild !== legacy) {
+    console.error(
+      red(
+        legacy
+          ? `  Schema v${version} predates migrations and cannot be upgraded in place — run ${cyan("context-vault db migrate --rebuild")} to keep it as a backup and start a fresh index.`
+          : `  Schema v${version} can be migrated — run ${cyan("context-vault db migrate")} instead.`,
+      ),
+    );
+    db.close();
+    process.exit(1);
+  }
+
+  if (rebuild) {
+    db.close();
+    const result = await rebuildDatabase(config.dbPath);
+    result.db.close();
+    console.log(
+      `  ${green("✓")} Started a fresh v${SCHEMA_VERSION} index — the v${result.from} database was kept`,
+    );
+    console.log(dim(`  Backup: ${result.backupPath}`));
+    console.log(
+      `  Run ${cyan("context-vault reindex")} to restore the entries from the vault files.`,
+    );
+    console.log();
+    return;
+  }
+
+  try {
+    if (status) {
+      const pending = pendingMigrations(db);
+      const log = migrationLog(db);
+      console.log(
+        `  Schema:    v${version} ${dim(`(this version expects v${SCHEMA_VERSION})`)}`,
+      );
+      console.log(`  Database:  ${config.dbPath}`);
+      console.log();
+      console.log(bold(`  Pending (${pending.length})`));
+      if (!pending.length) console.log(dim(`    none — up to date`));
+      for (const m of pending) {
+        console.log(`    v${String(m.version).padEnd(4)} ${m.description}`);
+      }
+      console.log();
+      console.log(bold(`  Applied`));
+      if (!log.length) {
+        console.log(dim(`    none recorded (migrated before the log existed)`));
+      }
+      for (const m of log) {
+        console.log(
+          `    v${String(m.version).padEnd(4)} ${m.description} ${dim(m.applied_at)}`,
+        );
+        if (m.backup_path)
+          console.log(dim(`          backup: ${m.backup_path}`));
+      }
+      console.log();
+      return;
+    }
+
+    if (verify) {
+      const result = await verifySchema(db);
+      if (result.ok) {
+        console.log(
+          `  ${green("✓")} Schema matches v${SCHEMA_VERSION} · integrity ${result.integrity}`,
+        );
+        const lastBackup = migrationLog(db).findLast((m) => m.backup_path);
+        if (lastBackup) {
+          console.log(
+            dim(
+              `  Last migration backup: ${lastBackup.backup_path} (before v${lastBackup.version})`,
+            ),
+          );
+        }
+      } else {
+        if (result.version !== SCHEMA_VERSION) {
+          console.log(
+            `  ${red("✘")} Schema is v${result.version}, expected v${SCHEMA_VERSION} — run ${cyan("context-vault db migrate")}`,
+          );
+        }
+        for (const m of result.missing)
+          console.log(`  ${red("✘")} Missing ${m}`);
+        if (result.integrity !== "ok") {
+          console.log(`  ${red("✘")} Integrity check: ${result.integrity}`);
+        }
+        console.log();
+        db.close();
+        process.exit(1);
+      }
+      console.log();
+      return;
+    }
+
+    const result = await migrateDatabase(db, {
+      dbPath: config.dbPath,
+      dryRun,
+      backup: !flags.has("--no-backup"),
+    });
+    if (!result.applied.length) {
+      console.log(`  Already at v${version} — nothing to migrate.`);
+    } else {
+      for (const m of result.applied) {
+        console.log(`    v${String(m.version).padEnd(4)} ${m.description}`);
+      }
+      console.log();
+      if (dryRun) {
+        console.log(
+          `  ${green("✓")} ${result.applied.length} step(s) ran cleanly — dry run, nothing was changed.`,
+        );
+      } else {
+        console.log(`  ${green("✓")} Migrated v${result.from} → v${result.to}`);
+        if (result.backupPath) {
+          console.log(dim(`  Backup: ${result.backupPath}`));
+        }
+      }
+    }
+    console.log();
+  } finally {
+    db.close();
+  }
+}
+
+function formatSize(bytes) {
+  return bytes > 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function runBackup() {
+  const out = getFlag("--out");
+  const keepFlag = getFlag("--keep");
+  const keep = keepFlag === null ? null : Number(keepFlag);
+  if (
+    (args[1] && !args[1].startsWith("--")) ||
+    (args.includes("--out") && !out) ||
+    (args.includes("--keep") && !(Number.isInteger(keep) && keep > 0))
+  ) {
+    console.log(`\n  ${bold("context-vault backup")} [options]\n`);
+    console.log(
+      `  Write one archive with the knowledge files, an online backup of the`,
+    );
+    console.log(
+      `  index database and config.json. Safe while the server runs.\n`,
+    );
+    console.log(`  Options:`);
+    console.log(
+      `    --out <file|dir>     Archive path (.tar.gz) or directory (default: backup.dir or <dataDir>/backups)`,
+    );
+    console.log(
+      `    --daily              One archive per day — skip if today's already exists`,
+    );
+    console.log(
+      `    --keep N             Keep only the newest N archives (default: backup.keep)`,
+    );
+    console.log();
+    console.log(
+      `  Restore with ${cyan("context-vault restore <archive>")}. For scheduled backups, run`,
+    );
+    console.log(
+      `  ${cyan("context-vault backup --daily --keep 7")} from cron or a launchd agent.`,
+    );
+    console.log();
+    return;
+  }
+
+  const { resolveConfig } = await import("@context-vault/core/core/config");
+  const { initDatabase } = await import("@context-vault/core/index/db");
+  const { createBackup, resolveBackup } =
+    await import("@context-vault/core/backup");
+
+  const config = resolveConfig();
+  if (!config.vaultDirExists) {
+    console.error(red(`  Vault directory not found: ${config.vaultDir}`));
+    process.exit(1);
+  }
+
+  const defaults = resolveBackup(config);
+  let dir = defaults.dir;
+  let file;
+  if (out?.endsWith(".tar.gz")) {
+    file = resolve(out);
+    dir = dirname(file);
+  } else if (out) {
+    dir = resolve(out);
+  }
+
+  const db = await initDatabase(config.dbPath);
+  let result;
+  try {
+    result = await createBackup(
+      { db, config },
+      { dir, file, daily: flags.has("--daily"), keep: keep ?? defaults.keep },
+    );
+  } catch (e) {
+    console.error(red(`  Backup failed: ${e.message}`));
+    process.exit(1);
+  } finally {
+    db.close();
+  }
+
+  console.log();
+  if (result.skipped) {
+    console.log(`  Today's backup already exists: ${result.path}`);
+  } else {
+    console.log(`  ${green("✓")} Backup written: ${result.path}`);
+    console.log(dim(`    ${result.files} files · ${formatSize(result.bytes)}`));
+  }
+  for (const p of result.rotated) console.log(dim(`    rotated out ${p}`));
+  console.log();
+}
+
+async function runServe() {
+  await import("../src/server/index.js");
+}
+
+async function main() {
+  if (flags.has("--version") || command === "version") {
+    console.log(VERSION);
+    return;
+  }
+
+  if (flags.has("--help") || command === "help" || !command) {
+    showHelp();
+    return;
+  }
+
+  switch (command) {
+    case "setup":
+      await runSetup();
+      break;
+    case "connect":
+      await runConnect();
+      break;
+    case "switch":
+      await runSwitch();
+      break;
+    case "serve":
+      await runServe();
+      break;
+    case "import":
+      await runImport();
+      break;
+    case "export":
+      await runExport();
+      break;
+    case "ingest":
+      await runIngest();
+      break;
+    case "reindex":
+      await runReindex();
+      break;
+    case "search":
+      await runSearch();
+      break;
+    case "ui":
+      await runUi();
+      break;
+    case "history":
+      await runHistory();
+      break;
+    case "restore":
+      await runRestore();
+      break;
+    case "backup":
+      await runBackup();
+      break;
+    case "tags":
+      await runTags();
+      break;
+    case "dedupe":
+      await runDedupe();
+      break;
+    case "status":
+      await runStatus();
+      break;
+    case "update":
+      await runUpdate();
+      break;
+    case "uninstall":
+      await runUninstall();
+      break;
+    case "sync":
+      await runSync();
+      break;
+    case "migrate":
+      await runMigrate();
+      break;
+    case "db":
+      await runDb();
       break;
     default:
       console.error(red(`Unknown command: ${command}`));
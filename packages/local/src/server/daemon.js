@@ -0,0 +1,181 @@
+/**
+ * daemon.js — MCP over Streamable HTTP (`context-vault serve --daemon`)
+ *
+ * One long-running process serves every AI client: each MCP session gets its
+ * own McpServer + transport, but all of them share the ctx (one DB connection,
+ * one loaded embedding model) and one tool runner (one startup reindex), so a
+ * save in one session notifies every session that the resource list changed.
+ * Sessions a client abandoned without closing are closed after a period with
+ * no requests. Binds to 127.0.0.1 with DNS-rebinding protection on the Host
+ * header, and every request needs the bearer token (the same one as the JSON
+ * API).
+ */
+
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+import {
+  createToolRunner,
+  registerTools,
+} from "@context-vault/core/server/tools";
+import { registerResources } from "@context-vault/core/server/resources";
+import { registerPrompts } from "@context-vault/core/server/prompts";
+import {
+  HttpError,
+  isAuthorized,
+  readJsonBody,
+  sendJson,
+} from "./http-helpers.js";
+
+export const DEFAULT_DAEMON_PORT = 3143;
+
+export const MCP_PATH = "/mcp";
+
+export const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+function rpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+/**
+ * Create (but do not start) the MCP daemon HTTP server.
+ *
+ * @param {import('@context-vault/core/server/types').BaseCtx} ctx
+ * @param {{ version: string, token: string, idleTimeoutMs?: number }} opts
+ *   `token` — required as `Authorization: Bearer <token>` on /mcp;
+ *   `idleTimeoutMs` — close a session after this long without a request
+ *   (an open event stream counts as a request until it ends)
+ * @returns {{ server: import('node:http').Server, runner: ReturnType<typeof createToolRunner>, sessions: Map<string, StreamableHTTPServerTransport>, closeSessions: () => Promise<void> }}
+ */
+export function createMcpDaemon(
+  ctx,
+  { version, token, idleTimeoutMs = DEFAULT_SESSION_IDLE_MS },
+) {
+  if (!token) throw new Error("createMcpDaemon requires a token");
+
+  const runner = createToolRunner(ctx);
+  const sessions = new Map();
+  // Per session: requests in flight, the idle timer, and how to close it
+  const activity = new Map();
+
+  function scheduleIdleClose(id) {
+    const a = activity.get(id);
+    if (!a || a.inFlight > 0) return;
+    clearTimeout(a.timer);
+    a.timer = setTimeout(() => {
+      console.error(
+        `[context-vault] Closing a session idle for ${Math.round(idleTimeoutMs / 1000)}s`,
+      );
+      a.close().catch(() => {});
+    }, idleTimeoutMs);
+    a.timer.unref();
+  }
+
+  function track(id, res) {
+    const a = activity.get(id);
+    if (!a) return;
+    a.inFlight++;
+    clearTimeout(a.timer);
+    res.on("close", () => {
+      a.inFlight--;
+      scheduleIdleClose(id);
+    });
+  }
+
+  // Only an initialize request gets a server and transport — anything else
+  // would never be assigned a session, and so never be closed
+  async function openSession(req, res) {
+    const body = await readJsonBody(req);
+    if (!isInitializeRequest(body)) {
+      return rpcError(
+        res,
+        400,
+        "Missing mcp-session-id header — only initialize starts a session",
+      );
+    }
+    const { port } = server.address();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      enableDnsRebindingProtection: true,
+      allowedHosts: [`127.0.0.1:${port}`, `localhost:${port}`],
+      onsessioninitialized: (id) => {
+        sessions.set(id, transport);
+        activity.set(id, {
+          inFlight: 0,
+          timer: null,
+          close: () => mcp.close(),
+        });
+        track(id, res);
+        console.error(
+          `[context-vault] Session opened (${sessions.size} active)`,
+        );
+      },
+    });
+    let unsubscribe = null;
+    transport.onclose = () => {
+      unsubscribe?.();
+      clearTimeout(activity.get(transport.sessionId)?.timer);
+      activity.delete(transport.sessionId);
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.error(
+          `[context-vault] Session closed (${sessions.size} active)`,
+        );
+      }
+    };
+
+    const mcp = new McpServer(
+      { name: "context-vault", version },
+      { capabilities: { tools: {} } },
+    );
+    registerTools(mcp, ctx, runner);
+    unsubscribe = registerResources(mcp, ctx, runner);
+    registerPrompts(mcp);
+    await mcp.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method === "GET" && url.pathname === "/health") {
+        return sendJson(res, 200, { ok: true, sessions: sessions.size });
+      }
+      if (url.pathname !== MCP_PATH) {
+        return sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+      }
+      if (!isAuthorized(req, token)) {
+        return rpcError(res, 401, "Missing or invalid bearer token");
+      }
+
+      const sessionId = req.headers["mcp-session-id"];
+      if (sessionId) {
+        const transport = sessions.get(sessionId);
+        if (!transport) return rpcError(res, 404, "Session not found");
+        track(sessionId, res);
+        return await transport.handleRequest(req, res);
+      }
+      if (req.method !== "POST") {
+        return rpcError(res, 400, "Missing mcp-session-id header");
+      }
+      await openSession(req, res);
+    } catch (e) {
+      if (e instanceof HttpError) return rpcError(res, e.status, e.message);
+      console.error(`[context-vault] MCP request failed: ${e.message}`);
+      if (!res.headersSent) rpcError(res, 500, "Internal server error");
+    }
+  });
+
+  async function closeSessions() {
+    await Promise.allSettled([...activity.values()].map((a) => a.close()));
+    sessions.clear();
+  }
+
+  return { server, runner, sessions, closeSessions };
+}
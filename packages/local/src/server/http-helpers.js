@@ -0,0 +1,58 @@
+/**
+ * http-helpers.js — Small node:http utilities shared by the dashboard and the JSON API
+ */
+
+import { timingSafeEqual } from "node:crypto";
+
+/** Request bodies above this are rejected (entries are markdown, not uploads) */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function sendJson(res, status, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
+
+export function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const parts = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      parts.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(parts.length ? JSON.parse(Buffer.concat(parts)) : {});
+      } catch {
+        reject(new HttpError(400, "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/** True when the request carries `Authorization: Bearer <token>`. */
+export function isAuthorized(req, token) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
@@ -0,0 +1,211 @@
+/**
+ * http.js — JSON HTTP API over the vault (`context-vault serve --http`)
+ *
+ * Every route calls the same tool modules as the MCP server through
+ * createToolRunner(), so validation, auto-reindex and behaviour match the
+ * MCP tools exactly. Binds to 127.0.0.1 and requires a bearer token.
+ *
+ *   GET    /api/tools               list tools
+ *   POST   /api/tools/:name         call any tool with a JSON body of arguments
+ *   GET    /api/search?query=…      get_context
+ *   GET    /api/entries?kind=…      list_context
+ *   POST   /api/entries             save_context
+ *   GET    /api/entries/:id         read_context
+ *   PUT    /api/entries/:id         save_context (update)
+ *   DELETE /api/entries/:id         delete_context
+ *   GET    /api/status              context_status
+ *   POST   /api/ingest              ingest_url
+ */
+
+import { createServer } from "node:http";
+import { randomBytes } from "node:crypto";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+import {
+  createToolRunner,
+  parseToolArgs,
+  toolModules,
+} from "@context-vault/core/server/tools";
+import {
+  HttpError,
+  sendJson,
+  readJsonBody,
+  isAuthorized,
+} from "./http-helpers.js";
+
+export const DEFAULT_HTTP_PORT = 3142;
+
+const TOKEN_FILE = "http-token";
+
+/** Tool error codes that map to something more specific than 400 */
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  TIMEOUT: 504,
+  INGEST_FAILED: 502,
+  VAULT_NOT_FOUND: 503,
+  UNKNOWN: 500,
+};
+
+/**
+ * Token from CONTEXT_VAULT_HTTP_TOKEN, else <dataDir>/http-token (created on
+ * first use, readable only by the owner).
+ *
+ * @param {string} dataDir
+ * @returns {string}
+ */
+export function loadOrCreateToken(dataDir) {
+  if (process.env.CONTEXT_VAULT_HTTP_TOKEN) {
+    return process.env.CONTEXT_VAULT_HTTP_TOKEN;
+  }
+  const path = join(dataDir, TOKEN_FILE);
+  if (existsSync(path)) {
+    const token = readFileSync(path, "utf-8").trim();
+    if (token) return token;
+  }
+  const token = randomBytes(24).toString("hex");
+  writeFileSync(path, token + "\n", { mode: 0o600 });
+  return token;
+}
+
+/**
+ * Turn query-string values into tool arguments. Each value is tried as-is,
+ * then as a number, boolean and comma-separated list, keeping the first form
+ * the tool's own schema accepts.
+ */
+function queryToArgs(params, inputSchema) {
+  const args = {};
+  for (const key of new Set(params.keys())) {
+    const field = inputSchema[key];
+    if (!field) {
+      args[key] = params.get(key);
+      continue;
+    }
+    const values = params.getAll(key);
+    const raw = values.join(",");
+    const candidates = [
+      raw,
+      Number(raw),
+      raw === "true" ? true : raw === "false" ? false : undefined,
+      values.length > 1 ? values : raw.split(",").map((v) => v.trim()),
+    ];
+    args[key] =
+      candidates.find(
+        (c) => c !== undefined && field.safeParse(c).success === true,
+      ) ?? raw;
+  }
+  return args;
+}
+
+function toolResponse(result) {
+  const text = (result.content || [])
+    .filter((c) => c.type === "text")
+    .map((c) => c.text)
+    .join("\n");
+  const body = { ok: !result.isError, text };
+  if (result.structuredContent) body.data = result.structuredContent;
+  if (result.isError) body.code = result.code || "UNKNOWN";
+  const status = result.isError ? ERROR_STATUS[body.code] || 400 : 200;
+  return { status, body };
+}
+
+/**
+ * Create (but do not start) the JSON API server.
+ *
+ * @param {import('@context-vault/core/server/types').BaseCtx} ctx
+ * @param {{ token: string }} opts
+ * @returns {import('node:http').Server}
+ */
+export function createHttpApi(ctx, { token }) {
+  if (!token) throw new Error("createHttpApi requires a token");
+
+  const { run } = createToolRunner(ctx);
+  const tools = new Map(toolModules.map((mod) => [mod.name, mod]));
+
+  async function call(name, args) {
+    const mod = tools.get(name);
+    if (!mod) throw new HttpError(404, `Unknown tool: ${name}`);
+    const parsed = parseToolArgs(mod, args);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      throw new HttpError(
+        400,
+        `Invalid argument${issue.path.length ? ` "${issue.path.join(".")}"` : ""}: ${issue.message}`,
+      );
+    }
+    return toolResponse(await run(mod, parsed.data));
+  }
+
+  function fromQuery(name, params) {
+    return call(name, queryToArgs(params, tools.get(name).inputSchema));
+  }
+
+  async function route(req, url) {
+    const { pathname: path, searchParams: params } = url;
+    const method = req.method;
+
+    if (method === "GET" && path === "/api/tools") {
+      return {
+        status: 200,
+        body: {
+          tools: toolModules.map((m) => ({
+            name: m.name,
+            description: m.description,
+          })),
+        },
+      };
+    }
+
+    const toolMatch = path.match(/^\/api\/tools\/([a-z_]+)$/);
+    if (toolMatch && method === "POST") {
+      return call(toolMatch[1], await readJsonBody(req));
+    }
+
+    if (method === "GET" && path === "/api/search") {
+      return fromQuery("get_context", params);
+    }
+    if (method === "GET" && path === "/api/status") {
+      return fromQuery("context_status", params);
+    }
+    if (method === "POST" && path === "/api/ingest") {
+      return call("ingest_url", await readJsonBody(req));
+    }
+    if (path === "/api/entries") {
+      if (method === "GET") return fromQuery("list_context", params);
+      if (method === "POST") {
+        return call("save_context", await readJsonBody(req));
+      }
+    }
+
+    const entryMatch = path.match(/^\/api\/entries\/([^/]+)$/);
+    if (entryMatch) {
+      const id = decodeURIComponent(entryMatch[1]);
+      if (method === "GET") return call("read_context", { id });
+      if (method === "PUT") {
+        return call("save_context", { ...(await readJsonBody(req)), id });
+      }
+      if (method === "DELETE") return call("delete_context", { id });
+    }
+
+    throw new HttpError(404, `Not found: ${method} ${path}`);
+  }
+
+  return createServer(async (req, res) => {
+    try {
+      if (!isAuthorized(req, token)) {
+        throw new HttpError(401, "Missing or invalid bearer token");
+      }
+      const { status, body } = await route(
+        req,
+        new URL(req.url, "http://localhost"),
+      );
+      sendJson(res, status, body);
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status === 500) {
+        console.error(`[context-vault] HTTP request failed: ${e.message}`);
+      }
+      sendJson(res, status, { ok: false, error: e.message });
+    }
+  });
+}
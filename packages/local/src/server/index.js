@@ -18,15 +18,36 @@ const pkg = JSON.parse(
 );
 
 import { resolveConfig } from "@context-vault/core/core/config";
-import { embed } from "@context-vault/core/index/embed";
+import { embed, configureEmbeddings } from "@context-vault/core/index/embed";
 import {
   initDatabase,
   NativeModuleError,
+  LegacySchemaError,
   prepareStatements,
   insertVec,
   deleteVec,
 } from "@context-vault/core/index/db";
-import { registerTools } from "@context-vault/core/server/tools";
+import {
+  createToolRunner,
+  registerTools,
+} from "@context-vault/core/server/tools";
+import { registerResources } from "@context-vault/core/server/resources";
+import { registerPrompts } from "@context-vault/core/server/prompts";
+import { watchVault } from "@context-vault/core/index/watch";
+import { createHttpApi, loadOrCreateToken, DEFAULT_HTTP_PORT } from "./http.js";
+import { createMcpDaemon, DEFAULT_DAEMON_PORT, MCP_PATH } from "./daemon.js";
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+function listen(httpServer, port) {
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, "127.0.0.1", resolve);
+  });
+}
 
 // ─── Phased Startup ─────────────────────────────────────────────────────────
 
@@ -95,6 +116,7 @@ async function main() {
 
     // ── Phase: DB ────────────────────────────────────────────────────────────
     phase = "DB";
+    configureEmbeddings(config.embedding);
     db = await initDatabase(config.dbPath);
     const stmts = prepareStatements(db);
 
@@ -110,15 +132,86 @@ async function main() {
 
     // ── Phase: SERVER ────────────────────────────────────────────────────────
     phase = "SERVER";
-    const server = new McpServer(
-      { name: "context-vault", version: pkg.version },
-      { capabilities: { tools: {} } },
-    );
+    const httpMode = process.argv.includes("--http");
+    const daemonMode = process.argv.includes("--daemon");
+    let server;
+    let httpServer;
+    let daemon;
+    let runner = null;
+    if (httpMode && daemonMode) {
+      throw new Error("--http and --daemon cannot be combined");
+    }
+    if (httpMode) {
+      const port = parseInt(argValue("--port"), 10) || DEFAULT_HTTP_PORT;
+      const token = loadOrCreateToken(config.dataDir);
+      httpServer = createHttpApi(ctx, { token });
+      await listen(httpServer, port);
+      console.error(
+        `[context-vault] HTTP API listening on http://127.0.0.1:${port}/api`,
+      );
+      console.error(
+        process.env.CONTEXT_VAULT_HTTP_TOKEN
+          ? `[context-vault] Token: $CONTEXT_VAULT_HTTP_TOKEN`
+          : `[context-vault] Token: ${join(config.dataDir, "http-token")}`,
+      );
+    } else if (daemonMode) {
+      const port = parseInt(argValue("--port"), 10) || DEFAULT_DAEMON_PORT;
+      const token = loadOrCreateToken(config.dataDir);
+      daemon = createMcpDaemon(ctx, { version: pkg.version, token });
+      runner = daemon.runner;
+      httpServer = daemon.server;
+      await listen(httpServer, port);
+      console.error(
+        `[context-vault] MCP daemon listening on http://127.0.0.1:${port}${MCP_PATH}`,
+      );
+      console.error(
+        process.env.CONTEXT_VAULT_HTTP_TOKEN
+          ? `[context-vault] Token: $CONTEXT_VAULT_HTTP_TOKEN`
+          : `[context-vault] Token: ${join(config.dataDir, "http-token")}`,
+      );
+      // Warm up before the first client connects: sync the index and load
+      // the embedding model once for every session.
+      daemon.runner.shared
+        .ensureIndexed()
+        .then(() => embed("warm up"))
+        .catch(() => {});
+    } else {
+      server = new McpServer(
+        { name: "context-vault", version: pkg.version },
+        { capabilities: { tools: {} } },
+      );
+      runner = createToolRunner(ctx);
+      registerTools(server, ctx, runner);
+      registerResources(server, ctx, runner);
+      registerPrompts(server);
+    }
 
-    registerTools(server, ctx);
+    // ── Phase: WATCH ─────────────────────────────────────────────────────────
+    // Hand edits to the vault are indexed file-by-file as they happen
+    let watcher = null;
+    if (!process.argv.includes("--no-watch") && config.vaultDirExists) {
+      phase = "WATCH";
+      try {
+        watcher = watchVault(ctx, {
+          onSync: (s) => {
+            console.error(
+              `[context-vault] Watch: +${s.added} ~${s.updated} -${s.removed}`,
+            );
+            runner?.notifyChanged();
+          },
+        });
+      } catch (watchErr) {
+        console.error(
+          `[context-vault] Warning: could not watch vault: ${watchErr.message}`,
+        );
+      }
+    }
 
     // ── Graceful Shutdown ────────────────────────────────────────────────────
     function closeDb() {
+      watcher?.close();
+      daemon?.closeSessions();
+      httpServer?.close();
       try {
         if (db.inTransaction) {
           console.error("[context-vault] Rolling back active transaction...");
@@ -163,8 +256,10 @@ async function main() {
 
     // ── Phase: CONNECTED ─────────────────────────────────────────────────────
     phase = "CONNECTED";
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    if (server) {
+      const transport = new StdioServerTransport();
+      await server.connect(transport);
+    }
 
     // ── Non-blocking Update Check ────────────────────────────────────────────
     setTimeout(() => {
@@ -210,7 +305,7 @@ async function main() {
     console.error(
       `[context-vault] Fatal error during ${phase} phase: ${err.message}`,
     );
-    if (phase === "DB") {
+    if (phase === "DB" && !(err instanceof LegacySchemaError)) {
       console.error(
         `[context-vault] Try deleting the DB file and restarting: rm "${config?.dbPath || "vault.db"}"`,
       );
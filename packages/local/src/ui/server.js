@@ -0,0 +1,241 @@
+/**
+ * server.js — Local web dashboard for `context-vault ui`
+ *
+ * Serves a single static page (dashboard.html) plus a small JSON API backed
+ * directly by core: browse, hybrid search, edit and vault status. Binds to
+ * localhost and needs no network access — the page has no external assets.
+ *
+ * Requests must name 127.0.0.1 or localhost in the Host header (so a
+ * DNS-rebinding page cannot reach the server), and API routes need a bearer
+ * token generated per launch and written into the served page.
+ */
+
+import { createServer } from "node:http";
+import { randomBytes } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { normalizeKind } from "@context-vault/core/core/files";
+import { gatherVaultStatus } from "@context-vault/core/core/status";
+import { updateEntryFile } from "@context-vault/core/capture";
+import { indexEntry } from "@context-vault/core/index";
+import { hybridSearch } from "@context-vault/core/retrieve";
+import {
+  HttpError,
+  sendJson,
+  readJsonBody,
+  isAuthorized,
+} from "../server/http-helpers.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_UI_PORT = 3141;
+
+const CATEGORIES = ["knowledge", "entity", "event"];
+
+function parseTags(row) {
+  return row.tags ? JSON.parse(row.tags) : [];
+}
+
+/** Entry shape returned by the API — drops index-only columns. */
+function toEntry(row, { full = false } = {}) {
+  const entry = {
+    id: row.id,
+    kind: row.kind,
+    category: row.category,
+    title: row.title || null,
+    tags: parseTags(row),
+    created_at: row.created_at,
+    file_path: row.file_path || null,
+  };
+  if (full) {
+    entry.body = row.body;
+    entry.meta = row.meta ? JSON.parse(row.meta) : {};
+    entry.source = row.source || null;
+    entry.identity_key = row.identity_key || null;
+    entry.expires_at = row.expires_at || null;
+  } else {
+    entry.preview = (row.body || "").slice(0, 200);
+  }
+  return entry;
+}
+
+function filtersFrom(params) {
+  const category = params.get("category") || null;
+  if (category && !CATEGORIES.includes(category)) {
+    throw new HttpError(400, `Unknown category: ${category}`);
+  }
+  const kind = params.get("kind");
+  return {
+    kind: kind ? normalizeKind(kind) : null,
+    category,
+    limit: Math.min(Math.max(parseInt(params.get("limit"), 10) || 50, 1), 200),
+    offset: Math.max(parseInt(params.get("offset"), 10) || 0, 0),
+  };
+}
+
+function listEntries(ctx, params) {
+  const { kind, category, limit, offset } = filtersFrom(params);
+  const clauses = ["(expires_at IS NULL OR expires_at > datetime('now'))"];
+  const args = [];
+  if (kind) {
+    clauses.push("kind = ?");
+    args.push(kind);
+  }
+  if (category) {
+    clauses.push("category = ?");
+    args.push(category);
+  }
+  const where = `WHERE ${clauses.join(" AND ")}`;
+  const total = ctx.db
+    .prepare(`SELECT COUNT(*) as c FROM vault ${where}`)
+    .get(...args).c;
+  const rows = ctx.db
+    .prepare(
+      `SELECT * FROM vault ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+    )
+    .all(...args, limit, offset);
+  return { total, entries: rows.map((r) => toEntry(r)) };
+}
+
+async function searchEntries(ctx, params) {
+  const query = params.get("q")?.trim();
+  if (!query) throw new HttpError(400, "Missing search query (q)");
+  const { kind, category, limit } = filtersFrom(params);
+  const results = await hybridSearch(ctx, query, {
+    kindFilter: kind,
+    categoryFilter: category,
+    limit,
+    decayDays: ctx.config.eventDecayDays || 30,
+    ranking: ctx.config.ranking,
+  });
+  return {
+    results: results.map((r) => ({
+      ...toEntry(r),
+      score: r.score,
+      snippet: r.snippet || (r.body || "").slice(0, 300),
+    })),
+  };
+}
+
+async function updateEntry(ctx, id, req) {
+  const existing = ctx.stmts.getEntryById.get(id);
+  if (!existing) throw new HttpError(404, `Entry not found: ${id}`);
+
+  const input = await readJsonBody(req);
+  const updates = {};
+  if (input.title !== undefined) {
+    if (input.title !== null && typeof input.title !== "string") {
+      throw new HttpError(400, "title must be a string");
+    }
+    updates.title = input.title || null;
+  }
+  if (input.body !== undefined) {
+    if (typeof input.body !== "string" || !input.body.trim()) {
+      throw new HttpError(400, "body must be a non-empty string");
+    }
+    updates.body = input.body;
+  }
+  if (input.tags !== undefined) {
+    if (
+      !Array.isArray(input.tags) ||
+      input.tags.some((t) => typeof t !== "string")
+    ) {
+      throw new HttpError(400, "tags must be an array of strings");
+    }
+    updates.tags = input.tags.map((t) => t.trim()).filter(Boolean);
+  }
+  if (!Object.keys(updates).length) {
+    throw new HttpError(400, "Nothing to update (title, body or tags)");
+  }
+
+  const entry = updateEntryFile(ctx, existing, updates);
+  await indexEntry(ctx, entry);
+  return { entry: toEntry(ctx.stmts.getEntryById.get(id), { full: true }) };
+}
+
+function vaultStatus(ctx) {
+  const status = gatherVaultStatus(ctx);
+  return {
+    vaultDir: ctx.config.vaultDir,
+    dbPath: ctx.config.dbPath,
+    ...status,
+  };
+}
+
+/**
+ * Create (but do not start) the dashboard HTTP server.
+ *
+ * @param {import('@context-vault/core/server/types').BaseCtx} ctx
+ * @param {{ token?: string }} [opts] API token; a random one per call by default
+ * @returns {import('node:http').Server & { token: string }}
+ */
+export function createUiServer(ctx, { token } = {}) {
+  token ||= randomBytes(24).toString("hex");
+  const page = readFileSync(join(__dirname, "dashboard.html"), "utf-8").replace(
+    "__CONTEXT_VAULT_TOKEN__",
+    token,
+  );
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname;
+
+    try {
+      const { port } = server.address();
+      if (
+        ![`127.0.0.1:${port}`, `localhost:${port}`].includes(req.headers.host)
+      ) {
+        throw new HttpError(403, "Forbidden host");
+      }
+
+      if (req.method === "GET" && (path === "/" || path === "/index.html")) {
+        res.writeHead(200, {
+          "Content-Type": "text/html; charset=utf-8",
+          "Cache-Control": "no-store",
+        });
+        res.end(page);
+        return;
+      }
+
+      if (path.startsWith("/api/") && !isAuthorized(req, token)) {
+        throw new HttpError(401, "Missing or invalid token");
+      }
+
+      if (req.method === "GET" && path === "/api/status") {
+        return sendJson(res, 200, vaultStatus(ctx));
+      }
+      if (req.method === "GET" && path === "/api/entries") {
+        return sendJson(res, 200, listEntries(ctx, url.searchParams));
+      }
+      if (req.method === "GET" && path === "/api/search") {
+        return sendJson(res, 200, await searchEntries(ctx, url.searchParams));
+      }
+
+      const match = path.match(/^\/api\/entries\/([^/]+)$/);
+      if (match) {
+        const id = decodeURIComponent(match[1]);
+        if (req.method === "GET") {
+          const row = ctx.stmts.getEntryById.get(id);
+          if (!row) throw new HttpError(404, `Entry not found: ${id}`);
+          return sendJson(res, 200, { entry: toEntry(row, { full: true }) });
+        }
+        if (req.method === "PUT") {
+          return sendJson(res, 200, await updateEntry(ctx, id, req));
+        }
+        throw new HttpError(405, `Method not allowed: ${req.method}`);
+      }
+
+      throw new HttpError(404, `Not found: ${path}`);
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status === 500) {
+        console.error(`[context-vault] UI request failed: ${e.message}`);
+      }
+      sendJson(res, status, { error: e.message });
+    }
+  });
+  server.token = token;
+  return server;
+}
@@ -70,11 +70,11 @@ const SENTINELS = [
     canonical: "packages/core/src/constants.js",
   },
   // ── Embedding model identifier ──────────────────────────────────────────
-  // Canonical: packages/core/src/index/embed.js
+  // Canonical: packages/core/src/index/embed-providers.js
   {
     name: 'Embedding model name ("Xenova/all-MiniLM-L6-v2")',
     pattern: /["']Xenova\/all-MiniLM-L6-v2["']/,
-    canonical: "packages/core/src/index/embed.js",
+    canonical: "packages/core/src/index/embed-providers.js",
   },
 ];
 
@@ -0,0 +1,53 @@
+/**
+ * Run the context-vault CLI in a child process against a test vault.
+ *
+ * Async, so a stand-in server in the test process (see hosted.js) can answer
+ * the CLI while it runs.
+ */
+
+import { execFile } from "node:child_process";
+import { join } from "node:path";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+export const CLI_PATH = join(
+  import.meta.dirname,
+  "../../packages/local/bin/cli.js",
+);
+
+const stripAnsi = (text) => text.replace(/\x1b\[\d+m/g, "");
+
+/** Environment that points the CLI at a test ctx's vault, index and data dir. */
+export function cliEnv({ vaultDir, dbPath, dataDir }) {
+  return {
+    CONTEXT_VAULT_VAULT_DIR: vaultDir,
+    CONTEXT_VAULT_DB_PATH: dbPath,
+    CONTEXT_VAULT_DATA_DIR: dataDir,
+  };
+}
+
+/**
+ * Run `context-vault <args>` and resolve with its stdout, colour codes
+ * removed. A non-zero exit rejects with the child-process error, its
+ * `status` set to the exit code and `stdout` / `stderr` without colour.
+ *
+ * @param {Record<string, string>} env added to process.env
+ * @param {...string} args
+ * @returns {Promise<string>}
+ */
+export async function runCli(env, ...args) {
+  try {
+    const { stdout } = await execFileAsync("node", [CLI_PATH, ...args], {
+      encoding: "utf-8",
+      timeout: 30000,
+      env: { ...process.env, ...env, NO_COLOR: "1" },
+    });
+    return stripAnsi(stdout);
+  } catch (e) {
+    e.status = e.code;
+    e.stdout = stripAnsi(e.stdout ?? "");
+    e.stderr = stripAnsi(e.stderr ?? "");
+    throw e;
+  }
+}
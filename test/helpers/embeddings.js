@@ -0,0 +1,46 @@
+/**
+ * Fake OpenAI-compatible embeddings endpoint for tests.
+ *
+ * Model "fake-<n>" returns n-dim bag-of-words vectors (each word hashed into a
+ * bucket), so texts sharing words get similar vectors without a real model.
+ */
+
+import { createServer } from "node:http";
+
+function hashWord(word) {
+  let h = 0;
+  for (const ch of word) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return h;
+}
+
+export function startFakeEmbeddingEndpoint() {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      const { model, input } = JSON.parse(raw);
+      requests.push({ url: req.url, model, input });
+      const dims = Number(model.split("-")[1]);
+      const data = input.map((text, index) => {
+        const embedding = new Array(dims).fill(0.01);
+        for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+          embedding[hashWord(word) % dims] += 1;
+        }
+        return { index, embedding };
+      });
+      res.writeHead(200, { "Content-Type": "application/json" });
+      // Reversed on purpose — clients must order by `index`
+      res.end(JSON.stringify({ data: data.reverse() }));
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        server,
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+      }),
+    ),
+  );
+}
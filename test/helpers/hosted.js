@@ -0,0 +1,108 @@
+/**
+ * Stand-in for the hosted vault's sync endpoints, backed by in-memory maps.
+ *
+ *   GET    /api/vault/manifest
+ *   GET    /api/vault/export?limit&offset
+ *   POST   /api/vault/import/bulk   (upserts by id)
+ *   DELETE /api/vault/entries/:id   (leaves a tombstone)
+ *
+ * Tests edit `entries` and `tombstones` directly to simulate changes made on
+ * the hosted side.
+ */
+
+import { createServer } from "node:http";
+import { entryHash } from "@context-vault/core/sync";
+
+export function startFakeHostedVault({ apiKey = "cv_test_key" } = {}) {
+  const entries = new Map();
+  const tombstones = new Map();
+  const requests = [];
+
+  const send = (res, status, data) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+  };
+
+  const server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      requests.push({ method: req.method, path: url.pathname });
+      if (req.headers.authorization !== `Bearer ${apiKey}`) {
+        return send(res, 401, { error: "unauthorized" });
+      }
+
+      if (req.method === "GET" && url.pathname === "/api/vault/manifest") {
+        return send(res, 200, {
+          entries: [...entries.values()].map((e) => ({
+            id: e.id,
+            kind: e.kind,
+            title: e.title,
+            created_at: e.created_at,
+            updated_at: e.updated_at,
+            hash: entryHash(e),
+          })),
+          tombstones: [...tombstones.entries()].map(([id, deleted_at]) => ({
+            id,
+            deleted_at,
+          })),
+        });
+      }
+
+      if (req.method === "GET" && url.pathname === "/api/vault/export") {
+        const all = [...entries.values()];
+        const limit = Number(url.searchParams.get("limit")) || all.length;
+        const offset = Number(url.searchParams.get("offset")) || 0;
+        return send(res, 200, {
+          entries: all.slice(offset, offset + limit),
+          total: all.length,
+          limit,
+          offset,
+          hasMore: offset + limit < all.length,
+        });
+      }
+
+      if (req.method === "POST" && url.pathname === "/api/vault/import/bulk") {
+        const batch = JSON.parse(raw).entries;
+        const now = new Date().toISOString();
+        for (const e of batch) {
+          entries.set(e.id, {
+            ...e,
+            created_at: entries.get(e.id)?.created_at || now,
+            updated_at: now,
+          });
+          tombstones.delete(e.id);
+        }
+        return send(res, 200, {
+          imported: batch.length,
+          failed: 0,
+          errors: [],
+        });
+      }
+
+      const match = url.pathname.match(/^\/api\/vault\/entries\/(.+)$/);
+      if (req.method === "DELETE" && match) {
+        const id = decodeURIComponent(match[1]);
+        if (!entries.delete(id)) return send(res, 404, { error: "not found" });
+        tombstones.set(id, new Date().toISOString());
+        return send(res, 200, { deleted: id });
+      }
+
+      send(res, 404, { error: "not found" });
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}`,
+        apiKey,
+        entries,
+        tombstones,
+        requests,
+      }),
+    ),
+  );
+}
@@ -0,0 +1,287 @@
+/**
+ * Integration tests for backup archives — create, verify, rotate and restore
+ * a vault with its index and config.json.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { execFileSync } from "node:child_process";
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  symlinkSync,
+  unlinkSync,
+  writeFileSync,
+} from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { initDatabase, prepareStatements } from "@context-vault/core/index/db";
+import {
+  archiveName,
+  createBackup,
+  resolveBackup,
+  restoreBackup,
+  rotateBackups,
+  verifyBackup,
+} from "@context-vault/core/backup";
+import { createTestCtx } from "../helpers/ctx.js";
+
+describe("resolveBackup", () => {
+  it("defaults to <dataDir>/backups without rotation", () => {
+    expect(resolveBackup({ dataDir: "/data" })).toEqual({
+      dir: "/data/backups",
+      keep: null,
+    });
+    expect(
+      resolveBackup({ dataDir: "/data", backup: { dir: "/srv/b", keep: 7 } }),
+    ).toEqual({ dir: "/srv/b", keep: 7 });
+  });
+});
+
+describe("archiveName", () => {
+  it("names archives by time, or by day with daily", () => {
+    const date = new Date("2026-03-04T05:06:07.000Z");
+    expect(archiveName(date)).toBe("context-vault-2026-03-04-050607.tar.gz");
+    expect(archiveName(date, { daily: true })).toBe(
+      "context-vault-2026-03-04.tar.gz",
+    );
+  });
+});
+
+describe("rotateBackups", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "context-vault-rotate-"));
+  });
+
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("keeps the newest N archives and leaves other files", () => {
+    const names = [
+      "context-vault-2026-03-01.tar.gz",
+      "context-vault-2026-03-02.tar.gz",
+      "context-vault-2026-03-03-120000.tar.gz",
+      "context-vault-2026-03-04.tar.gz",
+      "context-vault-pre-restore-2026-03-01-000000.tar.gz",
+      "notes.txt",
+    ];
+    for (const n of names) writeFileSync(join(dir, n), "");
+
+    const removed = rotateBackups(dir, 2);
+    expect(removed).toEqual([
+      join(dir, "context-vault-2026-03-02.tar.gz"),
+      join(dir, "context-vault-2026-03-01.tar.gz"),
+    ]);
+    expect(readdirSync(dir).sort()).toEqual([
+      "context-vault-2026-03-03-120000.tar.gz",
+      "context-vault-2026-03-04.tar.gz",
+      "context-vault-pre-restore-2026-03-01-000000.tar.gz",
+      "notes.txt",
+    ]);
+  });
+});
+
+describe("backup and restore", () => {
+  let ctx, cleanup, entry, backupDir;
+
+  beforeEach(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    backupDir = join(ctx.config.dataDir, "backups");
+    writeFileSync(ctx.config.configPath, '{ "backup": { "keep": 3 } }\n');
+    entry = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Back up nightly",
+      body: "Keep a week of archives",
+      tags: ["ops"],
+    });
+  }, 30000);
+
+  afterEach(() => cleanup());
+
+  const list = (archive) =>
+    execFileSync("tar", ["-tzf", archive], { encoding: "utf-8" })
+      .split("\n")
+      .map((l) => l.replace(/^\.\//, ""))
+      .filter(Boolean);
+
+  it("archives the files, an online copy of the index and config.json", async () => {
+    const result = await createBackup(ctx);
+    expect(result.path.startsWith(backupDir)).toBe(true);
+    expect(result.skipped).toBe(false);
+    expect(result.bytes).toBeGreaterThan(0);
+
+    const contents = list(result.path);
+    expect(contents).toContain("manifest.json");
+    expect(contents).toContain("vault.db");
+    expect(contents).toContain("config.json");
+    expect(contents.some((f) => f.endsWith(".md"))).toBe(true);
+
+    const verified = verifyBackup(result.path);
+    expect(verified.ok).toBe(true);
+    expect(verified.manifest).toMatchObject({
+      format: 1,
+      vault_dir: ctx.config.vaultDir,
+    });
+    expect(Object.keys(verified.manifest.files)).toHaveLength(result.files);
+  }, 30000);
+
+  it("leaves .git out of the archive", async () => {
+    mkdirSync(join(ctx.config.vaultDir, ".git"));
+    writeFileSync(join(ctx.config.vaultDir, ".git", "HEAD"), "ref: main\n");
+    const { path } = await createBackup(ctx);
+    expect(list(path).some((f) => f.includes(".git"))).toBe(false);
+  }, 30000);
+
+  it("skips a daily archive that exists and rotates old ones", async () => {
+    for (const day of ["01", "02", "03"]) {
+      mkdirSync(backupDir, { recursive: true });
+      writeFileSync(join(backupDir, `context-vault-2020-01-${day}.tar.gz`), "");
+    }
+
+    const first = await createBackup(ctx, { daily: true, keep: 2 });
+    expect(first.skipped).toBe(false);
+    expect(first.rotated).toHaveLength(2);
+    const again = await createBackup(ctx, { daily: true, keep: 2 });
+    expect(again).toMatchObject({ path: first.path, skipped: true });
+    expect(readdirSync(backupDir).sort()).toEqual([
+      "context-vault-2020-01-03.tar.gz",
+      archiveName(new Date(), { daily: true }),
+    ]);
+  }, 30000);
+
+  it("detects a tampered archive", async () => {
+    const { path } = await createBackup(ctx);
+    const work = mkdtempSync(join(tmpdir(), "context-vault-tamper-"));
+    try {
+      execFileSync("tar", ["-xzf", path, "-C", work]);
+      const md = readdirSync(work, { recursive: true }).find((f) =>
+        f.endsWith(".md"),
+      );
+      writeFileSync(join(work, md), "tampered\n");
+      writeFileSync(join(work, "extra.txt"), "smuggled\n");
+      execFileSync("tar", ["-czf", path, "-C", work, "."]);
+    } finally {
+      rmSync(work, { recursive: true, force: true });
+    }
+
+    const verified = verifyBackup(path);
+    expect(verified.ok).toBe(false);
+    expect(verified.problems).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/^checksum mismatch: vault\/.*\.md$/),
+        "not in manifest: extra.txt",
+      ]),
+    );
+    await expect(restoreBackup(ctx, path)).rejects.toThrow(
+      /failed verification — nothing was restored/,
+    );
+    expect(ctx.stmts.getEntryById.get(entry.id)).toBeTruthy();
+  }, 30000);
+
+  it("rejects an archive with a symlink in place of a file", async () => {
+    const { path } = await createBackup(ctx);
+    const work = mkdtempSync(join(tmpdir(), "context-vault-symlink-"));
+    const outside = mkdtempSync(join(tmpdir(), "context-vault-outside-"));
+    try {
+      execFileSync("tar", ["-xzf", path, "-C", work]);
+      const md = readdirSync(work, { recursive: true }).find((f) =>
+        f.endsWith(".md"),
+      );
+      // Same content, so only the file type gives it away
+      writeFileSync(join(outside, "entry.md"), readFileSync(join(work, md)));
+      unlinkSync(join(work, md));
+      symlinkSync(join(outside, "entry.md"), join(work, md));
+      execFileSync("tar", ["-czf", path, "-C", work, "."]);
+    } finally {
+      rmSync(work, { recursive: true, force: true });
+    }
+
+    try {
+      const verified = verifyBackup(path);
+      expect(verified.ok).toBe(false);
+      expect(verified.problems).toEqual([
+        expect.stringMatching(/^not a regular file: vault\/.*\.md$/),
+      ]);
+    } finally {
+      rmSync(outside, { recursive: true, force: true });
+    }
+  }, 30000);
+
+  it("leaves symlinks in the vault out of the archive", async () => {
+    symlinkSync(entry.filePath, join(ctx.config.vaultDir, "alias.md"));
+    const { path } = await createBackup(ctx);
+    expect(list(path)).not.toContain("vault/alias.md");
+    expect(verifyBackup(path).ok).toBe(true);
+  }, 30000);
+
+  it("keeps a backup directory inside the vault when restoring", async () => {
+    const inVault = join(ctx.config.vaultDir, "_backups", "nightly");
+    ctx.config.backup = { dir: inVault };
+    const { path } = await createBackup(ctx);
+    expect(path.startsWith(inVault)).toBe(true);
+    const later = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Written after the backup",
+      body: "Should be gone after restoring",
+    });
+
+    const result = await restoreBackup(ctx, path);
+    expect(existsSync(path)).toBe(true);
+    expect(result.safetyBackup.startsWith(inVault)).toBe(true);
+    expect(verifyBackup(result.safetyBackup).ok).toBe(true);
+    expect(existsSync(entry.filePath)).toBe(true);
+    expect(existsSync(later.filePath)).toBe(false);
+  }, 30000);
+
+  it("restores the vault and index and keeps a pre-restore archive", async () => {
+    const { path } = await createBackup(ctx);
+    const later = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Written after the backup",
+      body: "Should be gone after restoring",
+    });
+    unlinkSync(entry.filePath);
+    writeFileSync(ctx.config.configPath, "{}\n");
+
+    const result = await restoreBackup(ctx, path, { config: true });
+    expect(result.configRestored).toBe(true);
+    expect(result.safetyBackup).toMatch(
+      /context-vault-pre-restore-.*\.tar\.gz$/,
+    );
+    expect(verifyBackup(result.safetyBackup).ok).toBe(true);
+
+    ctx.db = await initDatabase(ctx.config.dbPath);
+    ctx.stmts = prepareStatements(ctx.db);
+    expect(existsSync(entry.filePath)).toBe(true);
+    expect(existsSync(later.filePath)).toBe(false);
+    expect(ctx.stmts.getEntryById.get(entry.id)).toMatchObject({
+      title: "Back up nightly",
+    });
+    expect(ctx.stmts.getEntryById.get(later.id)).toBeUndefined();
+    expect(readFileSync(ctx.config.configPath, "utf-8")).toContain('"keep": 3');
+
+    // Pre-restore archives are never rotated out
+    expect(rotateBackups(backupDir, 1)).toEqual([]);
+  }, 30000);
+
+  it("points the index at a vault restored to another directory", async () => {
+    const { path } = await createBackup(ctx);
+    const other = await createTestCtx();
+    try {
+      await restoreBackup(other.ctx, path, { safetyBackup: false });
+      other.ctx.db = await initDatabase(other.ctx.config.dbPath);
+      const row = other.ctx.db
+        .prepare("SELECT file_path FROM vault WHERE id = ?")
+        .get(entry.id);
+      expect(row.file_path.startsWith(other.ctx.config.vaultDir)).toBe(true);
+      expect(existsSync(row.file_path)).toBe(true);
+    } finally {
+      other.cleanup();
+    }
+  }, 30000);
+});
@@ -0,0 +1,76 @@
+/**
+ * Integration tests for `context-vault backup` and
+ * `context-vault restore <archive>`.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, readdirSync, unlinkSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { cliEnv, runCli } from "../helpers/cli.js";
+import { createTestCtx } from "../helpers/ctx.js";
+
+describe("context-vault backup / restore", () => {
+  let ctx, cleanup, env, entry, archive;
+
+  const run = (...args) => runCli(env, ...args);
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    entry = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Archive everything",
+      body: "Markdown, index and config in one file",
+    });
+    writeFileSync(ctx.config.configPath, "{}\n");
+    ctx.db.close();
+    env = cliEnv(ctx.config);
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("writes an archive to <dataDir>/backups", async () => {
+    const out = await run("backup");
+    const match = out.match(/Backup written: (\S+\.tar\.gz)/);
+    expect(match).toBeTruthy();
+    archive = match[1];
+    expect(archive.startsWith(join(ctx.config.dataDir, "backups"))).toBe(true);
+    expect(existsSync(archive)).toBe(true);
+    expect(out).toMatch(/\d+ files · [\d.]+ KB/);
+  }, 30000);
+
+  it("keeps one archive per day with --daily", async () => {
+    const dir = join(ctx.config.dataDir, "daily");
+    const first = await run("backup", "--out", dir, "--daily", "--keep", "1");
+    expect(first).toContain("Backup written:");
+    const again = await run("backup", "--out", dir, "--daily", "--keep", "1");
+    expect(again).toContain("Today's backup already exists");
+    expect(readdirSync(dir)).toHaveLength(1);
+  }, 30000);
+
+  it("shows usage for a bad --keep", async () => {
+    expect(await run("backup", "--keep", "0")).toContain("--keep N");
+  }, 30000);
+
+  it("verifies an archive", async () => {
+    const out = await run("restore", archive, "--verify");
+    expect(out).toContain("Archive verified · integrity ok");
+    expect(out).toMatch(/Files:\s+\d+/);
+  }, 30000);
+
+  it("needs --yes to restore non-interactively", async () => {
+    unlinkSync(entry.filePath);
+    expect(await run("restore", archive)).toContain("Nothing restored");
+    expect(existsSync(entry.filePath)).toBe(false);
+  }, 30000);
+
+  it("restores the archive and keeps the replaced vault", async () => {
+    const out = await run("restore", archive, "--yes");
+    expect(out).toContain("Restored 1 file(s) from the backup of");
+    expect(out).toMatch(/previous vault archived: \S+pre-restore\S+\.tar\.gz/);
+    expect(existsSync(entry.filePath)).toBe(true);
+    expect(await run("search", "Archive everything")).toContain(
+      "Archive everything",
+    );
+  }, 30000);
+});
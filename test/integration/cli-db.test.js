@@ -0,0 +1,128 @@
+/**
+ * Integration tests for `context-vault db migrate` status, dry run, apply,
+ * verify and rebuild.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync } from "node:fs";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { SCHEMA_VERSION } from "@context-vault/core/index/db";
+import { cliEnv, runCli } from "../helpers/cli.js";
+import { createTestCtx } from "../helpers/ctx.js";
+
+describe("context-vault db migrate", () => {
+  let ctx, cleanup, env;
+
+  const runDb = (...args) => runCli(env, "db", "migrate", ...args);
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Migrate in place",
+      body: "Never drop the index to upgrade it",
+    });
+    // Pretend the database was written by the previous schema
+    ctx.db.exec(`
+      ALTER TABLE vault DROP COLUMN updated_at;
+      PRAGMA user_version = ${SCHEMA_VERSION - 1};
+    `);
+    ctx.db.close();
+    env = cliEnv(ctx.config);
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("lists pending and applied migrations with --status", async () => {
+    const out = await runDb("--status");
+    expect(out).toContain(`Schema:    v${SCHEMA_VERSION - 1}`);
+    expect(out).toContain("Pending (1)");
+    expect(out).toMatch(
+      new RegExp(`v${SCHEMA_VERSION}\\s+per-entry updated_at`),
+    );
+    expect(out).toContain("create schema");
+  }, 30000);
+
+  it("fails verification before migrating", async () => {
+    let failure;
+    try {
+      await runDb("--verify");
+    } catch (e) {
+      failure = e;
+    }
+    expect(failure.status).toBe(1);
+    expect(failure.stdout).toContain("Missing column vault.updated_at");
+    expect(failure.stdout).toContain(`expected v${SCHEMA_VERSION}`);
+  }, 30000);
+
+  it("trials the steps with --dry-run", async () => {
+    const out = await runDb("--dry-run");
+    expect(out).toContain("dry run, nothing was changed");
+    expect(await runDb("--status")).toContain("Pending (1)");
+  }, 30000);
+
+  it("applies pending steps after a backup", async () => {
+    const out = await runDb();
+    expect(out).toContain(
+      `Migrated v${SCHEMA_VERSION - 1} → v${SCHEMA_VERSION}`,
+    );
+    const backup = `${ctx.config.dbPath}.v${SCHEMA_VERSION - 1}.backup`;
+    expect(out).toContain(`Backup: ${backup}`);
+    expect(existsSync(backup)).toBe(true);
+
+    const status = await runDb("--status");
+    expect(status).toContain("none — up to date");
+    expect(status).toContain(`backup: ${backup}`);
+    expect(await runDb()).toContain("nothing to migrate");
+  }, 30000);
+
+  it("verifies the migrated schema", async () => {
+    const out = await runDb("--verify");
+    expect(out).toContain(`Schema matches v${SCHEMA_VERSION} · integrity ok`);
+    expect(out).toContain(
+      `Last migration backup: ${ctx.config.dbPath}.v${SCHEMA_VERSION - 1}.backup`,
+    );
+  }, 30000);
+});
+
+describe("context-vault db migrate on a pre-v5 database", () => {
+  let ctx, cleanup, env, entry;
+
+  const run = (...args) => runCli(env, ...args);
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    entry = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Keep the old index",
+      body: "Never delete a database to upgrade it",
+    });
+    ctx.db.exec(`PRAGMA user_version = 4`);
+    ctx.db.close();
+    env = cliEnv(ctx.config);
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("refuses to migrate in place and leaves the file", async () => {
+    let failure;
+    try {
+      await run("db", "migrate");
+    } catch (e) {
+      failure = e;
+    }
+    expect(failure.status).toBe(1);
+    expect(failure.stderr).toContain("db migrate --rebuild");
+    expect(existsSync(`${ctx.config.dbPath}.v4.backup`)).toBe(false);
+  }, 30000);
+
+  it("keeps the old file and starts a fresh index with --rebuild", async () => {
+    const out = await run("db", "migrate", "--rebuild");
+    expect(out).toContain(`Started a fresh v${SCHEMA_VERSION} index`);
+    expect(out).toContain(`Backup: ${ctx.config.dbPath}.v4.backup`);
+    expect(existsSync(`${ctx.config.dbPath}.v4.backup`)).toBe(true);
+
+    await run("reindex");
+    expect(await run("search", "Keep the old index")).toContain(entry.id);
+  }, 60000);
+});
@@ -0,0 +1,52 @@
+/**
+ * Integration tests for `context-vault dedupe`.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync } from "node:fs";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { cliEnv, runCli } from "../helpers/cli.js";
+import { createTestCtx } from "../helpers/ctx.js";
+
+describe("context-vault dedupe", () => {
+  let ctx, cleanup, env;
+  const entries = {};
+
+  const runDedupe = (...args) => runCli(env, "dedupe", ...args);
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    const body = "Prefer composition over inheritance";
+    entries.first = await captureAndIndex(ctx, {
+      kind: "pattern",
+      title: "Composition",
+      body,
+      tags: ["design"],
+    });
+    entries.second = await captureAndIndex(ctx, {
+      kind: "pattern",
+      title: "Composition again",
+      body,
+    });
+    ctx.db.close();
+    env = cliEnv(ctx.config);
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("lists clusters without changing anything", async () => {
+    const out = await runDedupe();
+    expect(out).toContain(entries.first.id);
+    expect(out).toContain(`${entries.second.id} (1.000)`);
+    expect(out).toContain("1 cluster, 1 duplicate entry");
+    expect(existsSync(entries.second.filePath)).toBe(true);
+  }, 30000);
+
+  it("merges clusters with --merge", async () => {
+    const out = await runDedupe("--merge");
+    expect(out).toContain("Merged 1 cluster, removed 1 duplicate entry");
+    expect(existsSync(entries.second.filePath)).toBe(false);
+    expect(existsSync(entries.first.filePath)).toBe(true);
+    expect(await runDedupe()).toContain("No duplicates found");
+  }, 30000);
+});
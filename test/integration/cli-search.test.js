@@ -0,0 +1,113 @@
+/**
+ * Integration tests for `context-vault search` filters and output formats.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { createTestCtx } from "../helpers/ctx.js";
+import { cliEnv, runCli } from "../helpers/cli.js";
+
+describe("context-vault search", () => {
+  let ctx, cleanup, env;
+  const entries = {};
+
+  const runSearch = (...args) => runCli(env, "search", ...args);
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    entries.insight = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Pooling insight",
+      body: "Connection pooling avoids exhaustion under load",
+      tags: ["postgres"],
+    });
+    entries.decision = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Pooling decision",
+      body: "We chose pgbouncer for connection pooling",
+      tags: ["infra"],
+    });
+    ctx.db.close();
+    env = cliEnv(ctx.config);
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("prints JSON results", async () => {
+    const results = JSON.parse(
+      await runSearch("connection pooling", "--format", "json"),
+    );
+    expect(results.map((r) => r.id).sort()).toEqual(
+      [entries.insight.id, entries.decision.id].sort(),
+    );
+    expect(results[0]).toHaveProperty("file_path");
+    expect(results[0]).toHaveProperty("score");
+    expect(Array.isArray(results[0].tags)).toBe(true);
+  }, 30000);
+
+  it("filters by kind and tags", async () => {
+    const byKind = JSON.parse(
+      await runSearch(
+        "connection pooling",
+        "--kind",
+        "decision",
+        "--format",
+        "json",
+      ),
+    );
+    expect(byKind.map((r) => r.id)).toEqual([entries.decision.id]);
+
+    const byTag = JSON.parse(
+      await runSearch(
+        "connection pooling",
+        "--tags",
+        "postgres",
+        "--format",
+        "json",
+      ),
+    );
+    expect(byTag.map((r) => r.id)).toEqual([entries.insight.id]);
+  }, 30000);
+
+  it("prints one file path per line with --format paths", async () => {
+    const lines = (
+      await runSearch("connection pooling", "--format", "paths", "--limit", "1")
+    )
+      .trim()
+      .split("\n");
+    expect(lines).toHaveLength(1);
+    expect(lines[0].startsWith(ctx.config.vaultDir)).toBe(true);
+    expect(lines[0]).toMatch(/\.md$/);
+  }, 30000);
+
+  it("explains the ranking and lists each tag filter", async () => {
+    expect(await runSearch("connection pooling", "--explain")).toContain(
+      "filters: none",
+    );
+
+    const out = await runSearch(
+      "connection pooling",
+      "--explain",
+      "--tags",
+      "postgres,infra",
+      "--tags-all",
+      "postgres",
+      "--tags-none",
+      "legacy",
+    );
+    expect(out).toContain("tags any of [postgres, infra]");
+    expect(out).toContain("tags all of [postgres]");
+    expect(out).toContain("tags none of [legacy]");
+    expect(out).toContain("Pooling insight");
+    expect(out).not.toContain("Pooling decision");
+  }, 30000);
+
+  it("rejects unknown formats", async () => {
+    await expect(runSearch("pooling", "--format", "xml")).rejects.toMatchObject(
+      {
+        status: 1,
+        stderr: expect.stringContaining("Unknown format: xml"),
+      },
+    );
+  }, 30000);
+});
@@ -0,0 +1,193 @@
+/**
+ * Integration tests for `context-vault sync` against a local stand-in of the
+ * hosted endpoints, and `sync --git` against a bare repository.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { cliEnv, runCli } from "../helpers/cli.js";
+import { createTestCtx } from "../helpers/ctx.js";
+import { startFakeHostedVault } from "../helpers/hosted.js";
+
+describe("context-vault sync", () => {
+  let ctx, cleanup, env, hosted, entry;
+
+  const runSync = (...args) => runCli(env, "sync", ...args);
+
+  beforeAll(async () => {
+    hosted = await startFakeHostedVault();
+    ({ ctx, cleanup } = await createTestCtx());
+    entry = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Only local",
+      body: "Not on the hosted vault yet",
+    });
+    hosted.entries.set("01REMOTEONLY00000000000001", {
+      id: "01REMOTEONLY00000000000001",
+      kind: "decision",
+      title: "Only remote",
+      body: "Not on this machine yet",
+      tags: [],
+    });
+    ctx.db.close();
+    env = {
+      ...cliEnv(ctx.config),
+      CONTEXT_VAULT_HOSTED_URL: hosted.url,
+      CONTEXT_VAULT_API_KEY: hosted.apiKey,
+    };
+  }, 60000);
+
+  afterAll(() => {
+    cleanup();
+    hosted.server.close();
+  });
+
+  it("reports the plan with --dry-run without changing anything", async () => {
+    const out = await runSync("--dry-run");
+    expect(out).toContain("1 to push");
+    expect(out).toContain(`Only local · ${entry.id}`);
+    expect(out).toContain("1 to pull");
+    expect(out).toContain("Only remote");
+    expect(out).toContain("Dry run — nothing was changed.");
+    expect(hosted.entries.has(entry.id)).toBe(false);
+    expect(hosted.requests.map((r) => r.path)).toEqual(["/api/vault/manifest"]);
+  }, 30000);
+
+  it("syncs both ways without --dry-run", async () => {
+    const out = await runSync();
+    expect(out).toContain("1 pushed, 1 pulled, 0 deleted");
+    expect(hosted.entries.has(entry.id)).toBe(true);
+
+    const again = await runSync("--dry-run");
+    expect(again).toContain("2 up to date");
+    expect(again).not.toContain("to push");
+  }, 30000);
+
+  it("lists conflicts and settles them with --prefer", async () => {
+    hosted.entries.get(entry.id).body = "Changed remotely";
+    writeFileSync(
+      entry.filePath,
+      readFileSync(entry.filePath, "utf-8").replace(
+        "Not on the hosted vault yet",
+        "Changed locally",
+      ),
+    );
+
+    const out = await runSync("--dry-run");
+    expect(out).toContain("1 conflict");
+    expect(out).toContain("edited on both sides");
+
+    const settled = await runSync("--prefer", "local");
+    expect(settled).toContain("keeping the local version");
+    expect(hosted.entries.get(entry.id).body).toBe("Changed locally");
+  }, 30000);
+
+  it("requires an API key", async () => {
+    const { CONTEXT_VAULT_API_KEY, ...noKey } = env;
+    await expect(runCli(noKey, "sync", "--dry-run")).rejects.toMatchObject({
+      stderr: expect.stringContaining("--key"),
+    });
+  }, 30000);
+});
+
+describe("context-vault sync on a vault already in step", () => {
+  let ctx, cleanup, env, hosted, entry;
+
+  const runSync = (...args) => runCli(env, "sync", ...args);
+
+  beforeAll(async () => {
+    hosted = await startFakeHostedVault();
+    ({ ctx, cleanup } = await createTestCtx());
+    entry = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Synced before bases existed",
+      body: "Same content on both sides",
+    });
+    // As left by the additive sync: same content, no vault_sync base
+    hosted.entries.set(entry.id, {
+      id: entry.id,
+      kind: "decision",
+      title: "Synced before bases existed",
+      body: "Same content on both sides",
+      tags: [],
+    });
+    ctx.db.close();
+    env = {
+      ...cliEnv(ctx.config),
+      CONTEXT_VAULT_HOSTED_URL: hosted.url,
+      CONTEXT_VAULT_API_KEY: hosted.apiKey,
+    };
+  }, 60000);
+
+  afterAll(() => {
+    cleanup();
+    hosted.server.close();
+  });
+
+  it("records a base so the next one-sided edit is not a conflict", async () => {
+    const first = await runSync();
+    expect(first).toContain("1 up to date");
+
+    writeFileSync(
+      entry.filePath,
+      readFileSync(entry.filePath, "utf-8").replace(
+        "Same content on both sides",
+        "Edited on this machine",
+      ),
+    );
+    const out = await runSync();
+    expect(out).toContain("1 edited locally");
+    expect(out).not.toContain("conflict");
+    expect(hosted.entries.get(entry.id).body).toBe("Edited on this machine");
+  }, 30000);
+});
+
+describe("context-vault sync --git", () => {
+  let ctx, cleanup, env, tmp, bare;
+
+  const runSync = (...args) => runCli(env, "sync", "--git", ...args);
+
+  beforeAll(async () => {
+    tmp = mkdtempSync(join(tmpdir(), "context-vault-git-"));
+    bare = join(tmp, "vault.git");
+    execFileSync("git", ["init", "-q", "--bare", "-b", "main", bare]);
+    ({ ctx, cleanup } = await createTestCtx());
+    await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Ship on Fridays",
+      body: "Only with a rollback plan",
+    });
+    ctx.db.close();
+    env = cliEnv(ctx.config);
+  }, 60000);
+
+  afterAll(() => {
+    cleanup();
+    rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it("commits and pushes to the remote", async () => {
+    const dry = await runSync("--remote", bare, "--dry-run");
+    expect(dry).toContain("not a git repository yet");
+
+    const out = await runSync("--remote", bare);
+    expect(out).toContain("Initialised a git repository");
+    expect(out).toContain("save decision: Ship on Fridays");
+    expect(out).toContain("Pushed to main");
+
+    const subjects = execFileSync("git", ["log", "--format=%s", "main"], {
+      cwd: bare,
+      encoding: "utf-8",
+    });
+    expect(subjects).toContain("sync: 2 changes");
+  }, 30000);
+
+  it("reports nothing to do once in step", async () => {
+    const out = await runSync("--dry-run");
+    expect(out).toContain("Nothing to commit or pull.");
+  }, 30000);
+});
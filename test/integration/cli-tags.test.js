@@ -0,0 +1,74 @@
+/**
+ * Integration tests for `context-vault tags` list, rename and merge.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { readFileSync } from "node:fs";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { cliEnv, runCli } from "../helpers/cli.js";
+import { createTestCtx } from "../helpers/ctx.js";
+
+describe("context-vault tags", () => {
+  let ctx, cleanup, env;
+  const entries = {};
+
+  const runTags = (...args) => runCli(env, "tags", ...args);
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    entries.a = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Pool sizing",
+      body: "Keep pools small",
+      tags: ["postgres", "perf"],
+    });
+    entries.b = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Use pgbouncer",
+      body: "Pooling in front of Postgres",
+      tags: ["pg"],
+    });
+    ctx.db.close();
+    env = cliEnv(ctx.config);
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("lists tags with counts", async () => {
+    const out = await runTags();
+    expect(out).toMatch(/1\s+perf/);
+    expect(out).toContain("3 tags");
+  }, 30000);
+
+  it("renames a tag in the entry file", async () => {
+    const out = await runTags("rename", "perf", "performance");
+    expect(out).toContain("Retagged 1 entry: perf → performance");
+    expect(readFileSync(entries.a.filePath, "utf-8")).toContain(
+      'tags: ["postgres", "performance"]',
+    );
+  }, 30000);
+
+  it("previews and then merges tags", async () => {
+    const preview = await runTags(
+      "merge",
+      "pg",
+      "--into",
+      "postgres",
+      "--dry-run",
+    );
+    expect(preview).toContain("1 entry would be retagged pg → postgres");
+    expect(readFileSync(entries.b.filePath, "utf-8")).toContain('tags: ["pg"]');
+
+    await runTags("merge", "pg", "--into", "postgres");
+    expect(readFileSync(entries.b.filePath, "utf-8")).toContain(
+      'tags: ["postgres"]',
+    );
+    expect(await runTags()).toMatch(/2\s+postgres/);
+  }, 30000);
+
+  it("points to merge when the new name is taken", async () => {
+    await expect(runTags("rename", "performance", "postgres")).rejects.toThrow(
+      /already exists/,
+    );
+  }, 30000);
+});
@@ -0,0 +1,192 @@
+/**
+ * Integration tests for git-backed sync — two vaults ("laptops") syncing
+ * through a bare repository in a temp directory.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { execFileSync } from "node:child_process";
+import {
+  existsSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  unlinkSync,
+} from "node:fs";
+import { join, relative } from "node:path";
+import { tmpdir } from "node:os";
+import { captureAndIndex, updateEntryFile } from "@context-vault/core/capture";
+import { indexEntry } from "@context-vault/core/index";
+import {
+  gitSync,
+  describeChanges,
+  resolveGitSync,
+  CONFLICT_TAG,
+} from "@context-vault/core/sync/git";
+import { createTestCtx } from "../helpers/ctx.js";
+
+const git = (dir, ...args) =>
+  execFileSync("git", args, { cwd: dir, encoding: "utf-8" }).trim();
+const log = (dir) =>
+  execFileSync("git", ["log", "--format=%s", "-n", "5"], {
+    cwd: dir,
+    encoding: "utf-8",
+  })
+    .trim()
+    .split("\n");
+
+describe("resolveGitSync", () => {
+  it("defaults to no remote on main", () => {
+    expect(resolveGitSync({})).toEqual({ remote: null, branch: "main" });
+    expect(
+      resolveGitSync({ git: { remote: "/srv/vault.git", branch: "notes" } }),
+    ).toEqual({ remote: "/srv/vault.git", branch: "notes" });
+  });
+});
+
+describe("gitSync between two vaults", () => {
+  let a, b, bare, tmp;
+
+  const sync = (machine, opts = {}) =>
+    gitSync(machine.ctx, { remote: bare, ...opts });
+  const row = (machine, id) => machine.ctx.stmts.getEntryById.get(id);
+  async function edit(machine, id, updates) {
+    await indexEntry(
+      machine.ctx,
+      updateEntryFile(machine.ctx, row(machine, id), updates),
+    );
+  }
+
+  beforeAll(async () => {
+    tmp = mkdtempSync(join(tmpdir(), "context-vault-git-"));
+    bare = join(tmp, "vault.git");
+    execFileSync("git", ["init", "-q", "--bare", "-b", "main", bare]);
+    a = await createTestCtx();
+    b = await createTestCtx();
+  }, 30000);
+
+  afterAll(() => {
+    a.cleanup();
+    b.cleanup();
+    rmSync(tmp, { recursive: true, force: true });
+  });
+
+  let shared;
+
+  it("commits new entries with a descriptive message and pushes", async () => {
+    shared = await captureAndIndex(a.ctx, {
+      kind: "decision",
+      title: "Use SQLite",
+      body: "One file, no server",
+    });
+
+    const dry = await sync(a, { dryRun: true });
+    expect(dry.newRepo).toBe(true);
+    expect(existsSync(join(a.ctx.config.vaultDir, ".git"))).toBe(false);
+
+    const result = await sync(a);
+    expect(result.newRepo).toBe(true);
+    expect(result.committed.changes).toContain("save decision: Use SQLite");
+    expect(result.pushed).toBe(true);
+    expect(
+      readFileSync(join(a.ctx.config.vaultDir, ".gitignore"), "utf-8"),
+    ).toBe("_history/\n");
+  }, 30000);
+
+  it("pulls into the other vault and indexes the pulled files", async () => {
+    const dry = await sync(b, { dryRun: true });
+    expect(dry.newRepo).toBe(true);
+
+    const result = await sync(b);
+    expect(result.pulled).toContain(
+      relative(a.ctx.config.vaultDir, shared.filePath),
+    );
+    expect(result.committed).toBeNull();
+    expect(result.reindexed.added).toBe(1);
+    expect(row(b, shared.id)).toMatchObject({ title: "Use SQLite" });
+  }, 30000);
+
+  it("uses one commit line per change", async () => {
+    await edit(a, shared.id, { body: "One file, no server, WAL mode" });
+    const result = await sync(a);
+    expect(result.committed.message).toBe("update decision: Use SQLite");
+    expect(log(a.ctx.config.vaultDir)[0]).toBe("update decision: Use SQLite");
+
+    const refs = () => git(b.ctx.config.vaultDir, "for-each-ref");
+    const before = refs();
+    const dry = await sync(b, { dryRun: true });
+    expect(dry.incoming).toEqual(["update decision: Use SQLite"]);
+
+    // A dry run against another remote leaves "origin" pointing where it was
+    const mirror = join(tmp, "mirror.git");
+    execFileSync("git", ["clone", "-q", "--bare", bare, mirror]);
+    const other = await sync(b, { dryRun: true, remote: mirror });
+    expect(other.incoming).toEqual(["update decision: Use SQLite"]);
+    expect(refs()).toBe(before);
+    expect(git(b.ctx.config.vaultDir, "remote", "get-url", "origin")).toBe(
+      bare,
+    );
+
+    await sync(b);
+    expect(row(b, shared.id).body).toBe("One file, no server, WAL mode");
+  }, 30000);
+
+  it("describes deletions from the last commit", async () => {
+    unlinkSync(row(b, shared.id).file_path);
+    expect(describeChanges(b.ctx.config.vaultDir)).toEqual([
+      "delete decision: Use SQLite",
+    ]);
+    await sync(b);
+
+    const result = await sync(a);
+    expect(result.reindexed.removed).toBe(1);
+    expect(row(a, shared.id)).toBeUndefined();
+  }, 30000);
+
+  it("keeps both versions of an entry edited on both machines", async () => {
+    const entry = await captureAndIndex(a.ctx, {
+      kind: "decision",
+      title: "Cache layer",
+      body: "Start without a cache",
+      tags: ["perf"],
+    });
+    await sync(a);
+    await sync(b);
+
+    await edit(a, entry.id, { body: "Add an in-process LRU cache" });
+    await edit(b, entry.id, { body: "Add Redis in front of the API" });
+    await sync(a);
+    const result = await sync(b);
+
+    expect(result.conflicts).toHaveLength(1);
+    const { path, copy } = result.conflicts[0];
+    expect(copy).toMatch(/-conflict-[a-z0-9]{6}\.md$/);
+    expect(
+      readFileSync(join(b.ctx.config.vaultDir, path), "utf-8"),
+    ).not.toContain("<<<<<<<");
+    expect(row(b, entry.id).body).toBe("Add Redis in front of the API");
+
+    const copyRow = b.ctx.db
+      .prepare("SELECT * FROM vault WHERE file_path = ?")
+      .get(join(b.ctx.config.vaultDir, copy));
+    expect(copyRow.body).toBe("Add an in-process LRU cache");
+    expect(copyRow.id).not.toBe(entry.id);
+    expect(JSON.parse(copyRow.tags)).toEqual(["perf", CONFLICT_TAG]);
+    expect(JSON.parse(copyRow.meta).conflict_of).toBe(entry.id);
+    expect(result.pushed).toBe(true);
+
+    // The review copy reaches the first machine on its next sync
+    await sync(a);
+    expect(row(a, copyRow.id)).toMatchObject({
+      body: "Add an in-process LRU cache",
+    });
+  }, 30000);
+
+  it("needs a remote", async () => {
+    const c = await createTestCtx();
+    try {
+      await expect(gitSync(c.ctx)).rejects.toThrow(/No git remote/);
+    } finally {
+      c.cleanup();
+    }
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Integration tests for the `serve --http` JSON API.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, statSync } from "node:fs";
+import { join } from "node:path";
+import { createTestCtx } from "../helpers/ctx.js";
+import {
+  createHttpApi,
+  loadOrCreateToken,
+} from "../../packages/local/src/server/http.js";
+
+describe("HTTP API", () => {
+  let ctx, cleanup, server, base, token;
+
+  async function api(path, { method = "GET", body, auth = token } = {}) {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(auth ? { Authorization: `Bearer ${auth}` } : {}),
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, data: await res.json() };
+  }
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    ctx.config.vaultDirExists = true;
+    token = loadOrCreateToken(ctx.config.dataDir);
+    server = createHttpApi(ctx, { token });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  }, 60000);
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    cleanup();
+  });
+
+  it("persists a private token in the data dir", () => {
+    const path = join(ctx.config.dataDir, "http-token");
+    expect(existsSync(path)).toBe(true);
+    expect(statSync(path).mode & 0o077).toBe(0);
+    expect(loadOrCreateToken(ctx.config.dataDir)).toBe(token);
+  });
+
+  it("rejects requests without the token", async () => {
+    expect((await api("/api/status", { auth: null })).status).toBe(401);
+    expect((await api("/api/status", { auth: "wrong" })).status).toBe(401);
+  });
+
+  it("lists the shared tool modules", async () => {
+    const { data } = await api("/api/tools");
+    const names = data.tools.map((t) => t.name);
+    expect(names).toContain("get_context");
+    expect(names).toContain("save_context");
+  });
+
+  it("saves, lists, searches, updates and deletes entries", async () => {
+    const saved = await api("/api/entries", {
+      method: "POST",
+      body: {
+        kind: "insight",
+        title: "HTTP pooling",
+        body: "Connection pooling over HTTP",
+        tags: ["http"],
+      },
+    });
+    expect(saved.status).toBe(200);
+    expect(saved.data.ok).toBe(true);
+    const id = ctx.db.prepare("SELECT id FROM vault").get().id;
+    expect(saved.data.data).toMatchObject({ action: "created", id });
+
+    const listed = await api("/api/entries?kind=insight&tags=http&limit=5");
+    expect(listed.data.text).toContain("HTTP pooling");
+
+    const read = await api(`/api/entries/${id}`);
+    expect(read.data.text).toContain("Connection pooling over HTTP");
+
+    const found = await api("/api/search?query=connection+pooling&limit=3");
+    expect(found.data.ok).toBe(true);
+    expect(found.data.text).toContain("HTTP pooling");
+
+    const updated = await api(`/api/entries/${id}`, {
+      method: "PUT",
+      body: { title: "HTTP pooling (revised)" },
+    });
+    expect(updated.data.ok).toBe(true);
+    expect(ctx.stmts.getEntryById.get(id).title).toBe("HTTP pooling (revised)");
+
+    const deleted = await api(`/api/entries/${id}`, { method: "DELETE" });
+    expect(deleted.data.ok).toBe(true);
+    expect(ctx.stmts.getEntryById.get(id)).toBeUndefined();
+  }, 30000);
+
+  it("calls any tool through /api/tools/:name", async () => {
+    const { status, data } = await api("/api/tools/context_status", {
+      method: "POST",
+      body: {},
+    });
+    expect(status).toBe(200);
+    expect(data.text).toContain("Vault Status");
+  });
+
+  it("maps tool errors and invalid arguments to HTTP statuses", async () => {
+    const missing = await api("/api/entries/nope", { method: "DELETE" });
+    expect(missing.status).toBe(404);
+    expect(missing.data).toMatchObject({ ok: false, code: "NOT_FOUND" });
+
+    const invalid = await api("/api/entries?limit=lots");
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.error).toContain("limit");
+
+    expect((await api("/api/tools/nope", { method: "POST" })).status).toBe(404);
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Integration tests for the Streamable HTTP MCP daemon (`serve --daemon`).
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { request } from "node:http";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { createTestCtx } from "../helpers/ctx.js";
+import {
+  createMcpDaemon,
+  MCP_PATH,
+} from "../../packages/local/src/server/daemon.js";
+
+const TOKEN = "daemon-test-token";
+const AUTH = { Authorization: `Bearer ${TOKEN}` };
+
+function clientTransport(url) {
+  return new StreamableHTTPClientTransport(url, {
+    requestInit: { headers: AUTH },
+  });
+}
+
+// Count the resource listeners sessions leave on the shared runner
+function countListeners(runner) {
+  const counter = { listeners: 0 };
+  const onChange = runner.onChange;
+  runner.onChange = (listener) => {
+    counter.listeners++;
+    const off = onChange(listener);
+    return () => {
+      counter.listeners--;
+      return off();
+    };
+  };
+  return counter;
+}
+
+describe("MCP daemon", () => {
+  let ctx, cleanup, daemon, url, counter;
+  const clients = [];
+
+  async function connect(name) {
+    const client = new Client({ name, version: "1.0.0" });
+    await client.connect(clientTransport(url));
+    clients.push(client);
+    return client;
+  }
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    daemon = createMcpDaemon(ctx, { version: "0.0.0-test", token: TOKEN });
+    counter = countListeners(daemon.runner);
+    await new Promise((resolve) =>
+      daemon.server.listen(0, "127.0.0.1", resolve),
+    );
+    url = new URL(
+      `http://127.0.0.1:${daemon.server.address().port}${MCP_PATH}`,
+    );
+  }, 60000);
+
+  afterAll(async () => {
+    await Promise.allSettled(clients.map((c) => c.close()));
+    await daemon.closeSessions();
+    await new Promise((resolve) => daemon.server.close(resolve));
+    cleanup();
+  });
+
+  it("serves the vault tools over Streamable HTTP", async () => {
+    const client = await connect("a");
+    const { tools } = await client.listTools();
+    expect(tools.map((t) => t.name)).toContain("get_context");
+  });
+
+  it("shares one vault between concurrent sessions", async () => {
+    const writer = await connect("writer");
+    const reader = await connect("reader");
+    expect(daemon.sessions.size).toBeGreaterThanOrEqual(2);
+
+    const saved = await writer.callTool({
+      name: "save_context",
+      arguments: {
+        kind: "insight",
+        title: "Shared daemon",
+        body: "Written by one client, read by another",
+      },
+    });
+    expect(saved.isError).toBeFalsy();
+
+    const found = await reader.callTool({
+      name: "get_context",
+      arguments: { query: "written by one client" },
+    });
+    expect(found.content[0].text).toContain("Shared daemon");
+  }, 30000);
+
+  it("drops closed sessions", async () => {
+    const client = await connect("short-lived");
+    const before = daemon.sessions.size;
+    await client.transport.terminateSession();
+    expect(daemon.sessions.size).toBe(before - 1);
+  });
+
+  it("rejects requests for unknown sessions and foreign hosts", async () => {
+    const unknown = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+        "mcp-session-id": "nope",
+        ...AUTH,
+      },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" }),
+    });
+    expect(unknown.status).toBe(404);
+
+    const foreign = await new Promise((resolve, reject) => {
+      const req = request(
+        url,
+        {
+          method: "POST",
+          headers: {
+            Host: "evil.example:80",
+            ...AUTH,
+            "Content-Type": "application/json",
+            Accept: "application/json, text/event-stream",
+          },
+        },
+        (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        },
+      );
+      req.on("error", reject);
+      req.end(
+        JSON.stringify({
+          jsonrpc: "2.0",
+          id: 1,
+          method: "initialize",
+          params: {
+            protocolVersion: "2025-03-26",
+            capabilities: {},
+            clientInfo: { name: "x", version: "1" },
+          },
+        }),
+      );
+    });
+    expect(foreign).toBe(403);
+
+    const health = await fetch(new URL("/health", url));
+    expect((await health.json()).ok).toBe(true);
+  });
+
+  it("requires the bearer token", async () => {
+    const init = {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: {
+        protocolVersion: "2025-03-26",
+        capabilities: {},
+        clientInfo: { name: "x", version: "1" },
+      },
+    };
+    const headers = {
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+    };
+    for (const auth of [{}, { Authorization: "Bearer wrong" }]) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { ...headers, ...auth },
+        body: JSON.stringify(init),
+      });
+      expect(res.status).toBe(401);
+    }
+
+    const client = new Client({ name: "no-token", version: "1.0.0" });
+    await expect(
+      client.connect(new StreamableHTTPClientTransport(url)),
+    ).rejects.toThrow();
+  });
+
+  it("starts no session for a request that is not initialize", async () => {
+    const before = counter.listeners;
+    const sessions = daemon.sessions.size;
+    for (let i = 0; i < 3; i++) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+          ...AUTH,
+        },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" }),
+      });
+      expect(res.status).toBe(400);
+    }
+    expect(counter.listeners).toBe(before);
+    expect(daemon.sessions.size).toBe(sessions);
+  });
+});
+
+describe("MCP daemon idle sessions", () => {
+  let ctx, cleanup, daemon, url, counter;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    daemon = createMcpDaemon(ctx, {
+      version: "0.0.0-test",
+      token: TOKEN,
+      idleTimeoutMs: 300,
+    });
+    counter = countListeners(daemon.runner);
+    await new Promise((resolve) =>
+      daemon.server.listen(0, "127.0.0.1", resolve),
+    );
+    url = new URL(
+      `http://127.0.0.1:${daemon.server.address().port}${MCP_PATH}`,
+    );
+  }, 60000);
+
+  afterAll(async () => {
+    await daemon.closeSessions();
+    await new Promise((resolve) => daemon.server.close(resolve));
+    cleanup();
+  });
+
+  it("closes a session its client left without closing", async () => {
+    const client = new Client({ name: "abandoned", version: "1.0.0" });
+    await client.connect(clientTransport(url));
+    const { sessionId } = client.transport;
+    expect(daemon.sessions.has(sessionId)).toBe(true);
+    expect(counter.listeners).toBe(1);
+
+    // A connected client keeps its session past the timeout
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    await client.ping();
+    expect(daemon.sessions.has(sessionId)).toBe(true);
+
+    // Gone without a DELETE: closed once the timeout passes
+    await client.close();
+    expect(daemon.sessions.has(sessionId)).toBe(true);
+    await vi.waitFor(() => expect(daemon.sessions.has(sessionId)).toBe(false), {
+      timeout: 3000,
+    });
+    expect(counter.listeners).toBe(0);
+
+    const stale = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+        "mcp-session-id": sessionId,
+        ...AUTH,
+      },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" }),
+    });
+    expect(stale.status).toBe(404);
+  }, 30000);
+});
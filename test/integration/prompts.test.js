@@ -0,0 +1,122 @@
+/**
+ * Integration tests for the workflow MCP prompts.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import {
+  registerPrompts,
+  promptModules,
+} from "@context-vault/core/server/prompts";
+import {
+  createToolRunner,
+  registerTools,
+  toolModules,
+} from "@context-vault/core/server/tools";
+import { registerResources } from "@context-vault/core/server/resources";
+import { KINDS } from "@context-vault/core/core/categories";
+import { createTestCtx } from "../helpers/ctx.js";
+
+describe("MCP prompts", () => {
+  let ctx, cleanup, client;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    // Same registration order as the local server
+    const server = new McpServer({ name: "test", version: "0.0.0" });
+    const runner = createToolRunner(ctx);
+    registerTools(server, ctx, runner);
+    registerResources(server, ctx, runner);
+    registerPrompts(server);
+    client = new Client({ name: "test-client", version: "0.0.0" });
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    await Promise.all([
+      server.connect(serverTransport),
+      client.connect(clientTransport),
+    ]);
+  });
+
+  afterAll(async () => {
+    await client?.close();
+    cleanup();
+  });
+
+  const text = async (name, args) =>
+    (await client.getPrompt({ name, arguments: args })).messages[0].content
+      .text;
+
+  it("lists the workflow prompts with their arguments", async () => {
+    const { prompts } = await client.listPrompts();
+    expect(prompts.map((p) => p.name)).toEqual([
+      "summarize_session",
+      "record_decision",
+      "recall_topic",
+    ]);
+    const decision = prompts.find((p) => p.name === "record_decision");
+    expect(decision.arguments.find((a) => a.name === "decision").required).toBe(
+      true,
+    );
+  });
+
+  it("renders arguments into the instructions", async () => {
+    const summary = await text("summarize_session", {
+      focus: "the cache rewrite",
+      tags: "cache, perf",
+    });
+    expect(summary).toContain("focusing on the cache rewrite");
+    expect(summary).toContain('["cache","perf"]');
+
+    const decision = await text("record_decision", {
+      decision: "Use SQLite",
+      alternatives: "Postgres",
+    });
+    expect(decision).toContain(
+      "Record this decision in the context vault: Use SQLite",
+    );
+    expect(decision).toContain("Alternatives considered: Postgres");
+    expect(decision).not.toContain("Context:");
+
+    const recall = await text("recall_topic", {
+      topic: "auth",
+      kind: "decision",
+    });
+    expect(recall).toContain('`query: "auth"`, `kind: "decision"`');
+  });
+
+  it("only references real tools and built-in kinds", async () => {
+    const tools = new Set(toolModules.map((m) => m.name));
+    const args = {
+      summarize_session: {},
+      record_decision: { decision: "x" },
+      recall_topic: { topic: "x" },
+    };
+    for (const mod of promptModules) {
+      const rendered = await text(mod.name, args[mod.name]);
+      for (const [, tool] of rendered.matchAll(/`([a-z]+_[a-z_]+)`/g)) {
+        if (tool.includes("context") || tool.includes("related")) {
+          expect(tools.has(tool), `${mod.name}: ${tool}`).toBe(true);
+        }
+      }
+      for (const [, kind] of rendered.matchAll(/kind: "([a-z]+)"/g)) {
+        expect(KINDS).toContain(kind);
+      }
+    }
+  });
+
+  it("completes the recall kind argument", async () => {
+    const { completion } = await client.complete({
+      ref: { type: "ref/prompt", name: "recall_topic" },
+      argument: { name: "kind", value: "dec" },
+    });
+    expect(completion.values).toEqual(["decision"]);
+  });
+
+  it("requires the mandatory arguments", async () => {
+    await expect(
+      client.getPrompt({ name: "recall_topic", arguments: {} }),
+    ).rejects.toThrow(/topic/);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Integration tests for the vault:// MCP resources.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { ResourceListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import {
+  createToolRunner,
+  registerTools,
+} from "@context-vault/core/server/tools";
+import { registerResources } from "@context-vault/core/server/resources";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { createTestCtx } from "../helpers/ctx.js";
+
+describe("MCP resources", () => {
+  let ctx, cleanup, client, runner, entry;
+  let listChanged = 0;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    entry = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Resource insight",
+      body: "Entries are readable as MCP resources",
+    });
+    await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Resource decision",
+      body: "Expose kinds as resources too",
+    });
+
+    const server = new McpServer({ name: "test", version: "0.0.0" });
+    runner = createToolRunner(ctx);
+    registerTools(server, ctx, runner);
+    registerResources(server, ctx, runner);
+
+    client = new Client({ name: "test-client", version: "0.0.0" });
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+      listChanged++;
+    });
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    await Promise.all([
+      server.connect(serverTransport),
+      client.connect(clientTransport),
+    ]);
+  }, 60000);
+
+  afterAll(async () => {
+    await client?.close();
+    cleanup();
+  });
+
+  it("lists entries and kinds", async () => {
+    const { resources } = await client.listResources();
+    const uris = resources.map((r) => r.uri);
+    expect(uris).toContain(`vault://entry/${entry.id}`);
+    expect(uris).toContain("vault://kind/insight");
+    expect(uris).toContain("vault://kind/decision");
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    expect(resourceTemplates.map((t) => t.uriTemplate)).toEqual([
+      "vault://entry/{id}",
+      "vault://kind/{kind}",
+    ]);
+  });
+
+  it("reads an entry as its markdown file", async () => {
+    const { contents } = await client.readResource({
+      uri: `vault://entry/${entry.id}`,
+    });
+    expect(contents[0].mimeType).toBe("text/markdown");
+    expect(contents[0].text).toContain(`id: ${entry.id}`);
+    expect(contents[0].text).toContain("Entries are readable as MCP resources");
+  });
+
+  it("reads a kind as a list of entry links", async () => {
+    const { contents } = await client.readResource({
+      uri: "vault://kind/insights",
+    });
+    expect(contents[0].text).toContain("1 total");
+    expect(contents[0].text).toContain(`(vault://entry/${entry.id})`);
+  });
+
+  it("completes kind names", async () => {
+    const { completion } = await client.complete({
+      ref: { type: "ref/resource", uri: "vault://kind/{kind}" },
+      argument: { name: "kind", value: "de" },
+    });
+    expect(completion.values).toEqual(["decision"]);
+  });
+
+  it("rejects unknown entries and kinds", async () => {
+    await expect(
+      client.readResource({ uri: "vault://entry/nope" }),
+    ).rejects.toThrow(/not found/);
+    await expect(
+      client.readResource({ uri: "vault://kind/nothing" }),
+    ).rejects.toThrow(/not found/);
+  });
+
+  it("notifies clients when entries are saved or deleted, not on rejected calls", async () => {
+    const before = listChanged;
+    const saved = await client.callTool({
+      name: "save_context",
+      arguments: { kind: "insight", body: "Triggers list_changed" },
+    });
+    expect(saved.isError).toBeFalsy();
+    await vi.waitFor(() => expect(listChanged).toBe(before + 1));
+
+    const again = await client.callTool({
+      name: "save_context",
+      arguments: { kind: "insight", body: "Triggers list_changed" },
+    });
+    expect(again.structuredContent.action).toBe("duplicate");
+    await client.callTool({
+      name: "delete_context",
+      arguments: { id: "nope" },
+    });
+    await client.callTool({ name: "list_context", arguments: {} });
+    await client.callTool({
+      name: "delete_context",
+      arguments: { id: entry.id },
+    });
+    await vi.waitFor(() => expect(listChanged).toBe(before + 2));
+
+    runner.notifyChanged();
+    await vi.waitFor(() => expect(listChanged).toBe(before + 3));
+  }, 30000);
+});
@@ -0,0 +1,174 @@
+/**
+ * Every tool returns structuredContent matching its outputSchema. Calls go
+ * through a real MCP client so both the server and the client validate it.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createServer } from "node:http";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { registerTools, toolModules } from "@context-vault/core/server/tools";
+import { createTestCtx } from "../helpers/ctx.js";
+
+describe("structured tool output", () => {
+  let ctx, cleanup, client, page;
+  const called = new Set();
+
+  async function call(name, args = {}) {
+    const result = await client.callTool({ name, arguments: args });
+    expect(result.isError, result.content?.[0]?.text).toBeFalsy();
+    expect(result.structuredContent).toBeDefined();
+    called.add(name);
+    return result.structuredContent;
+  }
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    ctx.config.vaultDirExists = true;
+
+    page = createServer((_req, res) => {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(
+        "<html><head><title>Pooling guide</title></head><body><article><h1>Pooling</h1><p>Keep pools small.</p></article></body></html>",
+      );
+    });
+    await new Promise((resolve) => page.listen(0, "127.0.0.1", resolve));
+
+    const server = new McpServer({ name: "test", version: "0.0.0" });
+    registerTools(server, ctx);
+    client = new Client({ name: "test-client", version: "0.0.0" });
+    const [clientTransport, serverTransport] =
+      InMemoryTransport.createLinkedPair();
+    await Promise.all([
+      server.connect(serverTransport),
+      client.connect(clientTransport),
+    ]);
+  }, 60000);
+
+  afterAll(async () => {
+    await client?.close();
+    await new Promise((resolve) => page.close(resolve));
+    cleanup();
+  });
+
+  it("advertises an output schema for every tool", async () => {
+    const { tools } = await client.listTools();
+    expect(tools).toHaveLength(toolModules.length);
+    for (const tool of tools) {
+      expect(tool.outputSchema?.type, tool.name).toBe("object");
+    }
+  });
+
+  it("returns ids, scores, tags and paths as data", async () => {
+    const saved = await call("save_context", {
+      kind: "insight",
+      title: "Pool sizing",
+      body: "Connection pools should stay small for SQLite",
+      tags: ["db", "acme"],
+    });
+    expect(saved).toMatchObject({
+      action: "created",
+      kind: "insight",
+      category: "knowledge",
+      tags: ["db", "acme"],
+    });
+    expect(saved.file_path).toMatch(/^knowledge\/insights\/.+\.md$/);
+    const { id } = saved;
+
+    const other = await call("save_context", {
+      kind: "decision",
+      title: "Use SQLite",
+      body: "Chosen for zero-ops local storage",
+      tags: ["acme"],
+    });
+
+    const updated = await call("save_context", { id, title: "Pool sizing!" });
+    expect(updated).toMatchObject({ action: "updated", id });
+
+    const found = await call("get_context", {
+      query: "connection pools",
+      expand_related: true,
+    });
+    expect(found.query).toBe("connection pools");
+    expect(found.results[0]).toMatchObject({ id, title: "Pool sizing!" });
+    expect(typeof found.results[0].score).toBe("number");
+    expect(found.results[0].related).toEqual([]);
+
+    const listed = await call("list_context", { tags: ["db"] });
+    expect(listed.entries.map((e) => e.id)).toEqual([id]);
+    expect(listed.entries[0].preview).toContain("Connection pools");
+
+    const tags = await call("list_tags");
+    expect(tags.tags[0]).toEqual({ tag: "acme", count: 2 });
+
+    const read = await call("read_context", { id });
+    expect(read.body).toBe("Connection pools should stay small for SQLite");
+
+    const linked = await call("link_context", {
+      id,
+      target_id: other.id,
+      rel: "derived_from",
+    });
+    expect(linked.action).toBe("linked");
+
+    const related = await call("get_related", { id });
+    expect(related.links).toEqual([
+      expect.objectContaining({
+        id: other.id,
+        rel: "derived_from",
+        direction: "out",
+        missing: false,
+      }),
+    ]);
+
+    const history = await call("get_history", { id });
+    expect(history.revisions.length).toBeGreaterThanOrEqual(1);
+    const diff = await call("get_history", { id, rev: 1 });
+    expect(diff.diff).toMatchObject({ rev: 1, changed: true });
+
+    const restored = await call("restore_context", { id, rev: 1 });
+    expect(restored).toMatchObject({ id, rev: 1, kind: "insight" });
+    expect(restored.snapshot_rev).toBeGreaterThan(1);
+
+    const briefing = await call("get_briefing", { project: "acme" });
+    expect(briefing.sections.map((s) => s.kind)).toContain("decision");
+
+    const status = await call("context_status");
+    expect(status.kinds).toEqual(
+      expect.arrayContaining([{ kind: "insight", count: 1 }]),
+    );
+
+    const feedback = await call("submit_feedback", {
+      type: "bug",
+      title: "Broken",
+      body: "Something broke",
+    });
+    expect(feedback).toMatchObject({ type: "bug", severity: "medium" });
+
+    const ingested = await call("ingest_url", {
+      url: `http://127.0.0.1:${page.address().port}/guide`,
+    });
+    expect(ingested).toMatchObject({ kind: "reference" });
+    expect(ingested.body_chars).toBeGreaterThan(0);
+
+    const deleted = await call("delete_context", { id });
+    expect(deleted).toMatchObject({ id, kind: "insight", warning: null });
+
+    const none = await call("get_context", { query: "zzzz-no-match" });
+    expect(none.results).toEqual([]);
+  }, 60000);
+
+  it("covered every tool", () => {
+    expect([...called].sort()).toEqual(toolModules.map((m) => m.name).sort());
+  });
+
+  it("leaves structuredContent off errors", async () => {
+    const result = await client.callTool({
+      name: "read_context",
+      arguments: { id: "nope" },
+    });
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent).toBeUndefined();
+  });
+});
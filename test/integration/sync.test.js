@@ -1,14 +1,28 @@
 /**
  * Integration tests for the sync module — buildLocalManifest, computeSyncPlan.
  *
- * Tests the sync logic with a real local DB (no network calls).
- * Network-dependent tests (fetchRemoteManifest, executeSync) are mocked.
+ * Tests the sync logic with a real local DB. Network-dependent tests
+ * (fetchRemoteManifest, executeSync) run against a local stand-in of the
+ * hosted endpoints.
  */
 
 import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, readFileSync } from "node:fs";
 import { createTestCtx } from "../helpers/ctx.js";
-import { captureAndIndex } from "@context-vault/core/capture";
-import { buildLocalManifest, computeSyncPlan } from "@context-vault/core/sync";
+import { startFakeHostedVault } from "../helpers/hosted.js";
+import { captureAndIndex, updateEntryFile } from "@context-vault/core/capture";
+import { indexEntry, reindex } from "@context-vault/core/index";
+import {
+  buildLocalManifest,
+  computeSyncPlan,
+  entryHash,
+  executeSync,
+  fetchRemoteManifest,
+  loadSyncBase,
+  resolveConflicts,
+} from "@context-vault/core/sync";
+
+import * as deleteContextTool from "../../packages/core/src/server/tools/delete-context.js";
 
 describe("sync: buildLocalManifest", () => {
   let ctx, cleanup;
@@ -204,3 +218,289 @@ describe("sync: computeSyncPlan", () => {
     expect(plan.toPull).toEqual([]);
   });
 });
+
+describe("sync: three-way computeSyncPlan", () => {
+  const m = (...entries) => new Map(entries.map((e) => [e.id, e]));
+  const base = (id, local_hash, remote_hash = local_hash) =>
+    new Map([[id, { id, local_hash, remote_hash }]]);
+
+  it("sends one-sided edits to the other side", () => {
+    const local = m({ id: "a", hash: "a2" }, { id: "b", hash: "b1" });
+    const remote = m({ id: "a", hash: "a1" }, { id: "b", hash: "b2" });
+    const plan = computeSyncPlan(
+      local,
+      remote,
+      new Map([
+        ["a", { local_hash: "a1", remote_hash: "a1" }],
+        ["b", { local_hash: "b1", remote_hash: "b1" }],
+      ]),
+    );
+    expect(plan.toUpdateRemote).toEqual(["a"]);
+    expect(plan.toUpdateLocal).toEqual(["b"]);
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  it("compares each side against its own base hash", () => {
+    const plan = computeSyncPlan(
+      m({ id: "a", hash: "local-form" }),
+      m({ id: "a", hash: "remote-form" }),
+      base("a", "local-form", "remote-form"),
+    );
+    expect(plan.upToDate).toEqual(["a"]);
+  });
+
+  it("flags edits on both sides as conflicts", () => {
+    const plan = computeSyncPlan(
+      m({ id: "a", hash: "a2" }),
+      m({ id: "a", hash: "a3" }),
+      base("a", "a1"),
+    );
+    expect(plan.conflicts).toEqual([
+      expect.objectContaining({ id: "a", reason: "both_edited" }),
+    ]);
+    expect(plan.upToDate).toEqual([]);
+  });
+
+  it("treats differing content with no base as a conflict", () => {
+    const plan = computeSyncPlan(
+      m({ id: "a", hash: "x" }),
+      m({ id: "a", hash: "y" }),
+    );
+    expect(plan.conflicts.map((c) => c.reason)).toEqual(["both_edited"]);
+  });
+
+  it("propagates deletions of unchanged entries", () => {
+    const remoteGone = computeSyncPlan(
+      m({ id: "a", hash: "a1" }),
+      m({ id: "a", deleted: true }),
+      base("a", "a1"),
+    );
+    expect(remoteGone.toDeleteLocal).toEqual(["a"]);
+
+    const localGone = computeSyncPlan(
+      m({ id: "a", deleted: true }),
+      m({ id: "a", hash: "a1" }),
+      base("a", "a1"),
+    );
+    expect(localGone.toDeleteRemote).toEqual(["a"]);
+  });
+
+  it("does not delete an entry edited on the other side", () => {
+    const plan = computeSyncPlan(
+      m({ id: "a", hash: "a2" }),
+      new Map(),
+      base("a", "a1"),
+    );
+    expect(plan.toDeleteLocal).toEqual([]);
+    expect(plan.conflicts.map((c) => c.reason)).toEqual([
+      "edited_locally_deleted_remotely",
+    ]);
+
+    const other = computeSyncPlan(
+      m({ id: "a", deleted: true }),
+      m({ id: "a", hash: "a2" }),
+      base("a", "a1"),
+    );
+    expect(other.conflicts.map((c) => c.reason)).toEqual([
+      "deleted_locally_edited_remotely",
+    ]);
+  });
+
+  it("forgets ids deleted on both sides", () => {
+    const plan = computeSyncPlan(
+      m({ id: "a", deleted: true }),
+      m({ id: "a", deleted: true }),
+      base("a", "a1"),
+    );
+    expect(plan.toForget).toEqual(["a"]);
+  });
+
+  it("resolveConflicts settles conflicts in favour of one side", () => {
+    const plan = computeSyncPlan(
+      m({ id: "a", hash: "a2" }, { id: "b", hash: "b2" }),
+      m({ id: "a", hash: "a3" }),
+      new Map([
+        ["a", { local_hash: "a1", remote_hash: "a1" }],
+        ["b", { local_hash: "b1", remote_hash: "b1" }],
+      ]),
+    );
+    const local = resolveConflicts(plan, "local");
+    expect(local.conflicts).toEqual([]);
+    expect(local.toUpdateRemote).toEqual(["a"]);
+    expect(local.toPush).toEqual(["b"]);
+
+    const remote = resolveConflicts(plan, "remote");
+    expect(remote.toUpdateLocal).toEqual(["a"]);
+    expect(remote.toDeleteLocal).toEqual(["b"]);
+  });
+});
+
+describe("sync: tombstones", () => {
+  let ctx, cleanup;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+  }, 30000);
+
+  afterAll(() => cleanup());
+
+  it("records deleted ids and clears them when the id returns", async () => {
+    const entry = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Short-lived",
+    });
+    ctx.stmts.deleteEntry.run(entry.id);
+    expect(buildLocalManifest(ctx).get(entry.id)).toMatchObject({
+      id: entry.id,
+      deleted: true,
+    });
+
+    await captureAndIndex(ctx, {
+      id: entry.id,
+      kind: "insight",
+      body: "Back again",
+    });
+    const back = buildLocalManifest(ctx).get(entry.id);
+    expect(back.deleted).toBeUndefined();
+    expect(back.hash).toBe(
+      entryHash({ kind: "insight", body: "Back again", tags: [] }),
+    );
+  });
+});
+
+describe("sync: executeSync against a hosted stand-in", () => {
+  let ctx, cleanup, hosted, local1, local2;
+  const remoteId = "01REMOTEENTRY0000000000001";
+
+  async function sync({ prefer } = {}) {
+    await reindex(ctx);
+    const remote = await fetchRemoteManifest(hosted.url, hosted.apiKey);
+    let plan = computeSyncPlan(
+      buildLocalManifest(ctx),
+      remote,
+      loadSyncBase(ctx),
+    );
+    if (prefer) plan = resolveConflicts(plan, prefer);
+    const result = await executeSync(ctx, {
+      hostedUrl: hosted.url,
+      apiKey: hosted.apiKey,
+      plan,
+      remote,
+    });
+    return { plan, result };
+  }
+
+  async function editLocal(id, updates) {
+    const row = ctx.stmts.getEntryById.get(id);
+    await indexEntry(ctx, updateEntryFile(ctx, row, updates));
+  }
+
+  function editRemote(id, updates) {
+    hosted.entries.set(id, { ...hosted.entries.get(id), ...updates });
+  }
+
+  beforeAll(async () => {
+    hosted = await startFakeHostedVault();
+    ({ ctx, cleanup } = await createTestCtx());
+    local1 = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Local one",
+      body: "Written on this machine",
+      tags: ["sync"],
+    });
+    local2 = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Local two",
+      body: "Also written here",
+    });
+    hosted.entries.set(remoteId, {
+      id: remoteId,
+      kind: "decision",
+      title: "Remote one",
+      body: "Written on the hosted vault",
+      tags: ["hosted"],
+      created_at: "2026-01-01T00:00:00.000Z",
+      updated_at: "2026-01-01T00:00:00.000Z",
+    });
+  }, 30000);
+
+  afterAll(() => {
+    cleanup();
+    hosted.server.close();
+  });
+
+  it("pushes and pulls new entries, keeping their ids", async () => {
+    const { plan, result } = await sync();
+    expect(plan.toPush.sort()).toEqual([local1.id, local2.id].sort());
+    expect(plan.toPull).toEqual([remoteId]);
+    expect(result).toMatchObject({ pushed: 2, pulled: 1, failed: 0 });
+
+    expect(hosted.entries.get(local1.id)).toMatchObject({
+      title: "Local one",
+      body: "Written on this machine",
+    });
+    const pulled = ctx.stmts.getEntryById.get(remoteId);
+    expect(pulled).toMatchObject({ title: "Remote one" });
+    expect(readFileSync(pulled.file_path, "utf-8")).toContain(
+      `id: ${remoteId}`,
+    );
+    expect(loadSyncBase(ctx).size).toBe(3);
+
+    const again = await sync();
+    expect(again.plan.upToDate).toHaveLength(3);
+    expect(again.result).toMatchObject({ pushed: 0, pulled: 0 });
+  });
+
+  it("propagates edits and deletions in both directions", async () => {
+    await editLocal(local1.id, { body: "Edited on this machine" });
+    editRemote(remoteId, { body: "Edited on the hosted vault" });
+    await deleteContextTool.handler({ id: local2.id }, ctx, {
+      ensureIndexed: async () => {},
+    });
+
+    const { plan, result } = await sync();
+    expect(plan.toUpdateRemote).toEqual([local1.id]);
+    expect(plan.toUpdateLocal).toEqual([remoteId]);
+    expect(plan.toDeleteRemote).toEqual([local2.id]);
+    expect(result).toMatchObject({ deletedRemote: 1, failed: 0 });
+
+    expect(hosted.entries.get(local1.id).body).toBe("Edited on this machine");
+    expect(ctx.stmts.getEntryById.get(remoteId).body).toBe(
+      "Edited on the hosted vault",
+    );
+    expect(hosted.entries.has(local2.id)).toBe(false);
+    expect(hosted.tombstones.has(local2.id)).toBe(true);
+    expect(buildLocalManifest(ctx).has(local2.id)).toBe(false);
+
+    expect((await sync()).plan.upToDate).toHaveLength(2);
+  });
+
+  it("deletes locally what was deleted remotely", async () => {
+    const row = ctx.stmts.getEntryById.get(remoteId);
+    hosted.entries.delete(remoteId);
+    hosted.tombstones.set(remoteId, new Date().toISOString());
+
+    const { plan, result } = await sync();
+    expect(plan.toDeleteLocal).toEqual([remoteId]);
+    expect(result.deletedLocal).toBe(1);
+    expect(ctx.stmts.getEntryById.get(remoteId)).toBeUndefined();
+    expect(existsSync(row.file_path)).toBe(false);
+  });
+
+  it("reports conflicts without touching either side", async () => {
+    await editLocal(local1.id, { body: "Local take" });
+    editRemote(local1.id, { body: "Remote take" });
+
+    const { plan, result } = await sync();
+    expect(plan.conflicts).toEqual([
+      expect.objectContaining({ id: local1.id, reason: "both_edited" }),
+    ]);
+    expect(result.conflicts).toBe(1);
+    expect(ctx.stmts.getEntryById.get(local1.id).body).toBe("Local take");
+    expect(hosted.entries.get(local1.id).body).toBe("Remote take");
+
+    await sync({ prefer: "remote" });
+    expect(ctx.stmts.getEntryById.get(local1.id).body).toBe("Remote take");
+    expect((await sync()).plan.conflicts).toEqual([]);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Integration tests for the `context-vault ui` dashboard server.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { readFileSync } from "node:fs";
+import { request } from "node:http";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { createTestCtx } from "../helpers/ctx.js";
+import { createUiServer } from "../../packages/local/src/ui/server.js";
+
+describe("ui server", () => {
+  let ctx, cleanup, server, base, insight;
+
+  async function api(path, options = {}) {
+    const res = await fetch(`${base}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${server.token}` },
+    });
+    return { status: res.status, data: await res.json() };
+  }
+
+  // fetch() always sends the real Host, so forge it with node:http
+  function getWithHost(path, host) {
+    return new Promise((resolve, reject) => {
+      const req = request(
+        `${base}${path}`,
+        {
+          headers: { Host: host, Authorization: `Bearer ${server.token}` },
+        },
+        (res) => {
+          res.resume();
+          res.on("end", () => resolve(res.statusCode));
+        },
+      );
+      req.on("error", reject);
+      req.end();
+    });
+  }
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    insight = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Pooling insight",
+      body: "Connection pooling avoids exhaustion under load",
+      tags: ["postgres"],
+    });
+    await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Queue decision",
+      body: "We use a durable queue for webhooks",
+    });
+
+    server = createUiServer(ctx);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  }, 60000);
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    cleanup();
+  });
+
+  it("serves the dashboard page with the API token", async () => {
+    const res = await fetch(`${base}/`);
+    expect(res.headers.get("content-type")).toContain("text/html");
+    const page = await res.text();
+    expect(page).toContain("<title>context-vault</title>");
+    expect(page).toContain(`content="${server.token}"`);
+  });
+
+  it("rejects a forged Host header", async () => {
+    const port = server.address().port;
+    expect(await getWithHost("/", "evil.example:3141")).toBe(403);
+    expect(await getWithHost("/api/entries", `evil.example:${port}`)).toBe(403);
+    expect(await getWithHost("/api/entries", `localhost:${port}`)).toBe(200);
+  });
+
+  it("requires the token on API routes", async () => {
+    const res = await fetch(`${base}/api/entries`);
+    expect(res.status).toBe(401);
+    const wrong = await fetch(`${base}/api/entries`, {
+      headers: { Authorization: "Bearer nope" },
+    });
+    expect(wrong.status).toBe(401);
+  });
+
+  it("lists entries filtered by kind", async () => {
+    const all = await api("/api/entries");
+    expect(all.data.total).toBe(2);
+
+    const { data } = await api("/api/entries?kind=decision");
+    expect(data.entries.map((e) => e.title)).toEqual(["Queue decision"]);
+  });
+
+  it("rejects unknown categories", async () => {
+    const { status, data } = await api("/api/entries?category=nope");
+    expect(status).toBe(400);
+    expect(data.error).toContain("Unknown category");
+  });
+
+  it("searches through hybridSearch", async () => {
+    const { data } = await api("/api/search?q=connection+pooling");
+    expect(data.results[0].id).toBe(insight.id);
+    expect(data.results[0].score).toBeGreaterThan(0);
+  }, 30000);
+
+  it("returns vault status", async () => {
+    const { data } = await api("/api/status");
+    expect(data.vaultDir).toBe(ctx.config.vaultDir);
+    expect(data.kindCounts.length).toBe(2);
+  });
+
+  it("updates an entry on disk and in the index", async () => {
+    const { status, data } = await api(`/api/entries/${insight.id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        body: "Pool sizing notes for pgbouncer",
+        tags: ["postgres", "ops"],
+      }),
+    });
+    expect(status).toBe(200);
+    expect(data.entry.tags).toEqual(["postgres", "ops"]);
+    expect(data.entry.title).toBe("Pooling insight");
+
+    expect(readFileSync(insight.filePath, "utf-8")).toContain("pgbouncer");
+    const search = await api("/api/search?q=pgbouncer");
+    expect(search.data.results[0].id).toBe(insight.id);
+  }, 30000);
+
+  it("validates updates", async () => {
+    const empty = await api(`/api/entries/${insight.id}`, {
+      method: "PUT",
+      body: JSON.stringify({ body: "  " }),
+    });
+    expect(empty.status).toBe(400);
+
+    const missing = await api("/api/entries/nope", {
+      method: "PUT",
+      body: JSON.stringify({ body: "x" }),
+    });
+    expect(missing.status).toBe(404);
+  });
+});
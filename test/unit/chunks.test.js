@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { chunkBody } from "@context-vault/core/core/chunks";
+import { configureEmbeddings } from "@context-vault/core/index/embed";
+import { captureAndIndex, updateEntryFile } from "@context-vault/core/capture";
+import { indexEntry, reindex } from "@context-vault/core/index";
+import { hybridSearch } from "@context-vault/core/retrieve";
+import { createTestCtx } from "../helpers/ctx.js";
+import { startFakeEmbeddingEndpoint } from "../helpers/embeddings.js";
+
+import * as getContextTool from "../../packages/core/src/server/tools/get-context.js";
+
+const shared = { ensureIndexed: async () => {}, reindexFailed: false };
+
+const para = (word, n) =>
+  Array.from({ length: n }, (_, i) => `${word} sentence ${i}.`).join(" ");
+
+// ─── chunkBody ──────────────────────────────────────────────────────────────
+
+describe("chunkBody", () => {
+  it("returns no chunks for bodies that fit in one", () => {
+    expect(chunkBody("short body")).toEqual([]);
+    expect(chunkBody("")).toEqual([]);
+  });
+
+  it("starts a new chunk at each heading", () => {
+    const body = `# Alpha\n\n${para("alpha", 20)}\n\n## Beta\n\n${para("beta", 20)}`;
+    const chunks = chunkBody(body, { maxChars: 400 });
+    expect(chunks.map((c) => c.text.split("\n")[0])).toEqual([
+      "# Alpha",
+      "## Beta",
+    ]);
+  });
+
+  it("packs paragraphs and splits oversized ones at sentence breaks", () => {
+    const body = [para("one", 5), para("two", 5), para("three", 60)].join(
+      "\n\n",
+    );
+    const chunks = chunkBody(body, { maxChars: 300 });
+    expect(chunks[0].text).toContain("one sentence");
+    expect(chunks[0].text).toContain("two sentence");
+    for (const c of chunks) {
+      expect(c.text.length).toBeLessThanOrEqual(300);
+      expect(body.slice(c.start, c.end)).toBe(c.text);
+    }
+    expect(chunks.slice(1).every((c) => /\.$/.test(c.text))).toBe(true);
+    expect(chunks.map((c) => c.seq)).toEqual(chunks.map((_, i) => i));
+  });
+
+  it("keeps fenced code blocks whole", () => {
+    const code = "```sh\n# not a heading\n\necho hi\n```";
+    const body = `${para("intro", 10)}\n\n${code}\n\n${para("outro", 10)}`;
+    const chunks = chunkBody(body, { maxChars: 200 });
+    expect(chunks.some((c) => c.text === code)).toBe(true);
+  });
+
+  it("caps the number of chunks", () => {
+    expect(
+      chunkBody(para("x", 400), { maxChars: 100, maxChunks: 5 }),
+    ).toHaveLength(5);
+  });
+});
+
+// ─── index + search ─────────────────────────────────────────────────────────
+
+describe("chunked embeddings", () => {
+  let endpoint, ctx, cleanup, doc;
+
+  const count = (table) =>
+    ctx.db.prepare(`SELECT COUNT(*) AS c FROM ${table}`).get().c;
+
+  const longBody = [
+    "# Runbook",
+    para("database connection pooling", 15),
+    "## Scaling",
+    para("kubernetes horizontal autoscaling replicas", 15),
+  ].join("\n\n");
+
+  beforeAll(async () => {
+    endpoint = await startFakeEmbeddingEndpoint();
+    configureEmbeddings({
+      provider: "openai",
+      url: endpoint.url,
+      model: "fake-64",
+    });
+    ({ ctx, cleanup } = await createTestCtx());
+    await reindex(ctx); // adopt the fake model's embedding space
+    doc = await captureAndIndex(ctx, {
+      kind: "reference",
+      title: "Ops runbook",
+      body: longBody,
+    });
+    await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Short note about database connection pooling",
+    });
+  }, 60000);
+
+  afterAll(() => {
+    cleanup();
+    configureEmbeddings(undefined);
+    endpoint.server.close();
+  });
+
+  it("stores one vector per chunk for long entries only", () => {
+    const chunks = chunkBody(longBody);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(count("vault_chunks")).toBe(chunks.length);
+    expect(count("vault_chunk_vec")).toBe(chunks.length);
+  });
+
+  it("returns the best-matching passage as the snippet", async () => {
+    const results = await hybridSearch(
+      ctx,
+      "kubernetes horizontal autoscaling replicas",
+    );
+    const hit = results.find((r) => r.id === doc.id);
+    expect(hit.snippet).toContain("autoscaling");
+    expect(hit.snippet).not.toContain("pooling");
+    expect(longBody.slice(hit.passage.start, hit.passage.end)).toBe(
+      hit.snippet,
+    );
+  }, 30000);
+
+  it("get_context shows the matching passage", async () => {
+    const result = await getContextTool.handler(
+      { query: "kubernetes horizontal autoscaling replicas" },
+      ctx,
+      shared,
+    );
+    const text = result.content[0].text;
+    expect(text).toContain("## Scaling");
+    expect(text).not.toContain("# Runbook\n");
+  }, 30000);
+
+  it("reindex backfills chunks for long entries without them", async () => {
+    ctx.db.exec("DELETE FROM vault_chunk_vec");
+    ctx.db.exec("DELETE FROM vault_chunks");
+    await reindex(ctx, { fullSync: true });
+    const { body } = ctx.stmts.getEntryById.get(doc.id);
+    expect(count("vault_chunks")).toBe(chunkBody(body).length);
+    expect(count("vault_chunk_vec")).toBe(count("vault_chunks"));
+  }, 30000);
+
+  it("drops chunks when an entry becomes short", async () => {
+    const row = ctx.stmts.getEntryById.get(doc.id);
+    await indexEntry(ctx, updateEntryFile(ctx, row, { body: "Now brief." }));
+    expect(count("vault_chunks")).toBe(0);
+    expect(count("vault_chunk_vec")).toBe(0);
+  }, 30000);
+
+  it("deleting an entry removes its chunks", async () => {
+    const row = ctx.stmts.getEntryById.get(doc.id);
+    await indexEntry(ctx, updateEntryFile(ctx, row, { body: longBody }));
+    expect(count("vault_chunks")).toBeGreaterThan(1);
+
+    ctx.stmts.deleteEntry.run(doc.id);
+    expect(count("vault_chunks")).toBe(0);
+    expect(count("vault_chunk_vec")).toBe(0);
+  }, 30000);
+});
@@ -0,0 +1,333 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, readFileSync } from "node:fs";
+import { configureEmbeddings } from "@context-vault/core/index/embed";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { listRevisions } from "@context-vault/core/capture/history";
+import {
+  findDuplicates,
+  findDuplicateClusters,
+  mergeDuplicates,
+  resolveDedupe,
+  DEFAULT_DEDUPE_THRESHOLD,
+} from "@context-vault/core/capture/dedupe";
+import { reindex } from "@context-vault/core/index";
+import { createTestCtx } from "../helpers/ctx.js";
+import { startFakeEmbeddingEndpoint } from "../helpers/embeddings.js";
+
+import * as saveContextTool from "../../packages/core/src/server/tools/save-context.js";
+
+const shared = { ensureIndexed: async () => {}, reindexFailed: false };
+
+describe("resolveDedupe", () => {
+  it("defaults to enabled at the default threshold", () => {
+    expect(resolveDedupe({})).toEqual({
+      enabled: true,
+      threshold: DEFAULT_DEDUPE_THRESHOLD,
+    });
+  });
+
+  it("reads the config section and ignores invalid thresholds", () => {
+    expect(
+      resolveDedupe({ dedupe: { enabled: false, threshold: 0.8 } }),
+    ).toEqual({ enabled: false, threshold: 0.8 });
+    expect(resolveDedupe({ dedupe: { threshold: 7 } }).threshold).toBe(
+      DEFAULT_DEDUPE_THRESHOLD,
+    );
+  });
+});
+
+describe("exact duplicates (no embeddings)", () => {
+  let ctx, cleanup, original;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    original = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "WAL mode",
+      body: "Enable WAL mode for concurrent readers",
+      tags: ["sqlite"],
+    });
+  }, 30000);
+
+  afterAll(() => cleanup());
+
+  it("matches the same body of the same kind", async () => {
+    const found = await findDuplicates(ctx, {
+      kind: "insight",
+      body: "  Enable WAL mode for concurrent readers\n",
+    });
+    expect(found).toHaveLength(1);
+    expect(found[0]).toMatchObject({
+      id: original.id,
+      similarity: 1,
+      exact: true,
+    });
+    expect(
+      await findDuplicates(ctx, {
+        kind: "decision",
+        body: "Enable WAL mode for concurrent readers",
+      }),
+    ).toEqual([]);
+  });
+
+  it("ignores trailing newlines and tabs like dedupe does", async () => {
+    const tabbed = await captureAndIndex(ctx, {
+      kind: "pattern",
+      title: "Retry with backoff",
+      body: "Retry idempotent calls with exponential backoff",
+    });
+    // As indexed from a markdown file: the body ends in a newline and a tab
+    ctx.db
+      .prepare("UPDATE vault SET body = body || char(10, 9) WHERE id = ?")
+      .run(tabbed.id);
+
+    const found = await findDuplicates(ctx, {
+      kind: "pattern",
+      body: "Retry idempotent calls with exponential backoff",
+    });
+    expect(found.map((d) => d.id)).toEqual([tabbed.id]);
+    expect(found[0].exact).toBe(true);
+
+    const copy = await captureAndIndex(ctx, {
+      kind: "pattern",
+      title: "Backoff again",
+      body: "Retry idempotent calls with exponential backoff",
+    });
+    const [cluster] = findDuplicateClusters(ctx, { kind: "pattern" });
+    expect(cluster.keep.id).toBe(tabbed.id);
+    expect(cluster.duplicates.map((d) => d.id)).toEqual([copy.id]);
+  });
+
+  it("save_context returns the duplicate instead of creating", async () => {
+    const result = await saveContextTool.handler(
+      { kind: "insight", body: "Enable WAL mode for concurrent readers" },
+      ctx,
+      shared,
+    );
+    expect(result.isError).toBeFalsy();
+    expect(result.content[0].text).toContain("Not saved");
+    expect(result.content[0].text).toContain(`id: "${original.id}"`);
+    expect(result.structuredContent).toMatchObject({
+      action: "duplicate",
+      id: original.id,
+      duplicates: [expect.objectContaining({ id: original.id, similarity: 1 })],
+    });
+    const count = ctx.db
+      .prepare("SELECT COUNT(*) AS c FROM vault WHERE kind = 'insight'")
+      .get().c;
+    expect(count).toBe(1);
+  });
+
+  it("saves anyway with allow_duplicate or when disabled", async () => {
+    const forced = await saveContextTool.handler(
+      {
+        kind: "insight",
+        body: "Enable WAL mode for concurrent readers",
+        allow_duplicate: true,
+      },
+      ctx,
+      shared,
+    );
+    expect(forced.structuredContent.action).toBe("created");
+
+    ctx.config.dedupe = { enabled: false };
+    const disabled = await saveContextTool.handler(
+      { kind: "insight", body: "Enable WAL mode for concurrent readers" },
+      ctx,
+      shared,
+    );
+    delete ctx.config.dedupe;
+    expect(disabled.structuredContent.action).toBe("created");
+  });
+
+  it("does not check events", async () => {
+    const body = "Worked on the importer";
+    await saveContextTool.handler({ kind: "session", body }, ctx, shared);
+    const again = await saveContextTool.handler(
+      { kind: "session", body },
+      ctx,
+      shared,
+    );
+    expect(again.structuredContent.action).toBe("created");
+  });
+});
+
+describe("near duplicates (vector index)", () => {
+  let ctx, cleanup, endpoint, first, second, other;
+
+  beforeAll(async () => {
+    endpoint = await startFakeEmbeddingEndpoint();
+    configureEmbeddings({
+      provider: "openai",
+      url: endpoint.url,
+      model: "fake-64",
+    });
+    ({ ctx, cleanup } = await createTestCtx());
+    await reindex(ctx); // adopt the fake model's embedding space
+    first = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Pool sizing",
+      body: "Keep the connection pool small for sqlite databases",
+      tags: ["db"],
+    });
+    second = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Pool sizing",
+      body: "Keep the connection pool small for sqlite databases please",
+      tags: ["perf"],
+    });
+    other = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Release notes",
+      body: "Write release notes before tagging a version",
+    });
+  }, 60000);
+
+  afterAll(() => {
+    cleanup();
+    configureEmbeddings(undefined);
+    endpoint.server.close();
+  });
+
+  it("finds entries above the threshold", async () => {
+    const found = await findDuplicates(ctx, {
+      kind: "insight",
+      title: "Pool sizing",
+      body: "Keep the connection pool small for sqlite databases!",
+    });
+    expect(found.map((f) => f.id).sort()).toEqual([first.id, second.id].sort());
+    expect(found.every((f) => !f.exact && f.similarity >= 0.9)).toBe(true);
+  });
+
+  it("clusters existing duplicates around the oldest entry", () => {
+    const clusters = findDuplicateClusters(ctx);
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].keep.id).toBe(first.id);
+    expect(clusters[0].duplicates.map((d) => d.id)).toEqual([second.id]);
+    expect(findDuplicateClusters(ctx, { threshold: 0.9999 })).toEqual([]);
+  });
+
+  it("merges a cluster into its oldest entry", async () => {
+    const [cluster] = findDuplicateClusters(ctx);
+    const result = await mergeDuplicates(ctx, cluster);
+    expect(result).toMatchObject({
+      kept: first.id,
+      removed: [second.id],
+      tags: ["db", "perf"],
+      relinked: [],
+    });
+    expect(ctx.stmts.getEntryById.get(second.id)).toBeUndefined();
+    expect(existsSync(second.filePath)).toBe(false);
+    expect(listRevisions(ctx.config.vaultDir, second.id)).toHaveLength(1);
+    expect(JSON.parse(ctx.stmts.getEntryById.get(first.id).tags)).toEqual([
+      "db",
+      "perf",
+    ]);
+    expect(ctx.stmts.getEntryById.get(other.id)).toBeDefined();
+    expect(findDuplicateClusters(ctx)).toEqual([]);
+  });
+});
+
+describe("merging relinks other entries", () => {
+  let ctx, cleanup, keep, dupe, linker;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    keep = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Vacuum the database after bulk deletes",
+    });
+    dupe = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Vacuum the database after bulk deletes",
+    });
+    linker = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: `Maintenance checklist, see [[${dupe.id}|vacuum note]]`,
+      related: [{ id: dupe.id, rel: "derived_from" }],
+    });
+  }, 30000);
+
+  afterAll(() => cleanup());
+
+  it("points links at the kept entry and records what was folded in", async () => {
+    const [cluster] = findDuplicateClusters(ctx);
+    const result = await mergeDuplicates(ctx, cluster);
+    expect(result).toMatchObject({
+      kept: keep.id,
+      removed: [dupe.id],
+      relinked: [linker.id],
+    });
+
+    const raw = readFileSync(linker.filePath, "utf-8");
+    expect(raw).toContain(`derived_from:${keep.id}`);
+    expect(raw).toContain(`[[${keep.id}|vacuum note]]`);
+    expect(raw).not.toContain(dupe.id);
+    expect(
+      ctx.db
+        .prepare("SELECT target_id, rel FROM vault_links WHERE source_id = ?")
+        .all(linker.id)
+        .map((r) => `${r.rel}:${r.target_id}`)
+        .sort(),
+    ).toEqual([`derived_from:${keep.id}`, `relates_to:${keep.id}`]);
+
+    const kept = ctx.stmts.getEntryById.get(keep.id);
+    expect(JSON.parse(kept.meta).merged_from).toEqual([dupe.id]);
+    expect(readFileSync(keep.filePath, "utf-8")).toContain(dupe.id);
+  }, 30000);
+});
+
+describe("clusters without chaining", () => {
+  let ctx, cleanup, endpoint, a, b, c;
+
+  beforeAll(async () => {
+    endpoint = await startFakeEmbeddingEndpoint();
+    configureEmbeddings({
+      provider: "openai",
+      url: endpoint.url,
+      model: "fake-64",
+    });
+    ({ ctx, cleanup } = await createTestCtx());
+    await reindex(ctx);
+    // a ≈ b and b ≈ c, but a and c are further apart
+    const words = "alpha bravo charlie delta echo foxtrot golf hotel india";
+    a = await captureAndIndex(ctx, { kind: "insight", body: words });
+    b = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: `${words} juliet`,
+    });
+    c = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: `${words} juliet kilo`,
+    });
+  }, 60000);
+
+  afterAll(() => {
+    cleanup();
+    configureEmbeddings(undefined);
+    endpoint.server.close();
+  });
+
+  it("only groups entries that duplicate the kept entry directly", () => {
+    const similarity = (x, y) =>
+      ctx.db
+        .prepare(
+          `SELECT 1 - vec_distance_cosine(
+             (SELECT embedding FROM vault_vec WHERE rowid = ?),
+             (SELECT embedding FROM vault_vec WHERE rowid = ?)) AS s`,
+        )
+        .get(
+          ctx.stmts.getRowid.get(x.id).rowid,
+          ctx.stmts.getRowid.get(y.id).rowid,
+        ).s;
+    const threshold = (similarity(a, c) + similarity(b, c)) / 2;
+    expect(similarity(a, b)).toBeGreaterThanOrEqual(threshold);
+    expect(similarity(b, c)).toBeGreaterThanOrEqual(threshold);
+    expect(similarity(a, c)).toBeLessThan(threshold);
+
+    const clusters = findDuplicateClusters(ctx, { threshold });
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].keep.id).toBe(a.id);
+    expect(clusters[0].duplicates.map((d) => d.id)).toEqual([b.id]);
+  }, 30000);
+});
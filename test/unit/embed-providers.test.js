@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createEmbeddingProvider } from "@context-vault/core/index/embed-providers";
+import {
+  configureEmbeddings,
+  getEmbeddingModelId,
+} from "@context-vault/core/index/embed";
+import { getEmbeddingSpace } from "@context-vault/core/index/db";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { reindex, syncEmbeddingSpace } from "@context-vault/core/index";
+import { hybridSearch } from "@context-vault/core/retrieve";
+import { createTestCtx } from "../helpers/ctx.js";
+import { startFakeEmbeddingEndpoint } from "../helpers/embeddings.js";
+
+const vecCount = (ctx) =>
+  ctx.db.prepare("SELECT COUNT(*) AS c FROM vault_vec").get().c;
+
+describe("createEmbeddingProvider", () => {
+  it("rejects unknown providers", () => {
+    expect(() => createEmbeddingProvider({ provider: "cohere" })).toThrow(
+      /Unknown embedding provider/,
+    );
+  });
+
+  it("requires a model for the openai provider", () => {
+    expect(() => createEmbeddingProvider({ provider: "openai" })).toThrow(
+      /embedding\.model is required/,
+    );
+  });
+
+  it("defaults to the transformers provider", () => {
+    const provider = createEmbeddingProvider();
+    expect(provider.name).toBe("transformers");
+    expect(provider.model).toBe("Xenova/all-MiniLM-L6-v2");
+  });
+});
+
+describe("openai-compatible provider", () => {
+  let endpoint, ctx, cleanup;
+
+  beforeAll(async () => {
+    endpoint = await startFakeEmbeddingEndpoint();
+    configureEmbeddings({
+      provider: "openai",
+      url: endpoint.url,
+      model: "fake-8",
+    });
+    ({ ctx, cleanup } = await createTestCtx());
+  }, 60000);
+
+  afterAll(() => {
+    cleanup();
+    configureEmbeddings(undefined);
+    endpoint.server.close();
+  });
+
+  it("returns unit vectors in input order", async () => {
+    const provider = createEmbeddingProvider({
+      provider: "openai",
+      url: endpoint.url,
+      model: "fake-8",
+    });
+    const [a, b] = await provider.embed(["aaa", "bbb"]);
+    expect(a).toHaveLength(8);
+    const norm = Math.sqrt(a.reduce((sum, x) => sum + x * x, 0));
+    expect(norm).toBeCloseTo(1, 5);
+    expect(a).not.toEqual(b);
+    expect(endpoint.requests.at(-1).url).toBe("/v1/embeddings");
+  });
+
+  it("fresh databases start in the default embedding space", () => {
+    expect(getEmbeddingSpace(ctx.db)).toEqual({
+      model: "transformers:Xenova/all-MiniLM-L6-v2",
+      dimensions: 384,
+    });
+  });
+
+  it("skips vectors from a different model until reindex", async () => {
+    await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Connection pool exhaustion under load",
+    });
+    await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Retry storms after deploys",
+    });
+    expect(vecCount(ctx)).toBe(0);
+  }, 30000);
+
+  it("reindex rebuilds vectors for the configured model", async () => {
+    await reindex(ctx, { fullSync: true });
+    expect(getEmbeddingSpace(ctx.db)).toEqual({
+      model: "openai:fake-8",
+      dimensions: 8,
+    });
+    expect(vecCount(ctx)).toBe(2);
+
+    const results = await hybridSearch(ctx, "connection pool exhaustion");
+    expect(results[0].body).toContain("Connection pool");
+  }, 30000);
+
+  it("leaves vectors alone when the model is unchanged", async () => {
+    expect(await syncEmbeddingSpace(ctx)).toBe(false);
+    expect(vecCount(ctx)).toBe(2);
+  });
+
+  it("re-embeds everything when the model changes", async () => {
+    configureEmbeddings({
+      provider: "openai",
+      url: endpoint.url,
+      model: "fake-16",
+    });
+    expect(getEmbeddingModelId()).toBe("openai:fake-16");
+
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats.unchanged).toBe(2);
+    expect(getEmbeddingSpace(ctx.db).dimensions).toBe(16);
+    expect(vecCount(ctx)).toBe(2);
+  }, 30000);
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { captureAndIndex, updateEntryFile } from "@context-vault/core/capture";
+import {
+  listRevisions,
+  readRevision,
+  diffLines,
+  HISTORY_DIR,
+} from "@context-vault/core/capture/history";
+import { indexEntry, reindex } from "@context-vault/core/index";
+import { parseFrontmatter } from "@context-vault/core/core/frontmatter";
+import { createTestCtx } from "../helpers/ctx.js";
+
+import * as saveContextTool from "../../packages/core/src/server/tools/save-context.js";
+import * as getHistoryTool from "../../packages/core/src/server/tools/get-history.js";
+import * as restoreContextTool from "../../packages/core/src/server/tools/restore-context.js";
+
+const shared = { ensureIndexed: async () => {}, reindexFailed: false };
+
+describe("diffLines", () => {
+  it("marks removed and added lines", () => {
+    expect(diffLines("a\nb\nc", "a\nx\nc")).toEqual([" a", "-b", "+x", " c"]);
+  });
+
+  it("returns only context lines for identical text", () => {
+    expect(diffLines("a\nb", "a\nb").every((l) => l[0] === " ")).toBe(true);
+  });
+});
+
+describe("entry revision history", () => {
+  let ctx, cleanup, entry;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    entry = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Use SQLite",
+      body: "Original rationale: zero ops.",
+      tags: ["db"],
+    });
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("has no revisions for a fresh entry", () => {
+    expect(listRevisions(ctx.config.vaultDir, entry.id)).toEqual([]);
+  });
+
+  it("keeps the previous content when save_context updates an entry", async () => {
+    const result = await saveContextTool.handler(
+      { id: entry.id, body: "Rewritten rationale: embedded and fast." },
+      ctx,
+      shared,
+    );
+    expect(result.isError).toBeFalsy();
+
+    const revs = listRevisions(ctx.config.vaultDir, entry.id, "decision");
+    expect(revs).toHaveLength(1);
+    expect(revs[0].rev).toBe(1);
+    expect(revs[0].title).toBe("Use SQLite");
+    expect(readRevision(ctx.config.vaultDir, entry.id, 1)).toContain(
+      "Original rationale",
+    );
+  }, 30000);
+
+  it("does not store duplicate revisions for no-op updates", async () => {
+    const row = ctx.stmts.getEntryById.get(entry.id);
+    await indexEntry(ctx, updateEntryFile(ctx, row, {}));
+    await indexEntry(ctx, updateEntryFile(ctx, row, {}));
+    expect(listRevisions(ctx.config.vaultDir, entry.id)).toHaveLength(2);
+  }, 30000);
+
+  it("reindex ignores the _history directory", async () => {
+    expect(existsSync(join(ctx.config.vaultDir, HISTORY_DIR, entry.id))).toBe(
+      true,
+    );
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats.added).toBe(0);
+    const { c } = ctx.db.prepare("SELECT COUNT(*) AS c FROM vault").get();
+    expect(c).toBe(1);
+  }, 30000);
+
+  it("get_history lists revisions and diffs against current", async () => {
+    const list = await getHistoryTool.handler({ id: entry.id }, ctx, shared);
+    expect(list.content[0].text).toContain("rev 1");
+
+    const diff = await getHistoryTool.handler(
+      { id: entry.id, rev: 1 },
+      ctx,
+      shared,
+    );
+    const text = diff.content[0].text;
+    expect(text).toContain("-Original rationale: zero ops.");
+    expect(text).toContain("+Rewritten rationale: embedded and fast.");
+  });
+
+  it("restore_context rolls back and keeps the replaced content", async () => {
+    const result = await restoreContextTool.handler(
+      { id: entry.id, rev: 1 },
+      ctx,
+      shared,
+    );
+    expect(result.isError).toBeFalsy();
+    expect(result.content[0].text).toContain("✓ Restored decision to rev 1");
+
+    expect(readFileSync(entry.filePath, "utf-8")).toContain(
+      "Original rationale",
+    );
+    const row = ctx.stmts.getEntryById.get(entry.id);
+    expect(row.body).toBe("Original rationale: zero ops.");
+    expect(JSON.parse(row.tags)).toEqual(["db"]);
+    const { meta } = parseFrontmatter(readFileSync(entry.filePath, "utf-8"));
+    expect(meta.updated).toBe(row.updated_at);
+
+    const revs = listRevisions(ctx.config.vaultDir, entry.id);
+    expect(
+      readRevision(ctx.config.vaultDir, entry.id, revs.at(-1).rev),
+    ).toContain("Rewritten rationale");
+  }, 30000);
+
+  it("restore_context rejects unknown revisions", async () => {
+    const result = await restoreContextTool.handler(
+      { id: entry.id, rev: 99 },
+      ctx,
+      shared,
+    );
+    expect(result.isError).toBe(true);
+    expect(result.code).toBe("NOT_FOUND");
+  });
+});
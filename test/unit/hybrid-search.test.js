@@ -4,10 +4,18 @@ import {
   recencyBoost,
   buildFilterClauses,
   hybridSearch,
+  resolveRanking,
+  fuseScores,
+  DEFAULT_RANKING,
 } from "@context-vault/core/retrieve";
+import { configureEmbeddings } from "@context-vault/core/index/embed";
+import { reindex } from "@context-vault/core/index";
 import { createTestCtx } from "../helpers/ctx.js";
+import { startFakeEmbeddingEndpoint } from "../helpers/embeddings.js";
 import { captureAndIndex } from "@context-vault/core/capture";
 
+import * as getContextTool from "../../packages/core/src/server/tools/get-context.js";
+
 // ─── buildFtsQuery ──────────────────────────────────────────────────────────
 
 describe("buildFtsQuery", () => {
@@ -491,3 +499,190 @@ describe("hybridSearch", () => {
     ctx.db.prepare("DELETE FROM vault WHERE id = ?").run("expired-1");
   }, 30000);
 });
+
+// ─── ranking ────────────────────────────────────────────────────────────────
+
+describe("resolveRanking", () => {
+  it("returns the defaults when nothing is configured", () => {
+    expect(resolveRanking()).toEqual(DEFAULT_RANKING);
+  });
+
+  it("lets later layers override earlier ones", () => {
+    expect(
+      resolveRanking(
+        { fusion: "rrf", ftsWeight: 0.5 },
+        { ftsWeight: 0.9, vecWeight: undefined },
+      ),
+    ).toEqual({ ...DEFAULT_RANKING, fusion: "rrf", ftsWeight: 0.9 });
+  });
+
+  it("ignores invalid values", () => {
+    expect(resolveRanking({ fusion: "magic", ftsWeight: -1, rrfK: 0 })).toEqual(
+      DEFAULT_RANKING,
+    );
+  });
+});
+
+describe("fuseScores", () => {
+  const rrf = resolveRanking({ fusion: "rrf" });
+
+  it("weighted mode blends normalised scores", () => {
+    const score = fuseScores(
+      { fts: { rank: 1, score: 1 }, vec: { rank: 3, score: 0.5 } },
+      DEFAULT_RANKING,
+    );
+    expect(score).toBeCloseTo(0.4 + 0.3);
+  });
+
+  it("rrf mode scores 1.0 only for a result ranked first on both sides", () => {
+    expect(
+      fuseScores(
+        { fts: { rank: 1, score: 0.1 }, vec: { rank: 1, score: 0.2 } },
+        rrf,
+      ),
+    ).toBeCloseTo(1);
+  });
+
+  it("rrf mode does not inflate a lone weak keyword hit", () => {
+    // The only FTS hit normalises to 1.0 in weighted mode…
+    const lone = { fts: { rank: 1, score: 1 } };
+    const both = {
+      fts: { rank: 2, score: 0.9 },
+      vec: { rank: 1, score: 0.8 },
+    };
+    expect(fuseScores(lone, DEFAULT_RANKING)).toBeCloseTo(0.4);
+    // …but rank fusion prefers what both retrievers agree on
+    expect(fuseScores(both, rrf)).toBeGreaterThan(fuseScores(lone, rrf));
+  });
+});
+
+describe("hybridSearch ranking options", () => {
+  let endpoint, ctx, cleanup;
+
+  beforeAll(async () => {
+    endpoint = await startFakeEmbeddingEndpoint();
+    configureEmbeddings({
+      provider: "openai",
+      url: endpoint.url,
+      model: "fake-64",
+    });
+    ({ ctx, cleanup } = await createTestCtx());
+    await reindex(ctx);
+    await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Retry budget exhausted during deploy rollback",
+    });
+    await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Deploy rollback checklist and retry budget guidance for on-call",
+    });
+  }, 60000);
+
+  afterAll(() => {
+    cleanup();
+    configureEmbeddings(undefined);
+    endpoint.server.close();
+  });
+
+  it("rrf fusion ranks entries found by both retrievers", async () => {
+    const results = await hybridSearch(ctx, "retry budget rollback", {
+      ranking: { fusion: "rrf" },
+    });
+    expect(results).toHaveLength(2);
+    expect(results[0].score).toBeLessThanOrEqual(1);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  }, 30000);
+
+  it("explain breaks scores down per retriever", async () => {
+    const [top] = await hybridSearch(ctx, "retry budget rollback", {
+      explain: true,
+    });
+    expect(top.explain.fts.rank).toBe(1);
+    expect(top.explain.vec).toMatchObject({ chunk: false });
+    expect(top.explain.vec.similarity).toBeCloseTo(
+      1 - top.explain.vec.distance / 2,
+    );
+    expect(top.score).toBeCloseTo(top.explain.relevance * top.explain.recency);
+
+    const [plain] = await hybridSearch(ctx, "retry budget rollback");
+    expect(plain.explain).toBeUndefined();
+  }, 30000);
+
+  it("weight overrides can switch a side off", async () => {
+    const ftsOnly = await hybridSearch(ctx, "retry budget rollback", {
+      ranking: { fusion: "rrf", ftsWeight: 1, vecWeight: 0 },
+    });
+    expect(ftsOnly.map((r) => r.score)).toEqual([
+      1,
+      expect.closeTo(61 / 62, 5),
+    ]);
+  }, 30000);
+
+  it("get_context applies config ranking with per-query overrides", async () => {
+    ctx.config.ranking = { fusion: "rrf", ftsWeight: 1, vecWeight: 0 };
+    const fromConfig = await getContextTool.handler(
+      { query: "retry budget rollback" },
+      ctx,
+      { ensureIndexed: async () => {}, reindexFailed: false },
+    );
+    expect(fromConfig.content[0].text).toContain("1.000 ·");
+
+    const overridden = await getContextTool.handler(
+      { query: "retry budget rollback", fusion: "weighted", vec_weight: 0.6 },
+      ctx,
+      { ensureIndexed: async () => {}, reindexFailed: false },
+    );
+    expect(overridden.content[0].text).not.toContain("1.000 ·");
+    delete ctx.config.ranking;
+  }, 30000);
+});
+
+describe("hybridSearch tag filters on the vector side", () => {
+  let endpoint, ctx, cleanup, rare;
+
+  beforeAll(async () => {
+    endpoint = await startFakeEmbeddingEndpoint();
+    configureEmbeddings({
+      provider: "openai",
+      url: endpoint.url,
+      model: "fake-64",
+    });
+    ({ ctx, cleanup } = await createTestCtx());
+    await reindex(ctx);
+    // Forty closer neighbours without the tag push the tagged entry out of
+    // the global top 30
+    for (let i = 0; i < 40; i++) {
+      await captureAndIndex(ctx, {
+        kind: "insight",
+        body: `Deploy rollback note ${i}`,
+      });
+    }
+    // Shares only "rollback" with the query, so FTS (all terms) misses it
+    rare = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Rollback of the payments service after the outage",
+      tags: ["payments"],
+    });
+  }, 120000);
+
+  afterAll(() => {
+    cleanup();
+    configureEmbeddings(undefined);
+    endpoint.server.close();
+  });
+
+  it("finds a tagged vector match outside the global nearest neighbours", async () => {
+    const unfiltered = await hybridSearch(ctx, "deploy rollback", {
+      limit: 50,
+    });
+    expect(unfiltered.map((r) => r.id)).not.toContain(rare.id);
+
+    const results = await hybridSearch(ctx, "deploy rollback", {
+      tagFilter: { any: ["payments"] },
+      explain: true,
+    });
+    expect(results.map((r) => r.id)).toEqual([rare.id]);
+    expect(results[0].explain.fts).toBeNull();
+    expect(results[0].explain.vec.rank).toBe(1);
+  }, 30000);
+});
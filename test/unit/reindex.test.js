@@ -1,5 +1,11 @@
 import { describe, it, expect, beforeAll, afterAll } from "vitest";
-import { mkdirSync, writeFileSync, readFileSync, unlinkSync } from "node:fs";
+import {
+  mkdirSync,
+  writeFileSync,
+  readFileSync,
+  unlinkSync,
+  utimesSync,
+} from "node:fs";
 import { join } from "node:path";
 import { createTestCtx } from "../helpers/ctx.js";
 import { reindex } from "@context-vault/core/index";
@@ -323,3 +329,88 @@ describe("reindex — expired entry pruning", () => {
     expect(row).toBeUndefined();
   }, 60000);
 });
+
+// ─── File manifest (isolated context) ──────────────────────────────────────
+
+describe("reindex — file manifest", () => {
+  let ctx, cleanup, filePath;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    filePath = writeMdFile(
+      ctx.config.vaultDir,
+      "knowledge",
+      "insights",
+      "manifest.md",
+      {
+        id: "REINDEX_MANIFEST_01",
+        kind: "insight",
+        body: "Manifest original body",
+      },
+    );
+    writeMdFile(ctx.config.vaultDir, "knowledge", "insights", "other.md", {
+      id: "REINDEX_MANIFEST_02",
+      kind: "insight",
+      body: "Another file",
+    });
+  }, 30000);
+
+  afterAll(() => cleanup());
+
+  it("records every indexed file", async () => {
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats).toMatchObject({ added: 2, scanned: 2, parsed: 2 });
+    const rows = ctx.db.prepare("SELECT * FROM vault_files").all();
+    expect(rows).toHaveLength(2);
+    expect(rows[0].hash).toMatch(/^[0-9a-f]{64}$/);
+  }, 30000);
+
+  it("skips unchanged files without parsing them", async () => {
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats).toMatchObject({
+      unchanged: 2,
+      scanned: 2,
+      skipped: 2,
+      parsed: 0,
+    });
+  }, 30000);
+
+  it("falls back to the content hash when only the mtime changed", async () => {
+    const future = new Date(Date.now() + 60_000);
+    utimesSync(filePath, future, future);
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats).toMatchObject({ skipped: 1, hashMatched: 1, parsed: 0 });
+
+    // The refreshed stat is used next time
+    expect((await reindex(ctx, { fullSync: true })).skipped).toBe(2);
+  }, 30000);
+
+  it("re-parses edited files", async () => {
+    writeFileSync(
+      filePath,
+      readFileSync(filePath, "utf-8").replace("original", "edited"),
+    );
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats).toMatchObject({ updated: 1, parsed: 1, skipped: 1 });
+    expect(ctx.stmts.getEntryById.get("REINDEX_MANIFEST_01").body).toContain(
+      "edited",
+    );
+  }, 30000);
+
+  it("forgets deleted files", async () => {
+    unlinkSync(filePath);
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats.removed).toBe(1);
+    expect(
+      ctx.db
+        .prepare("SELECT COUNT(*) AS c FROM vault_files WHERE file_path = ?")
+        .get(filePath).c,
+    ).toBe(0);
+  }, 30000);
+
+  it("re-reads a file whose row was removed from the index", async () => {
+    ctx.db.exec("DELETE FROM vault");
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats).toMatchObject({ added: 1, parsed: 1 });
+  }, 30000);
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { readFileSync, writeFileSync } from "node:fs";
+import {
+  parseRelated,
+  formatRelated,
+  extractWikiLinks,
+  collectLinks,
+} from "@context-vault/core/core/relations";
+import { parseFrontmatter } from "@context-vault/core/core/frontmatter";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { reindex } from "@context-vault/core/index";
+import { getRelated } from "@context-vault/core/retrieve";
+import { createTestCtx } from "../helpers/ctx.js";
+
+import * as linkContextTool from "../../packages/core/src/server/tools/link-context.js";
+import * as getRelatedTool from "../../packages/core/src/server/tools/get-related.js";
+import * as getContextTool from "../../packages/core/src/server/tools/get-context.js";
+
+const shared = { ensureIndexed: async () => {}, reindexFailed: false };
+
+const ID_A = "01JAAAAAAAAAAAAAAAAAAAAAAA";
+const ID_B = "01JBBBBBBBBBBBBBBBBBBBBBBB";
+
+// ─── parsing ────────────────────────────────────────────────────────────────
+
+describe("parseRelated", () => {
+  it("treats bare ids as relates_to", () => {
+    expect(parseRelated([ID_A])).toEqual([{ id: ID_A, rel: "relates_to" }]);
+  });
+
+  it("parses typed rel:id items", () => {
+    expect(
+      parseRelated([`supersedes:${ID_A}`, `derived_from:${ID_B}`]),
+    ).toEqual([
+      { id: ID_A, rel: "supersedes" },
+      { id: ID_B, rel: "derived_from" },
+    ]);
+  });
+
+  it("skips unknown relation types and dedupes", () => {
+    expect(parseRelated([`blocks:${ID_A}`, ID_B, ID_B])).toEqual([
+      { id: ID_B, rel: "relates_to" },
+    ]);
+  });
+
+  it("accepts a single string and empty values", () => {
+    expect(parseRelated(ID_A)).toHaveLength(1);
+    expect(parseRelated(undefined)).toEqual([]);
+    expect(parseRelated("")).toEqual([]);
+  });
+
+  it("roundtrips through formatRelated", () => {
+    const links = [
+      { id: ID_A, rel: "relates_to" },
+      { id: ID_B, rel: "supersedes" },
+    ];
+    expect(formatRelated(links)).toEqual([ID_A, `supersedes:${ID_B}`]);
+    expect(parseRelated(formatRelated(links))).toEqual(links);
+    expect(formatRelated([])).toBeUndefined();
+  });
+});
+
+describe("extractWikiLinks", () => {
+  it("extracts [[id]] and [[id|label]] links", () => {
+    const body = `See [[${ID_A}]] and [[${ID_B}|the other one]].`;
+    expect(extractWikiLinks(body).map((l) => l.id)).toEqual([ID_A, ID_B]);
+  });
+
+  it("ignores non-ULID wiki-links", () => {
+    expect(extractWikiLinks("See [[Some Page]] and [[note]]")).toEqual([]);
+  });
+
+  it("collectLinks merges sources and drops self-links", () => {
+    const links = collectLinks(ID_A, {
+      related: [{ id: ID_B, rel: "supersedes" }],
+      body: `[[${ID_A}]] [[${ID_B}]]`,
+    });
+    expect(links).toEqual([
+      { id: ID_B, rel: "supersedes" },
+      { id: ID_B, rel: "relates_to" },
+    ]);
+  });
+});
+
+// ─── index + tools ──────────────────────────────────────────────────────────
+
+describe("entry relationship graph", () => {
+  let ctx, cleanup;
+  let decision, insight, contact;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    insight = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Connection pool exhaustion under load",
+      tags: ["db"],
+    });
+    decision = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Use pgbouncer",
+      body: `Motivated by [[${insight.id}]] — pooling outside the app.`,
+      related: [{ id: insight.id, rel: "derived_from" }],
+    });
+    contact = await captureAndIndex(ctx, {
+      kind: "contact",
+      identity_key: "ops-lead",
+      title: "Ops Lead",
+      body: "Owns the database infrastructure",
+    });
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("writes related: frontmatter and indexes links on capture", () => {
+    const { meta } = parseFrontmatter(readFileSync(decision.filePath, "utf-8"));
+    expect(meta.related).toEqual([`derived_from:${insight.id}`]);
+
+    const out = getRelated(ctx, decision.id, { direction: "out" });
+    expect(out.map((l) => [l.id, l.rel])).toEqual([
+      [insight.id, "derived_from"],
+      [insight.id, "relates_to"],
+    ]);
+  });
+
+  it("returns incoming links for the target", () => {
+    const incoming = getRelated(ctx, insight.id, { direction: "in" });
+    expect(incoming.every((l) => l.id === decision.id)).toBe(true);
+    expect(incoming[0].title).toBe("Use pgbouncer");
+  });
+
+  it("link_context adds a typed link to frontmatter", async () => {
+    const result = await linkContextTool.handler(
+      { id: contact.id, target_id: decision.id, rel: "relates_to" },
+      ctx,
+      shared,
+    );
+    expect(result.isError).toBeFalsy();
+    expect(result.content[0].text).toContain("✓ Linked");
+
+    const { meta } = parseFrontmatter(readFileSync(contact.filePath, "utf-8"));
+    expect(meta.related).toEqual([decision.id]);
+    expect(getRelated(ctx, contact.id).map((l) => l.id)).toEqual([decision.id]);
+  }, 30000);
+
+  it("link_context rejects unknown targets and self-links", async () => {
+    const missing = await linkContextTool.handler(
+      { id: contact.id, target_id: "01JZZZZZZZZZZZZZZZZZZZZZZZ" },
+      ctx,
+      shared,
+    );
+    expect(missing.code).toBe("NOT_FOUND");
+    const self = await linkContextTool.handler(
+      { id: contact.id, target_id: contact.id },
+      ctx,
+      shared,
+    );
+    expect(self.code).toBe("INVALID_INPUT");
+  });
+
+  it("link_context refuses to remove wiki-links", async () => {
+    const result = await linkContextTool.handler(
+      { id: decision.id, target_id: insight.id, remove: true },
+      ctx,
+      shared,
+    );
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("wiki-link");
+  });
+
+  it("link_context removes frontmatter links", async () => {
+    const result = await linkContextTool.handler(
+      { id: contact.id, target_id: decision.id, remove: true },
+      ctx,
+      shared,
+    );
+    expect(result.content[0].text).toContain("✓ Unlinked");
+    expect(getRelated(ctx, contact.id)).toEqual([]);
+  }, 30000);
+
+  it("get_related lists neighbours in both directions", async () => {
+    const result = await getRelatedTool.handler(
+      { id: insight.id },
+      ctx,
+      shared,
+    );
+    const text = result.content[0].text;
+    expect(text).toContain("←derived_from—");
+    expect(text).toContain("Use pgbouncer");
+  });
+
+  it("get_context expand_related shows one hop under each hit", async () => {
+    const result = await getContextTool.handler(
+      { query: "pgbouncer", expand_related: true },
+      ctx,
+      shared,
+    );
+    const text = result.content[0].text;
+    expect(text).toContain("**Related:**");
+    expect(text).toContain("—derived_from→");
+  }, 30000);
+
+  it("reindex picks up related: edits made on disk", async () => {
+    const raw = readFileSync(insight.filePath, "utf-8");
+    writeFileSync(
+      insight.filePath,
+      raw.replace("tags:", `related: ["supersedes:${contact.id}"]\ntags:`),
+    );
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats.updated).toBeGreaterThanOrEqual(1);
+    expect(
+      getRelated(ctx, insight.id, { direction: "out" }).map((l) => l.rel),
+    ).toEqual(["supersedes"]);
+  }, 30000);
+
+  it("deleting an entry drops its outgoing links", () => {
+    ctx.stmts.deleteEntry.run(decision.id);
+    expect(
+      ctx.db
+        .prepare("SELECT COUNT(*) AS c FROM vault_links WHERE source_id = ?")
+        .get(decision.id).c,
+    ).toBe(0);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Unit tests for the schema migration registry in index/db.js — ordered
+ * up-steps, the vault_migrations log, dry runs, pre-migration backups,
+ * schema verification and the explicit rebuild of pre-v5 databases.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { DatabaseSync } from "node:sqlite";
+import { captureAndIndex } from "@context-vault/core/capture";
+import {
+  initDatabase,
+  migrateDatabase,
+  rebuildDatabase,
+  LegacySchemaError,
+  pendingMigrations,
+  migrationLog,
+  verifySchema,
+  getSchemaVersion,
+  MIGRATIONS,
+  SCHEMA_VERSION,
+} from "@context-vault/core/index/db";
+import { createTestCtx } from "../helpers/ctx.js";
+
+// Roll a current database back to the v5 layout: base vault table, FTS and
+// vectors only. Everything later steps add is dropped.
+const DOWNGRADE_TO_V5 = `
+  DROP TRIGGER vault_chunks_ad;
+  DROP TRIGGER vault_files_ad;
+  DROP TRIGGER vault_tags_ai;
+  DROP TRIGGER vault_tags_au;
+  DROP TRIGGER vault_tombstones_ad;
+  DROP TRIGGER vault_tombstones_ai;
+  DROP TABLE vault_links;
+  DROP TABLE vault_meta;
+  DROP TABLE vault_chunks;
+  DROP TABLE vault_chunk_vec;
+  DROP TABLE vault_files;
+  DROP TABLE vault_tags;
+  DROP TABLE vault_tombstones;
+  DROP TABLE vault_sync;
+  DROP TABLE vault_migrations;
+  DROP INDEX idx_vault_user;
+  DROP INDEX idx_vault_team;
+  DROP INDEX idx_vault_identity;
+  CREATE UNIQUE INDEX idx_vault_identity ON vault(kind, identity_key) WHERE identity_key IS NOT NULL;
+  ALTER TABLE vault DROP COLUMN user_id;
+  ALTER TABLE vault DROP COLUMN team_id;
+  ALTER TABLE vault DROP COLUMN body_encrypted;
+  ALTER TABLE vault DROP COLUMN title_encrypted;
+  ALTER TABLE vault DROP COLUMN meta_encrypted;
+  ALTER TABLE vault DROP COLUMN iv;
+  ALTER TABLE vault DROP COLUMN updated_at;
+  PRAGMA user_version = 5;
+`;
+
+describe("migration registry", () => {
+  it("has one step per version, in order, ending at SCHEMA_VERSION", () => {
+    const versions = MIGRATIONS.map((m) => m.version);
+    expect(versions).toEqual(
+      Array.from({ length: versions.length }, (_, i) => versions[0] + i),
+    );
+    expect(versions.at(-1)).toBe(SCHEMA_VERSION);
+    for (const m of MIGRATIONS) {
+      expect(m.description).toBeTruthy();
+      expect(typeof m.up).toBe("function");
+    }
+  });
+});
+
+describe("schema migrations", () => {
+  let ctx, cleanup, entry;
+
+  beforeEach(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    entry = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Keep the index derived",
+      body: "Markdown files stay the source of truth",
+      tags: ["db"],
+    });
+  }, 30000);
+
+  afterEach(() => cleanup());
+
+  it("records a fresh database as created at the current version", async () => {
+    expect(getSchemaVersion(ctx.db)).toBe(SCHEMA_VERSION);
+    expect(pendingMigrations(ctx.db)).toEqual([]);
+    expect(migrationLog(ctx.db)).toEqual([
+      expect.objectContaining({
+        version: SCHEMA_VERSION,
+        description: "create schema",
+        backup_path: null,
+      }),
+    ]);
+    expect(await verifySchema(ctx.db)).toMatchObject({
+      ok: true,
+      missing: [],
+      integrity: "ok",
+    });
+  });
+
+  it("upgrades a v5 database step by step without losing entries", async () => {
+    ctx.db.exec(DOWNGRADE_TO_V5);
+    ctx.db.close();
+
+    ctx.db = await initDatabase(ctx.config.dbPath);
+    expect(getSchemaVersion(ctx.db)).toBe(SCHEMA_VERSION);
+    expect(migrationLog(ctx.db).map((m) => m.version)).toEqual(
+      MIGRATIONS.map((m) => m.version),
+    );
+    expect(await verifySchema(ctx.db)).toMatchObject({ ok: true });
+
+    const row = ctx.db
+      .prepare("SELECT title, created_at, updated_at FROM vault WHERE id = ?")
+      .get(entry.id);
+    expect(row.title).toBe("Keep the index derived");
+    expect(row.updated_at).toBe(row.created_at);
+    const tags = ctx.db
+      .prepare("SELECT tag FROM vault_tags WHERE entry_id = ?")
+      .all(entry.id)
+      .map((r) => r.tag);
+    expect(tags).toEqual(["db"]);
+  }, 30000);
+
+  it("backs the database up before migrating", async () => {
+    ctx.db.exec(`
+      ALTER TABLE vault DROP COLUMN updated_at;
+      DROP TABLE vault_migrations;
+      PRAGMA user_version = 13;
+    `);
+
+    const result = await migrateDatabase(ctx.db, {
+      dbPath: ctx.config.dbPath,
+    });
+    expect(result).toMatchObject({
+      from: 13,
+      to: SCHEMA_VERSION,
+      backupPath: `${ctx.config.dbPath}.v13.backup`,
+    });
+    expect(result.applied.map((m) => m.version)).toEqual([14]);
+    expect(migrationLog(ctx.db)).toEqual([
+      expect.objectContaining({
+        version: 14,
+        backup_path: result.backupPath,
+      }),
+    ]);
+
+    expect(existsSync(result.backupPath)).toBe(true);
+    const copy = new DatabaseSync(result.backupPath, { readOnly: true });
+    try {
+      expect(getSchemaVersion(copy)).toBe(13);
+      expect(
+        copy.prepare("SELECT title FROM vault WHERE id = ?").get(entry.id),
+      ).toEqual({ title: "Keep the index derived" });
+    } finally {
+      copy.close();
+    }
+  });
+
+  it("keeps an earlier backup from the same version", async () => {
+    const earlier = `${ctx.config.dbPath}.v13.backup`;
+    writeFileSync(earlier, "earlier backup");
+    ctx.db.exec(`
+      ALTER TABLE vault DROP COLUMN updated_at;
+      PRAGMA user_version = 13;
+    `);
+
+    const result = await migrateDatabase(ctx.db, {
+      dbPath: ctx.config.dbPath,
+    });
+    expect(result.backupPath).not.toBe(earlier);
+    expect(result.backupPath.startsWith(`${earlier}.`)).toBe(true);
+    expect(existsSync(result.backupPath)).toBe(true);
+    expect(readFileSync(earlier, "utf-8")).toBe("earlier backup");
+    expect(migrationLog(ctx.db).at(-1).backup_path).toBe(result.backupPath);
+  });
+
+  it("rolls a dry run back", async () => {
+    ctx.db.exec(`
+      ALTER TABLE vault DROP COLUMN updated_at;
+      PRAGMA user_version = 13;
+    `);
+
+    const result = await migrateDatabase(ctx.db, {
+      dbPath: ctx.config.dbPath,
+      dryRun: true,
+    });
+    expect(result.applied.map((m) => m.version)).toEqual([14]);
+    expect(result).toMatchObject({ from: 13, to: 13, backupPath: null });
+    expect(getSchemaVersion(ctx.db)).toBe(13);
+    expect(existsSync(`${ctx.config.dbPath}.v13.backup`)).toBe(false);
+
+    const verified = await verifySchema(ctx.db);
+    expect(verified.ok).toBe(false);
+    expect(verified.missing).toEqual(["column vault.updated_at"]);
+  });
+
+  it("opens without migrating when asked to", async () => {
+    ctx.db.exec(`PRAGMA user_version = 12`);
+    ctx.db.close();
+
+    ctx.db = await initDatabase(ctx.config.dbPath, { migrate: false });
+    expect(getSchemaVersion(ctx.db)).toBe(12);
+    expect(pendingMigrations(ctx.db).map((m) => m.version)).toEqual([13, 14]);
+  });
+
+  it("leaves a pre-v5 database alone and rebuilds it only on request", async () => {
+    ctx.db.exec(`PRAGMA user_version = 4`);
+    ctx.db.close();
+
+    await expect(initDatabase(ctx.config.dbPath)).rejects.toThrow(
+      LegacySchemaError,
+    );
+    ctx.db = await initDatabase(ctx.config.dbPath, { migrate: false });
+    expect(getSchemaVersion(ctx.db)).toBe(4);
+    await expect(migrateDatabase(ctx.db)).rejects.toThrow(
+      /db migrate --rebuild/,
+    );
+    ctx.db.close();
+
+    const result = await rebuildDatabase(ctx.config.dbPath);
+    ctx.db = result.db;
+    expect(result).toMatchObject({
+      from: 4,
+      backupPath: `${ctx.config.dbPath}.v4.backup`,
+    });
+    expect(getSchemaVersion(ctx.db)).toBe(SCHEMA_VERSION);
+    expect(ctx.db.prepare("SELECT COUNT(*) AS n FROM vault").get().n).toBe(0);
+
+    const kept = new DatabaseSync(result.backupPath, { readOnly: true });
+    try {
+      expect(getSchemaVersion(kept)).toBe(4);
+      expect(
+        kept.prepare("SELECT title FROM vault WHERE id = ?").get(entry.id),
+      ).toEqual({ title: "Keep the index derived" });
+    } finally {
+      kept.close();
+    }
+  }, 30000);
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { readFileSync } from "node:fs";
+import { captureAndIndex, updateEntryFile } from "@context-vault/core/capture";
+import { indexEntry } from "@context-vault/core/index";
+import { initDatabase, SCHEMA_VERSION } from "@context-vault/core/index/db";
+import { hybridSearch, listEntries } from "@context-vault/core/retrieve";
+import { listRevisions } from "@context-vault/core/capture/history";
+import {
+  listTags,
+  renameTag,
+  mergeTags,
+} from "@context-vault/core/capture/tags";
+import { createTestCtx } from "../helpers/ctx.js";
+
+import * as listTagsTool from "../../packages/core/src/server/tools/list-tags.js";
+import * as listContextTool from "../../packages/core/src/server/tools/list-context.js";
+import * as getContextTool from "../../packages/core/src/server/tools/get-context.js";
+
+const shared = { ensureIndexed: async () => {}, reindexFailed: false };
+
+describe("tags", () => {
+  let ctx, cleanup, a, b, c;
+
+  beforeEach(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    a = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Pool sizing",
+      body: "Keep pools small",
+      tags: ["postgres", "perf"],
+    });
+    b = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Use pgbouncer",
+      body: "Pooling in front of Postgres",
+      tags: ["pg", "infra"],
+    });
+    c = await captureAndIndex(ctx, {
+      kind: "insight",
+      title: "Vacuum often",
+      body: "Autovacuum settings matter",
+      tags: ["postgres", "pg"],
+    });
+  }, 30000);
+
+  afterEach(() => cleanup());
+
+  const tagsOf = (id) => JSON.parse(ctx.stmts.getEntryById.get(id).tags);
+
+  it("lists tags with counts, most used first", () => {
+    expect(listTags(ctx)).toEqual([
+      { tag: "pg", count: 2 },
+      { tag: "postgres", count: 2 },
+      { tag: "infra", count: 1 },
+      { tag: "perf", count: 1 },
+    ]);
+    expect(listTags(ctx, { kind: "decision" }).map((t) => t.tag)).toEqual([
+      "infra",
+      "pg",
+    ]);
+  });
+
+  it("renames a tag in the frontmatter and the index", async () => {
+    const { updated } = await renameTag(ctx, "perf", "performance");
+    expect(updated).toEqual([a.id]);
+    expect(tagsOf(a.id)).toEqual(["postgres", "performance"]);
+    expect(readFileSync(a.filePath, "utf-8")).toContain(
+      'tags: ["postgres", "performance"]',
+    );
+    expect(listRevisions(ctx.config.vaultDir, a.id)).toHaveLength(1);
+    expect(listTags(ctx).some((t) => t.tag === "perf")).toBe(false);
+  });
+
+  it("refuses to rename onto a tag that is already in use", async () => {
+    await expect(renameTag(ctx, "pg", "postgres")).rejects.toThrow(
+      /already exists.*tags merge/,
+    );
+    await expect(renameTag(ctx, "nope", "other")).rejects.toThrow(
+      /Tag not found/,
+    );
+  });
+
+  it("merges tags without duplicating them on an entry", async () => {
+    const { updated } = await mergeTags(ctx, ["pg"], "postgres");
+    expect(updated.sort()).toEqual([b.id, c.id].sort());
+    expect(tagsOf(b.id)).toEqual(["postgres", "infra"]);
+    expect(tagsOf(c.id)).toEqual(["postgres"]);
+    expect(listTags(ctx)[0]).toEqual({ tag: "postgres", count: 3 });
+  });
+
+  it("reports without writing on a dry run", async () => {
+    const { updated } = await mergeTags(ctx, ["pg", "infra"], "ops", {
+      dryRun: true,
+    });
+    expect(updated.sort()).toEqual([b.id, c.id].sort());
+    expect(tagsOf(b.id)).toEqual(["pg", "infra"]);
+  });
+
+  it("list_tags tool returns counts as text and data", async () => {
+    const result = await listTagsTool.handler({ limit: 2 }, ctx, shared);
+    expect(result.content[0].text).toContain("- pg (2)");
+    expect(result.structuredContent).toEqual({
+      total: 4,
+      tags: [
+        { tag: "pg", count: 2 },
+        { tag: "postgres", count: 2 },
+      ],
+    });
+  });
+});
+
+describe("vault_tags table", () => {
+  let ctx, cleanup;
+
+  beforeEach(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+  }, 30000);
+
+  afterEach(() => cleanup());
+
+  const rowsFor = (id) =>
+    ctx.db
+      .prepare("SELECT tag FROM vault_tags WHERE entry_id = ? ORDER BY tag")
+      .all(id)
+      .map((r) => r.tag);
+
+  it("follows inserts, tag edits and deletes", async () => {
+    const entry = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Tagged entry",
+      tags: ["b", "a"],
+    });
+    expect(rowsFor(entry.id)).toEqual(["a", "b"]);
+
+    const row = ctx.stmts.getEntryById.get(entry.id);
+    await indexEntry(ctx, updateEntryFile(ctx, row, { tags: ["c"] }));
+    expect(rowsFor(entry.id)).toEqual(["c"]);
+
+    ctx.stmts.deleteEntry.run(entry.id);
+    expect(rowsFor(entry.id)).toEqual([]);
+  });
+
+  it("is backfilled when upgrading a v11 database", async () => {
+    const entry = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Before the upgrade",
+      tags: ["legacy", "db"],
+    });
+    ctx.db.exec(`
+      DROP TRIGGER vault_tags_ai;
+      DROP TRIGGER vault_tags_au;
+      DROP TABLE vault_tags;
+      PRAGMA user_version = 11;
+    `);
+    ctx.db.close();
+
+    ctx.db = await initDatabase(ctx.config.dbPath);
+    expect(ctx.db.prepare("PRAGMA user_version").get().user_version).toBe(
+      SCHEMA_VERSION,
+    );
+    expect(rowsFor(entry.id)).toEqual(["db", "legacy"]);
+  });
+
+  it("pages tag-filtered listings exactly", async () => {
+    const tagged = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "The only tagged one",
+      tags: ["rare"],
+    });
+    for (let i = 0; i < 25; i++) {
+      await captureAndIndex(ctx, { kind: "insight", body: `Untagged ${i}` });
+    }
+
+    const { total, entries } = listEntries(ctx, {
+      tagFilter: { any: ["rare"] },
+      limit: 1,
+    });
+    expect(total).toBe(1);
+    expect(entries.map((e) => e.id)).toEqual([tagged.id]);
+  }, 30000);
+
+  it("supports any, all and none in search and listings", async () => {
+    const both = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Connection pooling with pgbouncer",
+      tags: ["postgres", "infra"],
+    });
+    const pgOnly = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Connection pooling inside the app",
+      tags: ["postgres"],
+    });
+    const ids = (rows) => rows.map((r) => r.id).sort();
+
+    const all = listEntries(ctx, {
+      tagFilter: { all: ["postgres", "infra"] },
+    });
+    expect(ids(all.entries)).toEqual([both.id]);
+
+    const none = listEntries(ctx, {
+      tagFilter: { any: ["postgres"], none: ["infra"] },
+    });
+    expect(ids(none.entries)).toEqual([pgOnly.id]);
+
+    const found = await hybridSearch(ctx, "connection pooling", {
+      tagFilter: { none: ["infra"] },
+    });
+    expect(ids(found)).toEqual([pgOnly.id]);
+  }, 30000);
+
+  it("filters the same in list_context and get_context without a query", async () => {
+    const ids = (rows) => rows.map((r) => r.id).sort();
+    for (const args of [
+      { tags: ["postgres"] },
+      { tags_all: ["postgres", "pg"] },
+      { kind: "insight", tags_none: ["perf"] },
+      { tags: ["pg"], tags_none: ["infra"] },
+    ]) {
+      const listed = await listContextTool.handler(args, ctx, shared);
+      const got = await getContextTool.handler(args, ctx, shared);
+      expect(ids(got.structuredContent.results), JSON.stringify(args)).toEqual(
+        ids(listed.structuredContent.entries),
+      );
+    }
+  }, 30000);
+});
@@ -14,6 +14,8 @@ import * as saveContextTool from "../../packages/core/src/server/tools/save-cont
 import * as deleteContextTool from "../../packages/core/src/server/tools/delete-context.js";
 import * as listContextTool from "../../packages/core/src/server/tools/list-context.js";
 import * as contextStatusTool from "../../packages/core/src/server/tools/context-status.js";
+import * as getBriefingTool from "../../packages/core/src/server/tools/get-briefing.js";
+import * as readContextTool from "../../packages/core/src/server/tools/read-context.js";
 
 const shared = { ensureIndexed: async () => {}, reindexFailed: false };
 
@@ -346,6 +348,138 @@ describe("get_context handler", () => {
     // If embed is loaded (test env), the note won't show. Just check it doesn't error.
     isOk(result);
   }, 30000);
+
+  it("explains ranking and filters when asked", async () => {
+    const result = await getContextTool.handler(
+      { query: "SQLite WAL", kind: "insight", explain: true },
+      ctx,
+      shared,
+    );
+    const text = isOk(result);
+    expect(text).toContain("**Explain:** weighted fusion");
+    expect(text).toContain("**Filters:** kind=insight");
+    expect(text).toMatch(/_fts #1 \(bm25 [^)]+\) · .* · recency ×1\.000_/);
+  }, 30000);
+
+  it("filters by tags_all and tags_none", async () => {
+    const all = await getContextTool.handler(
+      { query: "SQLite WAL", tags_all: ["sqlite", "database"] },
+      ctx,
+      shared,
+    );
+    expect(isOk(all)).toContain("SQLite WAL mode");
+
+    const none = await getContextTool.handler(
+      { query: "SQLite WAL", tags_none: ["database"], explain: true },
+      ctx,
+      shared,
+    );
+    expect(isOk(none)).toContain("No results found");
+
+    const filterOnly = await getContextTool.handler(
+      { tags_none: ["sqlite"] },
+      ctx,
+      shared,
+    );
+    const text = isOk(filterOnly);
+    expect(text).toContain("Alice Developer");
+    expect(text).not.toContain("SQLite WAL mode");
+  }, 30000);
+
+  it("omits explanations by default", async () => {
+    const result = await getContextTool.handler(
+      { query: "SQLite WAL" },
+      ctx,
+      shared,
+    );
+    expect(isOk(result)).not.toContain("**Explain:**");
+  }, 30000);
+});
+
+// ─── get_context token budget ─────────────────────────────────────────────────
+
+describe("get_context max_tokens / full", () => {
+  let ctx, cleanup;
+  const longBody = (word) =>
+    Array.from({ length: 80 }, (_, i) => `${word} sentence number ${i}.`).join(
+      " ",
+    );
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    for (let i = 0; i < 5; i++) {
+      await captureAndIndex(ctx, {
+        kind: "insight",
+        title: `Budget entry ${i}`,
+        body: longBody("budget"),
+      });
+    }
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  const search = (args) =>
+    getContextTool.handler({ query: "budget sentence", ...args }, ctx, shared);
+
+  it("previews bodies by default and returns them whole with full", async () => {
+    const preview = isOk(await search({}));
+    expect(preview).not.toContain("number 79.");
+    expect(preview).toContain("...");
+
+    const full = isOk(await search({ full: true }));
+    expect(full).toContain("number 79.");
+  }, 30000);
+
+  it("expands top hits and shortens the rest to fit max_tokens", async () => {
+    const text = isOk(await search({ max_tokens: 900 }));
+    expect(text.length / 4).toBeLessThanOrEqual(900);
+    // Top hit gets its full body, the remainder are shortened but listed
+    expect(text.match(/number 79\./g)).toHaveLength(1);
+    expect(text.match(/^### \[/gm)).toHaveLength(5);
+    expect(text).toMatch(/Fit to max_tokens \(900\): 4 shortened, 0 omitted/);
+  }, 30000);
+
+  it("omits lower-ranked results when even headings do not fit", async () => {
+    const result = await search({ max_tokens: 150 });
+    const text = isOk(result);
+    expect(text.length / 4).toBeLessThanOrEqual(150);
+    expect(text).toMatch(/\d+ omitted/);
+    expect(text).not.toContain("[5/5]");
+    const { results, omitted } = result.structuredContent;
+    expect(omitted).toBeGreaterThan(0);
+    expect(results).toHaveLength(5 - omitted);
+    expect(results.every((r) => r.truncated)).toBe(true);
+  }, 30000);
+
+  it("bounds an exact entity match by max_tokens", async () => {
+    await captureAndIndex(ctx, {
+      kind: "contact",
+      title: "Budget contact",
+      body: longBody("contact"),
+      identity_key: "budget-contact",
+    });
+    const lookup = (args) =>
+      getContextTool.handler(
+        { kind: "contact", identity_key: "budget-contact", ...args },
+        ctx,
+        shared,
+      );
+
+    expect(isOk(await lookup({ max_tokens: 2000 }))).toContain("number 79.");
+
+    const result = await lookup({ max_tokens: 150 });
+    const text = isOk(result);
+    expect(text.length / 4).toBeLessThanOrEqual(150);
+    expect(text).not.toContain("number 79.");
+    expect(text).toContain("Fit to max_tokens (150): body shortened");
+    expect(result.structuredContent.results[0]).toMatchObject({
+      truncated: true,
+    });
+
+    const tiny = await lookup({ max_tokens: 50 });
+    expect(isOk(tiny)).toContain("### Budget contact");
+    expect(tiny.structuredContent.results[0].body).toBeNull();
+  }, 30000);
 });
 
 // ─── delete_context ───────────────────────────────────────────────────────────
@@ -492,6 +626,30 @@ describe("list_context handler", () => {
     expect(text).not.toContain("Vite decision");
   }, 30000);
 
+  it("combines tags_all and tags_none with an exact total", async () => {
+    await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "React and Vite together",
+      title: "React with Vite",
+      tags: ["react", "tooling"],
+    });
+    const all = await listContextTool.handler(
+      { tags_all: ["react", "tooling"] },
+      ctx,
+      shared,
+    );
+    expect(all.structuredContent.total).toBe(1);
+    expect(isOk(all)).toContain("React with Vite");
+
+    const none = await listContextTool.handler(
+      { tags: ["react", "tooling"], tags_none: ["react"] },
+      ctx,
+      shared,
+    );
+    expect(none.structuredContent.total).toBe(1);
+    expect(none.structuredContent.entries[0].title).toBe("Vite decision");
+  }, 30000);
+
   it("respects limit", async () => {
     const result = await listContextTool.handler({ limit: 1 }, ctx, shared);
     const text = isOk(result);
@@ -567,3 +725,154 @@ describe("context_status handler", () => {
     expect(text).toMatch(/[✓⚠]/);
   });
 });
+
+// ─── get_briefing ─────────────────────────────────────────────────────────────
+
+describe("get_briefing handler", () => {
+  let ctx, cleanup, ids;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    const save = (data) => captureAndIndex(ctx, data).then((e) => e.id);
+    ids = {
+      project: await save({
+        kind: "project",
+        identity_key: "acme-api",
+        title: "Acme API",
+        body: "Public REST API for Acme, Node + Postgres",
+      }),
+      decision: await save({
+        kind: "decision",
+        title: "Use cursor pagination",
+        body: "Offsets were too slow on large tables",
+        tags: ["acme-api"],
+      }),
+      mentioned: await save({
+        kind: "insight",
+        title: "Rate limits",
+        body: "The acme-api gateway caps clients at 100 req/s",
+      }),
+      unrelated: await save({
+        kind: "insight",
+        title: "Unrelated insight",
+        body: "Nothing to do with this project",
+        tags: ["other"],
+      }),
+      openTask: await save({
+        kind: "task",
+        title: "Add ETag support",
+        body: "Conditional GETs",
+        tags: ["acme-api"],
+        meta: { status: "open" },
+      }),
+      doneTask: await save({
+        kind: "task",
+        title: "Set up CI",
+        body: "Done last week",
+        tags: ["acme-api"],
+        meta: { status: "done" },
+      }),
+      session: await save({
+        kind: "session",
+        title: "Pagination session",
+        body: "Implemented cursors",
+        tags: ["acme-api"],
+      }),
+    };
+  }, 60000);
+
+  afterAll(() => cleanup());
+
+  it("assembles the project, decisions, tasks, insights and sessions", async () => {
+    const text = isOk(
+      await getBriefingTool.handler({ project: "Acme API" }, ctx, shared),
+    );
+    expect(text).toContain("## Briefing: Acme API");
+    expect(text).toContain(ids.project);
+    expect(text).toContain("### Recent decisions");
+    expect(text).toContain(ids.decision);
+    expect(text).toContain(ids.openTask);
+    expect(text).toContain("(open)");
+    expect(text).not.toContain(ids.doneTask);
+    expect(text).toContain(ids.mentioned);
+    expect(text).not.toContain(ids.unrelated);
+    expect(text).toContain(ids.session);
+  }, 30000);
+
+  it("derives the project from the working directory", async () => {
+    const text = isOk(
+      await getBriefingTool.handler(
+        { cwd: "/home/dev/code/acme-api" },
+        ctx,
+        shared,
+      ),
+    );
+    expect(text).toContain(ids.project);
+    expect(text).toContain(ids.decision);
+  }, 30000);
+
+  it("stays within max_tokens and reports what was left out", async () => {
+    const text = isOk(
+      await getBriefingTool.handler(
+        { project: "acme-api", max_tokens: 100 },
+        ctx,
+        shared,
+      ),
+    );
+    expect(text.length).toBeLessThan(100 * 4 + 200);
+    expect(text).toMatch(/left out to fit max_tokens \(100\)/);
+  }, 30000);
+
+  it("explains how to start when nothing matches", async () => {
+    const text = isOk(
+      await getBriefingTool.handler({ project: "Nope Project" }, ctx, shared),
+    );
+    expect(text).toContain('identity_key "nope-project"');
+  }, 30000);
+
+  it("requires a project or cwd", async () => {
+    isErr(await getBriefingTool.handler({}, ctx, shared), "INVALID_INPUT");
+  });
+});
+
+// ─── read_context ─────────────────────────────────────────────────────────────
+
+describe("read_context handler", () => {
+  let ctx, cleanup;
+
+  beforeAll(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+  }, 30000);
+
+  afterAll(() => cleanup());
+
+  it("returns the complete body and metadata", async () => {
+    const body = "x".repeat(2000) + " the end";
+    const entry = await captureAndIndex(ctx, {
+      kind: "reference",
+      title: "Long reference",
+      body,
+      tags: ["docs"],
+      source: "manual",
+    });
+    const text = isOk(
+      await readContextTool.handler({ id: entry.id }, ctx, shared),
+    );
+    expect(text).toContain("## Long reference [reference/knowledge]");
+    expect(text).toContain(`id: \`${entry.id}\``);
+    expect(text).toContain("tags: docs");
+    expect(text).toContain("source: manual");
+    expect(text).toContain(body);
+  }, 30000);
+
+  it("returns NOT_FOUND for unknown ids and rejects empty ids", async () => {
+    isErr(
+      await readContextTool.handler({ id: "nope" }, ctx, shared),
+      "NOT_FOUND",
+    );
+    isErr(
+      await readContextTool.handler({ id: "  " }, ctx, shared),
+      "INVALID_INPUT",
+    );
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { readFileSync, writeFileSync, utimesSync } from "node:fs";
+import { captureAndIndex, updateEntryFile } from "@context-vault/core/capture";
+import { indexEntry, reindex } from "@context-vault/core/index";
+import { initDatabase, SCHEMA_VERSION } from "@context-vault/core/index/db";
+import { listEntries } from "@context-vault/core/retrieve";
+import { createTestCtx } from "../helpers/ctx.js";
+
+import * as listContextTool from "../../packages/core/src/server/tools/list-context.js";
+import * as getContextTool from "../../packages/core/src/server/tools/get-context.js";
+
+const shared = { ensureIndexed: async () => {}, reindexFailed: false };
+const tick = () => new Promise((r) => setTimeout(r, 5));
+
+describe("updated_at", () => {
+  let ctx, cleanup, older, newer;
+
+  beforeEach(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    older = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Use SQLite",
+      body: "One file, no server",
+    });
+    await tick();
+    newer = await captureAndIndex(ctx, {
+      kind: "decision",
+      title: "Use WAL mode",
+      body: "Readers never block the writer",
+    });
+  }, 30000);
+
+  afterEach(() => cleanup());
+
+  const row = (id) => ctx.stmts.getEntryById.get(id);
+  async function edit(id, updates) {
+    await tick();
+    await indexEntry(ctx, updateEntryFile(ctx, row(id), updates));
+  }
+
+  it("starts at created_at and leaves new files without a stamp", () => {
+    expect(row(older.id).updated_at).toBe(row(older.id).created_at);
+    expect(readFileSync(older.filePath, "utf-8")).not.toContain("updated:");
+  });
+
+  it("is stamped in frontmatter and the index when an entry changes", async () => {
+    await edit(older.id, { body: "One file, no server, WAL mode" });
+    const { created_at, updated_at } = row(older.id);
+    expect(updated_at > created_at).toBe(true);
+    expect(readFileSync(older.filePath, "utf-8")).toContain(
+      `updated: "${updated_at}"`,
+    );
+
+    // A no-op update keeps the stamp
+    await edit(older.id, {});
+    expect(row(older.id).updated_at).toBe(updated_at);
+  }, 30000);
+
+  it("moves when an entity is upserted", async () => {
+    const first = await captureAndIndex(ctx, {
+      kind: "contact",
+      title: "Ada",
+      body: "Works on the index",
+      identity_key: "ada",
+    });
+    await tick();
+    await captureAndIndex(ctx, {
+      kind: "contact",
+      title: "Ada",
+      body: "Moved to the sync team",
+      identity_key: "ada",
+    });
+    const { created_at, updated_at } = row(first.id);
+    expect(updated_at > created_at).toBe(true);
+  }, 30000);
+
+  it("uses the file mtime for hand edits picked up by reindex", async () => {
+    await reindex(ctx, { fullSync: true });
+    writeFileSync(
+      older.filePath,
+      readFileSync(older.filePath, "utf-8").replace(
+        "One file, no server",
+        "Edited by hand",
+      ),
+    );
+    const mtime = new Date("2026-03-04T05:06:07.000Z");
+    utimesSync(older.filePath, mtime, mtime);
+
+    const stats = await reindex(ctx, { fullSync: true });
+    expect(stats.updated).toBe(1);
+    expect(row(older.id).updated_at).toBe(mtime.toISOString());
+  }, 30000);
+
+  it("takes a newer stamp from the file (e.g. pulled by git sync)", async () => {
+    await edit(older.id, { body: "Edited elsewhere" });
+    const stamp = "2030-01-01T00:00:00.000Z";
+    const raw = readFileSync(older.filePath, "utf-8");
+    writeFileSync(
+      older.filePath,
+      raw
+        .replace(/^updated: .*$/m, `updated: "${stamp}"`)
+        .replace("Edited elsewhere", "Edited elsewhere, again"),
+    );
+
+    await reindex(ctx, { fullSync: true });
+    expect(row(older.id).updated_at).toBe(stamp);
+  }, 30000);
+
+  it("sorts and filters listings by last change", async () => {
+    const cutoff = new Date().toISOString();
+    await edit(older.id, { body: "One file, no server, WAL mode" });
+
+    const byCreated = listEntries(ctx).entries.map((e) => e.id);
+    expect(byCreated).toEqual([newer.id, older.id]);
+    const byUpdated = listEntries(ctx, { sort: "updated" }).entries;
+    expect(byUpdated.map((e) => e.id)).toEqual([older.id, newer.id]);
+
+    const changed = listEntries(ctx, { sinceUpdated: cutoff });
+    expect(changed.total).toBe(1);
+    expect(changed.entries[0]).toMatchObject({
+      id: older.id,
+      updated_at: row(older.id).updated_at,
+    });
+  }, 30000);
+
+  it("list_context and get_context accept since_updated", async () => {
+    const cutoff = new Date().toISOString();
+    await edit(newer.id, { tags: ["db"] });
+
+    const listed = await listContextTool.handler(
+      { sort: "updated", since_updated: cutoff },
+      ctx,
+      shared,
+    );
+    expect(listed.structuredContent.total).toBe(1);
+    expect(listed.structuredContent.entries[0]).toMatchObject({
+      id: newer.id,
+      updated_at: row(newer.id).updated_at,
+    });
+    expect(listed.content[0].text).toContain(
+      `updated ${row(newer.id).updated_at}`,
+    );
+
+    const found = await getContextTool.handler(
+      { since_updated: cutoff },
+      ctx,
+      shared,
+    );
+    expect(found.structuredContent.results.map((r) => r.id)).toEqual([
+      newer.id,
+    ]);
+
+    const searched = await getContextTool.handler(
+      { query: "WAL", since_updated: cutoff },
+      ctx,
+      shared,
+    );
+    expect(searched.structuredContent.results.map((r) => r.id)).toEqual([
+      newer.id,
+    ]);
+  }, 30000);
+
+  it("is backfilled from created_at when upgrading a v13 database", async () => {
+    ctx.db.exec(`
+      ALTER TABLE vault DROP COLUMN updated_at;
+      PRAGMA user_version = 13;
+    `);
+    ctx.db.close();
+
+    ctx.db = await initDatabase(ctx.config.dbPath);
+    expect(ctx.db.prepare("PRAGMA user_version").get().user_version).toBe(
+      SCHEMA_VERSION,
+    );
+    const { created_at, updated_at } = ctx.db
+      .prepare("SELECT created_at, updated_at FROM vault WHERE id = ?")
+      .get(older.id);
+    expect(updated_at).toBe(created_at);
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  mkdirSync,
+  writeFileSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  unlinkSync,
+} from "node:fs";
+import { join } from "node:path";
+import { captureAndIndex } from "@context-vault/core/capture";
+import { syncFile, locateVaultFile } from "@context-vault/core/index";
+import { watchVault } from "@context-vault/core/index/watch";
+import { createTestCtx } from "../helpers/ctx.js";
+
+const md = (id, body, extra = "") =>
+  `---\nid: ${id}\ntags: ["watch"]\ncreated: 2026-01-01T00:00:00.000Z\n${extra}---\n${body}\n`;
+
+describe("locateVaultFile", () => {
+  const vault = "/vault";
+
+  it("maps nested and flat layouts like reindex", () => {
+    expect(locateVaultFile(vault, "/vault/knowledge/insights/a.md")).toEqual({
+      kind: "insight",
+      relDir: "",
+    });
+    expect(
+      locateVaultFile(vault, "/vault/knowledge/insights/db/pool/a.md"),
+    ).toEqual({ kind: "insight", relDir: "db/pool" });
+    expect(locateVaultFile(vault, "/vault/decisions/a.md")).toEqual({
+      kind: "decision",
+      relDir: "",
+    });
+  });
+
+  it("ignores paths reindex never indexes", () => {
+    for (const p of [
+      "/vault/a.md",
+      "/vault/knowledge/a.md",
+      "/vault/knowledge/insights/a.txt",
+      "/vault/knowledge/insights/README.md",
+      "/vault/_history/x/a.md",
+      "/vault/knowledge/insights/_drafts/a.md",
+      "/vault/projects/a/b.md",
+      "/elsewhere/knowledge/insights/a.md",
+    ]) {
+      expect(locateVaultFile(vault, p)).toBeNull();
+    }
+  });
+});
+
+describe("syncFile", () => {
+  let ctx, cleanup, dir;
+
+  beforeEach(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    dir = join(ctx.config.vaultDir, "knowledge", "insights");
+    mkdirSync(dir, { recursive: true });
+  });
+
+  afterEach(() => cleanup());
+
+  const row = (id) => ctx.stmts.getEntryById.get(id);
+
+  it("adds, updates, skips unchanged and removes a file", async () => {
+    const file = join(dir, "pool.md");
+    writeFileSync(file, md("01WATCHADD0000000000000000", "Pool sizing"));
+    expect(await syncFile(ctx, file)).toBe("added");
+    expect(row("01WATCHADD0000000000000000").body).toBe("Pool sizing");
+
+    expect(await syncFile(ctx, file)).toBe("unchanged");
+
+    writeFileSync(file, md("01WATCHADD0000000000000000", "Pool sizing v2"));
+    expect(await syncFile(ctx, file)).toBe("updated");
+    expect(row("01WATCHADD0000000000000000").body).toBe("Pool sizing v2");
+
+    unlinkSync(file);
+    expect(await syncFile(ctx, file)).toBe("removed");
+    expect(row("01WATCHADD0000000000000000")).toBeUndefined();
+  }, 30000);
+
+  it("derives the folder from the file location", async () => {
+    mkdirSync(join(dir, "db"), { recursive: true });
+    const file = join(dir, "db", "nested.md");
+    writeFileSync(file, md("01WATCHNEST000000000000000", "Nested note"));
+    await syncFile(ctx, file);
+    expect(JSON.parse(row("01WATCHNEST000000000000000").meta).folder).toBe(
+      "db",
+    );
+  }, 30000);
+
+  it("treats a new path with a known id as a move", async () => {
+    const entry = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Moving entries keeps their id",
+    });
+    const moved = join(dir, "moved.md");
+    writeFileSync(moved, readFileSync(entry.filePath));
+    unlinkSync(entry.filePath);
+
+    expect(await syncFile(ctx, moved)).toBe("updated");
+    expect(row(entry.id).file_path).toBe(moved);
+    expect(await syncFile(ctx, entry.filePath)).toBe("unchanged");
+    expect(ctx.db.prepare("SELECT COUNT(*) AS c FROM vault").get().c).toBe(1);
+  }, 30000);
+
+  it("refuses a duplicate id while the original file exists", async () => {
+    const entry = await captureAndIndex(ctx, {
+      kind: "insight",
+      body: "Original",
+    });
+    const copy = join(dir, "copy.md");
+    writeFileSync(copy, readFileSync(entry.filePath));
+    expect(await syncFile(ctx, copy)).toBe("skipped");
+    expect(row(entry.id).file_path).toBe(entry.filePath);
+  }, 30000);
+});
+
+describe("watchVault", () => {
+  let ctx, cleanup, dir, watcher, synced;
+
+  beforeEach(async () => {
+    ({ ctx, cleanup } = await createTestCtx());
+    dir = join(ctx.config.vaultDir, "knowledge", "insights");
+    mkdirSync(dir, { recursive: true });
+    synced = [];
+    watcher = watchVault(ctx, {
+      debounceMs: 20,
+      onSync: (stats) => synced.push(stats),
+    });
+  });
+
+  afterEach(() => {
+    watcher.close();
+    cleanup();
+  });
+
+  const count = () => ctx.db.prepare("SELECT COUNT(*) AS c FROM vault").get().c;
+
+  it("indexes edits made directly on disk", async () => {
+    const file = join(dir, "live.md");
+    writeFileSync(file, md("01WATCHLIVE000000000000000", "Live edit"));
+    await vi.waitFor(() => expect(count()).toBe(1), { timeout: 5000 });
+
+    writeFileSync(file, md("01WATCHLIVE000000000000000", "Live edit again"));
+    await vi.waitFor(
+      () =>
+        expect(
+          ctx.stmts.getEntryById.get("01WATCHLIVE000000000000000").body,
+        ).toBe("Live edit again"),
+      { timeout: 5000 },
+    );
+
+    unlinkSync(file);
+    await vi.waitFor(() => expect(count()).toBe(0), { timeout: 5000 });
+    expect(synced.length).toBeGreaterThanOrEqual(3);
+  }, 30000);
+
+  it("handles a kind directory being moved away", async () => {
+    writeFileSync(join(dir, "a.md"), md("01WATCHDIRA000000000000000", "A"));
+    writeFileSync(join(dir, "b.md"), md("01WATCHDIRB000000000000000", "B"));
+    await vi.waitFor(() => expect(count()).toBe(2), { timeout: 5000 });
+
+    renameSync(dir, join(ctx.config.vaultDir, "_archived-insights"));
+    await vi.waitFor(() => expect(count()).toBe(0), { timeout: 5000 });
+    rmSync(join(ctx.config.vaultDir, "_archived-insights"), {
+      recursive: true,
+    });
+  }, 30000);
+});